@@ -37,6 +37,8 @@ import AICommandInput from "./hooks/ai_command_input"
 import LayerContextMenu from "./hooks/layer_context_menu"
 // Import Flash Auto Dismiss hook for auto-hiding flash messages
 import FlashAutoDismiss from "./hooks/flash_auto_dismiss"
+// Import History Panel hook for listing and jumping through undo history
+import HistoryPanel from "./hooks/history_panel"
 
 const csrfToken = document.querySelector("meta[name='csrf-token']").getAttribute("content")
 
@@ -62,7 +64,8 @@ const liveSocket = new LiveSocket("/live", Socket, {
     VoiceInput: VoiceInput,
     AICommandInput: AICommandInput,
     LayerContextMenu: LayerContextMenu,
-    FlashAutoDismiss: FlashAutoDismiss
+    FlashAutoDismiss: FlashAutoDismiss,
+    HistoryPanel: HistoryPanel
   },
 })
 
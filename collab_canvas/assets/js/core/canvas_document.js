@@ -0,0 +1,249 @@
+/**
+ * Canvas Document - Versioned JSON save/load format for whole canvases
+ *
+ * A document carries every object with its full data, layer order, group
+ * membership and component linkage, plus the viewport it was saved from, so a
+ * canvas can be backed up, used as a template or moved to another environment
+ * without losing anything the PNG/SVG exports flatten.
+ *
+ * Documents are validated before import and upgraded through MIGRATIONS when
+ * they were written by an older version. When the format changes, bump
+ * DOCUMENT_VERSION and add a migration from the previous version.
+ */
+
+export const DOCUMENT_FORMAT = 'collab-canvas/document';
+export const DOCUMENT_VERSION = 1;
+export const DOCUMENT_MIME_TYPE = 'application/json';
+export const DOCUMENT_EXTENSION = 'json';
+
+// Types the server accepts (see CollabCanvas.Canvases.Object)
+export const DOCUMENT_OBJECT_TYPES = [
+  'rectangle',
+  'circle',
+  'ellipse',
+  'text',
+  'line',
+  'arrow',
+  'connector',
+  'path',
+  'star',
+  'triangle',
+  'polygon',
+  'image',
+  'frame'
+];
+
+export const MAX_DOCUMENT_OBJECTS = 5000;
+
+/**
+ * Upgrades keyed by the version they upgrade from; each returns the document
+ * at the next version, e.g. `1: document => ({ ...document, version: 2, ... })`
+ */
+export const MIGRATIONS = {};
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Build a document from object records
+ * @param {Array<Object>} objects - Records of shape {id, type, position, data, z_index,
+ *   group_id, component_id, is_main_component, instance_overrides}
+ * @param {Object} meta - {name, viewport: {x, y, zoom}}
+ * @returns {Object} Document at DOCUMENT_VERSION
+ */
+export function serializeDocument(objects, { name = '', viewport = null } = {}) {
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    exported_at: new Date().toISOString(),
+    canvas: { name: name || '' },
+    viewport: viewport ? { x: viewport.x, y: viewport.y, zoom: viewport.zoom } : null,
+    objects: objects.map(obj => ({
+      id: obj.id,
+      type: obj.type,
+      position: { x: obj.position.x, y: obj.position.y },
+      data: obj.data || {},
+      z_index: obj.z_index || 0,
+      group_id: obj.group_id || null,
+      component_id: obj.component_id || null,
+      is_main_component: !!obj.is_main_component,
+      instance_overrides: parseOverrides(obj.instance_overrides)
+    }))
+  };
+}
+
+// instance_overrides is stored as a JSON string; documents keep it readable
+function parseOverrides(overrides) {
+  if (typeof overrides !== 'string') return isPlainObject(overrides) ? overrides : null;
+
+  try {
+    const parsed = JSON.parse(overrides);
+    return isPlainObject(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Bring a document up to DOCUMENT_VERSION
+ * @param {Object} document - Parsed document
+ * @param {Object} migrations - Upgrades keyed by source version (defaults to MIGRATIONS)
+ * @returns {Object} Upgraded document (the input is not modified)
+ * @throws {Error} If the version is unknown, newer than supported or can't be upgraded
+ */
+export function migrateDocument(document, migrations = MIGRATIONS) {
+  let current = document;
+
+  if (!Number.isInteger(current.version)) {
+    throw new Error(`Unknown document version: ${current.version}`);
+  }
+  if (current.version > DOCUMENT_VERSION) {
+    throw new Error(`Document was saved by a newer version (${current.version}) - update the app to open it`);
+  }
+
+  while (current.version < DOCUMENT_VERSION) {
+    const migrate = migrations[current.version];
+    if (!migrate) {
+      throw new Error(`No migration from document version ${current.version}`);
+    }
+
+    const next = migrate(structuredClone(current));
+    if (!next || next.version !== current.version + 1) {
+      throw new Error(`Migration from document version ${current.version} did not produce version ${current.version + 1}`);
+    }
+    current = next;
+  }
+
+  return current;
+}
+
+/**
+ * Check a document against the current schema
+ * @param {Object} document - Document at DOCUMENT_VERSION
+ * @returns {Array<string>} Problems as "path: message" (empty when valid)
+ */
+export function validateDocument(document) {
+  const errors = [];
+  const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+  if (!isPlainObject(document)) {
+    return ['document: must be an object'];
+  }
+  if (document.format !== DOCUMENT_FORMAT) {
+    fail('format', `must be "${DOCUMENT_FORMAT}"`);
+  }
+  if (document.version !== DOCUMENT_VERSION) {
+    fail('version', `must be ${DOCUMENT_VERSION}`);
+  }
+  if (document.canvas !== undefined && !(isPlainObject(document.canvas) && typeof document.canvas.name === 'string')) {
+    fail('canvas', 'must be an object with a name');
+  }
+
+  const viewport = document.viewport;
+  if (viewport !== undefined && viewport !== null &&
+      !(isPlainObject(viewport) && isFiniteNumber(viewport.x) && isFiniteNumber(viewport.y) &&
+        isFiniteNumber(viewport.zoom) && viewport.zoom > 0)) {
+    fail('viewport', 'must have numeric x and y and a positive zoom');
+  }
+
+  if (!Array.isArray(document.objects)) {
+    fail('objects', 'must be an array');
+    return errors;
+  }
+  if (document.objects.length > MAX_DOCUMENT_OBJECTS) {
+    fail('objects', `must have at most ${MAX_DOCUMENT_OBJECTS} objects`);
+    return errors;
+  }
+
+  const ids = new Set();
+  document.objects.forEach((obj, index) => {
+    const path = `objects[${index}]`;
+    if (!isPlainObject(obj)) {
+      fail(path, 'must be an object');
+      return;
+    }
+
+    if (!(Number.isInteger(obj.id) || (typeof obj.id === 'string' && obj.id !== ''))) {
+      fail(`${path}.id`, 'must be an integer or a string');
+    } else if (ids.has(obj.id)) {
+      fail(`${path}.id`, `duplicates id ${obj.id}`);
+    } else {
+      ids.add(obj.id);
+    }
+
+    if (!DOCUMENT_OBJECT_TYPES.includes(obj.type)) {
+      fail(`${path}.type`, `must be one of ${DOCUMENT_OBJECT_TYPES.join(', ')}`);
+    }
+    if (!(isPlainObject(obj.position) && isFiniteNumber(obj.position.x) && isFiniteNumber(obj.position.y))) {
+      fail(`${path}.position`, 'must have numeric x and y');
+    }
+    if (!isPlainObject(obj.data)) {
+      fail(`${path}.data`, 'must be an object');
+    }
+    if (obj.z_index !== undefined && !isFiniteNumber(obj.z_index)) {
+      fail(`${path}.z_index`, 'must be a number');
+    }
+    if (obj.group_id !== undefined && obj.group_id !== null && typeof obj.group_id !== 'string') {
+      fail(`${path}.group_id`, 'must be a string or null');
+    }
+    if (obj.component_id !== undefined && obj.component_id !== null && !Number.isInteger(obj.component_id)) {
+      fail(`${path}.component_id`, 'must be an integer or null');
+    }
+    if (obj.is_main_component !== undefined && typeof obj.is_main_component !== 'boolean') {
+      fail(`${path}.is_main_component`, 'must be a boolean');
+    }
+    if (obj.instance_overrides !== undefined && obj.instance_overrides !== null && !isPlainObject(obj.instance_overrides)) {
+      fail(`${path}.instance_overrides`, 'must be an object or null');
+    }
+  });
+
+  // Connectors are only meaningful with both ends in the same document
+  document.objects.forEach((obj, index) => {
+    if (!isPlainObject(obj) || obj.type !== 'connector' || !isPlainObject(obj.data)) return;
+
+    ['source_id', 'target_id'].forEach(key => {
+      if (!ids.has(obj.data[key])) {
+        fail(`objects[${index}].data.${key}`, 'must reference an object in the document');
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Parse, upgrade and validate document text
+ * @param {string} text - File contents
+ * @param {Object} migrations - Upgrades keyed by source version (defaults to MIGRATIONS)
+ * @returns {Object} {document, errors}; document is null when errors isn't empty
+ */
+export function parseDocument(text, migrations = MIGRATIONS) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    return { document: null, errors: ['document: is not valid JSON'] };
+  }
+
+  if (!isPlainObject(document) || document.format !== DOCUMENT_FORMAT) {
+    return { document: null, errors: ['document: is not a canvas document'] };
+  }
+
+  try {
+    document = migrateDocument(document, migrations);
+  } catch (error) {
+    return { document: null, errors: [`version: ${error.message}`] };
+  }
+
+  const errors = validateDocument(document);
+  return errors.length > 0 ? { document: null, errors } : { document, errors };
+}
+
+/**
+ * Check whether a dropped or picked file looks like a canvas document
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isDocumentFile(file) {
+  return !!file && (file.type === DOCUMENT_MIME_TYPE || (file.name || '').toLowerCase().endsWith(`.${DOCUMENT_EXTENSION}`));
+}
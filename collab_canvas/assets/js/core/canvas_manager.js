@@ -1,7 +1,110 @@
 import * as PIXI from '../../vendor/pixi.min.mjs';
 import { PerformanceMonitor } from './performance_monitor.js';
 import { OfflineQueue } from './offline_queue.js';
-import { HistoryManager } from './history_manager.js';
+import { createClientId } from './offline_sync.js';
+import { HistoryManager, historyOperationType, resolveHistoryChange, serverHistoryIds } from './history_manager.js';
+import { HistoryStore } from './history_store.js';
+import { SpatialIndex } from './spatial_index.js';
+import { outlinePointsFor, hitTestShape } from './shape_geometry.js';
+import { CLIPBOARD_MIME_TYPE, serializeClipboard, parseClipboard, layoutPaste } from './clipboard.js';
+import { TextEditor } from './text_editor.js';
+import { RESIZE_HANDLES, getResizeHandle, resizeCursor, computeResize } from './resize_handles.js';
+import { boundsOfPoints, rotatePointAbout, scaleBoxInGroup } from './group_transform.js';
+import {
+  SNAP_THRESHOLD,
+  boxAnchors,
+  offsetBox,
+  unionBoxes,
+  findAxisSnap,
+  alignmentGuides,
+  computeSnap
+} from './smart_guides.js';
+import {
+  normalizeGridSettings,
+  gridLevels,
+  gridLinesInRange,
+  isOnGridLine,
+  snapToGrid,
+  snapPointToGrid,
+  nextGridLine
+} from './grid.js';
+import {
+  lineEndpoints,
+  arrowheadsFor,
+  scaleLineEndpoints,
+  routeConnector,
+  routePolyline,
+  routeEnds,
+  arrowheadGeometry,
+  boxEdgePoint,
+  boxCenter,
+  ARROWHEAD_STYLES,
+  CONNECTOR_ROUTINGS
+} from './connectors.js';
+import {
+  compactStroke,
+  pathPointsFromFlat,
+  samplePath,
+  scalePathPoints,
+  smoothPathSegments
+} from './freehand.js';
+import {
+  sampleNodes,
+  nodeSegments,
+  mapNodes,
+  nodesFromOutline,
+  nodesFromSegments,
+  moveAnchor,
+  moveHandle,
+  pullHandles,
+  toggleSmooth,
+  removeNode,
+  findNodePart,
+  centerNodes,
+  scaleNodes
+} from './vector_path.js';
+import {
+  STROKE_STYLES,
+  dashPattern,
+  dashPolyline,
+  clampCornerRadius,
+  roundedRectPoints,
+  ellipsePoints,
+  normalizeGradient,
+  linearGradientEnds,
+  normalizeShadow
+} from './shape_styles.js';
+import { DropShadowFilter } from './drop_shadow_filter.js';
+import { objectsToSvg, objectToSvgElement, objectsBounds } from './svg_export.js';
+import {
+  normalizeExportOptions,
+  exportFrame,
+  fitExportScale,
+  exportFilename,
+  inlineImageSources,
+  encodeExport
+} from './image_export.js';
+import { svgToObjects } from './svg_import.js';
+import { DOCUMENT_EXTENSION, DOCUMENT_MIME_TYPE, serializeDocument, parseDocument } from './canvas_document.js';
+import {
+  FRAME_DEFAULTS,
+  FRAME_HEADER_FONT_SIZE,
+  FRAME_HEADER_GAP,
+  frameMembership,
+  fitBoxToView,
+  nextFrameName
+} from './frames.js';
+import { getRuns, runsToPlainText, runsToHtml, applyTextEdit } from './rich_text.js';
+import {
+  SVG_MIME_TYPE,
+  findClipboardImageFile,
+  extractSvgMarkup,
+  svgToDataUrl,
+  parseSvgSize,
+  fitImageSize,
+  uploadImage,
+  uploadEndpoint
+} from './image_paste.js';
 
 /**
  * CanvasManager - Standalone PixiJS Canvas Management
@@ -26,12 +129,35 @@ export class CanvasManager {
     this.labelsVisible = false; // Track if labels are currently visible
     this.lockIndicators = new Map(); // Map of objectId -> lock indicator container
 
+    // Spatial index of object bounds in world (objectContainer) coordinates
+    // Used for hit-testing, lasso selection, culling and zoom-to-fit
+    this.spatialIndex = new SpatialIndex({ cellSize: 256 });
+    this.objectSequence = 0; // Monotonic counter to break z_index ties by creation order
+    this.hitTolerance = 4; // Extra pick distance around shape outlines, in screen pixels
+    this.framesDirty = false; // Frame membership needs recomputing (see updateFrames)
+    this.frameDrag = null; // Frame members moving along with a dragged selection
+    this.pathHandleRadius = 6; // Grab distance for path anchors and bezier handles, in screen pixels
+
     // Offline support
     this.offlineQueue = null;
     this.connectionStatusIndicator = null;
+    this.offlineBase = null; // Object states when the connection dropped, to merge offline edits against
 
-    // History management (undo/redo)
+    // History management (undo/redo) - only this user's own changes are recorded
     this.historyManager = new HistoryManager(50);
+    this.historyManager.onUndo(operation => this.replayHistory(operation.data, operation.previousState));
+    this.historyManager.onRedo(operation => this.replayHistory(operation.previousState, operation.data));
+    this.historyManager.onChange(() => {
+      this.emit('history_changed', this.historyManager.getSummary());
+      this.scheduleHistorySave();
+    });
+    this.historyStep = null; // States captured when an operation (drag, resize, rotate) started
+    this.aiHistoryStep = null; // States captured when an AI command started
+    this.historyReplay = null; // Changes applied by the undo/redo in progress
+    this.historyStore = null; // IndexedDB copy of the history, for reloads
+    this.historyLoaded = false; // Stored history has been read (saving before would overwrite it)
+    this.historySaveTimer = null;
+    this.historySaveDelay = 250; // ms to wait for more changes before saving
 
     // Interaction state
     this.currentUserId = null;
@@ -45,6 +171,10 @@ export class CanvasManager {
     this.isCreating = false;
     this.createStart = { x: 0, y: 0 };
     this.tempObject = null;
+    this.createCurrent = null; // Latest {x, y} pointer position while dragging out a shape
+    this.createModifiers = {}; // Latest {shiftKey, altKey} while dragging out a shape
+    this.starPoints = 5; // Points for new stars (arrow up/down while dragging)
+    this.polygonSides = 6; // Sides for new polygons (arrow up/down while dragging)
     this.currentColor = '#000000'; // Current color from color picker
 
     // Rotation handle state
@@ -58,14 +188,43 @@ export class CanvasManager {
     this.resizeHandles = new Map(); // Map of objectId -> resize handle graphics
     this.isResizing = false;
     this.resizingObject = null;
+    this.resizeHandle = null; // Grabbed handle ({name, x, y}, see resize_handles.js)
     this.resizeStartSize = { width: 0, height: 0 };
+    this.resizeStartCenter = { x: 0, y: 0 }; // Object center (world) when resize started
+    this.resizeStartData = null; // Object data when resize started
+    this.resizeStartPadding = { x: 0, y: 0 }; // Stroke margin around the logical box (snapping)
     this.resizeStartMousePos = { x: 0, y: 0 }; // Mouse position when resize started
+    this.resizeResult = null; // Latest {width, height, center} from computeResize
+
+    // Group transform state (one bounding box around a multi-selection)
+    this.groupHandles = null; // {box, rotationHandle, resizeHandles} while several objects are selected
+    this.groupTransform = null; // Active group rotate/resize, see startGroupTransform()
+
+    // Smart guides state (snapping while dragging and resizing)
+    this.guideGraphics = null; // Alignment guides and spacing indicators (objectContainer space)
+    this.snapCandidates = null; // World bounds of objects to snap to, cached per interaction
+    this.dragSnapStart = null; // {bounds, gridBounds, x, y} selection bounds and container position when snapping began
+
+    // Grid state (per-user, per-canvas settings saved with the viewport)
+    this.gridSettings = normalizeGridSettings();
+    this.gridGraphics = null; // Screen-space grid lines, drawn below objectContainer
+    this.gridDrawKey = null; // Viewport/settings the grid was last drawn for
+
+    // Connector state
+    this.connectorLinks = new Map(); // Map of objectId -> Set of ids of connectors attached to it
+    this.connectorDraft = null; // {sourceId, preview} while dragging out a new connector
+
+    // Pencil and pen tool state
+    this.freehandSamples = null; // World-space pointer samples while drawing a freehand stroke
+    this.penDraft = null; // {nodes, dragIndex, pointer, preview} while placing vector pen anchors
+    this.pathEdit = null; // Point-level editing of one object, see startPathEditing()
 
     // Pan and zoom state
     this.isPanning = false;
     this.panStart = { x: 0, y: 0 };
     this.viewOffset = { x: 0, y: 0 };
     this.zoomLevel = 1;
+    this.effectsZoom = 1; // Zoom the shadow and blur filters were last scaled for
     this.spacePressed = false;
 
     // Lasso selection state
@@ -75,7 +234,12 @@ export class CanvasManager {
     this.lassoRect = null; // Graphics object for lasso visualization
 
     // Clipboard state for copy/paste
-    this.clipboard = [];
+    this.clipboard = []; // Last copied object payloads (fallback when the system clipboard is unavailable)
+    this.lastPointerPosition = null; // Last pointer position over the canvas in world coordinates (paste target)
+
+    // Inline text editing (textarea overlay)
+    this.textEditor = new TextEditor({ onCommit: this.commitTextEditing.bind(this) });
+    this.textEditing = null; // {object, position, data} while the editor is open
 
     // Throttle tracking
     this.lastCursorUpdate = 0;
@@ -113,9 +277,11 @@ export class CanvasManager {
    * @param {HTMLElement} container - DOM element to attach canvas to
    * @param {string} userId - Current user ID
    * @param {string} canvasId - Canvas ID for offline queue
+   * @param {Object} options - {historyDepth}: most undo steps kept (and stored)
    */
-  async initialize(container, userId, canvasId) {
+  async initialize(container, userId, canvasId, options = {}) {
     this.currentUserId = userId;
+    this.canvasId = canvasId;
     const width = container.clientWidth;
     const height = container.clientHeight;
 
@@ -138,6 +304,11 @@ export class CanvasManager {
     this.app.canvas.style.maxWidth = '100%';
     this.app.canvas.style.maxHeight = '100%';
 
+    // Create grid layer (screen space, below objects)
+    this.gridGraphics = new PIXI.Graphics();
+    this.gridGraphics.eventMode = 'none';
+    this.app.stage.addChild(this.gridGraphics);
+
     // Create main container for objects
     this.objectContainer = new PIXI.Container();
     // Disable culling for now - it was causing objects to disappear during interactions
@@ -190,17 +361,32 @@ export class CanvasManager {
     // Start interpolation ticker for smooth remote transforms
     this.app.ticker.add(this.updateInterpolations.bind(this));
 
+    // Redraw the grid when the viewport or grid settings change
+    this.app.ticker.add(this.updateGrid, this);
+
+    // Keep shadows and blurs the same size in canvas units as the zoom changes
+    this.app.ticker.add(this.updateEffectsZoom, this);
+
+    // Clip objects to the frames they sit in once anything has moved
+    this.app.ticker.add(this.updateFrames, this);
+
     // Initialize offline queue
     if (canvasId) {
       this.offlineQueue = new OfflineQueue(canvasId);
       
-      // Register sync callback
-      this.offlineQueue.onSync(async (type, data) => {
-        this.emit(type + '_object', data);
+      // Register sync callback (the server answers with offline_sync_result)
+      this.offlineQueue.onSync(async (operations, queueIds) => {
+        // sent_at lets the server correct the timestamps for this client's clock
+        this.emit('sync_offline_operations', { operations, queue_ids: queueIds, sent_at: Date.now() });
       });
 
       // Register status change callback
       this.offlineQueue.onStatusChange((status, queueSize) => {
+        if (status === 'offline' && !this.offlineBase) {
+          this.offlineBase = this.captureHistoryStates(Array.from(this.objects.keys()));
+        } else if (status === 'online') {
+          this.offlineBase = null;
+        }
         this.updateConnectionStatus(status, queueSize);
       });
 
@@ -208,48 +394,14 @@ export class CanvasManager {
       this.createConnectionStatusIndicator();
     }
 
-    // Setup history manager callbacks
-    this.historyManager.onUndo(async (operation) => {
-      console.log('[CanvasManager] Undoing operation:', operation);
-      
-      switch (operation.type) {
-        case 'create':
-          // Delete the created object
-          this.emit('delete_object', { object_id: operation.data.id });
-          break;
-        case 'update':
-          // Restore previous state
-          if (operation.previousState) {
-            this.emit('update_object', operation.previousState);
-          }
-          break;
-        case 'delete':
-          // Recreate the deleted object
-          if (operation.previousState) {
-            this.emit('create_object', operation.previousState);
-          }
-          break;
-      }
-    });
-
-    this.historyManager.onRedo(async (operation) => {
-      console.log('[CanvasManager] Redoing operation:', operation);
-      
-      switch (operation.type) {
-        case 'create':
-          // Recreate the object
-          this.emit('create_object', operation.data);
-          break;
-        case 'update':
-          // Reapply the update
-          this.emit('update_object', operation.data);
-          break;
-        case 'delete':
-          // Delete again
-          this.emit('delete_object', { object_id: operation.data.id });
-          break;
-      }
-    });
+    // Keep this user's undo history across reloads
+    if (options.historyDepth) {
+      this.historyManager.setMaxHistorySize(options.historyDepth);
+    }
+    if (canvasId && userId) {
+      this.historyStore = new HistoryStore(canvasId, userId);
+      this.restoreHistory();
+    }
 
     // Initial viewport culling (disabled for now)
     // this.updateVisibleObjects();
@@ -265,6 +417,7 @@ export class CanvasManager {
     // Create and store bound function references for proper cleanup
     this.boundHandlers = {
       handleMouseDown: this.handleMouseDown.bind(this),
+      handleDoubleClick: this.handleDoubleClick.bind(this),
       handleMouseMove: this.handleMouseMove.bind(this),
       handleMouseUp: this.handleMouseUp.bind(this),
       handleWheel: this.handleWheel.bind(this),
@@ -273,11 +426,15 @@ export class CanvasManager {
       handleTouchEnd: this.handleTouchEnd.bind(this),
       handleKeyDown: this.handleKeyDown.bind(this),
       handleKeyUp: this.handleKeyUp.bind(this),
-      handleResize: this.handleResize.bind(this)
+      handleResize: this.handleResize.bind(this),
+      handleCopy: this.handleCopy.bind(this),
+      handleCut: this.handleCut.bind(this),
+      handlePaste: this.handlePaste.bind(this)
     };
 
     // Mouse events
     canvas.addEventListener('mousedown', this.boundHandlers.handleMouseDown);
+    canvas.addEventListener('dblclick', this.boundHandlers.handleDoubleClick);
     // Attach move and up to window so they work even when mouse leaves canvas
     window.addEventListener('mousemove', this.boundHandlers.handleMouseMove);
     window.addEventListener('mouseup', this.boundHandlers.handleMouseUp);
@@ -299,6 +456,11 @@ export class CanvasManager {
     window.addEventListener('keydown', this.boundHandlers.handleKeyDown);
     window.addEventListener('keyup', this.boundHandlers.handleKeyUp);
 
+    // Clipboard events (native events give access to the system clipboard)
+    document.addEventListener('copy', this.boundHandlers.handleCopy);
+    document.addEventListener('cut', this.boundHandlers.handleCut);
+    document.addEventListener('paste', this.boundHandlers.handlePaste);
+
     // Window resize
     window.addEventListener('resize', this.boundHandlers.handleResize);
 
@@ -329,18 +491,21 @@ export class CanvasManager {
    */
   emit(event, data) {
     // Check if this is a canvas operation that should be queued when offline
-    const queueableEvents = ['create_object', 'update_object', 'delete_object'];
+    const queueableEvents = ['create_object', 'update_object', 'update_objects_batch', 'delete_object'];
 
     if (queueableEvents.includes(event) && this.offlineQueue && !this.offlineQueue.online) {
-      // Queue the operation for later sync
-      this.offlineQueue.queueOperation(event.replace('_object', ''), data);
-      // Don't return early - still emit the event so local UI updates
+      // The queue replays it on reconnect - sending it now as well would apply it twice
+      this.queueOfflineOperation(event, data);
+      return;
     }
 
     // Normal event emission (happens both online and offline)
     const listeners = this.eventListeners.get(event);
-    if (listeners) {
+    if (listeners && listeners.length > 0) {
       listeners.forEach(callback => callback(data));
+    } else if (process.env.NODE_ENV === 'development') {
+      // Nothing bridges this event to the server - it would be silently dropped
+      console.warn(`[CanvasManager] Event "${event}" emitted with no subscribers`, data);
     }
   }
 
@@ -387,6 +552,22 @@ export class CanvasManager {
       case 'polygon':
         pixiObject = this.createPolygon(position, data);
         break;
+      case 'image':
+        pixiObject = this.createImage(position, data);
+        break;
+      case 'frame':
+        pixiObject = this.createFrame(position, data);
+        break;
+      case 'line':
+      case 'arrow':
+        pixiObject = this.createLine(position, data, objectData.type);
+        break;
+      case 'connector':
+        pixiObject = this.createConnector(position, data);
+        break;
+      case 'path':
+        pixiObject = this.createPath(position, data);
+        break;
       default:
         console.warn('Unknown object type:', objectData.type);
         return;
@@ -395,11 +576,18 @@ export class CanvasManager {
     // Store object reference and lock information
     pixiObject.objectId = objectData.id;
     pixiObject.lockedBy = objectData.locked_by;
+    pixiObject.groupId = objectData.group_id || null;
+    pixiObject.componentId = objectData.component_id || null;
+    pixiObject.isMainComponent = !!objectData.is_main_component;
+    pixiObject.instanceOverrides = objectData.instance_overrides || null;
     pixiObject.zIndex = objectData.z_index || 0.0; // Store z_index for layer ordering
     pixiObject.objectType = objectData.type; // Store type for resize redrawing
     pixiObject.objectData = data; // Store original data for resize redrawing
     pixiObject.eventMode = 'static'; // Replaces interactive = true
 
+    // Drop shadow and layer blur (see shape_styles.js)
+    this.applyEffects(pixiObject, data);
+
     // Set cursor and visual appearance based on lock status
     this.updateObjectAppearance(pixiObject);
 
@@ -409,8 +597,16 @@ export class CanvasManager {
     pixiObject.on('pointerup', this.onObjectPointerUp.bind(this));
     pixiObject.on('rightdown', this.onObjectRightClick.bind(this));
 
+    pixiObject.createdSequence = this.objectSequence++;
+
     this.objects.set(objectData.id, pixiObject);
-    this.objectContainer.addChild(pixiObject);
+    this.addToObjectContainer(pixiObject);
+
+    if (objectData.type === 'connector') {
+      this.linkConnector(pixiObject);
+      this.rerouteConnector(pixiObject);
+    }
+    this.updateSpatialIndex(pixiObject);
 
     // Create label for this object if labels are currently visible
     if (this.labelsVisible) {
@@ -418,6 +614,23 @@ export class CanvasManager {
     }
   }
 
+  /**
+   * Add a new object in front of every object with a lower or equal z_index
+   * Objects usually arrive in front of everything else; those created further
+   * back (e.g. frames drawn around existing content) go behind what's above them.
+   * @param {PIXI.DisplayObject} pixiObject - Object to add
+   */
+  addToObjectContainer(pixiObject) {
+    const above = this.objectContainer.children.find(child =>
+      child.objectId !== undefined && child !== pixiObject && (child.zIndex || 0) > pixiObject.zIndex);
+
+    if (above) {
+      this.objectContainer.addChildAt(pixiObject, this.objectContainer.getChildIndex(above));
+    } else {
+      this.objectContainer.addChild(pixiObject);
+    }
+  }
+
   /**
    * Create a rectangle shape
    * @param {Object} position - {x, y} position
@@ -429,18 +642,7 @@ export class CanvasManager {
     const width = data.width || 100;
     const height = data.height || 100;
 
-    // Use 'fill' field for object color (color and fill have been consolidated)
-    // Fallback to 'color' for backwards compatibility with existing objects
-    const fillColor = this.validateColor(data.fill || data.color) || '#3b82f6';
-    const fill = parseInt(fillColor.replace('#', '0x'));
-    const strokeColor = this.validateColor(data.stroke) || '#1e40af';
-    const stroke = parseInt(strokeColor.replace('#', '0x'));
-    const strokeWidth = data.stroke_width || 2;
-
-    // v8 Graphics API: shape → fill → stroke
-    graphics.rect(0, 0, width, height)
-      .fill(fill)
-      .stroke({ width: strokeWidth, color: stroke });
+    this.drawShape(graphics, 'rectangle', data);
 
     graphics.x = position.x;
     graphics.y = position.y;
@@ -471,18 +673,7 @@ export class CanvasManager {
     const graphics = new PIXI.Graphics();
     const radius = (data.width || 100) / 2;
 
-    // Use 'fill' field for object color (color and fill have been consolidated)
-    // Fallback to 'color' for backwards compatibility with existing objects
-    const fillColor = this.validateColor(data.fill || data.color) || '#3b82f6';
-    const fill = parseInt(fillColor.replace('#', '0x'));
-    const strokeColor = this.validateColor(data.stroke) || '#1e40af';
-    const stroke = parseInt(strokeColor.replace('#', '0x'));
-    const strokeWidth = data.stroke_width || 2;
-
-    // v8 Graphics API: shape → fill → stroke
-    graphics.circle(radius, radius, radius)
-      .fill(fill)
-      .stroke({ width: strokeWidth, color: stroke });
+    this.drawShape(graphics, 'circle', data);
 
     graphics.x = position.x;
     graphics.y = position.y;
@@ -511,6 +702,16 @@ export class CanvasManager {
    * @param {number} height - New height
    */
   redrawGraphicsWithSize(graphics, width, height) {
+    if (graphics.objectType === 'image') {
+      this.resizeImage(graphics, width, height);
+      return;
+    }
+
+    if (graphics.objectType === 'frame') {
+      this.resizeFrame(graphics, width, height);
+      return;
+    }
+
     if (!(graphics instanceof PIXI.Graphics)) {
       return; // Only works for Graphics objects
     }
@@ -518,48 +719,277 @@ export class CanvasManager {
     const data = graphics.objectData || {};
     const type = graphics.objectType;
 
-    // Get fill and stroke from stored data
-    // Fallback to 'color' for backwards compatibility with existing objects
-    const fillColor = data.fill || data.color || '#3b82f6';
-    const fill = parseInt(fillColor.replace('#', '0x'));
-    const strokeColor = data.stroke || '#1e40af';
-    const stroke = parseInt(strokeColor.replace('#', '0x'));
-    const strokeWidth = data.stroke_width || 2;
+    // Lines and arrows stretch their endpoints about the center
+    if (type === 'line' || type === 'arrow') {
+      graphics.objectData = { ...data, ...scaleLineEndpoints(data, width, height) };
+      const { start, end } = graphics.objectData;
+      this.drawLinePath(graphics, { points: [start, end], controls: null }, type, graphics.objectData);
+      return;
+    }
 
-    // Clear and redraw
-    graphics.clear();
+    // Paths stretch their points (or anchors and handles) about the center
+    if (type === 'path') {
+      const from = this.getObjectSize(graphics);
+      graphics.objectData = data.nodes
+        ? { ...data, nodes: scaleNodes(data.nodes, from, { width, height }) }
+        : { ...data, points: scalePathPoints(data.points || [], from, { width, height }) };
+      this.drawPath(graphics, graphics.objectData);
+      return;
+    }
+
+    // Clear and redraw with the same fill, stroke pattern and corners as create*()
+    const sized = { ...data, width, height };
+    this.drawShape(graphics, type, sized);
+
+    // Star, triangle and polygon outlines are centered on the origin
+    if (outlinePointsFor(type, sized)) {
+      graphics.objectData = sized;
+      return;
+    }
 
     if (type === 'circle') {
-      const radius = width / 2;
-      graphics.circle(radius, radius, radius)
-        .fill(fill)
-        .stroke({ width: strokeWidth, color: stroke });
-      graphics.pivot.set(radius, radius);
+      graphics.pivot.set(width / 2, width / 2);
     } else {
-      // Rectangle (default)
-      graphics.rect(0, 0, width, height)
-        .fill(fill)
-        .stroke({ width: strokeWidth, color: stroke });
       graphics.pivot.set(width / 2, height / 2);
     }
 
     // Restore opacity if it was set
     // Preserve alpha, default to 1.0 (fully opaque) if not specified
     graphics.alpha = data.opacity !== undefined ? data.opacity : 1.0;
+
+    // Keep stored data in sync with what is drawn (used for copy/export)
+    graphics.objectData = { ...data, width, height };
+  }
+
+  /**
+   * Draw a rectangle, circle, star, triangle or polygon from its data
+   * Fills with a gradient when `fill_gradient` is set, dashes or dots the stroke per
+   * `stroke_style` and rounds rectangle corners by `corner_radius` (see shape_styles.js).
+   * @param {PIXI.Graphics} graphics - Graphics to draw into (cleared first)
+   * @param {string} type - Object type (anything without an outline draws as a rectangle)
+   * @param {Object} data - Shape data
+   */
+  drawShape(graphics, type, data) {
+    const width = data.width || 100;
+    const height = data.height || 100;
+
+    // Use 'fill' field for object color (color and fill have been consolidated)
+    // Fallback to 'color' for backwards compatibility with existing objects
+    const fillColor = this.validateColor(data.fill || data.color) || '#3b82f6';
+    const outline = outlinePointsFor(type, data);
+    // Outlined shapes default their stroke to the fill and apply opacity to the fill too
+    const strokeColor = this.validateColor(data.stroke) || (outline ? fillColor : '#1e40af');
+    const fillAlpha = outline ? (data.opacity || 1) : 1;
+
+    graphics.clear();
+
+    // v8 Graphics API: shape → fill → stroke
+    let strokePoints;
+    if (outline) {
+      graphics.poly(outline);
+      strokePoints = () => outline;
+    } else if (type === 'circle') {
+      const radius = width / 2;
+      graphics.circle(radius, radius, radius);
+      strokePoints = () => ellipsePoints(radius, radius, radius, radius);
+    } else {
+      const radius = clampCornerRadius(data.corner_radius, width, height);
+      if (radius > 0) {
+        graphics.roundRect(0, 0, width, height, radius);
+      } else {
+        graphics.rect(0, 0, width, height);
+      }
+      strokePoints = () => roundedRectPoints(width, height, radius);
+    }
+
+    graphics.fill(this.fillStyleFor(graphics, data, fillColor, fillAlpha));
+    this.strokeOutline(graphics, strokePoints, true, data, strokeColor);
+  }
+
+  /**
+   * Fill style for a shape: its gradient if it has a valid one, otherwise the solid color
+   * The gradient is kept on the graphics and reused while it doesn't change, so
+   * redraws during resizes don't rebuild its texture.
+   * @param {PIXI.Graphics} graphics - Graphics being drawn
+   * @param {Object} data - Object data (fill_gradient)
+   * @param {string} color - Validated solid fill color
+   * @param {number} alpha - Fill alpha
+   * @returns {Object} PIXI fill style
+   */
+  fillStyleFor(graphics, data, color, alpha = 1) {
+    const gradient = normalizeGradient(data.fill_gradient);
+    const key = gradient ? JSON.stringify(gradient) : null;
+
+    if (graphics.fillGradientKey !== key) {
+      if (graphics.fillGradient) {
+        graphics.fillGradient.destroy();
+      }
+      graphics.fillGradient = gradient ? this.createFillGradient(gradient) : null;
+      graphics.fillGradientKey = key;
+    }
+
+    if (graphics.fillGradient) {
+      return { fill: graphics.fillGradient, alpha };
+    }
+    return { color: parseInt(color.replace('#', '0x')), alpha };
+  }
+
+  /**
+   * Build a PIXI gradient spanning the shape's local bounds
+   * @param {Object} gradient - Normalized gradient (see shape_styles.js)
+   * @returns {PIXI.FillGradient}
+   */
+  createFillGradient(gradient) {
+    const colorStops = gradient.stops.map(({ offset, color }) => ({ offset, color }));
+
+    if (gradient.type === 'radial') {
+      return new PIXI.FillGradient({
+        type: 'radial',
+        center: { x: 0.5, y: 0.5 },
+        innerRadius: 0,
+        outerCenter: { x: 0.5, y: 0.5 },
+        outerRadius: 0.5,
+        colorStops,
+        textureSpace: 'local'
+      });
+    }
+
+    const { start, end } = linearGradientEnds(gradient.angle);
+    return new PIXI.FillGradient({ type: 'linear', start, end, colorStops, textureSpace: 'local' });
+  }
+
+  /**
+   * Stroke the current shape, or stroke its outline in dashes or dots
+   * Dashed strokes can't follow the shape PIXI just filled, so the outline is
+   * passed as a polyline (lazily - solid strokes never need it).
+   * @param {PIXI.Graphics} graphics - Graphics with the shape just drawn
+   * @param {Function} outlinePoints - () => flat polyline of the outline
+   * @param {boolean} closed - Whether the outline is closed
+   * @param {Object} data - Object data (stroke_width, stroke_style)
+   * @param {string} color - Validated stroke color
+   * @param {Object} options - Extra PIXI stroke options (cap, join)
+   */
+  strokeOutline(graphics, outlinePoints, closed, data, color, options = {}) {
+    const width = data.stroke_width || 2;
+    const stroke = { width, color: parseInt(color.replace('#', '0x')), ...options };
+    const pattern = dashPattern(data.stroke_style, width);
+
+    if (!pattern) {
+      graphics.stroke(stroke);
+      return;
+    }
+
+    const pieces = dashPolyline(outlinePoints(), closed, pattern);
+    const dashes = pieces.filter(piece => piece.length > 2);
+    const dots = pieces.filter(piece => piece.length === 2);
+
+    graphics.beginPath();
+    if (dashes.length > 0) {
+      dashes.forEach(dash => {
+        graphics.moveTo(dash[0], dash[1]);
+        for (let i = 2; i < dash.length; i += 2) {
+          graphics.lineTo(dash[i], dash[i + 1]);
+        }
+      });
+      graphics.stroke(stroke);
+    }
+    if (dots.length > 0) {
+      dots.forEach(([x, y]) => graphics.circle(x, y, width / 2));
+      graphics.fill(stroke.color);
+    }
+  }
+
+  /**
+   * Apply an object's drop shadow and layer blur as PIXI filters
+   * Filters don't change local bounds, so hit-testing and selection ignore them.
+   * Filters the object already has are updated in place; ones it no longer
+   * needs are destroyed, as each holds GPU resources.
+   * @param {PIXI.Container} pixiObject - Object to apply effects to
+   * @param {Object} data - Object data (shadow, blur)
+   */
+  applyEffects(pixiObject, data) {
+    const shadow = normalizeShadow(data.shadow);
+    const blur = Math.max(0, Number(data.blur) || 0);
+    const current = pixiObject.filters || [];
+    const existing = type => current.find(filter => filter instanceof type);
+    const filters = [];
+
+    if (shadow) {
+      const shadowFilter = existing(DropShadowFilter);
+      if (shadowFilter) {
+        shadowFilter.setShadow(shadow);
+        filters.push(shadowFilter);
+      } else {
+        filters.push(new DropShadowFilter(shadow));
+      }
+    }
+    // Blur last so it softens the shadow along with the object (strength set by scaleEffects)
+    if (blur > 0) {
+      filters.push(existing(PIXI.BlurFilter) || new PIXI.BlurFilter({ strength: blur }));
+    }
+
+    current.filter(filter => !filters.includes(filter)).forEach(filter => filter.destroy());
+    pixiObject.filters = filters.length > 0 ? filters : null;
+    this.scaleEffects(pixiObject);
+  }
+
+  /**
+   * Destroy an object's effect filters (destroying the object leaves them)
+   * @param {PIXI.Container} pixiObject - Object being removed
+   */
+  destroyEffects(pixiObject) {
+    const filters = pixiObject.filters || [];
+    pixiObject.filters = null;
+    filters.forEach(filter => filter.destroy());
+  }
+
+  /**
+   * Size an object's filters for the current zoom (filters work in screen pixels)
+   * @param {PIXI.Container} pixiObject - Object with effects
+   */
+  scaleEffects(pixiObject) {
+    const blur = Math.max(0, Number(pixiObject.objectData?.blur) || 0);
+
+    (pixiObject.filters || []).forEach(filter => {
+      if (filter instanceof DropShadowFilter) {
+        filter.scale = this.zoomLevel;
+      } else if (filter instanceof PIXI.BlurFilter) {
+        filter.strength = blur * this.zoomLevel;
+      }
+    });
+  }
+
+  /**
+   * Rescale every object's effects once the zoom has changed (ticker callback)
+   */
+  updateEffectsZoom() {
+    if (this.effectsZoom === this.zoomLevel) return;
+    this.effectsZoom = this.zoomLevel;
+
+    this.objects.forEach(obj => {
+      if (obj.filters) {
+        this.scaleEffects(obj);
+      }
+      // Frame names stay the same size on screen
+      if (obj.objectType === 'frame') {
+        obj.header.scale.set(1 / this.zoomLevel);
+        obj.header.position.set(0, -FRAME_HEADER_GAP / this.zoomLevel);
+      }
+    });
   }
 
   /**
    * Create text object
    * @param {Object} position - {x, y} position
-   * @param {Object} data - Text data
-   * @returns {PIXI.Text}
+   * @param {Object} data - Text data (optionally with styled `runs`, see rich_text.js)
+   * @returns {PIXI.Text|PIXI.HTMLText}
    */
   createText(position, data) {
     // Use 'fill' field for text color (color and fill have been consolidated)
     // Fallback to 'color' for backwards compatibility with existing objects
     const textColor = this.validateColor(data.fill || data.color) || '#000000';
 
-    const style = new PIXI.TextStyle({
+    const styleOptions = {
       fontFamily: data.font_family || 'Arial',
       fontSize: data.font_size || 16,
       fill: textColor,
@@ -567,9 +997,14 @@ export class CanvasManager {
       // Task 8: Support bold and italic from update_text command
       fontWeight: data.bold ? 'bold' : 'normal',
       fontStyle: data.italic ? 'italic' : 'normal'
-    });
+    };
 
-    const text = new PIXI.Text(data.text || 'Text', style);
+    // Styled runs are laid out by the browser via HTMLText; the object-level
+    // style above is the default each run inherits from
+    const runs = getRuns(data);
+    const text = runs
+      ? new PIXI.HTMLText({ text: runsToHtml(runs), style: new PIXI.HTMLTextStyle(styleOptions) })
+      : new PIXI.Text(data.text || 'Text', new PIXI.TextStyle(styleOptions));
     text.x = position.x;
     text.y = position.y;
 
@@ -598,39 +1033,17 @@ export class CanvasManager {
    */
   createStar(position, data) {
     const graphics = new PIXI.Graphics();
-    const points = data.points || 5; // Number of star points
     const outerRadius = (data.width || 100) / 2;
-    const innerRadius = outerRadius * (data.innerRatio || 0.5);
-
-    // Validate colors
-    const fillColor = this.validateColor(data.fill) || '#3b82f6';
-    const fill = parseInt(fillColor.replace('#', '0x'));
-    const strokeColor = this.validateColor(data.stroke) || fillColor;
-    const stroke = parseInt(strokeColor.replace('#', '0x'));
-    const strokeWidth = data.stroke_width || 2;
-
-    // Calculate star points
-    const starPoints = [];
-    for (let i = 0; i < points * 2; i++) {
-      const angle = (i * Math.PI) / points - Math.PI / 2;
-      const radius = i % 2 === 0 ? outerRadius : innerRadius;
-      starPoints.push(
-        Math.cos(angle) * radius,
-        Math.sin(angle) * radius
-      );
-    }
 
-    // Draw star using poly
-    graphics.poly(starPoints)
-      .fill({ color: fill, alpha: data.opacity || 1 })
-      .stroke({ width: strokeWidth, color: stroke });
+    // Star points are shared with hit-testing (see shape_geometry.js)
+    this.drawShape(graphics, 'star', data);
 
     graphics.x = position.x;
     graphics.y = position.y;
 
     // Apply rotation if specified
     if (data.rotation !== undefined && data.rotation !== 0) {
-      this.applyRotation(graphics, data.rotation, data.pivot_point, outerRadius * 2, outerRadius * 2);
+      this.applyRotation(graphics, data.rotation, data.pivot_point, outerRadius * 2, data.height || outerRadius * 2, true);
     } else {
       graphics.pivot.set(0, 0);
     }
@@ -649,30 +1062,15 @@ export class CanvasManager {
     const width = data.width || 100;
     const height = data.height || 100;
 
-    // Validate colors
-    const fillColor = this.validateColor(data.fill) || '#3b82f6';
-    const fill = parseInt(fillColor.replace('#', '0x'));
-    const strokeColor = this.validateColor(data.stroke) || fillColor;
-    const stroke = parseInt(strokeColor.replace('#', '0x'));
-    const strokeWidth = data.stroke_width || 2;
-
-    // Draw equilateral triangle pointing up
-    const trianglePoints = [
-      0, -height / 2,           // Top
-      -width / 2, height / 2,   // Bottom left
-      width / 2, height / 2     // Bottom right
-    ];
-
-    graphics.poly(trianglePoints)
-      .fill({ color: fill, alpha: data.opacity || 1 })
-      .stroke({ width: strokeWidth, color: stroke });
+    // Triangle pointing up, shared with hit-testing
+    this.drawShape(graphics, 'triangle', data);
 
     graphics.x = position.x;
     graphics.y = position.y;
 
     // Apply rotation if specified
     if (data.rotation !== undefined && data.rotation !== 0) {
-      this.applyRotation(graphics, data.rotation, data.pivot_point, width, height);
+      this.applyRotation(graphics, data.rotation, data.pivot_point, width, height, true);
     } else {
       graphics.pivot.set(0, 0);
     }
@@ -688,37 +1086,17 @@ export class CanvasManager {
    */
   createPolygon(position, data) {
     const graphics = new PIXI.Graphics();
-    const sides = data.sides || 6; // Default to hexagon
     const radius = (data.width || 100) / 2;
 
-    // Validate colors
-    const fillColor = this.validateColor(data.fill) || '#3b82f6';
-    const fill = parseInt(fillColor.replace('#', '0x'));
-    const strokeColor = this.validateColor(data.stroke) || fillColor;
-    const stroke = parseInt(strokeColor.replace('#', '0x'));
-    const strokeWidth = data.stroke_width || 2;
-
-    // Calculate polygon points
-    const polygonPoints = [];
-    for (let i = 0; i < sides; i++) {
-      const angle = (i * 2 * Math.PI) / sides - Math.PI / 2;
-      polygonPoints.push(
-        Math.cos(angle) * radius,
-        Math.sin(angle) * radius
-      );
-    }
-
-    // Draw polygon
-    graphics.poly(polygonPoints)
-      .fill({ color: fill, alpha: data.opacity || 1 })
-      .stroke({ width: strokeWidth, color: stroke });
+    // Polygon (defaults to a hexagon), shared with hit-testing
+    this.drawShape(graphics, 'polygon', data);
 
     graphics.x = position.x;
     graphics.y = position.y;
 
     // Apply rotation if specified
     if (data.rotation !== undefined && data.rotation !== 0) {
-      this.applyRotation(graphics, data.rotation, data.pivot_point, radius * 2, radius * 2);
+      this.applyRotation(graphics, data.rotation, data.pivot_point, radius * 2, data.height || radius * 2, true);
     } else {
       graphics.pivot.set(0, 0);
     }
@@ -727,85 +1105,628 @@ export class CanvasManager {
   }
 
   /**
-   * Apply rotation to a PixiJS object based on pivot point
-   * @param {PIXI.DisplayObject} object - Object to rotate
-   * @param {number} angle - Rotation angle in degrees
-   * @param {string} pivotPoint - Pivot point (center, top-left, top-right, bottom-left, bottom-right)
-   * @param {number} width - Object width
-   * @param {number} height - Object height
+   * Create an image object
+   *
+   * The sprite is wrapped in a container sized like a Graphics shape (local
+   * bounds 0,0 → width,height with a center pivot), so selection boxes,
+   * resize/rotate handles and hit-testing treat images like rectangles.
+   * A placeholder is shown until the texture has loaded.
+   * @param {Object} position - {x, y} position
+   * @param {Object} data - Image data ({src, width, height})
+   * @returns {PIXI.Container}
    */
-  applyRotation(object, angle, pivotPoint = 'center', width, height) {
-    // Set rotation angle
-    object.angle = angle;
+  createImage(position, data) {
+    const container = new PIXI.Container();
+    const width = data.width || 100;
+    const height = data.height || 100;
 
-    // Set pivot based on pivot_point
-    // Note: We don't adjust position here - PixiJS handles rotation around pivot correctly
-    // The object's x,y position represents where the pivot point is in world coordinates
-    switch (pivotPoint) {
-      case 'top-left':
-        object.pivot.set(0, 0);
-        break;
-      case 'top-right':
-        object.pivot.set(width, 0);
-        break;
-      case 'bottom-left':
-        object.pivot.set(0, height);
-        break;
-      case 'bottom-right':
-        object.pivot.set(width, height);
-        break;
-      case 'center':
-      default:
-        object.pivot.set(width / 2, height / 2);
-        break;
+    container.placeholder = new PIXI.Graphics();
+    container.sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+    container.sprite.visible = false;
+    container.addChild(container.placeholder, container.sprite);
+
+    this.resizeImage(container, width, height);
+
+    container.x = position.x;
+    container.y = position.y;
+
+    if (data.rotation !== undefined && data.rotation !== 0) {
+      this.applyRotation(container, data.rotation, data.pivot_point, width, height);
+    }
+
+    if (data.opacity !== undefined) {
+      container.alpha = data.opacity;
     }
+
+    if (data.src) {
+      PIXI.Assets.load(data.src)
+        .then(texture => {
+          if (container.destroyed) return;
+          container.sprite.texture = texture;
+          container.sprite.visible = true;
+          container.placeholder.visible = false;
+          // Texture swap resets the sprite's scale - re-apply the display size
+          this.resizeImage(container, container.imageWidth, container.imageHeight);
+        })
+        .catch(error => {
+          console.error('[CanvasManager] Failed to load image:', data.src.slice(0, 80), error);
+        });
+    }
+
+    return container;
   }
 
   /**
-   * Update an existing object
-   * @param {Object} objectData - Object data from server
+   * Resize an image object's sprite and placeholder
+   * @param {PIXI.Container} container - Image container from createImage
+   * @param {number} width - New width
+   * @param {number} height - New height
    */
-  updateObject(objectData, options = {}) {
-    const pixiObject = this.objects.get(objectData.id);
-    if (!pixiObject) {
-      // Object doesn't exist, create it
-      this.createObject(objectData);
-      return;
-    }
+  resizeImage(container, width, height) {
+    container.imageWidth = width;
+    container.imageHeight = height;
 
-    // Skip updates for objects currently being dragged by this user
-    if (this.isDragging && this.selectedObjects.has(pixiObject)) {
-      return;
-    }
+    container.placeholder.clear();
+    container.placeholder.rect(0, 0, width, height).fill({ color: 0xe5e7eb });
 
-    // Skip updates for objects currently being rotated by this user
-    if (this.isRotating && this.rotatingObject === pixiObject) {
-      return;
-    }
+    container.sprite.width = width;
+    container.sprite.height = height;
+    container.pivot.set(width / 2, height / 2);
 
-    // Skip updates for objects currently being resized by this user
-    if (this.isResizing && this.resizingObject === pixiObject) {
-      return;
+    if (container.objectData) {
+      container.objectData = { ...container.objectData, width, height };
     }
+  }
 
-    // Determine if this is a remote transform (not from current user)
-    const isRemoteTransform = pixiObject.lockedBy && pixiObject.lockedBy !== this.currentUserId;
+  /**
+   * Create a frame (artboard)
+   *
+   * Like images, the frame is a container sized like a Graphics shape (local
+   * bounds 0,0 → width,height with a center pivot). Its name sits above the
+   * top-left corner at a constant screen size, and the masks that clip its
+   * members (see updateFrames) live inside it so they move and rotate with it;
+   * neither counts toward its bounds.
+   * @param {Object} position - {x, y} position
+   * @param {Object} data - Frame data ({width, height, name, fill, stroke})
+   * @returns {PIXI.Container}
+   */
+  createFrame(position, data) {
+    const container = new PIXI.Container();
 
-    if (isRemoteTransform) {
-      console.log('[CanvasManager] Remote transform detected for object', objectData.id, 'locked by', pixiObject.lockedBy, 'current user', this.currentUserId);
+    container.background = new PIXI.Graphics();
+    container.header = new PIXI.Text({
+      text: data.name || FRAME_DEFAULTS.name,
+      style: { fontFamily: 'Arial', fontSize: FRAME_HEADER_FONT_SIZE, fill: '#6b7280' }
+    });
+    container.header.measurable = false;
+    container.header.anchor.set(0, 1);
+    container.header.scale.set(1 / this.zoomLevel);
+    container.clipMasks = new Map(); // Member id -> mask graphics
+    container.addChild(container.background, container.header);
+
+    container.objectData = data;
+    this.resizeFrame(container, data.width || 100, data.height || 100);
+
+    container.x = position.x;
+    container.y = position.y;
+
+    if (data.rotation !== undefined && data.rotation !== 0) {
+      this.applyRotation(container, data.rotation, data.pivot_point, container.frameWidth, container.frameHeight);
     }
 
-    // Update position if changed
-    if (objectData.position) {
-      // Skip position updates for objects in selection container (being dragged/selected)
-      const isInSelectionContainer = pixiObject.parent === this.selectionContainer;
+    if (data.opacity !== undefined) {
+      container.alpha = data.opacity;
+    }
 
-      if (isInSelectionContainer) {
-        console.log('[CanvasManager] Skipping position update for object', objectData.id, 'in selectionContainer');
-      } else if (isRemoteTransform) {
-        // Remote user is transforming - use smooth interpolation
-        // ONLY set position, not size or rotation
-        this.setInterpolationTarget(objectData.id, {
+    return container;
+  }
+
+  /**
+   * Resize a frame's background and the masks clipping its members
+   * @param {PIXI.Container} container - Frame container from createFrame
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resizeFrame(container, width, height) {
+    const data = container.objectData || {};
+    container.frameWidth = width;
+    container.frameHeight = height;
+
+    // The border is drawn inside the box so the frame's bounds are exactly its size
+    container.background.clear();
+    container.background.rect(0, 0, width, height)
+      .fill(this.validateColor(data.fill) || FRAME_DEFAULTS.fill)
+      .stroke({ width: 1, color: this.validateColor(data.stroke) || FRAME_DEFAULTS.stroke, alignment: 1 });
+
+    container.header.position.set(0, -FRAME_HEADER_GAP / this.zoomLevel);
+    container.clipMasks.forEach(mask => this.drawFrameMask(mask, width, height));
+    container.pivot.set(width / 2, height / 2);
+    container.objectData = { ...data, width, height };
+  }
+
+  /**
+   * Draw the mask clipping a frame member (in the frame's local coordinates)
+   * @param {PIXI.Graphics} mask - Mask graphics
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   */
+  drawFrameMask(mask, width, height) {
+    mask.clear();
+    mask.rect(0, 0, width, height).fill({ color: 0xffffff });
+  }
+
+  /**
+   * Clip every object to the frame it sits in (ticker callback)
+   * Membership is worked out again from positions and layer order (see frames.js)
+   * whenever an object has been created, moved, resized, reordered or deleted.
+   */
+  updateFrames() {
+    if (!this.framesDirty) return;
+    this.framesDirty = false;
+
+    const membership = this.getFrameMembership();
+    this.objects.forEach((obj, id) => {
+      this.clipToFrame(obj, this.objects.get(membership.get(id)) || null);
+    });
+  }
+
+  /**
+   * Which frame each object is in
+   * @returns {Map} Object id → frame id, for objects in a frame
+   */
+  getFrameMembership() {
+    const objects = Array.from(this.objects.values());
+    if (!objects.some(obj => obj.objectType === 'frame')) return new Map();
+
+    return frameMembership(this.sortByZOrder(objects).map(obj => ({
+      id: obj.objectId,
+      type: obj.objectType,
+      bounds: this.spatialIndex.getBounds(obj.objectId)
+    })));
+  }
+
+  /**
+   * Objects in a frame, back to front
+   * @param {PIXI.Container} frame - Frame object
+   * @returns {Array<PIXI.DisplayObject>}
+   */
+  getFrameMembers(frame) {
+    const membership = this.getFrameMembership();
+    return this.sortByZOrder(Array.from(this.objects.values()).filter(obj => membership.get(obj.objectId) === frame.objectId));
+  }
+
+  /**
+   * Clip an object to a frame, or stop clipping it
+   * Each member gets its own mask, drawn inside the frame so it follows the
+   * frame's position, rotation and size.
+   * @param {PIXI.DisplayObject} obj - Canvas object
+   * @param {PIXI.Container|null} frame - Frame to clip to, or null
+   */
+  clipToFrame(obj, frame) {
+    if ((obj.clipFrame || null) === frame) return;
+
+    const previous = obj.clipFrame;
+    obj.mask = null;
+    obj.clipFrame = null;
+    if (previous && !previous.destroyed) {
+      const mask = previous.clipMasks.get(obj.objectId);
+      previous.clipMasks.delete(obj.objectId);
+      if (mask) {
+        previous.removeChild(mask);
+        mask.destroy();
+      }
+    }
+
+    if (!frame) return;
+
+    const mask = new PIXI.Graphics();
+    mask.measurable = false;
+    this.drawFrameMask(mask, frame.frameWidth, frame.frameHeight);
+    frame.addChild(mask);
+    frame.clipMasks.set(obj.objectId, mask);
+    obj.mask = mask;
+    obj.clipFrame = frame;
+  }
+
+  /**
+   * Create a line or arrow
+   * @param {Object} position - {x, y} position (midpoint of the line)
+   * @param {Object} data - Line data ({start, end} relative to position, arrowheads, stroke)
+   * @param {string} type - 'line' or 'arrow' (arrows default to an end arrowhead)
+   * @returns {PIXI.Graphics}
+   */
+  createLine(position, data, type) {
+    const graphics = new PIXI.Graphics();
+    const { start, end } = lineEndpoints(data);
+
+    this.drawLinePath(graphics, { points: [start, end], controls: null }, type, data);
+
+    graphics.x = position.x;
+    graphics.y = position.y;
+
+    // Apply rotation if specified (endpoints are already centered on the origin)
+    if (data.rotation !== undefined && data.rotation !== 0) {
+      this.applyRotation(graphics, data.rotation, data.pivot_point, Math.abs(end.x - start.x), Math.abs(end.y - start.y), true);
+    } else {
+      graphics.pivot.set(0, 0);
+    }
+
+    if (data.opacity !== undefined) {
+      graphics.alpha = data.opacity;
+    }
+
+    return graphics;
+  }
+
+  /**
+   * Create a connector between two objects
+   * Drawn from its stored endpoints until rerouteConnector() can see both objects
+   * @param {Object} position - {x, y} position (center of the route)
+   * @param {Object} data - Connector data ({source_id, target_id, routing}, arrowheads, stroke)
+   * @returns {PIXI.Graphics}
+   */
+  createConnector(position, data) {
+    const graphics = new PIXI.Graphics();
+    const { start, end } = lineEndpoints(data);
+
+    this.drawLinePath(graphics, { points: [start, end], controls: null }, 'connector', data);
+
+    graphics.x = position.x;
+    graphics.y = position.y;
+    graphics.pivot.set(0, 0);
+
+    if (data.opacity !== undefined) {
+      graphics.alpha = data.opacity;
+    }
+
+    return graphics;
+  }
+
+  /**
+   * Create a path (freehand pencil stroke or vector pen path)
+   * @param {Object} position - {x, y} position (center of the path)
+   * @param {Object} data - Path data relative to position: {points} (flat, freehand) or
+   *   {nodes, closed} (vector, see vector_path.js), plus fill, stroke, stroke_width
+   * @returns {PIXI.Graphics}
+   */
+  createPath(position, data) {
+    const graphics = new PIXI.Graphics();
+
+    this.drawPath(graphics, data);
+
+    graphics.x = position.x;
+    graphics.y = position.y;
+
+    // Apply rotation if specified (points are already centered on the origin)
+    if (data.rotation !== undefined && data.rotation !== 0) {
+      const { width, height } = this.getObjectSize(graphics);
+      this.applyRotation(graphics, data.rotation, data.pivot_point, width, height, true);
+    } else {
+      graphics.pivot.set(0, 0);
+    }
+
+    if (data.opacity !== undefined) {
+      graphics.alpha = data.opacity;
+    }
+
+    return graphics;
+  }
+
+  /**
+   * Draw a path object from its data (vector nodes win over freehand points)
+   * @param {PIXI.Graphics} graphics - Graphics to draw into (cleared first)
+   * @param {Object} data - Path data
+   */
+  drawPath(graphics, data) {
+    if (Array.isArray(data.nodes)) {
+      this.drawVectorPath(graphics, data.nodes, !!data.closed, data);
+    } else {
+      this.drawFreehandPath(graphics, pathPointsFromFlat(data.points), data);
+    }
+  }
+
+  /**
+   * Draw a vector path through its anchors and bezier handles
+   * Closed paths are filled when their data has a fill; open paths are only stroked.
+   * Also stores the sampled curve on `graphics.pathPoints` (and `pathClosed`) for hit-testing
+   * @param {PIXI.Graphics} graphics - Graphics to draw into (cleared first)
+   * @param {Array<Object>} nodes - Nodes in the graphics' local space
+   * @param {boolean} closed - Whether the last node joins back to the first
+   * @param {Object} data - Object data (fill, stroke, stroke_width, opacity)
+   */
+  drawVectorPath(graphics, nodes, closed, data) {
+    const fillColor = closed ? this.validateColor(data.fill) : null;
+    const strokeColor = this.validateColor(data.stroke) || fillColor || '#1e293b';
+
+    graphics.clear();
+    graphics.pathClosed = closed;
+    if (nodes.length === 0) {
+      graphics.pathPoints = [];
+      return;
+    }
+
+    graphics.moveTo(nodes[0].x, nodes[0].y);
+    nodeSegments(nodes, closed).forEach(({ c1, c2, to }) => {
+      graphics.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, to.x, to.y);
+    });
+    if (closed) {
+      graphics.closePath();
+    }
+    if (fillColor) {
+      graphics.fill(this.fillStyleFor(graphics, data, fillColor, data.opacity || 1));
+    }
+    graphics.pathPoints = sampleNodes(nodes, closed);
+    this.strokeOutline(graphics, () => graphics.pathPoints, closed, data, strokeColor, { cap: 'round', join: 'round' });
+  }
+
+  /**
+   * Draw a freehand path as a smooth curve through its points
+   * Also stores the sampled curve on `graphics.pathPoints` for hit-testing
+   * @param {PIXI.Graphics} graphics - Graphics to draw into (cleared first)
+   * @param {Array<Object>} points - Path points in the graphics' local space
+   * @param {Object} data - Object data (stroke, stroke_width)
+   */
+  drawFreehandPath(graphics, points, data) {
+    const strokeColor = this.validateColor(data.stroke || data.fill || data.color) || '#1e293b';
+
+    graphics.clear();
+    if (points.length === 0) {
+      graphics.pathPoints = [];
+      return;
+    }
+
+    graphics.moveTo(points[0].x, points[0].y);
+    smoothPathSegments(points).forEach(({ c1, c2, to }) => {
+      graphics.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, to.x, to.y);
+    });
+    graphics.pathPoints = samplePath(points);
+    this.strokeOutline(graphics, () => graphics.pathPoints, false, data, strokeColor, { cap: 'round', join: 'round' });
+  }
+
+  /**
+   * Draw a line, arrow or connector route with its arrowheads
+   * Also stores the route as a flat polyline on `graphics.pathPoints` for hit-testing
+   * @param {PIXI.Graphics} graphics - Graphics to draw into (cleared first)
+   * @param {Object} route - {points, controls} in the graphics' local space
+   * @param {string} type - 'line', 'arrow' or 'connector'
+   * @param {Object} data - Object data (stroke, stroke_width, start_arrow, end_arrow)
+   */
+  drawLinePath(graphics, route, type, data) {
+    const strokeColor = this.validateColor(data.stroke || data.fill || data.color) || '#1e293b';
+    const color = parseInt(strokeColor.replace('#', '0x'));
+    const strokeWidth = data.stroke_width || 2;
+    const { points, controls } = route;
+
+    graphics.clear();
+    graphics.route = route; // Local route, for SVG export
+    graphics.moveTo(points[0].x, points[0].y);
+    if (controls) {
+      const end = points[points.length - 1];
+      graphics.bezierCurveTo(controls[0].x, controls[0].y, controls[1].x, controls[1].y, end.x, end.y);
+    } else {
+      points.slice(1).forEach(point => graphics.lineTo(point.x, point.y));
+    }
+    graphics.pathPoints = routePolyline(route).flatMap(point => [point.x, point.y]);
+    this.strokeOutline(graphics, () => graphics.pathPoints, false, data, strokeColor, { cap: 'round', join: 'round' });
+
+    // Arrowheads grow with the stroke so thick lines keep visible heads
+    const heads = arrowheadsFor(type, data);
+    const ends = routeEnds(route);
+    const size = Math.max(10, strokeWidth * 4);
+    ['start', 'end'].forEach(which => {
+      const head = arrowheadGeometry(ends[which].tip, ends[which].from, heads[which], size);
+      if (!head) return;
+
+      if (head.kind === 'circle') {
+        graphics.circle(head.x, head.y, head.radius).fill(color);
+      } else if (head.kind === 'polyline') {
+        graphics.poly(head.points, false).stroke({ width: strokeWidth, color, cap: 'round', join: 'round' });
+      } else {
+        graphics.poly(head.points).fill(color).stroke({ width: 1, color, join: 'round' });
+      }
+    });
+  }
+
+  /**
+   * Register a connector with the objects it joins so their moves reroute it
+   * @param {PIXI.Graphics} connector - Connector object
+   */
+  linkConnector(connector) {
+    const { source_id: sourceId, target_id: targetId } = connector.objectData || {};
+
+    [sourceId, targetId].forEach(id => {
+      if (id === undefined || id === null) return;
+      if (!this.connectorLinks.has(id)) this.connectorLinks.set(id, new Set());
+      this.connectorLinks.get(id).add(connector.objectId);
+    });
+  }
+
+  /**
+   * Forget a connector's links (when it is deleted or recreated)
+   * @param {number} connectorId - Connector object id
+   */
+  unlinkConnector(connectorId) {
+    this.connectorLinks.forEach((connectorIds, objectId) => {
+      connectorIds.delete(connectorId);
+      if (connectorIds.size === 0) this.connectorLinks.delete(objectId);
+    });
+  }
+
+  /**
+   * Route a connector between the current boxes of its source and target
+   * @param {PIXI.Graphics} connector - Connector object
+   * @returns {boolean} Whether both ends were found and the connector was redrawn
+   */
+  rerouteConnector(connector) {
+    const data = connector.objectData || {};
+    const source = this.objects.get(data.source_id);
+    const target = this.objects.get(data.target_id);
+    if (!source || !target || source.destroyed || target.destroyed || !source.parent || !target.parent) {
+      return false;
+    }
+
+    const end = obj => ({ box: this.getObjectBox(obj), shape: obj.objectType === 'circle' ? 'ellipse' : 'rect' });
+    const route = routeConnector(end(source), end(target), data.routing);
+
+    // Keep the connector's position at the middle of its route, like other objects
+    const polyline = routePolyline(route);
+    const center = boxCenter({
+      minX: Math.min(...polyline.map(point => point.x)),
+      minY: Math.min(...polyline.map(point => point.y)),
+      maxX: Math.max(...polyline.map(point => point.x)),
+      maxY: Math.max(...polyline.map(point => point.y))
+    });
+    const toLocal = point => ({ x: point.x - center.x, y: point.y - center.y });
+
+    this.drawLinePath(connector, {
+      points: route.points.map(toLocal),
+      controls: route.controls && route.controls.map(toLocal)
+    }, 'connector', data);
+    connector.angle = 0;
+    this.setObjectCenter(connector, center);
+    this.updateSpatialIndex(connector);
+    return true;
+  }
+
+  /**
+   * Reroute every connector attached to (or being) one of the given objects
+   * @param {Iterable<number>} objectIds - Ids of objects that moved or changed size
+   */
+  rerouteConnectorsFor(objectIds) {
+    const connectorIds = new Set();
+
+    for (const id of objectIds) {
+      const linked = this.connectorLinks.get(id);
+      if (linked) linked.forEach(connectorId => connectorIds.add(connectorId));
+
+      const obj = this.objects.get(id);
+      if (obj && obj.objectType === 'connector') connectorIds.add(id);
+    }
+
+    connectorIds.forEach(connectorId => {
+      const connector = this.objects.get(connectorId);
+      if (connector && !connector.destroyed) this.rerouteConnector(connector);
+    });
+  }
+
+  /**
+   * Change style data of an object (arrowheads, routing, stroke style, gradient, effects)
+   * Applied locally right away (the server doesn't echo our own updates)
+   * @param {number} objectId - Object id
+   * @param {Object} changes - e.g. {end_arrow: 'open'}, {routing: 'elbow'} or {shadow: null}
+   */
+  updateObjectStyle(objectId, changes) {
+    const obj = this.objects.get(objectId);
+    if (!obj) return;
+
+    const before = this.captureHistoryStates([objectId]);
+    this.updateObject({
+      id: objectId,
+      type: obj.objectType,
+      position: this.getObjectCenter(obj),
+      data: JSON.stringify({ ...obj.objectData, ...changes }),
+      z_index: obj.zIndex,
+      group_id: obj.groupId,
+      locked_by: obj.lockedBy
+    });
+    this.emit('update_object', { object_id: objectId, data: changes });
+    this.recordHistory(before);
+  }
+
+  /**
+   * Apply rotation to a PixiJS object based on pivot point
+   * @param {PIXI.DisplayObject} object - Object to rotate
+   * @param {number} angle - Rotation angle in degrees
+   * @param {string} pivotPoint - Pivot point (center, top-left, top-right, bottom-left, bottom-right)
+   * @param {number} width - Object width
+   * @param {number} height - Object height
+   * @param {boolean} centered - Geometry is drawn around the origin (star, triangle, polygon)
+   *   rather than from 0,0 to width,height
+   */
+  applyRotation(object, angle, pivotPoint = 'center', width, height, centered = false) {
+    // Set rotation angle
+    object.angle = angle;
+
+    // Set pivot based on pivot_point
+    // Note: We don't adjust position here - PixiJS handles rotation around pivot correctly
+    // The object's x,y position represents where the pivot point is in world coordinates
+    switch (pivotPoint) {
+      case 'top-left':
+        object.pivot.set(0, 0);
+        break;
+      case 'top-right':
+        object.pivot.set(width, 0);
+        break;
+      case 'bottom-left':
+        object.pivot.set(0, height);
+        break;
+      case 'bottom-right':
+        object.pivot.set(width, height);
+        break;
+      case 'center':
+      default:
+        object.pivot.set(width / 2, height / 2);
+        break;
+    }
+
+    if (centered) {
+      object.pivot.set(object.pivot.x - width / 2, object.pivot.y - height / 2);
+    }
+  }
+
+  /**
+   * Update an existing object
+   * @param {Object} objectData - Object data from server
+   * @param {Object} options - {replaceData: true} when data is the object's complete data,
+   *   even if it only has keys that usually mean a rotation- or size-only update
+   */
+  updateObject(objectData, options = {}) {
+    const pixiObject = this.objects.get(objectData.id);
+    if (!pixiObject) {
+      // Object doesn't exist, create it
+      this.createObject(objectData);
+      return;
+    }
+
+    // Skip updates for objects currently being dragged or group-transformed by this user
+    if ((this.isDragging || this.groupTransform) && this.selectedObjects.has(pixiObject)) {
+      return;
+    }
+
+    // Skip updates for objects currently being rotated by this user
+    if (this.isRotating && this.rotatingObject === pixiObject) {
+      return;
+    }
+
+    // Skip updates for objects currently being resized by this user
+    if (this.isResizing && this.resizingObject === pixiObject) {
+      return;
+    }
+
+    // Determine if this is a remote transform (not from current user)
+    const isRemoteTransform = pixiObject.lockedBy && pixiObject.lockedBy !== this.currentUserId;
+
+    if (isRemoteTransform) {
+      console.log('[CanvasManager] Remote transform detected for object', objectData.id, 'locked by', pixiObject.lockedBy, 'current user', this.currentUserId);
+    }
+
+    // Update position if changed
+    if (objectData.position) {
+      // Skip position updates for objects in selection container while it is being dragged
+      const isInSelectionContainer = pixiObject.parent === this.selectionContainer;
+
+      if (isInSelectionContainer && this.isDragging) {
+        console.log('[CanvasManager] Skipping position update for object', objectData.id, 'in selectionContainer');
+      } else if (isInSelectionContainer) {
+        // Selected but idle (e.g. align/distribute result) - selection container sits at the origin
+        pixiObject.x = objectData.position.x - this.selectionContainer.x;
+        pixiObject.y = objectData.position.y - this.selectionContainer.y;
+        this.updateSpatialIndex(pixiObject);
+        this.updateSelectionBoxes();
+      } else if (isRemoteTransform) {
+        // Remote user is transforming - use smooth interpolation
+        // ONLY set position, not size or rotation
+        this.setInterpolationTarget(objectData.id, {
           x: objectData.position.x,
           y: objectData.position.y,
           onlyPosition: true  // Flag to prevent size/rotation interpolation
@@ -814,6 +1735,7 @@ export class CanvasManager {
         // Local update or unlocked object - immediate update
         pixiObject.x = objectData.position.x;
         pixiObject.y = objectData.position.y;
+        this.updateSpatialIndex(pixiObject);
       }
 
       // Update label position for this object if labels are visible
@@ -828,6 +1750,19 @@ export class CanvasManager {
       }
     }
 
+    // Update group membership
+    if (objectData.group_id !== undefined) {
+      pixiObject.groupId = objectData.group_id;
+    }
+
+    // Update component linkage (instances can be detached)
+    if (objectData.component_id !== undefined) {
+      pixiObject.componentId = objectData.component_id;
+    }
+    if (objectData.instance_overrides !== undefined) {
+      pixiObject.instanceOverrides = objectData.instance_overrides;
+    }
+
     // Update lock status
     if (objectData.locked_by !== undefined) {
       const wasRemoteLocked = pixiObject.lockedBy && pixiObject.lockedBy !== this.currentUserId;
@@ -883,7 +1818,7 @@ export class CanvasManager {
 
         // If this is ONLY a rotation update (single key), apply it without recreating
         const keys = Object.keys(newData);
-        if (keys.length === 1 && keys[0] === 'rotation') {
+        if (!options.replaceData && keys.length === 1 && keys[0] === 'rotation') {
           if (isRemoteTransform) {
             // Remote user is rotating - use smooth interpolation
             // ONLY set rotation, not position or size
@@ -894,6 +1829,7 @@ export class CanvasManager {
           } else {
             // Local update - immediate rotation
             pixiObject.angle = newData.rotation;
+            this.updateSpatialIndex(pixiObject);
 
             // Update selection box to match rotation
             const selectionBox = this.selectionBoxes.get(objectData.id);
@@ -906,9 +1842,9 @@ export class CanvasManager {
         }
 
         // If this is ONLY a size update (width/height), try to update without recreating
-        if (keys.length <= 2 && keys.every(k => k === 'width' || k === 'height')) {
-          // Only handle size updates for Graphics objects (not Text)
-          if (pixiObject instanceof PIXI.Graphics) {
+        if (!options.replaceData && keys.length <= 2 && keys.every(k => k === 'width' || k === 'height')) {
+          // Only handle size updates for Graphics, image and frame objects (not Text)
+          if (pixiObject instanceof PIXI.Graphics || pixiObject.objectType === 'image' || pixiObject.objectType === 'frame') {
             if (isRemoteTransform) {
               // Remote user is resizing - use smooth interpolation
               // ONLY set width/height, not rotation
@@ -925,6 +1861,7 @@ export class CanvasManager {
 
               // Redraw using our helper method (preserves colors/styles)
               this.redrawGraphicsWithSize(pixiObject, width, height);
+              this.updateSpatialIndex(pixiObject);
 
               // Update selection boxes
               this.updateSelectionBoxes();
@@ -1102,13 +2039,77 @@ export class CanvasManager {
   }
 
   /**
-   * Create connection status indicator
+   * Queue a canvas operation made while offline
+   * Creates and deletes show on the canvas right away, since the server can't
+   * echo them back; objects created offline get a client id until they're saved.
+   * Updates and deletes carry the object's state from when the connection
+   * dropped, for the server to merge against.
+   * @param {string} event - 'create_object', 'update_object', 'update_objects_batch' or 'delete_object'
+   * @param {Object} data - Event payload
    */
-  createConnectionStatusIndicator() {
-    const container = new PIXI.Container();
-    
-    // Create background
-    const bg = new PIXI.Graphics();
+  queueOfflineOperation(event, data) {
+    if (event === 'update_objects_batch') {
+      data.updates.forEach(update => this.queueOfflineOperation('update_object', update));
+      return;
+    }
+
+    if (event === 'create_object') {
+      const clientId = createClientId();
+      this.offlineQueue.queueOperation('create', { ...data, client_id: clientId });
+      this.createObject({
+        id: clientId,
+        type: data.type,
+        position: data.position,
+        data: data.data || {},
+        z_index: data.z_index,
+        group_id: data.group_id
+      });
+      this.recordHistory(new Map([[clientId, null]]));
+      return;
+    }
+
+    const objectId = data.object_id ?? data.id;
+    const base = (this.offlineBase && this.offlineBase.get(objectId)) || null;
+    this.offlineQueue.queueOperation(event.replace('_object', ''), { ...data, object_id: objectId, base });
+
+    if (event === 'delete_object') {
+      this.deleteObject(objectId);
+    }
+  }
+
+  /**
+   * Take in what the server made of the operations queued offline
+   * Objects created offline move from their client ids to their saved ids, and
+   * every object the sync touched takes its merged state.
+   * @param {Object} result - {id_map: {clientId: id}, objects, deleted, queue_ids}
+   */
+  applyOfflineSyncResult({ id_map: idMap = {}, objects = [], deleted = [], queue_ids: queueIds = [] }) {
+    Object.keys(idMap).forEach(clientId => this.deleteObject(clientId));
+    this.historyManager.remapObjectIds(idMap);
+
+    objects.forEach(object => {
+      if (this.objects.has(object.id)) {
+        this.updateObject(object, { replaceData: true });
+      } else {
+        this.createObject(object);
+      }
+    });
+    deleted.forEach(objectId => this.deleteObject(objectId));
+    this.framesDirty = true;
+
+    if (this.offlineQueue) {
+      this.offlineQueue.completeSync(queueIds);
+    }
+  }
+
+  /**
+   * Create connection status indicator
+   */
+  createConnectionStatusIndicator() {
+    const container = new PIXI.Container();
+    
+    // Create background
+    const bg = new PIXI.Graphics();
     bg.roundRect(0, 0, 200, 40, 6)
       .fill(0x10b981)
       .stroke({ width: 2, color: 0xffffff });
@@ -1175,22 +2176,274 @@ export class CanvasManager {
 
   /**
    * Perform undo operation
-   * Triggers server-side undo via LiveView
+   * Reverts this user's last recorded change on the canvas right away, then
+   * has the server store the result. Falls back to the server's history when
+   * nothing was recorded (e.g. in a browser without IndexedDB, after a reload).
+   * @returns {Promise<boolean>} True if a recorded step was undone
    */
   async performUndo() {
     console.log('[CanvasManager] Performing undo');
-    // Emit event to hook which will push to LiveView
-    this.emit('undo', {});
+    const action = this.historyManager.peekUndo();
+    if (!action) {
+      this.emit('undo', {});
+      return false;
+    }
+
+    this.historyReplay = [];
+    const undone = await this.historyManager.undo();
+    const changes = this.historyReplay;
+    this.historyReplay = null;
+
+    if (undone) {
+      this.emit('undo', { changes, object_ids: serverHistoryIds(action) });
+    }
+    return undone;
   }
 
   /**
    * Perform redo operation
-   * Triggers server-side redo via LiveView
+   * Reapplies the last undone change locally, then on the server
+   * @returns {Promise<boolean>} True if a recorded step was redone
    */
   async performRedo() {
     console.log('[CanvasManager] Performing redo');
-    // Emit event to hook which will push to LiveView
-    this.emit('redo', {});
+    const action = this.historyManager.peekRedo();
+    if (!action) {
+      this.emit('redo', {});
+      return false;
+    }
+
+    this.historyReplay = [];
+    const redone = await this.historyManager.redo();
+    const changes = this.historyReplay;
+    this.historyReplay = null;
+
+    if (redone) {
+      this.emit('redo', { changes, object_ids: serverHistoryIds(action) });
+    }
+    return redone;
+  }
+
+  /**
+   * Undo or redo step by step until the history is right after an entry
+   * Each step reaches the server like a Cmd+Z would, so its history follows along.
+   * @param {number|null} entryId - History entry id, or null for the start of the history
+   * @returns {Promise<boolean>} False if the entry is no longer in the history
+   */
+  async jumpToHistory(entryId) {
+    const history = this.historyManager;
+    if (!history.canReach(entryId)) return false;
+
+    const current = () => (history.peekUndo() ? history.peekUndo().id : null);
+    const undoing = entryId === null || history.undoStack.some(action => action.id === entryId);
+
+    while (current() !== entryId) {
+      const stepped = undoing ? await this.performUndo() : await this.performRedo();
+      if (!stepped) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pick up the history stored by an earlier session
+   * Changes recorded while it loads win: the stored history is dropped then.
+   */
+  async restoreHistory() {
+    const snapshot = await this.historyStore.load();
+    this.historyLoaded = true;
+
+    const history = this.historyManager;
+    const untouched = history.undoStack.length === 0 && history.redoStack.length === 0;
+    if (!(snapshot && untouched && history.restore(snapshot))) {
+      this.scheduleHistorySave();
+    }
+  }
+
+  /**
+   * Save the history shortly, once a burst of changes has settled
+   */
+  scheduleHistorySave() {
+    if (!this.historyStore || !this.historyLoaded) return;
+
+    clearTimeout(this.historySaveTimer);
+    this.historySaveTimer = setTimeout(() => this.saveHistory(), this.historySaveDelay);
+  }
+
+  /**
+   * Save the history now
+   * @returns {Promise} Resolves once stored
+   */
+  saveHistory() {
+    clearTimeout(this.historySaveTimer);
+    this.historySaveTimer = null;
+    if (!this.historyStore || !this.historyLoaded) return Promise.resolve();
+
+    return this.historyStore.save(this.historyManager.serialize());
+  }
+
+  /**
+   * Pin a named checkpoint at the current point in this user's history
+   * @param {string} name - Checkpoint name (a default is used when blank)
+   * @returns {Object} The checkpoint
+   */
+  pinHistoryCheckpoint(name) {
+    return this.historyManager.addCheckpoint(name);
+  }
+
+  /**
+   * Go back (or forward) to a pinned checkpoint
+   * @param {number} checkpointId - Checkpoint id
+   * @returns {Promise<boolean>} False if it's gone or no longer reachable
+   */
+  async jumpToCheckpoint(checkpointId) {
+    const checkpoint = this.historyManager.checkpoints.find(item => item.id === checkpointId);
+    return checkpoint ? this.jumpToHistory(checkpoint.entryId) : false;
+  }
+
+  /**
+   * Move one object from a recorded state to another during undo/redo
+   * Objects another user has locked are left alone, and only fields that still
+   * look the way `from` left them change (see resolveHistoryChange).
+   * @param {Object|null} from - State the operation left the object in
+   * @param {Object|null} to - State to restore
+   */
+  replayHistory(from, to) {
+    const id = (from || to).id;
+    const obj = this.objects.get(id);
+    if (obj && obj.lockedBy && obj.lockedBy !== this.currentUserId) return;
+
+    const change = resolveHistoryChange(obj ? this.historyState(obj) : null, from, to);
+    if (!change) return;
+
+    if (change.action === 'delete') {
+      this.deleteObject(id);
+    } else {
+      const objectData = { ...change.state, data: JSON.stringify(change.state.data) };
+      if (change.action === 'create') {
+        this.createObject(objectData);
+      } else {
+        this.updateObject(objectData, { replaceData: true });
+      }
+    }
+    this.framesDirty = true;
+
+    if (this.historyReplay) {
+      this.historyReplay.push({ action: change.action, id, ...(change.state || {}) });
+    }
+  }
+
+  /**
+   * The state history records for an object
+   * @param {PIXI.DisplayObject} obj - Object
+   * @returns {Object} {id, type, position, data, z_index, group_id}
+   */
+  historyState(obj) {
+    const record = this.svgRecord(obj);
+    return {
+      id: record.id,
+      type: record.type,
+      position: record.position,
+      data: record.data,
+      z_index: record.z_index,
+      group_id: record.group_id
+    };
+  }
+
+  /**
+   * Current states of objects, to record a change against
+   * @param {Array} objectIds - Object ids
+   * @returns {Map} Object id → state (null for objects that don't exist)
+   */
+  captureHistoryStates(objectIds) {
+    return new Map(objectIds.map(id => {
+      const obj = this.objects.get(id);
+      return [id, obj && !obj.destroyed ? this.historyState(obj) : null];
+    }));
+  }
+
+  /**
+   * Record a local change as one undoable action
+   * @param {Map} before - States captured before the change (see captureHistoryStates)
+   * @param {Map} after - States after it; defaults to the objects' current states
+   * @param {Object} meta - {server: true} when the server keeps an UndoHistory
+   *   operation for the same change, so undo can move it along
+   * @returns {boolean} True if anything changed
+   */
+  recordHistory(before, after = null, meta = {}) {
+    const afterStates = after || this.captureHistoryStates(Array.from(before.keys()));
+    const operations = [];
+
+    before.forEach((state, id) => {
+      const next = afterStates.has(id) ? afterStates.get(id) : null;
+      const type = historyOperationType(state, next);
+      if (type) operations.push({ type, state, next });
+    });
+    if (operations.length === 0) return false;
+
+    this.historyManager.startBatch();
+    operations.forEach(({ type, state, next }) => this.historyManager.addOperation(type, next, state));
+    this.historyManager.endBatch(meta);
+    return true;
+  }
+
+  /**
+   * Record an object this user just created
+   * @param {number} objectId - Id of the created object
+   * @param {string} operationId - Server UndoHistory operation it belongs to; objects
+   *   created by the same operation (e.g. one import) undo together
+   */
+  recordCreation(objectId, operationId = null) {
+    const state = this.captureHistoryStates([objectId]).get(objectId);
+    if (!state) return;
+
+    this.historyManager.addGroupedOperation(operationId, 'create', state, null, { server: true });
+  }
+
+  /**
+   * Start an operation (drag, resize, rotate) on objects
+   * The server and the local history both capture the objects' states now and
+   * record a single undoable change when the operation ends.
+   * @param {Array} objectIds - Ids of the objects the operation changes
+   */
+  startOperation(objectIds) {
+    this.historyStep = this.captureHistoryStates(objectIds);
+    this.emit('start_operation', { object_ids: objectIds });
+  }
+
+  /**
+   * End the operation started with startOperation
+   * @param {Array} objectIds - Ids of the objects the operation changed
+   */
+  endOperation(objectIds) {
+    this.emit('end_operation', { object_ids: objectIds });
+
+    if (this.historyStep) {
+      this.recordHistory(this.historyStep, null, { server: true });
+      this.historyStep = null;
+    }
+  }
+
+  /**
+   * Capture every object's state as an AI command starts
+   * The command's changes reach the canvas piecemeal while it runs; they are
+   * recorded against these states once it finishes (see recordAiChanges).
+   */
+  startAiCommand() {
+    this.aiHistoryStep = this.captureHistoryStates(Array.from(this.objects.keys()));
+  }
+
+  /**
+   * Record what an AI command created or changed as one labelled undoable action
+   * @param {Array} objectIds - Ids of the objects the command created or changed
+   * @param {string} label - History label, e.g. 'AI: arrange in grid'
+   */
+  recordAiChanges(objectIds, label) {
+    if (!this.aiHistoryStep) return;
+
+    // Objects missing from the captured states are the ones the command created
+    const before = new Map(objectIds.map(id => [id, this.aiHistoryStep.get(id) || null]));
+    this.aiHistoryStep = null;
+    this.recordHistory(before, null, { server: true, label });
   }
 
   /**
@@ -1224,11 +2477,41 @@ export class CanvasManager {
   deleteObject(objectId) {
     const pixiObject = this.objects.get(objectId);
     if (pixiObject) {
+      // Deleted (e.g. remotely) while being edited - discard the edit
+      if (this.textEditing && this.textEditing.object === pixiObject) {
+        this.stopTextEditing(false);
+      }
+
+      if (pixiObject.objectType === 'connector') {
+        this.unlinkConnector(objectId);
+      }
+
+      // Unclip a frame's members (its masks go with it) or free a member's mask
+      if (pixiObject.objectType === 'frame') {
+        pixiObject.clipMasks.forEach((mask, memberId) => {
+          const member = this.objects.get(memberId);
+          if (member) {
+            member.mask = null;
+            member.clipFrame = null;
+          }
+        });
+        pixiObject.clipMasks.clear();
+      }
+      this.clipToFrame(pixiObject, null);
+      this.framesDirty = true;
+
       this.objectContainer.removeChild(pixiObject);
-      pixiObject.destroy();
+      this.destroyEffects(pixiObject);
+      // Children covers image sprites; their textures stay cached for reuse
+      pixiObject.destroy({ children: true });
+      if (pixiObject.fillGradient) {
+        pixiObject.fillGradient.destroy();
+      }
       this.objects.delete(objectId);
     }
 
+    this.spatialIndex.remove(objectId);
+
     // Also remove the label if it exists
     const label = this.objectLabels.get(objectId);
     if (label) {
@@ -1348,6 +2631,14 @@ export class CanvasManager {
    * @param {boolean} fromServer - Whether this change came from the server (default: false)
    */
   setTool(tool, fromServer = false) {
+    // Leaving the pen or point editing keeps the path as it is
+    if (this.penDraft && tool !== 'pen') {
+      this.finishPenPath(false);
+    }
+    if (this.pathEdit && tool !== 'select') {
+      this.finishPathEditing();
+    }
+
     // Prevent feedback loop: don't emit if tool hasn't changed or if update is from server
     if (this.currentTool === tool || fromServer) {
       this.currentTool = tool;
@@ -1383,6 +2674,12 @@ export class CanvasManager {
       return;
     }
 
+    // Point-level path editing takes every click until it is finished
+    if (this.pathEdit) {
+      this.handlePathEditMouseDown(position, event);
+      return;
+    }
+
     // Check if clicking on canvas (not on an object)
     const clickedObject = this.findObjectAt(position);
     console.log('[CanvasManager] Clicked object:', clickedObject?.objectId || 'none');
@@ -1420,31 +2717,223 @@ export class CanvasManager {
       }
     } else if (this.currentTool === 'delete') {
       if (clickedObject) {
-        this.emit('delete_object', { object_id: clickedObject.objectId });
+        this.deleteObjects([clickedObject.objectId]);
       }
-    } else if (this.currentTool === 'rectangle' || this.currentTool === 'circle') {
-      // Start creating shape with drag
+    } else if (this.currentTool === 'connector') {
+      // Drag from one object to another to connect them
+      if (clickedObject && clickedObject.objectType !== 'connector') {
+        this.startConnectorDraft(clickedObject);
+      }
+    } else if (this.currentTool === 'pencil') {
+      // Freehand stroke: collect pointer samples until mouseup
       this.isCreating = true;
       this.createStart = position;
-      this.createTempObject(this.currentTool, position);
+      this.freehandSamples = [position];
+      this.createTempObject('pencil', position);
+    } else if (this.currentTool === 'pen') {
+      // Vector pen: click for a corner, drag for a smooth anchor
+      this.addPenAnchor(this.snapPointToGridIfEnabled(position, event));
+    } else if (['rectangle', 'circle', 'line', 'arrow', 'star', 'triangle', 'polygon', 'frame'].includes(this.currentTool)) {
+      // Start creating shape with drag
+      this.isCreating = true;
+      this.createStart = this.snapPointToGridIfEnabled(position, event);
+      this.createTempObject(this.currentTool, this.createStart);
     } else if (this.currentTool === 'text') {
-      // Create text at click position
-      const text = prompt('Enter text:', 'Text');
-      if (text) {
+      // Type the new text in place; it is created when the editor commits
+      // (keep the canvas from taking focus away from the editor on mousedown)
+      event.preventDefault();
+      this.startTextEditing(null, position);
+      // Switch back to select tool after creating text
+      this.setTool('select');
+    }
+  }
+
+  /**
+   * Handle double-click events (opens the inline editor on text objects)
+   * @param {MouseEvent} event
+   */
+  handleDoubleClick(event) {
+    const position = this.getMousePosition(event);
+
+    // Double-click ends an open pen path
+    if (this.penDraft) {
+      this.finishPenPath(false);
+      return;
+    }
+
+    // Double-clicking an anchor while editing points toggles it between corner and smooth
+    if (this.pathEdit) {
+      const hit = this.findPathEditPart(position);
+      if (hit && hit.part === 'anchor') {
+        this.setPathEditNodes(toggleSmooth(this.pathEdit.nodes, hit.index, this.pathEdit.closed));
+      }
+      return;
+    }
+
+    if (this.currentTool !== 'select') return;
+
+    const object = this.findObjectAt(position);
+    if (object && object.objectType === 'text') {
+      this.startTextEditing(object);
+    } else if (object && this.isPathEditable(object)) {
+      this.startPathEditing(object);
+    }
+  }
+
+  /**
+   * Open the inline text editor
+   * @param {PIXI.Text|null} textObject - Text object to edit, or null to create new text
+   * @param {Object|null} position - {x, y} world position for new text (its center)
+   */
+  startTextEditing(textObject = null, position = null) {
+    if (textObject && textObject.lockedBy && textObject.lockedBy !== this.currentUserId) {
+      console.log('[CanvasManager] Text is being edited by another user');
+      return;
+    }
+
+    this.stopTextEditing();
+
+    let data;
+    if (textObject) {
+      // Selecting locks the object to us for the duration of the edit
+      if (!this.selectedObjects.has(textObject)) {
+        this.setSelection(textObject);
+      }
+      textObject.visible = false; // The editor stands in for it
+      data = textObject.objectData || {};
+    } else {
+      data = { font_size: 16, color: this.currentColor, font_family: 'Arial' };
+    }
+
+    this.textEditing = { object: textObject, position, data };
+
+    const runs = getRuns(data);
+    const initialText = runs ? runsToPlainText(runs) : (textObject ? textObject.text : '');
+
+    this.textEditor.open(document.body, initialText, {
+      fontFamily: data.font_family,
+      fontSize: data.font_size,
+      color: this.validateColor(data.fill || data.color) || '#000000',
+      fontWeight: data.bold ? 'bold' : 'normal',
+      fontStyle: data.italic ? 'italic' : 'normal',
+      align: data.align
+    });
+
+    this.syncTextEditor();
+    // Follow pan/zoom and remote changes while the editor is open
+    if (this.app) {
+      this.app.ticker.add(this.syncTextEditor, this);
+    }
+  }
+
+  /**
+   * Keep the editor overlay aligned with its text on screen
+   */
+  syncTextEditor() {
+    if (!this.textEditing) return;
+
+    const { object, position } = this.textEditing;
+    const screen = object ? object.getGlobalPosition() : this.canvasToScreen(position);
+    const rect = this.app ? this.app.canvas.getBoundingClientRect() : { left: 0, top: 0 };
+
+    this.textEditor.setTransform(
+      rect.left + screen.x,
+      rect.top + screen.y,
+      this.zoomLevel,
+      object ? object.angle : 0
+    );
+  }
+
+  /**
+   * Close the inline text editor
+   * @param {boolean} commit - Whether to keep the typed text (false discards it)
+   */
+  stopTextEditing(commit = true) {
+    if (!this.textEditing) return;
+
+    if (commit) {
+      this.textEditor.commit(); // Calls commitTextEditing
+    } else {
+      this.textEditor.close();
+      this.finishTextEditing();
+    }
+  }
+
+  /**
+   * Apply the editor's text (TextEditor onCommit callback)
+   * @param {string} text - Final text
+   */
+  commitTextEditing(text) {
+    const editing = this.finishTextEditing();
+    if (!editing) return;
+
+    const { object, position, data } = editing;
+
+    if (!object) {
+      if (text.trim()) {
         this.emit('create_object', {
           type: 'text',
           position: position,
-          data: {
-            text: text,
-            font_size: 16,
-            color: this.currentColor,
-            font_family: 'Arial'
-          }
+          data: { ...data, text: text }
         });
       }
-      // Switch back to select tool after creating text
-      this.setTool('select');
+      return;
+    }
+
+    const runs = getRuns(data);
+    const currentText = runs ? runsToPlainText(runs) : object.text;
+
+    // Empty text would leave an invisible, unclickable object - keep the old text
+    if (object.destroyed || !text.trim() || text === currentText) return;
+
+    // Styled runs follow the edit so untouched text keeps its formatting
+    const changes = runs ? { text, runs: applyTextEdit(runs, text) } : { text };
+
+    // The server doesn't echo our own updates back - apply locally first
+    const before = this.captureHistoryStates([object.objectId]);
+    this.setTextContent(object, changes);
+    this.emit('update_object', {
+      object_id: object.objectId,
+      data: changes
+    });
+    this.recordHistory(before);
+  }
+
+  /**
+   * Tear down editing state and show the edited object again
+   * @returns {Object|null} The editing state that was active
+   */
+  finishTextEditing() {
+    const editing = this.textEditing;
+    if (!editing) return null;
+
+    this.textEditing = null;
+    if (this.app) {
+      this.app.ticker.remove(this.syncTextEditor, this);
     }
+    if (editing.object && !editing.object.destroyed) {
+      editing.object.visible = true;
+    }
+
+    return editing;
+  }
+
+  /**
+   * Replace a text object's content, keeping it centered on its position
+   * @param {PIXI.Text|PIXI.HTMLText} textObject - Text object
+   * @param {Object} changes - {text} plus {runs} for rich text
+   */
+  setTextContent(textObject, changes) {
+    textObject.objectData = { ...textObject.objectData, ...changes };
+
+    const runs = getRuns(textObject.objectData);
+    textObject.text = runs ? runsToHtml(runs) : changes.text;
+
+    const bounds = textObject.getLocalBounds();
+    textObject.pivot.set(bounds.width / 2, bounds.height / 2);
+
+    this.updateSpatialIndex(textObject);
+    this.updateSelectionBoxes();
   }
 
   /**
@@ -1475,8 +2964,13 @@ export class CanvasManager {
 
     const position = this.getMousePosition(event);
 
+    // Remember where the pointer is over the canvas (used as the paste target)
+    if (this.app && event.target === this.app.canvas) {
+      this.lastPointerPosition = position;
+    }
+
     // Update cursor position for other users (throttled to avoid spam)
-    if (!this.isPanning && !this.isRotating && !this.isResizing && (!this.lastCursorUpdate || Date.now() - this.lastCursorUpdate > 50)) {
+    if (!this.isPanning && !this.isRotating && !this.isResizing && !this.groupTransform && (!this.lastCursorUpdate || Date.now() - this.lastCursorUpdate > 50)) {
       this.emit('cursor_move', { position });
       this.lastCursorUpdate = Date.now();
     }
@@ -1532,12 +3026,10 @@ export class CanvasManager {
 
       // Update object rotation
       obj.angle = angle;
+      this.rerouteConnectorsFor([obj.objectId]);
 
-      // Update selection box to match rotation
-      const selectionBox = this.selectionBoxes.get(obj.objectId);
-      if (selectionBox) {
-        selectionBox.angle = angle;
-      }
+      // Update selection box and handles to match rotation
+      this.updateSelectionBoxes();
 
       // Broadcast rotation changes during rotate (throttled to avoid spam)
       if (!this.lastRotateUpdate || Date.now() - this.lastRotateUpdate > 50) {
@@ -1553,55 +3045,31 @@ export class CanvasManager {
         }
         this.lastRotateUpdate = Date.now();
       }
+    } else if (this.groupTransform) {
+      // Rotate or resize the whole multi-selection
+      this.applyGroupTransformDrag(position, event);
     } else if (this.isResizing && this.resizingObject) {
-      // Calculate new size using relative mouse movement
-      const obj = this.resizingObject;
-
-      // Calculate how much the mouse has moved from initial grab position
-      const mouseDx = position.x - this.resizeStartMousePos.x;
-      const mouseDy = position.y - this.resizeStartMousePos.y;
-
-      // For rotated objects, transform mouse delta into object's local space
-      const angleRad = -(obj.angle * Math.PI / 180); // Negative to reverse rotation
-      const localDx = mouseDx * Math.cos(angleRad) - mouseDy * Math.sin(angleRad);
-      const localDy = mouseDx * Math.sin(angleRad) + mouseDy * Math.cos(angleRad);
-
-      // Apply delta * 2 to starting size (movement affects both sides from center)
-      const newWidth = Math.max(20, this.resizeStartSize.width + localDx * 2);
-      const newHeight = Math.max(20, this.resizeStartSize.height + localDy * 2);
-
-      // Store the new size temporarily (will be saved to server on mouseup)
-      obj.tempWidth = newWidth;
-      obj.tempHeight = newHeight;
-
-      // Redraw object with new size for smooth visual feedback
-      this.redrawGraphicsWithSize(obj, newWidth, newHeight);
-
-      // Update selection box to match new size
-      this.updateSelectionBoxes();
-
-      // Broadcast size changes during resize (throttled to avoid spam)
-      if (!this.lastResizeUpdate || Date.now() - this.lastResizeUpdate > 50) {
-        const objectData = Array.from(this.objects.entries()).find(([id, pixiObj]) => pixiObj === obj);
-        if (objectData) {
-          const [objectId] = objectData;
-          this.emit('update_object', {
-            object_id: objectId,
-            data: {
-              width: Math.round(newWidth),
-              height: Math.round(newHeight)
-            }
-          });
-        }
-        this.lastResizeUpdate = Date.now();
-      }
+      // Resize from the grabbed handle (Shift: keep aspect ratio, Alt: from center)
+      this.applyResizeDrag(position, event);
     } else if (this.isLassoSelecting) {
       // Update lasso selection rectangle in screen space
       const screenPos = this.getScreenPosition(event);
       this.updateLassoRect(screenPos);
+    } else if (this.connectorDraft) {
+      // Preview the connector toward the pointer
+      this.updateConnectorDraft(position);
+    } else if (this.pathEdit && this.pathEdit.drag) {
+      // Move the grabbed anchor or handle
+      this.dragPathEditPart(position, event);
+    } else if (this.penDraft) {
+      // Pull out handles from the new anchor, or preview the next segment
+      this.updatePenDraft(this.snapPointToGridIfEnabled(position, event));
+    } else if (this.freehandSamples) {
+      // Extend the freehand stroke (samples are never snapped to the grid)
+      this.addFreehandSample(position);
     } else if (this.isCreating) {
       // Update temp object while creating
-      this.updateTempObject(position);
+      this.updateTempObject(this.snapPointToGridIfEnabled(position, event), event);
     } else if (this.isDragging && this.selectedObjects.size > 0) {
       // Check if actual movement occurred (more than 3 pixels threshold)
       if (this.dragStartPos) {
@@ -1614,11 +3082,20 @@ export class CanvasManager {
 
       // Move the entire selection container (all children move together automatically)
       if (this.dragOffset) {
-        const newX = position.x + this.dragOffset.x;
-        const newY = position.y + this.dragOffset.y;
+        let newX = position.x + this.dragOffset.x;
+        let newY = position.y + this.dragOffset.y;
+
+        // Snap to nearby objects once it's a real drag (Cmd/Ctrl disables snapping)
+        if (this.hasDragged) {
+          const snap = this.snapSelectionDrag(newX, newY, event);
+          newX += snap.dx;
+          newY += snap.dy;
+        }
 
         this.selectionContainer.x = newX;
         this.selectionContainer.y = newY;
+        this.moveFrameMembers();
+        this.rerouteConnectorsFor(Array.from(this.selectedObjects, obj => obj.objectId));
 
         // Log drag movement (throttled)
         if (!this.lastDragLog || Date.now() - this.lastDragLog > 200) {
@@ -1659,6 +3136,7 @@ export class CanvasManager {
             position: { x: localPos.x, y: localPos.y }
           });
         });
+        batchUpdates.push(...this.frameMemberUpdates());
 
         // Send single batch update for all objects
         if (batchUpdates.length > 0) {
@@ -1700,8 +3178,10 @@ export class CanvasManager {
           }
         });
 
-        // Notify server: end of operation (create undo history entry)
-        this.emit('end_operation', { object_ids: [objectId] });
+        this.updateSpatialIndex(obj);
+
+        // End of operation: record one undo history entry
+        this.endOperation([objectId]);
       }
 
       // Reset rotation handle cursor
@@ -1717,31 +3197,13 @@ export class CanvasManager {
 
     // Handle resize finish
     if (this.isResizing && this.resizingObject) {
-      const obj = this.resizingObject;
-
-      // Get the object's ID and current data
-      const objectData = Array.from(this.objects.entries()).find(([id, pixiObj]) => pixiObj === obj);
-      if (objectData) {
-        const [objectId, pixiObj] = objectData;
+      this.finishResize();
+      return;
+    }
 
-        // Emit update with new size
-        this.emit('update_object', {
-          object_id: objectId,
-          data: {
-            width: Math.round(obj.tempWidth || this.resizeStartSize.width),
-            height: Math.round(obj.tempHeight || this.resizeStartSize.height)
-          }
-        });
-      }
-
-      // Reset resize handle cursor
-      const handle = this.resizeHandles.get(obj.objectId);
-      if (handle) {
-        handle.cursor = 'nwse-resize';
-      }
-
-      this.isResizing = false;
-      this.resizingObject = null;
+    // Handle group rotate/resize finish
+    if (this.groupTransform) {
+      this.finishGroupTransform();
       return;
     }
 
@@ -1751,9 +3213,21 @@ export class CanvasManager {
     if (this.isLassoSelecting) {
       // Finalize lasso selection
       this.finalizeLassoSelection(event);
+    } else if (this.connectorDraft) {
+      // Connect to the object under the pointer (if any)
+      this.finishConnectorDraft(position);
+    } else if (this.pathEdit) {
+      // Release the grabbed anchor or handle
+      this.pathEdit.drag = null;
+    } else if (this.penDraft) {
+      // The anchor is placed; following moves preview the next segment
+      this.penDraft.dragIndex = null;
+    } else if (this.freehandSamples) {
+      // Smooth and create the freehand path
+      this.finishFreehandStroke();
     } else if (this.isCreating) {
       // Finalize object creation
-      this.finalizeTempObject(position);
+      this.finalizeTempObject(this.snapPointToGridIfEnabled(position, event), event);
     } else if (this.isDragging && this.selectedObjects.size > 0) {
       // Check if actual dragging occurred
       if (this.hasDragged) {
@@ -1783,6 +3257,7 @@ export class CanvasManager {
           // Set position in objectContainer's local space (consistent with server coordinates)
           obj.x = localPos.x;
           obj.y = localPos.y;
+          this.updateSpatialIndex(obj);
         });
 
         // Update selection boxes to match new positions
@@ -1794,15 +3269,18 @@ export class CanvasManager {
         const finalBatchUpdates = updates.map(({ obj, localPos }) => ({
           object_id: obj.objectId,
           position: { x: localPos.x, y: localPos.y }
-        }));
+        })).concat(this.frameMemberUpdates());
+        if (this.frameDrag) {
+          this.frameDrag.members.forEach(({ obj }) => this.updateSpatialIndex(obj));
+        }
 
         if (finalBatchUpdates.length > 0) {
           this.emit('update_objects_batch', { updates: finalBatchUpdates });
 
-          // Notify server: end of operation (create undo history entry)
+          // End of operation: record one undo history entry
           const objectIds = finalBatchUpdates.map(u => u.object_id);
           if (objectIds.length > 0) {
-            this.emit('end_operation', { object_ids: objectIds });
+            this.endOperation(objectIds);
           }
         }
       } else {
@@ -1815,6 +3293,8 @@ export class CanvasManager {
       this.hasDragged = false;
       this.dragOffset = null;
       this.dragStartPos = null;
+      this.frameDrag = null;
+      this.endSnapping();
     }
   }
 
@@ -1921,12 +3401,22 @@ export class CanvasManager {
     // Don't handle keyboard shortcuts if user is typing in an input
     if (isTyping) return;
 
+    // Enter, Escape and Delete finish or edit the path being drawn or edited
+    if ((this.penDraft || this.pathEdit) && this.handlePathKey(event)) return;
+
     // Check for modifier keys
     const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
     const cmdOrCtrl = isMac ? event.metaKey : event.ctrlKey;
 
     // Handle keyboard shortcuts with Cmd/Ctrl
     if (cmdOrCtrl) {
+      if (event.code === 'Quote') {
+        event.preventDefault();
+        // Cmd/Ctrl + ' = Show/Hide Grid, Cmd/Ctrl + Shift + ' = Snap to Grid
+        this.toggleGridSetting(event.shiftKey ? 'snap' : 'visible');
+        return;
+      }
+
       switch (event.key.toLowerCase()) {
         case 'g':
           event.preventDefault();
@@ -1941,12 +3431,10 @@ export class CanvasManager {
           this.duplicateSelected();
           return;
         case 'c':
-          event.preventDefault();
-          this.copySelected();
-          return;
+        case 'x':
         case 'v':
-          event.preventDefault();
-          this.pasteFromClipboard();
+          // Handled by the native copy/cut/paste events - don't preventDefault
+          // or the browser won't fire them
           return;
         case 'a':
           event.preventDefault();
@@ -1975,6 +3463,14 @@ export class CanvasManager {
       }
     }
 
+    // Arrow up/down while dragging out a star or polygon changes its points or sides
+    if (this.isCreating && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+      if (this.adjustCreationCount(event.key === 'ArrowUp' ? 1 : -1)) {
+        event.preventDefault();
+        return;
+      }
+    }
+
     // Handle arrow keys for nudging
     if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(event.key)) {
       if (this.selectedObjects.size > 0) {
@@ -1990,11 +3486,7 @@ export class CanvasManager {
       case 'backspace':
         if (this.selectedObjects.size > 0) {
           event.preventDefault();
-          // Delete all selected objects
-          this.selectedObjects.forEach(obj => {
-            this.emit('delete_object', { object_id: obj.objectId });
-          });
-          this.clearSelection();
+          this.deleteSelected();
         }
         break;
       case 'escape':
@@ -2012,6 +3504,32 @@ export class CanvasManager {
       case 't':
         this.setTool('text');
         break;
+      case 'x':
+        this.setTool('star');
+        break;
+      case 'v':
+        this.setTool('triangle');
+        break;
+      case 'h':
+        this.setTool('polygon');
+        break;
+      case 'n':
+        this.setTool('line');
+        break;
+      case 'a':
+        this.setTool('arrow');
+        break;
+      case 'k':
+        this.setTool('connector');
+        break;
+      case 'f':
+        if (!cmdOrCtrl) {
+          this.setTool('frame');
+        }
+        break;
+      case 'p':
+        this.setTool(event.shiftKey ? 'pencil' : 'pen');
+        break;
       case 'd':
         if (!cmdOrCtrl) {
           this.setTool('delete');
@@ -2053,10 +3571,14 @@ export class CanvasManager {
   /**
    * Update temporary object during creation
    * @param {Object} currentPosition - {x, y} current position
+   * @param {Object} modifiers - {shiftKey, altKey} (stars, triangles and polygons)
    */
-  updateTempObject(currentPosition) {
+  updateTempObject(currentPosition, modifiers = {}) {
     if (!this.tempObject || !this.isCreating) return;
 
+    this.createCurrent = currentPosition;
+    this.createModifiers = { shiftKey: !!modifiers.shiftKey, altKey: !!modifiers.altKey };
+
     const width = currentPosition.x - this.createStart.x;
     const height = currentPosition.y - this.createStart.y;
 
@@ -2067,26 +3589,138 @@ export class CanvasManager {
       this.tempObject.rect(0, 0, width, height)
         .fill({ color: 0x3b82f6, alpha: 0.3 })
         .stroke({ width: 2, color: 0x1e40af });
+    } else if (this.currentTool === 'frame') {
+      this.tempObject.rect(0, 0, width, height)
+        .fill({ color: FRAME_DEFAULTS.fill, alpha: 0.8 })
+        .stroke({ width: 1 / this.zoomLevel, color: FRAME_DEFAULTS.stroke });
     } else if (this.currentTool === 'circle') {
       const radius = Math.max(Math.abs(width), Math.abs(height)) / 2;
       this.tempObject.circle(width / 2, height / 2, radius)
         .fill({ color: 0x3b82f6, alpha: 0.3 })
         .stroke({ width: 2, color: 0x1e40af });
+    } else if (this.currentTool === 'line' || this.currentTool === 'arrow') {
+      this.drawLinePath(this.tempObject, {
+        points: [{ x: 0, y: 0 }, { x: width, y: height }],
+        controls: null
+      }, this.currentTool, { stroke: '#1e40af' });
+    } else if (this.isOutlineTool(this.currentTool)) {
+      // Same outline the object will be created with, centered in the dragged box
+      const box = this.getCreationBox(currentPosition, this.createModifiers);
+      const offsetX = box.x + box.width / 2 - this.createStart.x;
+      const offsetY = box.y + box.height / 2 - this.createStart.y;
+      const points = outlinePointsFor(this.currentTool, this.outlineCreationData(box))
+        .map((value, index) => value + (index % 2 === 0 ? offsetX : offsetY));
+      this.tempObject.poly(points)
+        .fill({ color: 0x3b82f6, alpha: 0.3 })
+        .stroke({ width: 2, color: 0x1e40af });
+    }
+  }
+
+  /**
+   * Layer for a frame drawn around existing objects
+   * The frame goes just behind the backmost object whose center it covers, so
+   * what it was drawn around stays visible and ends up in it.
+   * @param {Object} box - {x, y, width, height} of the new frame
+   * @returns {Object} {z_index} for create_object, or {} to add it in front as usual
+   */
+  frameCreationLayer(box) {
+    const covered = Array.from(this.objects.values()).filter(obj => {
+      const bounds = this.spatialIndex.getBounds(obj.objectId);
+      if (!bounds || obj.objectType === 'frame' || obj.objectType === 'connector') return false;
+      const centerX = (bounds.minX + bounds.maxX) / 2;
+      const centerY = (bounds.minY + bounds.maxY) / 2;
+      return centerX >= box.x && centerX <= box.x + box.width && centerY >= box.y && centerY <= box.y + box.height;
+    });
+    if (covered.length === 0) return {};
+
+    return { z_index: Math.min(...covered.map(obj => obj.zIndex || 0)) - 1 };
+  }
+
+  /**
+   * Whether a tool drags out a star, triangle or polygon
+   * @param {string} tool - Tool name
+   * @returns {boolean}
+   */
+  isOutlineTool(tool) {
+    return tool === 'star' || tool === 'triangle' || tool === 'polygon';
+  }
+
+  /**
+   * Box dragged out from createStart for stars, triangles and polygons
+   * Shift keeps width and height equal; Alt drags from the center.
+   * @param {Object} endPosition - {x, y} current pointer position
+   * @param {Object} modifiers - {shiftKey, altKey}
+   * @returns {Object} {x, y, width, height} - top-left corner and size
+   */
+  getCreationBox(endPosition, modifiers = {}) {
+    const start = this.createStart;
+    let dx = endPosition.x - start.x;
+    let dy = endPosition.y - start.y;
+
+    if (modifiers.shiftKey) {
+      const size = Math.max(Math.abs(dx), Math.abs(dy));
+      dx = (Math.sign(dx) || 1) * size;
+      dy = (Math.sign(dy) || 1) * size;
+    }
+
+    if (modifiers.altKey) {
+      return { x: start.x - Math.abs(dx), y: start.y - Math.abs(dy), width: Math.abs(dx) * 2, height: Math.abs(dy) * 2 };
+    }
+
+    return { x: Math.min(start.x, start.x + dx), y: Math.min(start.y, start.y + dy), width: Math.abs(dx), height: Math.abs(dy) };
+  }
+
+  /**
+   * Shape data for a star, triangle or polygon filling a creation box
+   * @param {Object} box - {width, height} from getCreationBox()
+   * @returns {Object} Data accepted by outlinePointsFor() and the create* methods
+   */
+  outlineCreationData(box) {
+    const data = { width: box.width, height: box.height };
+    if (this.currentTool === 'star') {
+      data.points = this.starPoints;
+      data.innerRatio = 0.5;
+    } else if (this.currentTool === 'polygon') {
+      data.sides = this.polygonSides;
     }
+    return data;
+  }
+
+  /**
+   * Change the star points or polygon sides of the shape being dragged out
+   * @param {number} delta - +1 or -1
+   * @returns {boolean} Whether the current tool has a count to change
+   */
+  adjustCreationCount(delta) {
+    if (this.currentTool === 'star') {
+      this.starPoints = Math.min(24, Math.max(3, this.starPoints + delta));
+    } else if (this.currentTool === 'polygon') {
+      this.polygonSides = Math.min(12, Math.max(3, this.polygonSides + delta));
+    } else {
+      return false;
+    }
+
+    if (this.createCurrent) {
+      this.updateTempObject(this.createCurrent, this.createModifiers);
+    }
+    return true;
   }
 
   /**
    * Finalize temporary object creation
    * @param {Object} endPosition - {x, y} end position
+   * @param {Object} modifiers - {shiftKey, altKey} (stars, triangles and polygons)
    */
-  finalizeTempObject(endPosition) {
+  finalizeTempObject(endPosition, modifiers = {}) {
     if (!this.tempObject || !this.isCreating) return;
 
-    const width = Math.abs(endPosition.x - this.createStart.x);
-    const height = Math.abs(endPosition.y - this.createStart.y);
+    const outlineBox = this.isOutlineTool(this.currentTool) ? this.getCreationBox(endPosition, modifiers) : null;
+    const width = outlineBox ? outlineBox.width : Math.abs(endPosition.x - this.createStart.x);
+    const height = outlineBox ? outlineBox.height : Math.abs(endPosition.y - this.createStart.y);
+    const isLine = this.currentTool === 'line' || this.currentTool === 'arrow';
 
-    // Only create if size is reasonable (at least 10px)
-    if (width > 10 && height > 10) {
+    // Only create if size is reasonable (at least 10px; lines may be flat)
+    if (isLine ? Math.hypot(width, height) > 10 : (width > 10 && height > 10)) {
       // Calculate top-left corner
       const topLeft = {
         x: Math.min(this.createStart.x, endPosition.x),
@@ -2111,6 +3745,21 @@ export class CanvasManager {
             stroke_width: 2
           }
         });
+      } else if (this.currentTool === 'frame') {
+        const box = { x: topLeft.x, y: topLeft.y, width, height };
+        this.emit('create_object', {
+          type: 'frame',
+          position: { x: box.x + width / 2, y: box.y + height / 2 },
+          data: {
+            width,
+            height,
+            name: nextFrameName(Array.from(this.objects.values())
+              .filter(obj => obj.objectType === 'frame')
+              .map(obj => obj.objectData.name)),
+            fill: FRAME_DEFAULTS.fill
+          },
+          ...this.frameCreationLayer(box)
+        });
       } else if (this.currentTool === 'circle') {
         const radius = Math.max(width, height) / 2;
 
@@ -2131,6 +3780,40 @@ export class CanvasManager {
             stroke_width: 2
           }
         });
+      } else if (isLine) {
+        // Endpoints are stored relative to the midpoint (the object's position)
+        const halfX = (endPosition.x - this.createStart.x) / 2;
+        const halfY = (endPosition.y - this.createStart.y) / 2;
+
+        this.emit('create_object', {
+          type: this.currentTool,
+          position: {
+            x: this.createStart.x + halfX,
+            y: this.createStart.y + halfY
+          },
+          data: {
+            start: { x: -halfX, y: -halfY },
+            end: { x: halfX, y: halfY },
+            stroke: this.currentColor,
+            stroke_width: 2,
+            start_arrow: 'none',
+            end_arrow: this.currentTool === 'arrow' ? 'triangle' : 'none'
+          }
+        });
+      } else if (outlineBox) {
+        this.emit('create_object', {
+          type: this.currentTool,
+          position: {
+            x: outlineBox.x + outlineBox.width / 2,
+            y: outlineBox.y + outlineBox.height / 2
+          },
+          data: {
+            ...this.outlineCreationData(outlineBox),
+            fill: this.currentColor,
+            stroke: this.currentColor,
+            stroke_width: 2
+          }
+        });
       }
 
       // Keep temp object visible (optimistic UI)
@@ -2146,1075 +3829,2691 @@ export class CanvasManager {
 
     // Reset creating flag
     this.isCreating = false;
+    this.createCurrent = null;
   }
 
   /**
-   * Create lasso selection rectangle for visual feedback
-   * @param {Object} screenPos - {x, y} starting position in screen coordinates
+   * Start dragging out a connector from an object
+   * @param {PIXI.DisplayObject} source - Object the connector starts at
    */
-  createLassoRect(screenPos) {
-    if (this.lassoRect) {
-      this.uiContainer.removeChild(this.lassoRect);
-      this.lassoRect.destroy();
-    }
+  startConnectorDraft(source) {
+    this.cancelConnectorDraft();
 
-    this.lassoRect = new PIXI.Graphics();
-    this.lassoRect.x = screenPos.x;
-    this.lassoRect.y = screenPos.y;
-    this.lassoRect.alpha = 0.3;
-    this.uiContainer.addChild(this.lassoRect);
+    const preview = new PIXI.Graphics();
+    preview.eventMode = 'none';
+    this.objectContainer.addChild(preview);
+    this.connectorDraft = { sourceId: source.objectId, preview };
   }
 
   /**
-   * Update lasso selection rectangle during drag
-   * @param {Object} currentScreenPos - {x, y} current position in screen coordinates
+   * Redraw the connector preview from the source toward the pointer
+   * (or to the object under it)
+   * @param {Object} position - Pointer position in world coordinates
    */
-  updateLassoRect(currentScreenPos) {
-    if (!this.lassoRect || !this.isLassoSelecting) return;
+  updateConnectorDraft(position) {
+    const draft = this.connectorDraft;
+    const source = this.objects.get(draft.sourceId);
+    if (!source) {
+      this.cancelConnectorDraft();
+      return;
+    }
 
-    const width = currentScreenPos.x - this.lassoStartScreen.x;
-    const height = currentScreenPos.y - this.lassoStartScreen.y;
+    const sourceBox = this.getObjectBox(source);
+    const target = this.findConnectorTarget(position);
+    const end = target ? boxCenter(this.getObjectBox(target)) : position;
+    const shape = obj => (obj.objectType === 'circle' ? 'ellipse' : 'rect');
+    const start = boxEdgePoint(sourceBox, end, shape(source));
+    const tip = target ? boxEdgePoint(this.getObjectBox(target), start, shape(target)) : position;
 
-    this.lassoRect.clear();
+    this.drawLinePath(draft.preview, { points: [start, tip], controls: null }, 'connector', {
+      stroke: this.currentColor
+    });
+    draft.preview.alpha = target ? 1 : 0.5;
+  }
 
-    // Draw selection rectangle with dashed border effect
-    // Width is now constant (2px) regardless of zoom level
-    this.lassoRect.rect(0, 0, width, height)
-      .fill({ color: 0x3b82f6, alpha: 0.1 })
-      .stroke({ width: 2, color: 0x1e40af });
+  /**
+   * Create the connector if the pointer is released over another object
+   * @param {Object} position - Pointer position in world coordinates
+   */
+  finishConnectorDraft(position) {
+    const { sourceId } = this.connectorDraft;
+    const source = this.objects.get(sourceId);
+    const target = this.findConnectorTarget(position);
+    this.cancelConnectorDraft();
+
+    if (!source || !target) return;
+
+    const sourceCenter = boxCenter(this.getObjectBox(source));
+    const targetCenter = boxCenter(this.getObjectBox(target));
+
+    this.emit('create_object', {
+      type: 'connector',
+      position: {
+        x: (sourceCenter.x + targetCenter.x) / 2,
+        y: (sourceCenter.y + targetCenter.y) / 2
+      },
+      data: {
+        source_id: sourceId,
+        target_id: target.objectId,
+        routing: 'straight',
+        stroke: this.currentColor,
+        stroke_width: 2,
+        start_arrow: 'none',
+        end_arrow: 'triangle'
+      }
+    });
   }
 
   /**
-   * Finalize lasso selection and select objects within rectangle
-   * @param {MouseEvent} event - Mouse event for shift key detection
+   * Object a connector being dragged out would attach to
+   * @param {Object} position - Pointer position in world coordinates
+   * @returns {PIXI.DisplayObject|null} Object under the pointer other than the source or a connector
    */
-  finalizeLassoSelection(event) {
-    if (!this.lassoRect || !this.isLassoSelecting) return;
+  findConnectorTarget(position) {
+    const target = this.findObjectAt(position);
+    if (!target || target.objectType === 'connector' || target.objectId === this.connectorDraft?.sourceId) {
+      return null;
+    }
+    return target;
+  }
 
-    const endPos = this.getMousePosition(event);
-    
-    // Calculate selection rectangle bounds
-    const minX = Math.min(this.lassoStart.x, endPos.x);
-    const maxX = Math.max(this.lassoStart.x, endPos.x);
-    const minY = Math.min(this.lassoStart.y, endPos.y);
-    const maxY = Math.max(this.lassoStart.y, endPos.y);
+  /**
+   * Drop the connector preview
+   */
+  cancelConnectorDraft() {
+    if (this.connectorDraft) {
+      this.objectContainer.removeChild(this.connectorDraft.preview);
+      this.connectorDraft.preview.destroy();
+      this.connectorDraft = null;
+    }
+  }
 
-    // Find objects within the lasso rectangle
-    const width = maxX - minX;
-    const height = maxY - minY;
-    
-    // Only process if lasso has reasonable size (at least 5px)
-    if (width > 5 && height > 5) {
-      // Clear previous selection unless shift is held
-      if (!event.shiftKey) {
-        this.clearSelection();
-      }
+  /**
+   * Add a pointer sample to the freehand stroke and redraw its preview
+   * Samples closer than a screen pixel to the previous one are skipped
+   * @param {Object} position - {x, y} pointer position (world)
+   */
+  addFreehandSample(position) {
+    const samples = this.freehandSamples;
+    const last = samples[samples.length - 1];
+    if (Math.hypot(position.x - last.x, position.y - last.y) < 1 / this.zoomLevel) return;
 
-      // Select all objects that intersect with the lasso rectangle
-      console.log('[CanvasManager] Lasso checking', this.objects.size, 'objects in lasso rect:', minX, minY, 'to', maxX, maxY);
+    samples.push(position);
 
-      this.objects.forEach((obj, objectId) => {
-        // Safety check: ensure object has required properties
-        if (!obj || !obj.objectId) {
-          console.warn('[CanvasManager] Skipping malformed object:', objectId);
-          return;
-        }
+    // Raw samples as a polyline - smoothing happens once the stroke is finished
+    const start = this.createStart;
+    this.tempObject.clear();
+    this.tempObject.moveTo(0, 0);
+    samples.slice(1).forEach(sample => this.tempObject.lineTo(sample.x - start.x, sample.y - start.y));
+    this.tempObject.stroke({
+      width: 2,
+      color: parseInt((this.validateColor(this.currentColor) || '#1e293b').replace('#', '0x')),
+      cap: 'round',
+      join: 'round'
+    });
+  }
 
-        // IMPORTANT: Use getLocalBounds() instead of getBounds()
-        // getBounds() returns global screen coordinates (includes zoom/pan transformations)
-        // getLocalBounds() returns bounds relative to parent (objectContainer)
-        // This matches the lasso rectangle coordinate space
-        const localBounds = obj.getLocalBounds();
-
-        // Object position is already in objectContainer space (same as lasso)
-        const objMinX = obj.x + localBounds.x;
-        const objMaxX = obj.x + localBounds.x + localBounds.width;
-        const objMinY = obj.y + localBounds.y;
-        const objMaxY = obj.y + localBounds.y + localBounds.height;
-
-        const intersects = this.rectanglesIntersect(
-          minX, minY, maxX, maxY,
-          objMinX, objMinY, objMaxX, objMaxY
-        );
+  /**
+   * Simplify the freehand stroke and create it as a path object
+   * Deviations under ~1.5 screen pixels are dropped; strokes with no length are discarded
+   */
+  finishFreehandStroke() {
+    const stroke = compactStroke(this.freehandSamples, 1.5 / this.zoomLevel);
+    this.freehandSamples = null;
+    this.isCreating = false;
 
-        // Check if object intersects with lasso rectangle
-        if (intersects) {
-          if (!this.selectedObjects.has(obj)) {
-            // Reparent object to selection container
-            this.addToSelection(obj);
-            // Add to selection tracking
-            this.selectedObjects.add(obj);
-            this.emit('lock_object', { object_id: obj.objectId });
-            this.createSelectionBox(obj);
-          }
+    if (stroke) {
+      this.emit('create_object', {
+        type: 'path',
+        position: stroke.position,
+        data: {
+          points: stroke.points,
+          stroke: this.currentColor,
+          stroke_width: 2
         }
       });
-    }
-
-    console.log('[CanvasManager] AFTER lasso loop, selectionContainer children:', this.selectionContainer.children.length, 'children IDs:', this.selectionContainer.children.map(c => c.objectId));
-
-    // Remove lasso rect from UI container
-    this.uiContainer.removeChild(this.lassoRect);
-    this.lassoRect.destroy();
-    this.lassoRect = null;
-    this.isLassoSelecting = false;
 
-    console.log('[CanvasManager] Lasso selection complete, selected', this.selectedObjects.size, 'objects');
-    console.log('[CanvasManager] Selected object IDs:', Array.from(this.selectedObjects).map(o => o.objectId));
-    console.log('[CanvasManager] FINAL check - selectionContainer children:', this.selectionContainer.children.length);
+      // Keep the preview until the real object arrives (optimistic UI)
+      this.tempObject.alpha = 0.7;
+    } else if (this.tempObject) {
+      this.objectContainer.removeChild(this.tempObject);
+      this.tempObject.destroy();
+      this.tempObject = null;
+    }
   }
 
   /**
-   * Check if two rectangles intersect
-   * @param {number} x1min - First rectangle min x
-   * @param {number} y1min - First rectangle min y
-   * @param {number} x1max - First rectangle max x
-   * @param {number} y1max - First rectangle max y
-   * @param {number} x2min - Second rectangle min x
-   * @param {number} y2min - Second rectangle min y
-   * @param {number} x2max - Second rectangle max x
-   * @param {number} y2max - Second rectangle max y
-   * @returns {boolean} True if rectangles intersect
+   * Place a vector pen anchor (starts a new path if none is being drawn)
+   * Clicking the first anchor again closes the path and creates it.
+   * @param {Object} point - {x, y} anchor position (world)
    */
-  rectanglesIntersect(x1min, y1min, x1max, y1max, x2min, y2min, x2max, y2max) {
-    return !(x1max < x2min || x2max < x1min || y1max < y2min || y2max < y1min);
+  addPenAnchor(point) {
+    if (!this.penDraft) {
+      const preview = new PIXI.Graphics();
+      this.objectContainer.addChild(preview);
+      this.penDraft = { nodes: [], dragIndex: null, pointer: point, preview };
+    }
+
+    const draft = this.penDraft;
+    const first = draft.nodes[0];
+    const radius = this.pathHandleRadius / this.zoomLevel;
+    if (draft.nodes.length >= 2 && Math.hypot(point.x - first.x, point.y - first.y) <= radius) {
+      this.finishPenPath(true);
+      return;
+    }
+
+    draft.nodes = [...draft.nodes, { x: point.x, y: point.y }];
+    draft.dragIndex = draft.nodes.length - 1;
+    draft.pointer = point;
+    this.drawPenDraft();
   }
 
   /**
-   * Find object at given position
-   * @param {Object} position - {x, y} position
-   * @returns {PIXI.DisplayObject|null}
+   * Follow the pointer while drawing with the vector pen
+   * @param {Object} point - {x, y} pointer position (world)
    */
-  findObjectAt(position) {
-    // Check objects in reverse order (top to bottom)
-    const objectsArray = Array.from(this.objects.values()).reverse();
-
-    for (const obj of objectsArray) {
-      const rect = obj.getBounds();
-      if (
-        position.x >= rect.x &&
-        position.x <= rect.x + rect.width &&
-        position.y >= rect.y &&
-        position.y <= rect.y + rect.height
-      ) {
-        return obj;
+  updatePenDraft(point) {
+    const draft = this.penDraft;
+    draft.pointer = point;
+
+    if (draft.dragIndex !== null) {
+      // Dragging away from a new anchor pulls out symmetric handles (ignoring jitter)
+      const node = draft.nodes[draft.dragIndex];
+      if (Math.hypot(point.x - node.x, point.y - node.y) > 2 / this.zoomLevel) {
+        draft.nodes = pullHandles(draft.nodes, draft.dragIndex, point);
       }
     }
 
-    return null;
+    this.drawPenDraft();
   }
 
   /**
-   * Clear all object selections
+   * Redraw the vector pen preview: the path so far, the next segment and the anchors
    */
-  clearSelection() {
-    // Unlock all selected objects
-    this.selectedObjects.forEach(obj => {
-      this.emit('unlock_object', { object_id: obj.objectId });
-    });
+  drawPenDraft() {
+    const { nodes, dragIndex, pointer, preview } = this.penDraft;
+    const last = nodes[nodes.length - 1];
+    const width = 2 / this.zoomLevel;
+
+    preview.clear();
+    preview.moveTo(nodes[0].x, nodes[0].y);
+    nodeSegments(nodes).forEach(({ c1, c2, to }) => preview.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, to.x, to.y));
+    if (dragIndex === null) {
+      const c1 = last.handle_out || last;
+      preview.bezierCurveTo(c1.x, c1.y, pointer.x, pointer.y, pointer.x, pointer.y);
+    }
+    preview.stroke({ width, color: 0x1e40af, cap: 'round', join: 'round' });
 
-    // Reparent all objects back to their original parents
-    this.selectedObjects.forEach(obj => {
-      this.removeFromSelection(obj);
-    });
+    this.drawNodeOverlay(preview, nodes, nodes.length - 1);
+  }
 
-    // Remove all selection boxes
-    this.selectionBoxes.forEach((box, objectId) => {
-      if (box.parent) {
-        box.parent.removeChild(box);
+  /**
+   * Create the path drawn with the vector pen
+   * @param {boolean} closed - Whether the path was closed on its first anchor
+   */
+  finishPenPath(closed) {
+    const draft = this.penDraft;
+    if (!draft) return;
+
+    this.objectContainer.removeChild(draft.preview);
+    draft.preview.destroy();
+    this.penDraft = null;
+
+    // The second click of a double-click lands on the anchor it just placed
+    let nodes = draft.nodes;
+    const last = nodes[nodes.length - 1];
+    const previous = nodes[nodes.length - 2];
+    if (previous && Math.hypot(last.x - previous.x, last.y - previous.y) < 1 / this.zoomLevel) {
+      nodes = nodes.slice(0, -1);
+    }
+    if (nodes.length < 2) return;
+
+    const path = centerNodes(nodes, closed);
+    this.emit('create_object', {
+      type: 'path',
+      position: path.center,
+      data: {
+        nodes: path.nodes,
+        closed,
+        ...(closed ? { fill: this.currentColor } : {}),
+        stroke: this.currentColor,
+        stroke_width: 2
       }
-      box.destroy({ children: true });
     });
+  }
 
-    // Remove all rotation handles
-    this.rotationHandles.forEach((handle, objectId) => {
-      if (handle.parent) {
-        handle.parent.removeChild(handle);
-      }
-      handle.destroy({ children: true });
+  /**
+   * Draw anchors (squares) and bezier handles (circles) for a path
+   * @param {PIXI.Graphics} graphics - Graphics in objectContainer space to draw into
+   * @param {Array<Object>} nodes - Nodes in objectContainer space
+   * @param {number|null} activeIndex - Anchor to highlight
+   */
+  drawNodeOverlay(graphics, nodes, activeIndex = null) {
+    const size = this.pathHandleRadius / this.zoomLevel;
+    const width = 1 / this.zoomLevel;
+
+    nodes.forEach((node, index) => {
+      ['handle_in', 'handle_out'].forEach(which => {
+        const handle = node[which];
+        if (!handle) return;
+        graphics.moveTo(node.x, node.y).lineTo(handle.x, handle.y).stroke({ width, color: 0x3b82f6 });
+        graphics.circle(handle.x, handle.y, size / 2).fill(0xffffff).stroke({ width, color: 0x3b82f6 });
+      });
+      graphics.rect(node.x - size / 2, node.y - size / 2, size, size)
+        .fill(index === activeIndex ? 0x3b82f6 : 0xffffff)
+        .stroke({ width, color: 0x3b82f6 });
     });
+  }
 
-    // Remove all resize handles
-    this.resizeHandles.forEach((handle, objectId) => {
-      if (handle.parent) {
-        handle.parent.removeChild(handle);
+  /**
+   * Handle Enter, Escape and Delete while drawing or editing a path
+   * @param {KeyboardEvent} event
+   * @returns {boolean} Whether the key was used
+   */
+  handlePathKey(event) {
+    const key = event.key;
+
+    if (this.penDraft) {
+      if (key === 'Enter' || key === 'Escape') {
+        this.finishPenPath(false);
+      } else if (key === 'Delete' || key === 'Backspace') {
+        // Take back the last anchor
+        const draft = this.penDraft;
+        draft.nodes = draft.nodes.slice(0, -1);
+        draft.dragIndex = null;
+        if (draft.nodes.length === 0) {
+          this.objectContainer.removeChild(draft.preview);
+          draft.preview.destroy();
+          this.penDraft = null;
+        } else {
+          this.drawPenDraft();
+        }
+      } else {
+        return false;
       }
-      handle.destroy({ children: true });
-    });
-
-    this.selectedObjects.clear();
-    this.selectionBoxes.clear();
-    this.rotationHandles.clear();
-    this.resizeHandles.clear();
+      event.preventDefault();
+      return true;
+    }
 
-    // Reset selection container position to origin
-    this.selectionContainer.x = 0;
-    this.selectionContainer.y = 0;
+    if (key === 'Enter' || key === 'Escape') {
+      // Escape throws the edit away
+      this.finishPathEditing(key === 'Enter');
+    } else if ((key === 'Delete' || key === 'Backspace') && this.pathEdit.activeIndex !== null) {
+      const { nodes, activeIndex, closed } = this.pathEdit;
+      const remaining = removeNode(nodes, activeIndex, closed);
+      if (remaining !== nodes) {
+        this.pathEdit.activeIndex = null;
+        this.setPathEditNodes(remaining);
+      }
+    } else {
+      return false;
+    }
+    event.preventDefault();
+    return true;
   }
 
   /**
-   * Add object to selection container (reparents to selectionContainer)
-   * Preserves world position by converting coordinates between containers
-   * @param {PIXI.DisplayObject} object - Object to add to selection
+   * Whether an object's points can be edited (converted to a vector path on commit)
+   * @param {PIXI.DisplayObject} obj - Canvas object
+   * @returns {boolean}
    */
-  addToSelection(object) {
-    if (!object || !object.objectId) {
-      console.error('[CanvasManager] addToSelection: Invalid object', object);
+  isPathEditable(obj) {
+    return ['star', 'triangle', 'polygon', 'path'].includes(obj.objectType);
+  }
+
+  /**
+   * Start editing an object's anchors and bezier handles
+   * Stars, triangles, polygons and freehand paths are edited as vector nodes and
+   * only become vector `path` objects if the edit is committed with changes.
+   * @param {PIXI.Graphics} obj - Object to edit
+   */
+  startPathEditing(obj) {
+    if (obj.lockedBy && obj.lockedBy !== this.currentUserId) {
+      console.log('[CanvasManager] Shape is being edited by another user');
       return;
     }
 
-    console.log('[CanvasManager] addToSelection: object', object.objectId, 'current parent:', object.parent?.constructor?.name, 'selectionContainer children before:', this.selectionContainer.children.length);
-
-    // Get world position before reparenting
-    const worldPos = object.getGlobalPosition();
+    this.finishPathEditing();
+
+    const data = obj.objectData || {};
+    let nodes;
+    let closed;
+    let style = {};
+    if (obj.objectType === 'path' && Array.isArray(data.nodes)) {
+      nodes = data.nodes;
+      closed = !!data.closed;
+    } else if (obj.objectType === 'path') {
+      const points = pathPointsFromFlat(data.points);
+      if (points.length < 2) return;
+      nodes = nodesFromSegments(points[0], smoothPathSegments(points));
+      closed = false;
+    } else {
+      // Keep the shape's colors explicit - paths have no default fill
+      const fill = this.validateColor(data.fill || data.color) || '#3b82f6';
+      nodes = nodesFromOutline(outlinePointsFor(obj.objectType, data));
+      closed = true;
+      style = { fill, stroke: this.validateColor(data.stroke) || fill };
+    }
 
-    // Store original parent and local state
-    this.selectionData.set(object.objectId, {
-      originalParent: object.parent,
-      originalX: object.x,
-      originalY: object.y,
-      originalRotation: object.rotation,
-      originalIndex: object.parent.getChildIndex(object)
-    });
+    // Selecting locks the object to us for the duration of the edit
+    if (!this.selectedObjects.has(obj)) {
+      this.setSelection(obj);
+    }
 
-    // Remove from current parent and add to selection container
-    object.parent.removeChild(object);
-    this.selectionContainer.addChild(object);
+    const overlay = new PIXI.Graphics();
+    this.objectContainer.addChild(overlay);
+
+    this.pathEdit = {
+      object: obj,
+      nodes,
+      closed,
+      style,
+      original: { type: obj.objectType, data },
+      historyBefore: this.captureHistoryStates([obj.objectId]),
+      changed: false,
+      activeIndex: null,
+      drag: null, // {index, part} being dragged
+      overlay
+    };
 
-    console.log('[CanvasManager] addToSelection: object', object.objectId, 'reparented, new parent:', object.parent?.constructor?.name, 'selectionContainer children after:', this.selectionContainer.children.length);
+    this.updateSelectionBoxes();
+    this.drawPathEdit();
+  }
 
-    // Convert world position to selection container's local space
-    const localPos = this.selectionContainer.toLocal(worldPos);
-    object.x = localPos.x;
-    object.y = localPos.y;
+  /**
+   * Find the anchor or handle of the edited path under a point
+   * @param {Object} position - {x, y} in world coordinates
+   * @returns {Object|null} {index, part} (see findNodePart)
+   */
+  findPathEditPart(position) {
+    const { object, nodes } = this.pathEdit;
+    const local = object.toLocal(position, this.objectContainer);
+    const scale = Math.max(Math.abs(object.scale.x), Math.abs(object.scale.y)) || 1;
+    return findNodePart(nodes, local, this.pathHandleRadius / (this.zoomLevel * scale));
   }
 
   /**
-   * Remove object from selection container (reparents back to original parent)
-   * Preserves world position by converting coordinates between containers
-   * @param {PIXI.DisplayObject} object - Object to remove from selection
+   * Grab an anchor or handle, Alt+click an anchor to toggle it smooth, or click away to finish
+   * @param {Object} position - {x, y} in world coordinates
+   * @param {MouseEvent} event
    */
-  removeFromSelection(object) {
-    if (!object || !object.objectId) {
-      console.error('[CanvasManager] removeFromSelection: Invalid object', object);
+  handlePathEditMouseDown(position, event) {
+    const edit = this.pathEdit;
+    const hit = this.findPathEditPart(position);
+
+    if (!hit) {
+      // Clicks inside the shape keep editing; anywhere else commits
+      if (!this.hitTestObject(edit.object, position)) {
+        this.finishPathEditing();
+      }
       return;
     }
 
-    console.log('[CanvasManager] removeFromSelection called for object', object.objectId, 'parent:', object.parent?.constructor?.name, 'selectionContainer children before:', this.selectionContainer.children.length);
-
-    // If object is not in selection container, nothing to do
-    if (object.parent !== this.selectionContainer) {
-      console.log('[CanvasManager] removeFromSelection: object not in selectionContainer, skipping');
-      this.selectionData.delete(object.objectId);
+    edit.activeIndex = hit.index;
+    if (hit.part === 'anchor' && event.altKey) {
+      this.setPathEditNodes(toggleSmooth(edit.nodes, hit.index, edit.closed));
       return;
     }
 
-    const savedData = this.selectionData.get(object.objectId);
+    edit.drag = hit;
+    this.drawPathEdit();
+  }
 
-    // If no saved data, fall back to moving to objectContainer at current world position
-    if (!savedData) {
-      console.warn('[CanvasManager] removeFromSelection: No saved data for object', object.objectId, '- moving to objectContainer');
+  /**
+   * Move the grabbed anchor (snapped to the grid) or handle (Alt: without mirroring)
+   * @param {Object} position - {x, y} pointer position (world)
+   * @param {MouseEvent} event
+   */
+  dragPathEditPart(position, event) {
+    const edit = this.pathEdit;
+    const { index, part } = edit.drag;
 
-      // Get world position before reparenting
-      const worldPos = object.getGlobalPosition();
+    if (part === 'anchor') {
+      const local = edit.object.toLocal(this.snapPointToGridIfEnabled(position, event), this.objectContainer);
+      this.setPathEditNodes(moveAnchor(edit.nodes, index, local));
+    } else {
+      const local = edit.object.toLocal(position, this.objectContainer);
+      this.setPathEditNodes(moveHandle(edit.nodes, index, part, local, !event.altKey));
+    }
+  }
 
-      // Remove from selection container and add to objectContainer
-      this.selectionContainer.removeChild(object);
-      this.objectContainer.addChild(object);
+  /**
+   * Replace the edited path's nodes and redraw it
+   * @param {Array<Object>} nodes - New nodes (object-local)
+   */
+  setPathEditNodes(nodes) {
+    this.pathEdit.nodes = nodes;
+    this.pathEdit.changed = true;
+    this.drawPathEdit();
+  }
 
-      // Convert world position to objectContainer's local space
-      const localPos = this.objectContainer.toLocal(worldPos);
-      object.x = localPos.x;
-      object.y = localPos.y;
-      return;
+  /**
+   * Redraw the edited object (once it has changed) and its anchor overlay
+   */
+  drawPathEdit() {
+    const { object, nodes, closed, style, changed, activeIndex, overlay } = this.pathEdit;
+
+    if (changed) {
+      this.drawVectorPath(object, nodes, closed, { ...object.objectData, ...style });
+      this.updateSpatialIndex(object);
     }
 
-    // Get world position before reparenting
-    const worldPos = object.getGlobalPosition();
+    overlay.clear();
+    const toCanvas = point => this.objectPointToCanvas(object, point.x, point.y);
+    this.drawNodeOverlay(overlay, mapNodes(nodes, toCanvas), activeIndex);
+    this.updateSelectionBoxes();
+  }
 
-    // Remove from selection container
-    this.selectionContainer.removeChild(object);
+  /**
+   * Stop editing points
+   * Committed changes turn the object into a vector path (re-centered on its new
+   * bounds) and send it with update_object; discarded changes restore the original.
+   * @param {boolean} commit - Whether to keep the changes
+   */
+  finishPathEditing(commit = true) {
+    const edit = this.pathEdit;
+    if (!edit) return;
 
-    // Add back to original parent (at end, not at originalIndex which may be stale)
-    savedData.originalParent.addChild(object);
+    this.pathEdit = null;
+    this.objectContainer.removeChild(edit.overlay);
+    edit.overlay.destroy();
 
-    // Convert world position to original parent's local space
-    const localPos = savedData.originalParent.toLocal(worldPos);
-    object.x = localPos.x;
-    object.y = localPos.y;
+    const { object } = edit;
+    if (object.destroyed) return;
 
-    // Clean up saved data
-    this.selectionData.delete(object.objectId);
+    if (!edit.changed) {
+      this.updateSelectionBoxes();
+      return;
+    }
 
-    // Reorder all objects by z_index to prevent layer flicker
-    // This ensures objects render in correct stacking order
-    this.reorderObjects();
+    const recreate = (type, position, data) => this.updateObject({
+      id: object.objectId,
+      type,
+      position,
+      data: JSON.stringify(data),
+      z_index: object.zIndex,
+      group_id: object.groupId,
+      locked_by: object.lockedBy
+    });
+
+    if (!commit) {
+      recreate(edit.original.type, this.getObjectCenter(object), edit.original.data);
+      return;
+    }
+
+    // Re-center on the edited outline so the position stays the visual center
+    const path = centerNodes(edit.nodes, edit.closed);
+    const center = this.objectPointToCanvas(object, path.center.x, path.center.y);
+    const position = { x: center.x, y: center.y };
+    const changes = { ...edit.style, nodes: path.nodes, closed: edit.closed };
+
+    recreate('path', position, { ...edit.original.data, ...changes });
+    this.emit('update_object', { object_id: object.objectId, type: 'path', position, data: changes });
+    this.recordHistory(edit.historyBefore);
   }
 
   /**
-   * Set selection to a single object (clears previous selection)
-   * @param {PIXI.DisplayObject} object - Object to select
+   * Create lasso selection rectangle for visual feedback
+   * @param {Object} screenPos - {x, y} starting position in screen coordinates
    */
-  setSelection(object) {
-    // Clear previous selection
-    console.log('[CanvasManager] setSelection: BEFORE clearSelection, selectionContainer children:', this.selectionContainer.children.length, 'children:', this.selectionContainer.children.map(c => ({ id: c.objectId, parent: c.parent?.constructor?.name })));
-    this.clearSelection();
+  createLassoRect(screenPos) {
+    if (this.lassoRect) {
+      this.uiContainer.removeChild(this.lassoRect);
+      this.lassoRect.destroy();
+    }
 
-    // Reparent object to selection container
-    this.addToSelection(object);
+    this.lassoRect = new PIXI.Graphics();
+    this.lassoRect.x = screenPos.x;
+    this.lassoRect.y = screenPos.y;
+    this.lassoRect.alpha = 0.3;
+    this.uiContainer.addChild(this.lassoRect);
+  }
 
-    // Add to selection tracking
-    this.selectedObjects.add(object);
+  /**
+   * Update lasso selection rectangle during drag
+   * @param {Object} currentScreenPos - {x, y} current position in screen coordinates
+   */
+  updateLassoRect(currentScreenPos) {
+    if (!this.lassoRect || !this.isLassoSelecting) return;
 
-    // Lock the object for editing
-    this.emit('lock_object', { object_id: object.objectId });
+    const width = currentScreenPos.x - this.lassoStartScreen.x;
+    const height = currentScreenPos.y - this.lassoStartScreen.y;
 
-    // Create selection box
-    this.createSelectionBox(object);
+    this.lassoRect.clear();
+
+    // Draw selection rectangle with dashed border effect
+    // Width is now constant (2px) regardless of zoom level
+    this.lassoRect.rect(0, 0, width, height)
+      .fill({ color: 0x3b82f6, alpha: 0.1 })
+      .stroke({ width: 2, color: 0x1e40af });
   }
 
   /**
-   * Toggle selection of an object (for Shift+click multi-selection)
-   * @param {PIXI.DisplayObject} object - Object to toggle
+   * Finalize lasso selection and select objects within rectangle
+   * @param {MouseEvent} event - Mouse event for shift key detection
    */
-  toggleSelection(object) {
-    if (this.selectedObjects.has(object)) {
-      // Deselect - reparent back to original container
-      this.removeFromSelection(object);
-      this.selectedObjects.delete(object);
-      this.emit('unlock_object', { object_id: object.objectId });
+  finalizeLassoSelection(event) {
+    if (!this.lassoRect || !this.isLassoSelecting) return;
 
-      // Remove selection box
-      const box = this.selectionBoxes.get(object.objectId);
-      if (box) {
-        if (box.parent) {
-          box.parent.removeChild(box);
-        }
-        box.destroy({ children: true });
-        this.selectionBoxes.delete(object.objectId);
+    const endPos = this.getMousePosition(event);
+    
+    // Calculate selection rectangle bounds
+    const minX = Math.min(this.lassoStart.x, endPos.x);
+    const maxX = Math.max(this.lassoStart.x, endPos.x);
+    const minY = Math.min(this.lassoStart.y, endPos.y);
+    const maxY = Math.max(this.lassoStart.y, endPos.y);
+
+    // Find objects within the lasso rectangle
+    const width = maxX - minX;
+    const height = maxY - minY;
+    
+    // Only process if lasso has reasonable size (at least 5px)
+    if (width > 5 && height > 5) {
+      // Clear previous selection unless shift is held
+      if (!event.shiftKey) {
+        this.clearSelection();
       }
 
-      // Remove rotation handle
-      const rotationHandle = this.rotationHandles.get(object.objectId);
-      if (rotationHandle) {
-        if (rotationHandle.parent) {
-          rotationHandle.parent.removeChild(rotationHandle);
+      // Select all objects whose world bounds intersect the lasso rectangle
+      // The spatial index stores bounds in objectContainer space (same as lasso)
+      const candidates = this.getObjectsInRect(minX, minY, maxX, maxY);
+      console.log('[CanvasManager] Lasso found', candidates.length, 'of', this.objects.size, 'objects in lasso rect:', minX, minY, 'to', maxX, maxY);
+
+      candidates.forEach(obj => {
+        // Safety check: ensure object has required properties
+        if (!obj || !obj.objectId) {
+          console.warn('[CanvasManager] Skipping malformed object:', obj);
+          return;
         }
-        rotationHandle.destroy({ children: true });
-        this.rotationHandles.delete(object.objectId);
-      }
 
-      // Remove resize handle
-      const resizeHandle = this.resizeHandles.get(object.objectId);
-      if (resizeHandle) {
-        if (resizeHandle.parent) {
-          resizeHandle.parent.removeChild(resizeHandle);
+        if (!this.selectedObjects.has(obj)) {
+          // Reparent object to selection container
+          this.addToSelection(obj);
+          // Add to selection tracking
+          this.selectedObjects.add(obj);
+          this.emit('lock_object', { object_id: obj.objectId });
+          this.createSelectionBox(obj);
         }
-        resizeHandle.destroy({ children: true });
-        this.resizeHandles.delete(object.objectId);
-      }
-    } else {
-      // Add to selection - reparent to selection container
-      this.addToSelection(object);
-      this.selectedObjects.add(object);
-      this.emit('lock_object', { object_id: object.objectId });
-      this.createSelectionBox(object);
+      });
     }
+
+    console.log('[CanvasManager] AFTER lasso loop, selectionContainer children:', this.selectionContainer.children.length, 'children IDs:', this.selectionContainer.children.map(c => c.objectId));
+
+    // Remove lasso rect from UI container
+    this.uiContainer.removeChild(this.lassoRect);
+    this.lassoRect.destroy();
+    this.lassoRect = null;
+    this.isLassoSelecting = false;
+
+    console.log('[CanvasManager] Lasso selection complete, selected', this.selectedObjects.size, 'objects');
+    console.log('[CanvasManager] Selected object IDs:', Array.from(this.selectedObjects).map(o => o.objectId));
+    console.log('[CanvasManager] FINAL check - selectionContainer children:', this.selectionContainer.children.length);
   }
 
   /**
-   * Select an object by its ID (from layers panel)
-   * @param {number} objectId - ID of the object to select
+   * Check if two rectangles intersect
+   * @param {number} x1min - First rectangle min x
+   * @param {number} y1min - First rectangle min y
+   * @param {number} x1max - First rectangle max x
+   * @param {number} y1max - First rectangle max y
+   * @param {number} x2min - Second rectangle min x
+   * @param {number} y2min - Second rectangle min y
+   * @param {number} x2max - Second rectangle max x
+   * @param {number} y2max - Second rectangle max y
+   * @returns {boolean} True if rectangles intersect
    */
-  selectObjectById(objectId) {
-    // Find the object in the objects map
-    const object = this.objects.get(objectId);
+  rectanglesIntersect(x1min, y1min, x1max, y1max, x2min, y2min, x2max, y2max) {
+    return !(x1max < x2min || x2max < x1min || y1max < y2min || y2max < y1min);
+  }
 
-    if (!object) {
-      console.warn('[CanvasManager] selectObjectById: Object not found:', objectId);
-      return;
+  /**
+   * Find the topmost object at given position
+   * Candidates come from the spatial index and are ordered by z_index (front first)
+   * @param {Object} position - {x, y} position in world (objectContainer) coordinates
+   * @returns {PIXI.DisplayObject|null}
+   */
+  findObjectAt(position) {
+    // Bounding-box candidates (padded by the pick tolerance) from the spatial index
+    const padding = this.hitTolerance / this.zoomLevel;
+    const candidates = this.spatialIndex
+      .queryPoint(position.x, position.y, padding)
+      .map(id => this.objects.get(id))
+      .filter(Boolean);
+
+    if (candidates.length === 0) {
+      return null;
     }
 
-    // Clear current selection and select this object
-    this.clearSelection();
-    this.setSelection(object);
+    // Topmost object whose actual geometry contains the point wins
+    this.sortByZOrder(candidates, true);
+    return candidates.find(obj => this.hitTestObject(obj, position)) || null;
   }
 
   /**
-   * Select multiple objects by their IDs (for semantic selection)
-   * @param {number[]} objectIds - Array of object IDs to select
+   * Test whether a world-space point hits an object's visible geometry
+   * Accounts for rotation, pivot and stroke width, plus the configurable hitTolerance
+   * @param {PIXI.DisplayObject} obj - Object to test
+   * @param {Object} position - {x, y} position in world (objectContainer) coordinates
+   * @returns {boolean}
    */
-  selectObjectsByIds(objectIds) {
-    console.log('[CanvasManager] selectObjectsByIds:', objectIds);
+  hitTestObject(obj, position) {
+    if (!obj || obj.destroyed) return false;
 
-    // Clear current selection first
+    // Map the point into the object's local space (undoes position, rotation and pivot)
+    const local = obj.toLocal(position, this.objectContainer);
+    const shape = this.getHitShape(obj);
+
+    // Tolerance is specified in screen pixels - convert to object-local units
+    const scale = Math.max(Math.abs(obj.scale.x), Math.abs(obj.scale.y)) || 1;
+    const strokeWidth = this.isUnstroked(obj) ? 0 : ((obj.objectData && obj.objectData.stroke_width) || 2);
+    const tolerance = this.hitTolerance / (this.zoomLevel * scale) + strokeWidth / 2;
+
+    return hitTestShape(shape, local.x, local.y, tolerance);
+  }
+
+  /**
+   * Whether an object is drawn without a stroke (its bounds are its outline)
+   * @param {PIXI.Container} obj - Canvas object
+   * @returns {boolean}
+   */
+  isUnstroked(obj) {
+    // Frame borders are drawn inside the box
+    return obj.objectType === 'text' || obj.objectType === 'image' || obj.objectType === 'frame';
+  }
+
+  /**
+   * Describe an object's geometry in its local coordinate space for hit-testing
+   * @param {PIXI.DisplayObject} obj - Object to describe
+   * @returns {Object} Shape descriptor accepted by hitTestShape()
+   */
+  getHitShape(obj) {
+    if (obj.pathPoints) {
+      // Closed paths are hit anywhere inside, open ones only along the stroke
+      return { kind: obj.pathClosed ? 'polygon' : 'polyline', points: obj.pathPoints };
+    }
+
+    const data = obj.objectData || {};
+    const points = outlinePointsFor(obj.objectType, data);
+    if (points) {
+      return { kind: 'polygon', points };
+    }
+
+    // Local bounds include half the stroke on each side - inset back to the outline
+    const bounds = obj.getLocalBounds();
+    const inset = this.isUnstroked(obj) ? 0 : (data.stroke_width || 2) / 2;
+    const x = bounds.x + inset;
+    const y = bounds.y + inset;
+    const width = Math.max(0, bounds.width - inset * 2);
+    const height = Math.max(0, bounds.height - inset * 2);
+
+    if (obj.objectType === 'circle') {
+      return { kind: 'ellipse', cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 };
+    }
+
+    return { kind: 'rect', x, y, width, height };
+  }
+
+  /**
+   * Find all objects whose bounds intersect a world-space rectangle
+   * @param {number} minX - Rectangle min x
+   * @param {number} minY - Rectangle min y
+   * @param {number} maxX - Rectangle max x
+   * @param {number} maxY - Rectangle max y
+   * @returns {Array<PIXI.DisplayObject>} Objects ordered back to front
+   */
+  getObjectsInRect(minX, minY, maxX, maxY) {
+    const objects = this.spatialIndex
+      .queryRect(minX, minY, maxX, maxY)
+      .map(id => this.objects.get(id))
+      .filter(Boolean);
+
+    return this.sortByZOrder(objects);
+  }
+
+  /**
+   * Sort objects by z_index, breaking ties by creation order
+   * @param {Array<PIXI.DisplayObject>} objects - Objects to sort (sorted in place)
+   * @param {boolean} frontFirst - Sort topmost objects first (default: false)
+   * @returns {Array<PIXI.DisplayObject>} The sorted array
+   */
+  sortByZOrder(objects, frontFirst = false) {
+    const direction = frontFirst ? -1 : 1;
+    return objects.sort((a, b) => {
+      const zDiff = (a.zIndex || 0) - (b.zIndex || 0);
+      if (zDiff !== 0) return zDiff * direction;
+      return ((a.createdSequence || 0) - (b.createdSequence || 0)) * direction;
+    });
+  }
+
+  /**
+   * Get an object's axis-aligned bounds in world (objectContainer) coordinates
+   * Independent of the current zoom/pan, and accounts for rotation, pivot and
+   * the selection container offset while an object is selected
+   * @param {PIXI.DisplayObject} obj - Object to measure
+   * @returns {Object} {minX, minY, maxX, maxY}
+   */
+  getObjectWorldBounds(obj) {
+    const local = obj.getLocalBounds();
+    obj.updateLocalTransform();
+    const m = obj.localTransform;
+
+    let offsetX = 0;
+    let offsetY = 0;
+    if (obj.parent && obj.parent !== this.objectContainer) {
+      // Selection container (or any intermediate parent) is only ever translated
+      offsetX = obj.parent.x;
+      offsetY = obj.parent.y;
+    }
+
+    const corners = [
+      [local.x, local.y],
+      [local.x + local.width, local.y],
+      [local.x, local.y + local.height],
+      [local.x + local.width, local.y + local.height]
+    ];
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    corners.forEach(([x, y]) => {
+      const wx = m.a * x + m.c * y + m.tx + offsetX;
+      const wy = m.b * x + m.d * y + m.ty + offsetY;
+      minX = Math.min(minX, wx);
+      minY = Math.min(minY, wy);
+      maxX = Math.max(maxX, wx);
+      maxY = Math.max(maxY, wy);
+    });
+
+    return { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * Refresh an object's entry in the spatial index after it moved or changed shape
+   * @param {PIXI.DisplayObject} obj - Object to re-index
+   */
+  updateSpatialIndex(obj) {
+    if (!obj || !obj.objectId || obj.destroyed) return;
+    this.spatialIndex.update(obj.objectId, this.getObjectWorldBounds(obj));
+    this.framesDirty = true;
+
+    // Connectors follow the objects they join
+    if (obj.objectType !== 'connector' && this.connectorLinks.has(obj.objectId)) {
+      this.rerouteConnectorsFor([obj.objectId]);
+    }
+  }
+
+  /**
+   * Rebuild the spatial index from scratch (e.g. after bulk changes)
+   */
+  rebuildSpatialIndex() {
+    this.spatialIndex.clear();
+    this.objects.forEach(obj => this.updateSpatialIndex(obj));
+  }
+
+  /**
+   * Clear all object selections
+   */
+  clearSelection() {
+    // Unlock all selected objects
+    this.selectedObjects.forEach(obj => {
+      this.emit('unlock_object', { object_id: obj.objectId });
+    });
+
+    // Reparent all objects back to their original parents
+    this.selectedObjects.forEach(obj => {
+      this.removeFromSelection(obj);
+    });
+
+    // Remove all selection boxes
+    this.selectionBoxes.forEach((box, objectId) => {
+      if (box.parent) {
+        box.parent.removeChild(box);
+      }
+      box.destroy({ children: true });
+    });
+
+    // Remove all rotation handles
+    this.rotationHandles.forEach((handle, objectId) => {
+      if (handle.parent) {
+        handle.parent.removeChild(handle);
+      }
+      handle.destroy({ children: true });
+    });
+
+    // Remove all resize handles
+    this.resizeHandles.forEach((handle, objectId) => {
+      if (handle.parent) {
+        handle.parent.removeChild(handle);
+      }
+      handle.destroy({ children: true });
+    });
+
+    this.selectedObjects.clear();
+    this.selectionBoxes.clear();
+    this.rotationHandles.clear();
+    this.resizeHandles.clear();
+    this.removeGroupSelectionBox();
+
+    // Reset selection container position to origin
+    this.selectionContainer.x = 0;
+    this.selectionContainer.y = 0;
+  }
+
+  /**
+   * Add object to selection container (reparents to selectionContainer)
+   * Preserves world position by converting coordinates between containers
+   * @param {PIXI.DisplayObject} object - Object to add to selection
+   */
+  addToSelection(object) {
+    if (!object || !object.objectId) {
+      console.error('[CanvasManager] addToSelection: Invalid object', object);
+      return;
+    }
+
+    console.log('[CanvasManager] addToSelection: object', object.objectId, 'current parent:', object.parent?.constructor?.name, 'selectionContainer children before:', this.selectionContainer.children.length);
+
+    // Get world position before reparenting
+    const worldPos = object.getGlobalPosition();
+
+    // Store original parent and local state
+    this.selectionData.set(object.objectId, {
+      originalParent: object.parent,
+      originalX: object.x,
+      originalY: object.y,
+      originalRotation: object.rotation,
+      originalIndex: object.parent.getChildIndex(object)
+    });
+
+    // Remove from current parent and add to selection container
+    object.parent.removeChild(object);
+    this.selectionContainer.addChild(object);
+
+    console.log('[CanvasManager] addToSelection: object', object.objectId, 'reparented, new parent:', object.parent?.constructor?.name, 'selectionContainer children after:', this.selectionContainer.children.length);
+
+    // Convert world position to selection container's local space
+    const localPos = this.selectionContainer.toLocal(worldPos);
+    object.x = localPos.x;
+    object.y = localPos.y;
+  }
+
+  /**
+   * Remove object from selection container (reparents back to original parent)
+   * Preserves world position by converting coordinates between containers
+   * @param {PIXI.DisplayObject} object - Object to remove from selection
+   */
+  removeFromSelection(object) {
+    if (!object || !object.objectId) {
+      console.error('[CanvasManager] removeFromSelection: Invalid object', object);
+      return;
+    }
+
+    console.log('[CanvasManager] removeFromSelection called for object', object.objectId, 'parent:', object.parent?.constructor?.name, 'selectionContainer children before:', this.selectionContainer.children.length);
+
+    // If object is not in selection container, nothing to do
+    if (object.parent !== this.selectionContainer) {
+      console.log('[CanvasManager] removeFromSelection: object not in selectionContainer, skipping');
+      this.selectionData.delete(object.objectId);
+      return;
+    }
+
+    const savedData = this.selectionData.get(object.objectId);
+
+    // If no saved data, fall back to moving to objectContainer at current world position
+    if (!savedData) {
+      console.warn('[CanvasManager] removeFromSelection: No saved data for object', object.objectId, '- moving to objectContainer');
+
+      // Get world position before reparenting
+      const worldPos = object.getGlobalPosition();
+
+      // Remove from selection container and add to objectContainer
+      this.selectionContainer.removeChild(object);
+      this.objectContainer.addChild(object);
+
+      // Convert world position to objectContainer's local space
+      const localPos = this.objectContainer.toLocal(worldPos);
+      object.x = localPos.x;
+      object.y = localPos.y;
+      return;
+    }
+
+    // Get world position before reparenting
+    const worldPos = object.getGlobalPosition();
+
+    // Remove from selection container
+    this.selectionContainer.removeChild(object);
+
+    // Add back to original parent (at end, not at originalIndex which may be stale)
+    savedData.originalParent.addChild(object);
+
+    // Convert world position to original parent's local space
+    const localPos = savedData.originalParent.toLocal(worldPos);
+    object.x = localPos.x;
+    object.y = localPos.y;
+
+    // Clean up saved data
+    this.selectionData.delete(object.objectId);
+
+    // Reorder all objects by z_index to prevent layer flicker
+    // This ensures objects render in correct stacking order
+    this.reorderObjects();
+  }
+
+  /**
+   * Set selection to a single object (clears previous selection)
+   * @param {PIXI.DisplayObject} object - Object to select
+   */
+  setSelection(object) {
+    // Clear previous selection
+    console.log('[CanvasManager] setSelection: BEFORE clearSelection, selectionContainer children:', this.selectionContainer.children.length, 'children:', this.selectionContainer.children.map(c => ({ id: c.objectId, parent: c.parent?.constructor?.name })));
     this.clearSelection();
 
-    // Select each object
-    objectIds.forEach(objectId => {
-      const object = this.objects.get(objectId);
+    // Reparent object to selection container
+    this.addToSelection(object);
+
+    // Add to selection tracking
+    this.selectedObjects.add(object);
+
+    // Lock the object for editing
+    this.emit('lock_object', { object_id: object.objectId });
+
+    // Create selection box
+    this.createSelectionBox(object);
+  }
+
+  /**
+   * Toggle selection of an object (for Shift+click multi-selection)
+   * @param {PIXI.DisplayObject} object - Object to toggle
+   */
+  toggleSelection(object) {
+    if (this.selectedObjects.has(object)) {
+      // Deselect - reparent back to original container
+      this.removeFromSelection(object);
+      this.selectedObjects.delete(object);
+      this.emit('unlock_object', { object_id: object.objectId });
+
+      // Remove selection box
+      const box = this.selectionBoxes.get(object.objectId);
+      if (box) {
+        if (box.parent) {
+          box.parent.removeChild(box);
+        }
+        box.destroy({ children: true });
+        this.selectionBoxes.delete(object.objectId);
+      }
+
+      // Remove rotation handle
+      const rotationHandle = this.rotationHandles.get(object.objectId);
+      if (rotationHandle) {
+        if (rotationHandle.parent) {
+          rotationHandle.parent.removeChild(rotationHandle);
+        }
+        rotationHandle.destroy({ children: true });
+        this.rotationHandles.delete(object.objectId);
+      }
+
+      // Remove resize handle
+      const resizeHandle = this.resizeHandles.get(object.objectId);
+      if (resizeHandle) {
+        if (resizeHandle.parent) {
+          resizeHandle.parent.removeChild(resizeHandle);
+        }
+        resizeHandle.destroy({ children: true });
+        this.resizeHandles.delete(object.objectId);
+      }
+
+      // Refit (or drop) the group box around the remaining selection
+      this.updateSelectionBoxes();
+    } else {
+      // Add to selection - reparent to selection container
+      this.addToSelection(object);
+      this.selectedObjects.add(object);
+      this.emit('lock_object', { object_id: object.objectId });
+      this.createSelectionBox(object);
+    }
+  }
+
+  /**
+   * Select an object by its ID (from layers panel)
+   * @param {number} objectId - ID of the object to select
+   */
+  selectObjectById(objectId) {
+    // Find the object in the objects map
+    const object = this.objects.get(objectId);
+
+    if (!object) {
+      console.warn('[CanvasManager] selectObjectById: Object not found:', objectId);
+      return;
+    }
+
+    // Clear current selection and select this object
+    this.clearSelection();
+    this.setSelection(object);
+  }
+
+  /**
+   * Select multiple objects by their IDs (for semantic selection)
+   * @param {number[]} objectIds - Array of object IDs to select
+   */
+  selectObjectsByIds(objectIds) {
+    console.log('[CanvasManager] selectObjectsByIds:', objectIds);
+
+    // Clear current selection first
+    this.clearSelection();
+
+    // Select each object
+    objectIds.forEach(objectId => {
+      const object = this.objects.get(objectId);
+
+      if (!object) {
+        console.warn('[CanvasManager] selectObjectsByIds: Object not found:', objectId);
+        return;
+      }
+
+      // Skip if already selected
+      if (this.selectedObjects.has(object)) {
+        return;
+      }
+
+      // Add to selection (same pattern as lasso selection)
+      this.addToSelection(object);
+      this.selectedObjects.add(object);
+      this.emit('lock_object', { object_id: object.objectId });
+      this.createSelectionBox(object);
+    });
+
+    console.log('[CanvasManager] Multi-selection complete, selected', this.selectedObjects.size, 'objects');
+  }
+
+  /**
+   * Create a selection box for an object
+   * @param {PIXI.DisplayObject} object - Object to create selection box for
+   */
+  createSelectionBox(object) {
+    // Remove any existing selection box for this object first
+    const existingBox = this.selectionBoxes.get(object.objectId);
+    if (existingBox) {
+      this.objectContainer.removeChild(existingBox);
+      existingBox.destroy();
+      this.selectionBoxes.delete(object.objectId);
+    }
+
+    // Remove existing rotation handle
+    const existingRotationHandle = this.rotationHandles.get(object.objectId);
+    if (existingRotationHandle) {
+      this.objectContainer.removeChild(existingRotationHandle);
+      existingRotationHandle.destroy();
+      this.rotationHandles.delete(object.objectId);
+    }
+
+    // Remove existing resize handles
+    const existingResizeHandles = this.resizeHandles.get(object.objectId);
+    if (existingResizeHandles) {
+      this.objectContainer.removeChild(existingResizeHandles);
+      existingResizeHandles.destroy({ children: true });
+      this.resizeHandles.delete(object.objectId);
+    }
+
+    // Outline is redrawn in objectContainer space by updateSelectionBoxes()
+    const selectionBox = new PIXI.Graphics();
+    this.objectContainer.addChild(selectionBox);
+    this.selectionBoxes.set(object.objectId, selectionBox);
+
+    // Only create rotation and resize handles for single-object selection
+    // Multi-selection should only support drag/move operations, and connectors
+    // are shaped by the objects they join
+    if (this.selectedObjects.size > 1 || object.objectType === 'connector') {
+      this.updateSelectionBoxes();
+      return; // Skip handle creation for multi-selection
+    }
+
+    // Create rotation handle above the top edge
+    const rotationHandle = this.createRotationHandleGraphics();
+    rotationHandle.objectId = object.objectId;
+
+    // Add rotation handle event listeners
+    rotationHandle.on('pointerdown', this.onRotationHandleDown.bind(this));
+    rotationHandle.on('pointerup', this.onRotationHandleUp.bind(this));
+    rotationHandle.on('pointerupoutside', this.onRotationHandleUp.bind(this));
+
+    this.objectContainer.addChild(rotationHandle);
+    this.rotationHandles.set(object.objectId, rotationHandle);
+
+    // Create the eight resize handles (corners and edge midpoints)
+    const resizeHandles = this.createResizeHandleGraphics();
+
+    resizeHandles.children.forEach(handle => {
+      handle.objectId = object.objectId;
+
+      // Add resize handle event listeners
+      handle.on('pointerdown', this.onResizeHandleDown.bind(this));
+      handle.on('pointerup', this.onResizeHandleUp.bind(this));
+      handle.on('pointerupoutside', this.onResizeHandleUp.bind(this));
+    });
+
+    this.objectContainer.addChild(resizeHandles);
+    this.resizeHandles.set(object.objectId, resizeHandles);
+
+    this.updateSelectionBoxes();
+  }
+
+  /**
+   * Create a rotation handle graphic (circle with a curved arrow)
+   * @returns {PIXI.Graphics} Interactive handle without listeners
+   */
+  createRotationHandleGraphics() {
+    const rotationHandle = new PIXI.Graphics();
+
+    // Draw circle with white fill and blue border
+    rotationHandle.circle(0, 0, 10)
+      .fill({ color: 0xffffff })
+      .stroke({ width: 2, color: 0x3b82f6 });
+
+    // Draw rotation arrow icon (curved arrow)
+    const arrowRadius = 4;
+    rotationHandle.arc(0, 0, arrowRadius, -Math.PI * 0.75, Math.PI * 0.25)
+      .stroke({ width: 1.5, color: 0x3b82f6 });
+
+    // Arrow head
+    rotationHandle.moveTo(arrowRadius * Math.cos(Math.PI * 0.25), arrowRadius * Math.sin(Math.PI * 0.25))
+      .lineTo(arrowRadius * Math.cos(Math.PI * 0.25) + 2, arrowRadius * Math.sin(Math.PI * 0.25) - 2)
+      .moveTo(arrowRadius * Math.cos(Math.PI * 0.25), arrowRadius * Math.sin(Math.PI * 0.25))
+      .lineTo(arrowRadius * Math.cos(Math.PI * 0.25) + 2, arrowRadius * Math.sin(Math.PI * 0.25) + 1)
+      .stroke({ width: 1.5, color: 0x3b82f6 });
+
+    // Make handle interactive
+    rotationHandle.eventMode = 'static';
+    rotationHandle.cursor = 'grab';
+
+    return rotationHandle;
+  }
+
+  /**
+   * Create the eight resize handle squares in one container
+   * @returns {PIXI.Container} Interactive handles (children carry handleName) without listeners
+   */
+  createResizeHandleGraphics() {
+    const resizeHandles = new PIXI.Container();
+
+    RESIZE_HANDLES.forEach(placement => {
+      const handle = new PIXI.Graphics();
+
+      // White square with blue border, centered on the handle point
+      handle.rect(-5, -5, 10, 10)
+        .fill({ color: 0xffffff })
+        .stroke({ width: 2, color: 0x3b82f6 });
+
+      handle.eventMode = 'static';
+      handle.handleName = placement.name;
+
+      resizeHandles.addChild(handle);
+    });
+
+    return resizeHandles;
+  }
+
+  /**
+   * Place a rotation handle and resize handles around a box
+   * @param {PIXI.Graphics|undefined} rotationHandle - Rotation handle
+   * @param {PIXI.Container|undefined} resizeHandles - Resize handles container
+   * @param {Object} frame - {left, top, right, bottom} of the box in its own space
+   * @param {Function} mapPoint - Maps (x, y) in the box's space to objectContainer space
+   * @param {number} angle - Box rotation in degrees
+   */
+  placeTransformHandles(rotationHandle, resizeHandles, frame, mapPoint, angle) {
+    const centerX = (frame.left + frame.right) / 2;
+    const centerY = (frame.top + frame.bottom) / 2;
+
+    // Rotation handle sits above the top edge
+    if (rotationHandle) {
+      const point = mapPoint(centerX, frame.top - 24);
+      rotationHandle.x = point.x;
+      rotationHandle.y = point.y;
+    }
+
+    // Resize handles on the corners and edge midpoints
+    if (resizeHandles) {
+      resizeHandles.children.forEach(handle => {
+        const placement = getResizeHandle(handle.handleName);
+        const point = mapPoint(
+          centerX + placement.x * (frame.right - frame.left) / 2,
+          centerY + placement.y * (frame.bottom - frame.top) / 2
+        );
+        handle.x = point.x;
+        handle.y = point.y;
+        handle.angle = angle;
+        handle.cursor = resizeCursor(placement, angle);
+      });
+    }
+  }
+
+  /**
+   * Map a point from an object's local space into objectContainer space
+   * Accounts for position, rotation, pivot, scale and the selection container offset
+   * @param {PIXI.DisplayObject} obj - Canvas object
+   * @param {number} x - Local x
+   * @param {number} y - Local y
+   * @returns {PIXI.Point}
+   */
+  objectPointToCanvas(obj, x, y) {
+    return this.objectContainer.toLocal(new PIXI.Point(x, y), obj);
+  }
+
+  /**
+   * Update all selection boxes and rotation handles to match object positions
+   */
+  updateSelectionBoxes() {
+    this.selectionBoxes.forEach((box, objectId) => {
+      const obj = this.objects.get(objectId);
+      if (obj) {
+        // Skip if object is locked by another user (remote transform in progress)
+        // Remote users should see glow, not selection boxes
+        if (obj.lockedBy && obj.lockedBy !== this.currentUserId) {
+          console.log('[CanvasManager] Hiding selection box for remote locked object', objectId, 'locked by', obj.lockedBy);
+          box.visible = false;
+
+          // Also hide rotation and resize handles
+          const rotationHandle = this.rotationHandles.get(objectId);
+          if (rotationHandle) rotationHandle.visible = false;
+
+          const resizeHandles = this.resizeHandles.get(objectId);
+          if (resizeHandles) resizeHandles.visible = false;
+
+          return; // Skip updating positions
+        }
+
+        // Ensure visible for local objects or unlocked objects
+        box.visible = true;
+
+        // Local bounds padded by 2 units, mapped corner by corner so the box
+        // follows rotation, pivot and scale exactly
+        const bounds = obj.getLocalBounds();
+        const left = bounds.x - 2;
+        const top = bounds.y - 2;
+        const right = bounds.x + bounds.width + 2;
+        const bottom = bounds.y + bounds.height + 2;
+        const corners = [
+          this.objectPointToCanvas(obj, left, top),
+          this.objectPointToCanvas(obj, right, top),
+          this.objectPointToCanvas(obj, right, bottom),
+          this.objectPointToCanvas(obj, left, bottom)
+        ];
+
+        box.clear();
+        box.poly(corners.flatMap(point => [point.x, point.y]))
+          .stroke({ width: 2, color: 0x3b82f6 });
+
+        // Per-object handles are hidden for multi-selection, which is
+        // transformed through the group box instead, and while editing points
+        const showHandles = this.selectedObjects.size === 1 && !(this.pathEdit && this.pathEdit.object === obj);
+        const rotationHandle = this.rotationHandles.get(objectId);
+        const resizeHandles = this.resizeHandles.get(objectId);
+        if (rotationHandle) rotationHandle.visible = showHandles;
+        if (resizeHandles) resizeHandles.visible = showHandles;
+
+        this.placeTransformHandles(
+          rotationHandle,
+          resizeHandles,
+          { left, top, right, bottom },
+          (x, y) => this.objectPointToCanvas(obj, x, y),
+          obj.angle
+        );
+      }
+    });
+
+    this.updateGroupSelectionBox();
+  }
+
+  /**
+   * Axis-aligned bounding box of the selected objects in world coordinates
+   * @returns {Object|null} {center: {x, y}, width, height}
+   */
+  getGroupBounds() {
+    const points = [];
+
+    this.selectedObjects.forEach(obj => {
+      if (!obj || !obj.parent) return;
+
+      const bounds = obj.getLocalBounds();
+      points.push(
+        this.objectPointToCanvas(obj, bounds.x, bounds.y),
+        this.objectPointToCanvas(obj, bounds.x + bounds.width, bounds.y),
+        this.objectPointToCanvas(obj, bounds.x + bounds.width, bounds.y + bounds.height),
+        this.objectPointToCanvas(obj, bounds.x, bounds.y + bounds.height)
+      );
+    });
+
+    return boundsOfPoints(points);
+  }
+
+  /**
+   * Show, update or remove the group box and its handles
+   * Shown while several objects are selected; follows an active group transform
+   */
+  updateGroupSelectionBox() {
+    if (this.selectedObjects.size < 2 || !this.objectContainer) {
+      this.removeGroupSelectionBox();
+      return;
+    }
+
+    // Frame the selection - while transforming, the box follows the transform
+    const frame = this.groupTransform ? this.groupTransform.frame : { ...this.getGroupBounds(), angle: 0 };
+    if (!frame.center) return;
+
+    if (!this.groupHandles) {
+      const box = new PIXI.Graphics();
+
+      const rotationHandle = this.createRotationHandleGraphics();
+      rotationHandle.on('pointerdown', this.onGroupRotationHandleDown.bind(this));
+      rotationHandle.on('pointerup', this.onGroupHandleUp.bind(this));
+      rotationHandle.on('pointerupoutside', this.onGroupHandleUp.bind(this));
+
+      const resizeHandles = this.createResizeHandleGraphics();
+      resizeHandles.children.forEach(handle => {
+        handle.on('pointerdown', this.onGroupResizeHandleDown.bind(this));
+        handle.on('pointerup', this.onGroupHandleUp.bind(this));
+        handle.on('pointerupoutside', this.onGroupHandleUp.bind(this));
+      });
+
+      this.objectContainer.addChild(box, rotationHandle, resizeHandles);
+      this.groupHandles = { box, rotationHandle, resizeHandles };
+    }
+
+    // Group box in its own frame: centered on the origin, padded by 4 units
+    const left = -frame.width / 2 - 4;
+    const top = -frame.height / 2 - 4;
+    const right = frame.width / 2 + 4;
+    const bottom = frame.height / 2 + 4;
+    const mapPoint = (x, y) => rotatePointAbout(
+      { x: frame.center.x + x, y: frame.center.y + y },
+      frame.center,
+      frame.angle
+    );
+
+    const corners = [mapPoint(left, top), mapPoint(right, top), mapPoint(right, bottom), mapPoint(left, bottom)];
+    const { box, rotationHandle, resizeHandles } = this.groupHandles;
+
+    box.clear();
+    box.poly(corners.flatMap(point => [point.x, point.y]))
+      .stroke({ width: 1, color: 0x3b82f6 });
+
+    // Rotating shows the turning box; resize handles come back when it ends
+    resizeHandles.visible = !this.groupTransform || this.groupTransform.mode === 'resize';
+
+    this.placeTransformHandles(rotationHandle, resizeHandles, { left, top, right, bottom }, mapPoint, frame.angle);
+  }
+
+  /**
+   * Remove the group box and its handles
+   */
+  removeGroupSelectionBox() {
+    if (!this.groupHandles) return;
+
+    Object.values(this.groupHandles).forEach(graphic => {
+      if (graphic.parent) {
+        graphic.parent.removeChild(graphic);
+      }
+      graphic.destroy({ children: true });
+    });
+
+    this.groupHandles = null;
+  }
+
+  /**
+   * Update all object labels to match object positions
+   */
+  updateObjectLabels() {
+    if (!this.labelsVisible) return;
+
+    this.objectLabels.forEach((label, objectId) => {
+      const obj = this.objects.get(objectId);
+      if (obj) {
+        // Use local bounds and object position (same as selection boxes)
+        const bounds = obj.getLocalBounds();
+        label.container.x = obj.x + bounds.width / 2 - label.container.width / 2;
+        label.container.y = obj.y - label.container.height - 5; // 5px above object
+      }
+    });
+  }
+
+  /**
+   * Handle window resize
+   */
+  handleResize() {
+    if (!this.app || !this.app.renderer) return;
+
+    const container = this.app.canvas.parentElement;
+    if (!container) return;
+
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+
+    // Only resize if we have valid dimensions and dimensions have actually changed
+    if (width > 0 && height > 0 && (width !== this.canvasWidth || height !== this.canvasHeight)) {
+      this.app.renderer.resize(width, height);
+      this.canvasWidth = width;
+      this.canvasHeight = height;
+
+      // Force an immediate render to prevent black screen during transitions
+      this.app.renderer.render(this.app.stage);
+
+      // Update culling after resize (disabled for now)
+      // this.updateVisibleObjects();
+    }
+  }
+
+  /**
+   * Update viewport culling (debounced during pan/zoom)
+   */
+  debouncedCullUpdate() {
+    const now = Date.now();
+    if (now - this.lastCullUpdate > 100) {
+      this.updateVisibleObjects();
+      this.lastCullUpdate = now;
+    }
+  }
+
+  /**
+   * Update visible objects using the spatial index for viewport culling
+   * Culls objects outside the visible viewport for better performance
+   */
+  updateVisibleObjects() {
+    if (!this.objectContainer || !this.app) return;
+
+    // Calculate visible viewport bounds with generous padding to prevent disappearing objects during pan
+    const padding = 500; // Extra padding to keep objects visible during pan/zoom (increased from 100)
+    const minX = -this.viewOffset.x / this.zoomLevel - padding;
+    const minY = -this.viewOffset.y / this.zoomLevel - padding;
+    const maxX = minX + this.canvasWidth / this.zoomLevel + padding * 2;
+    const maxY = minY + this.canvasHeight / this.zoomLevel + padding * 2;
+
+    // Query the spatial index instead of measuring every object
+    const visibleIds = new Set(this.spatialIndex.queryRect(minX, minY, maxX, maxY));
+
+    this.objects.forEach((obj, objectId) => {
+      // Never cull selected objects or objects the index doesn't know about
+      obj.renderable = visibleIds.has(objectId) ||
+        obj.parent === this.selectionContainer ||
+        !this.spatialIndex.has(objectId);
+    });
+  }
+
+  /**
+   * Object interaction handlers
+   */
+  onObjectPointerDown(event) {
+    // Ignore right-clicks (button 2) - those are handled by rightdown event
+    if (event.data.button === 2) {
+      return;
+    }
+
+    // Point editing handles its own clicks (see handleMouseDown)
+    if (this.pathEdit) {
+      return;
+    }
+
+    // Prevent event bubbling
+    event.stopPropagation();
+
+    const object = event.currentTarget;
+    const globalPos = event.data.global;
+    const localPos = this.screenToCanvas(globalPos);
+
+    console.log('[CanvasManager] PixiJS Object pointer down, objectId:', object.objectId, 'selectedObjects.size:', this.selectedObjects.size, 'has object:', this.selectedObjects.has(object));
+
+    // Check if object is locked by another user
+    const pixiObject = this.objects.get(object.objectId);
+    if (pixiObject && pixiObject.lockedBy && pixiObject.lockedBy !== this.currentUserId) {
+      // Object is locked by another user, prevent interaction
+      console.log('[CanvasManager] Object is locked by another user');
+      return;
+    }
+
+    if (this.currentTool === 'select') {
+      // Check if clicked object is a child of selectionContainer
+      // (This handles lasso selections properly since all selected objects are reparented there)
+      const isInSelection = object.parent === this.selectionContainer;
+
+      // Check if shift key is pressed for multi-selection
+      const shiftPressed = event.data.originalEvent.shiftKey;
+
+      console.log('[CanvasManager] onObjectPointerDown: object', object.objectId, 'parent:', object.parent?.constructor?.name, 'isInSelection:', isInSelection, 'shiftPressed:', shiftPressed, 'selectionContainer children:', this.selectionContainer.children.length, 'selectedObjects size:', this.selectedObjects.size);
+
+      if (shiftPressed) {
+        // Shift+click = toggle selection (add or remove from selection)
+        console.log('[CanvasManager] onObjectPointerDown: shift+click, calling toggleSelection for object', object.objectId);
+        this.toggleSelection(object);
+        // Don't start dragging on shift+click - user is building selection
+        return;
+      } else if (!isInSelection) {
+        // Object is not in selection container, select it (replace current selection)
+        console.log('[CanvasManager] onObjectPointerDown: calling setSelection for object', object.objectId);
+        this.setSelection(object);
+      } else {
+        console.log('[CanvasManager] onObjectPointerDown: object already in selection, preserving multi-selection');
+      }
+
+      // Prepare for dragging the selection container (all children move together)
+      this.isDragging = true;
+      this.hasDragged = false; // Track if actual movement occurs
+
+      // Calculate single drag offset for selection container
+      this.dragOffset = {
+        x: this.selectionContainer.x - localPos.x,
+        y: this.selectionContainer.y - localPos.y
+      };
+
+      // Store initial mouse position to detect clicks vs drags
+      this.dragStartPos = { x: localPos.x, y: localPos.y };
+
+      // Objects in dragged frames move along with them
+      this.startFrameDrag();
+
+      // Start of operation: capture initial states for undo
+      const selectedObjectIds = Array.from(this.selectedObjects).map(obj => obj.objectId)
+        .concat(this.frameDrag ? Array.from(this.frameDrag.ids) : []);
+      if (selectedObjectIds.length > 0) {
+        this.startOperation(selectedObjectIds);
+      }
+
+      console.log('[CanvasManager] onObjectPointerDown: set dragOffset', this.dragOffset, 'selectionContainer pos:', { x: this.selectionContainer.x, y: this.selectionContainer.y });
+    } else if (this.currentTool === 'delete') {
+      // Delete object
+      this.deleteObjects([object.objectId]);
+    }
+  }
+
+  /**
+   * Collect the objects in the selected frames that aren't selected themselves,
+   * so dragging the selection moves them too
+   */
+  startFrameDrag() {
+    this.frameDrag = null;
+
+    const frameIds = new Set(Array.from(this.selectedObjects)
+      .filter(obj => obj.objectType === 'frame')
+      .map(obj => obj.objectId));
+    if (frameIds.size === 0) return;
+
+    const membership = this.getFrameMembership();
+    const members = Array.from(this.objects.values()).filter(obj =>
+      frameIds.has(membership.get(obj.objectId)) &&
+      !this.selectedObjects.has(obj) &&
+      !(obj.lockedBy && obj.lockedBy !== this.currentUserId));
+    if (members.length === 0) return;
+
+    this.frameDrag = {
+      origin: { x: this.selectionContainer.x, y: this.selectionContainer.y },
+      members: members.map(obj => ({ obj, x: obj.x, y: obj.y })),
+      ids: new Set(members.map(obj => obj.objectId))
+    };
+  }
+
+  /**
+   * Move the dragged frames' members by as much as the selection has moved
+   */
+  moveFrameMembers() {
+    if (!this.frameDrag) return;
+
+    const dx = this.selectionContainer.x - this.frameDrag.origin.x;
+    const dy = this.selectionContainer.y - this.frameDrag.origin.y;
+    this.frameDrag.members.forEach(({ obj, x, y }) => {
+      if (obj.destroyed) return;
+      obj.x = x + dx;
+      obj.y = y + dy;
+    });
+    this.rerouteConnectorsFor(Array.from(this.frameDrag.ids));
+  }
+
+  /**
+   * Position updates for the dragged frames' members
+   * @returns {Array<Object>} {object_id, position} entries for update_objects_batch
+   */
+  frameMemberUpdates() {
+    if (!this.frameDrag) return [];
+
+    return this.frameDrag.members
+      .filter(({ obj }) => !obj.destroyed)
+      .map(({ obj }) => ({ object_id: obj.objectId, position: { x: obj.x, y: obj.y } }));
+  }
+
+  onObjectPointerMove(event) {
+    // Handled by global mouse move handler
+  }
+
+  onObjectPointerUp(event) {
+    // Handled by global mouse up handler
+  }
+
+  onObjectRightClick(event) {
+    event.stopPropagation();
+    const object = event.currentTarget;
+
+    console.log('[CanvasManager] Right-click on object:', object.objectId);
+
+    // Get the screen position for the context menu
+    const globalPos = event.data.global;
+    const canvasRect = this.app.canvas.getBoundingClientRect();
+    const screenX = globalPos.x + canvasRect.left;
+    const screenY = globalPos.y + canvasRect.top;
+
+    // Show context menu
+    this.showObjectContextMenu(screenX, screenY, object.objectId);
+  }
+
+  showObjectContextMenu(x, y, objectId) {
+    // Remove any existing context menu
+    this.hideContextMenu();
+
+    // Create context menu
+    const menu = document.createElement('div');
+    menu.id = 'object-context-menu';
+    menu.className = 'fixed bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-50';
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+
+    // Menu items
+    const menuItems = [
+      { label: 'Bring to Front', icon: '⬆⬆', event: 'bring_to_front' },
+      { label: 'Move Forward', icon: '⬆', event: 'move_forward' },
+      { label: 'Move Backward', icon: '⬇', event: 'move_backward' },
+      { label: 'Send to Back', icon: '⬇⬇', event: 'send_to_back' },
+    ];
+
+    menuItems.forEach((item) => {
+      const menuItem = document.createElement('button');
+      menuItem.className = 'w-full px-4 py-2 text-left text-sm hover:bg-gray-100 flex items-center gap-2';
+      menuItem.innerHTML = `
+        <span class="text-gray-500">${item.icon}</span>
+        <span>${item.label}</span>
+      `;
+      menuItem.addEventListener('click', () => {
+        // Clear selection before layer operation so we can see the result
+        this.clearSelection();
+
+        this.emit(item.event, { object_id: objectId });
+        this.hideContextMenu();
+      });
+      menu.appendChild(menuItem);
+    });
 
-      if (!object) {
-        console.warn('[CanvasManager] selectObjectsByIds: Object not found:', objectId);
-        return;
-      }
+    const obj = this.objects.get(objectId);
+    if (obj && ['line', 'arrow', 'connector'].includes(obj.objectType)) {
+      this.appendStyleRows(menu, obj, this.lineStyleRows(obj));
+    }
+    if (obj && obj.objectType !== 'image') {
+      this.appendStyleRows(menu, obj, this.shapeStyleRows(obj));
+    }
 
-      // Skip if already selected
-      if (this.selectedObjects.has(object)) {
-        return;
-      }
+    document.body.appendChild(menu);
 
-      // Add to selection (same pattern as lasso selection)
-      this.addToSelection(object);
-      this.selectedObjects.add(object);
-      this.emit('lock_object', { object_id: object.objectId });
-      this.createSelectionBox(object);
-    });
+    // Adjust position if menu goes off-screen
+    const rect = menu.getBoundingClientRect();
+    if (rect.right > window.innerWidth) {
+      menu.style.left = `${window.innerWidth - rect.width - 10}px`;
+    }
+    if (rect.bottom > window.innerHeight) {
+      menu.style.top = `${window.innerHeight - rect.height - 10}px`;
+    }
 
-    console.log('[CanvasManager] Multi-selection complete, selected', this.selectedObjects.size, 'objects');
+    // Close context menu when clicking elsewhere
+    const clickHandler = (e) => {
+      if (menu && !menu.contains(e.target)) {
+        this.hideContextMenu();
+        document.removeEventListener('click', clickHandler);
+      }
+    };
+    // Use setTimeout to avoid immediate closure from the same click
+    setTimeout(() => {
+      document.addEventListener('click', clickHandler);
+    }, 0);
   }
 
   /**
-   * Create a selection box for an object
-   * @param {PIXI.DisplayObject} object - Object to create selection box for
+   * Arrowhead (and connector routing) choices for the context menu
+   * @param {PIXI.Graphics} obj - Line, arrow or connector
+   * @returns {Array<Object>} Rows for appendStyleRows()
    */
-  createSelectionBox(object) {
-    // Remove any existing selection box for this object first
-    const existingBox = this.selectionBoxes.get(object.objectId);
-    if (existingBox) {
-      this.objectContainer.removeChild(existingBox);
-      existingBox.destroy();
-      this.selectionBoxes.delete(object.objectId);
+  lineStyleRows(obj) {
+    const heads = arrowheadsFor(obj.objectType, obj.objectData);
+    const choices = (key, options) => options.map(option => ({ label: option, changes: { [key]: option } }));
+    const rows = [
+      { label: 'Start', options: choices('start_arrow', ARROWHEAD_STYLES), current: heads.start },
+      { label: 'End', options: choices('end_arrow', ARROWHEAD_STYLES), current: heads.end }
+    ];
+    if (obj.objectType === 'connector') {
+      rows.push({
+        label: 'Route',
+        options: choices('routing', CONNECTOR_ROUTINGS),
+        current: obj.objectData.routing || 'straight'
+      });
     }
+    return rows;
+  }
 
-    // Remove existing rotation handle
-    const existingRotationHandle = this.rotationHandles.get(object.objectId);
-    if (existingRotationHandle) {
-      this.objectContainer.removeChild(existingRotationHandle);
-      existingRotationHandle.destroy();
-      this.rotationHandles.delete(object.objectId);
-    }
+  /**
+   * Stroke pattern, fill, corner and effect choices for the context menu
+   * Gradients start from the object's fill color; the menu offers presets and the
+   * full settings live in the object data (see shape_styles.js).
+   * @param {PIXI.DisplayObject} obj - Object
+   * @returns {Array<Object>} Rows for appendStyleRows()
+   */
+  shapeStyleRows(obj) {
+    const data = obj.objectData || {};
+    const type = obj.objectType;
+    const rows = [];
 
-    // Remove existing resize handle
-    const existingResizeHandle = this.resizeHandles.get(object.objectId);
-    if (existingResizeHandle) {
-      this.objectContainer.removeChild(existingResizeHandle);
-      existingResizeHandle.destroy();
-      this.resizeHandles.delete(object.objectId);
+    if (obj instanceof PIXI.Graphics) {
+      rows.push({
+        label: 'Stroke',
+        options: STROKE_STYLES.map(style => ({ label: style, changes: { stroke_style: style } })),
+        current: data.stroke_style || 'solid'
+      });
     }
 
-    const selectionBox = new PIXI.Graphics();
-
-    // Use local bounds (container-relative) instead of global bounds
-    const bounds = object.getLocalBounds();
-
-    // v8 Graphics API: shape → stroke (no fill for selection box)
-    selectionBox.rect(
-      -2,
-      -2,
-      bounds.width + 4,
-      bounds.height + 4
-    ).stroke({ width: 2, color: 0x3b82f6 });
-
-    // Position selection box at object's position
-    selectionBox.x = object.x;
-    selectionBox.y = object.y;
-
-    // Match rotation and pivot of the object so selection box rotates with it
-    selectionBox.angle = object.angle;
-    selectionBox.pivot.set(object.pivot.x, object.pivot.y);
-
-    this.objectContainer.addChild(selectionBox);
-    this.selectionBoxes.set(object.objectId, selectionBox);
-
-    // Only create rotation and resize handles for single-object selection
-    // Multi-selection should only support drag/move operations
-    if (this.selectedObjects.size > 1) {
-      return; // Skip handle creation for multi-selection
+    const fillable = ['rectangle', 'circle', 'star', 'triangle', 'polygon'].includes(type)
+      || (type === 'path' && data.closed);
+    if (fillable) {
+      const from = this.validateColor(data.fill || data.color) || '#3b82f6';
+      const stops = [{ offset: 0, color: from }, { offset: 1, color: '#ffffff' }];
+      const gradient = normalizeGradient(data.fill_gradient);
+      rows.push({
+        label: 'Fill',
+        options: [
+          { label: 'solid', changes: { fill_gradient: null } },
+          { label: 'linear', changes: { fill_gradient: { type: 'linear', angle: 90, stops } } },
+          { label: 'radial', changes: { fill_gradient: { type: 'radial', stops } } }
+        ],
+        current: gradient ? gradient.type : 'solid'
+      });
     }
 
-    // Create rotation handle at top-right corner
-    const rotationHandle = new PIXI.Graphics();
-
-    // Draw circle with white fill and blue border
-    rotationHandle.circle(0, 0, 10)
-      .fill({ color: 0xffffff })
-      .stroke({ width: 2, color: 0x3b82f6 });
+    if (type === 'rectangle') {
+      rows.push({
+        label: 'Corner',
+        options: [0, 8, 16].map(radius => ({ label: String(radius), changes: { corner_radius: radius } })),
+        current: String(data.corner_radius || 0)
+      });
+    }
 
-    // Draw rotation arrow icon (curved arrow)
-    const arrowRadius = 4;
-    rotationHandle.arc(0, 0, arrowRadius, -Math.PI * 0.75, Math.PI * 0.25)
-      .stroke({ width: 1.5, color: 0x3b82f6 });
+    rows.push({
+      label: 'Shadow',
+      options: [
+        { label: 'none', changes: { shadow: null } },
+        { label: 'drop', changes: { shadow: normalizeShadow({}) } }
+      ],
+      current: data.shadow ? 'drop' : 'none'
+    });
+    rows.push({
+      label: 'Blur',
+      options: [0, 4, 8].map(blur => ({ label: String(blur), changes: { blur } })),
+      current: String(data.blur || 0)
+    });
 
-    // Arrow head
-    rotationHandle.moveTo(arrowRadius * Math.cos(Math.PI * 0.25), arrowRadius * Math.sin(Math.PI * 0.25))
-      .lineTo(arrowRadius * Math.cos(Math.PI * 0.25) + 2, arrowRadius * Math.sin(Math.PI * 0.25) - 2)
-      .moveTo(arrowRadius * Math.cos(Math.PI * 0.25), arrowRadius * Math.sin(Math.PI * 0.25))
-      .lineTo(arrowRadius * Math.cos(Math.PI * 0.25) + 2, arrowRadius * Math.sin(Math.PI * 0.25) + 1)
-      .stroke({ width: 1.5, color: 0x3b82f6 });
+    return rows;
+  }
 
-    // Position at top-right corner, accounting for object rotation
-    const rotLocalX = bounds.width / 2 + 2;
-    const rotLocalY = -bounds.height / 2 - 2;
-    const rotAngleRad = object.angle * Math.PI / 180;
-    const rotRotatedX = rotLocalX * Math.cos(rotAngleRad) - rotLocalY * Math.sin(rotAngleRad);
-    const rotRotatedY = rotLocalX * Math.sin(rotAngleRad) + rotLocalY * Math.cos(rotAngleRad);
-    rotationHandle.x = object.x + rotRotatedX;
-    rotationHandle.y = object.y + rotRotatedY;
+  /**
+   * Add rows of style choices to the context menu
+   * @param {HTMLElement} menu - Context menu element
+   * @param {PIXI.DisplayObject} obj - Object the menu is for
+   * @param {Array<Object>} rows - [{label, options: [{label, changes}], current}]
+   */
+  appendStyleRows(menu, obj, rows) {
+    const divider = document.createElement('div');
+    divider.className = 'border-t border-gray-200 my-1';
+    menu.appendChild(divider);
+
+    rows.forEach(row => {
+      const rowElement = document.createElement('div');
+      rowElement.className = 'px-4 py-1 flex items-center gap-1 text-xs';
+
+      const label = document.createElement('span');
+      label.className = 'w-12 text-gray-500';
+      label.textContent = row.label;
+      rowElement.appendChild(label);
+
+      row.options.forEach(option => {
+        const button = document.createElement('button');
+        button.className = option.label === row.current
+          ? 'px-1.5 py-0.5 rounded bg-blue-100 text-blue-700'
+          : 'px-1.5 py-0.5 rounded hover:bg-gray-100';
+        button.textContent = option.label;
+        button.addEventListener('click', () => {
+          this.updateObjectStyle(obj.objectId, option.changes);
+          this.hideContextMenu();
+        });
+        rowElement.appendChild(button);
+      });
 
-    // Make handle interactive
-    rotationHandle.eventMode = 'static';
-    rotationHandle.cursor = 'grab';
-    rotationHandle.objectId = object.objectId;
+      menu.appendChild(rowElement);
+    });
+  }
 
-    // Add rotation handle event listeners
-    rotationHandle.on('pointerdown', this.onRotationHandleDown.bind(this));
-    rotationHandle.on('pointerup', this.onRotationHandleUp.bind(this));
-    rotationHandle.on('pointerupoutside', this.onRotationHandleUp.bind(this));
+  hideContextMenu() {
+    const menu = document.getElementById('object-context-menu');
+    if (menu) {
+      menu.remove();
+    }
+  }
 
-    this.objectContainer.addChild(rotationHandle);
-    this.rotationHandles.set(object.objectId, rotationHandle);
+  /**
+   * Handle rotation handle pointer down
+   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
+   */
+  onRotationHandleDown(event) {
+    event.stopPropagation();
 
-    // Create resize handle at bottom-right corner
-    const resizeHandle = new PIXI.Graphics();
+    const handle = event.currentTarget;
+    const objectId = handle.objectId;
+    const object = this.objects.get(objectId);
 
-    // Draw circle with white fill and blue border
-    resizeHandle.circle(0, 0, 10)
-      .fill({ color: 0xffffff })
-      .stroke({ width: 2, color: 0x3b82f6 });
+    if (!object) {
+      console.error('[CanvasManager] No object found for objectId:', objectId);
+      return;
+    }
 
-    // Draw resize arrows pointing towards center (diagonal inward)
-    // Arrow pointing up-left (towards center from bottom-right corner)
-    resizeHandle.moveTo(0, 0)
-      .lineTo(-4, -4)
-      .moveTo(-4, -4)
-      .lineTo(-2, -4)
-      .moveTo(-4, -4)
-      .lineTo(-4, -2)
-      .stroke({ width: 1.5, color: 0x3b82f6 });
+    // Get mouse position at grab time
+    const globalPos = event.data.global;
+    const mousePos = this.screenToCanvas(globalPos);
 
-    // Position at bottom-right corner, accounting for object rotation
-    const resLocalX = bounds.width / 2 + 2;
-    const resLocalY = bounds.height / 2 + 2;
-    const resAngleRad = object.angle * Math.PI / 180;
-    const resRotatedX = resLocalX * Math.cos(resAngleRad) - resLocalY * Math.sin(resAngleRad);
-    const resRotatedY = resLocalX * Math.sin(resAngleRad) + resLocalY * Math.cos(resAngleRad);
-    resizeHandle.x = object.x + resRotatedX;
-    resizeHandle.y = object.y + resRotatedY;
+    // Calculate initial angle from object center to mouse position
+    const dx = mousePos.x - object.x;
+    const dy = mousePos.y - object.y;
+    this.rotationGrabAngle = Math.atan2(dy, dx) * (180 / Math.PI) + 90;
 
-    // Rotate handle to point towards center (object angle + 180° to point inward)
-    resizeHandle.angle = object.angle + 180;
+    // Start rotating
+    this.isRotating = true;
+    this.rotatingObject = object;
+    this.rotationStartAngle = object.angle || 0;
 
-    // Make handle interactive
-    resizeHandle.eventMode = 'static';
-    resizeHandle.cursor = 'nwse-resize';
-    resizeHandle.objectId = object.objectId;
+    // Change cursor to grabbing
+    handle.cursor = 'grabbing';
 
-    // Add resize handle event listeners
-    resizeHandle.on('pointerdown', this.onResizeHandleDown.bind(this));
-    resizeHandle.on('pointerup', this.onResizeHandleUp.bind(this));
-    resizeHandle.on('pointerupoutside', this.onResizeHandleUp.bind(this));
+    // Prevent object dragging while rotating
+    this.isDragging = false;
 
-    this.objectContainer.addChild(resizeHandle);
-    this.resizeHandles.set(object.objectId, resizeHandle);
+    // Start of operation: capture initial state for undo
+    this.startOperation([objectId]);
   }
 
   /**
-   * Update all selection boxes and rotation handles to match object positions
+   * Handle rotation handle pointer up
+   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
    */
-  updateSelectionBoxes() {
-    this.selectionBoxes.forEach((box, objectId) => {
-      const obj = this.objects.get(objectId);
-      if (obj) {
-        // Skip if object is locked by another user (remote transform in progress)
-        // Remote users should see glow, not selection boxes
-        if (obj.lockedBy && obj.lockedBy !== this.currentUserId) {
-          console.log('[CanvasManager] Hiding selection box for remote locked object', objectId, 'locked by', obj.lockedBy);
-          box.visible = false;
+  onRotationHandleUp(event) {
+    if (!this.isRotating || !this.rotatingObject) return;
 
-          // Also hide rotation and resize handles
-          const rotationHandle = this.rotationHandles.get(objectId);
-          if (rotationHandle) rotationHandle.visible = false;
+    event.stopPropagation();
 
-          const resizeHandle = this.resizeHandles.get(objectId);
-          if (resizeHandle) resizeHandle.visible = false;
+    const obj = this.rotatingObject;
 
-          return; // Skip updating positions
+    // Get the object's ID
+    const objectData = Array.from(this.objects.entries()).find(([id, pixiObj]) => pixiObj === obj);
+    if (objectData) {
+      const [objectId, pixiObj] = objectData;
+
+      // Emit update with new rotation angle (stored in data field, just like AI rotation)
+      this.emit('update_object', {
+        object_id: objectId,
+        data: {
+          rotation: Math.round(obj.angle) // Round to nearest degree
         }
+      });
 
-        // Ensure visible for local objects or unlocked objects
-        box.visible = true;
+      // End of operation: record one undo history entry
+      this.endOperation([objectId]);
+    }
 
-        // Use local bounds (container-relative)
-        const bounds = obj.getLocalBounds();
-        box.clear();
-        box.rect(
-          -2,
-          -2,
-          bounds.width + 4,
-          bounds.height + 4
-        ).stroke({ width: 2, color: 0x3b82f6 });
-
-        // Update position to match object (convert to objectContainer space)
-        const worldPos = obj.getGlobalPosition();
-        const boxLocalPos = this.objectContainer.toLocal(worldPos);
-        box.x = boxLocalPos.x;
-        box.y = boxLocalPos.y;
-
-        // Update rotation and pivot to match object (for rotated objects)
-        box.angle = obj.angle;
-        box.pivot.set(obj.pivot.x, obj.pivot.y);
-
-        // Hide rotation and resize handles for multi-selection
-        // Multi-selection only supports drag/move operations
-        const isMultiSelection = this.selectedObjects.size > 1;
-
-        // Update rotation handle position (top-right corner)
-        const rotationHandle = this.rotationHandles.get(objectId);
-        if (rotationHandle) {
-          rotationHandle.visible = !isMultiSelection; // Hide for multi-selection
-          // Use temp size if resizing, otherwise use actual bounds
-          const width = obj.tempWidth || bounds.width;
-          const height = obj.tempHeight || bounds.height;
-
-          // Calculate corner position in local space (relative to object center)
-          const localX = width / 2 + 2;
-          const localY = -height / 2 - 2;
-
-          // Rotate the local position by the object's angle
-          const angleRad = obj.angle * Math.PI / 180;
-          const rotatedX = localX * Math.cos(angleRad) - localY * Math.sin(angleRad);
-          const rotatedY = localX * Math.sin(angleRad) + localY * Math.cos(angleRad);
-
-          // Position handle at rotated corner position (convert to objectContainer space)
-          const handleWorldX = worldPos.x + rotatedX;
-          const handleWorldY = worldPos.y + rotatedY;
-          const handleLocalPos = this.objectContainer.toLocal(new PIXI.Point(handleWorldX, handleWorldY));
-          rotationHandle.x = handleLocalPos.x;
-          rotationHandle.y = handleLocalPos.y;
-        }
+    // Reset rotation handle cursor
+    const handle = event.currentTarget;
+    if (handle) {
+      handle.cursor = 'grab';
+    }
 
-        // Update resize handle position (bottom-right corner)
-        const resizeHandle = this.resizeHandles.get(objectId);
-        if (resizeHandle) {
-          resizeHandle.visible = !isMultiSelection; // Hide for multi-selection
-
-          // Use temp size if resizing, otherwise use actual bounds
-          const width = obj.tempWidth || bounds.width;
-          const height = obj.tempHeight || bounds.height;
-
-          // Calculate corner position in local space (relative to object center)
-          const localX = width / 2 + 2;
-          const localY = height / 2 + 2;
-
-          // Rotate the local position by the object's angle
-          const angleRad = obj.angle * Math.PI / 180;
-          const rotatedX = localX * Math.cos(angleRad) - localY * Math.sin(angleRad);
-          const rotatedY = localX * Math.sin(angleRad) + localY * Math.cos(angleRad);
-
-          // Position handle at rotated corner position (convert to objectContainer space)
-          const resizeWorldX = worldPos.x + rotatedX;
-          const resizeWorldY = worldPos.y + rotatedY;
-          const resizeLocalPos = this.objectContainer.toLocal(new PIXI.Point(resizeWorldX, resizeWorldY));
-          resizeHandle.x = resizeLocalPos.x;
-          resizeHandle.y = resizeLocalPos.y;
-
-          // Rotate handle to point towards center (object angle + 180° to point inward)
-          resizeHandle.angle = obj.angle + 180;
-        }
-      }
-    });
+    this.isRotating = false;
+    this.rotatingObject = null;
   }
 
   /**
-   * Update all object labels to match object positions
+   * Handle resize handle pointer down
+   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
    */
-  updateObjectLabels() {
-    if (!this.labelsVisible) return;
+  onResizeHandleDown(event) {
+    event.stopPropagation();
 
-    this.objectLabels.forEach((label, objectId) => {
-      const obj = this.objects.get(objectId);
-      if (obj) {
-        // Use local bounds and object position (same as selection boxes)
-        const bounds = obj.getLocalBounds();
-        label.container.x = obj.x + bounds.width / 2 - label.container.width / 2;
-        label.container.y = obj.y - label.container.height - 5; // 5px above object
-      }
-    });
-  }
+    const handle = event.currentTarget;
+    const objectId = handle.objectId;
+    const object = this.objects.get(objectId);
 
-  /**
-   * Handle window resize
-   */
-  handleResize() {
-    if (!this.app || !this.app.renderer) return;
+    if (!object) {
+      console.error('[CanvasManager] No object found for objectId:', objectId);
+      return;
+    }
 
-    const container = this.app.canvas.parentElement;
-    if (!container) return;
+    // Get mouse position at grab time
+    const globalPos = event.data.global;
+    const mousePos = this.screenToCanvas(globalPos);
 
-    const width = container.clientWidth;
-    const height = container.clientHeight;
+    // Store the starting box: the drag is always computed from these values
+    this.resizeStartMousePos = { x: mousePos.x, y: mousePos.y };
+    this.resizeStartSize = this.getObjectSize(object);
+    this.resizeStartCenter = this.getObjectCenter(object);
+    this.resizeStartData = { ...object.objectData };
+    this.resizeHandle = getResizeHandle(handle.handleName) || getResizeHandle('se');
+    this.resizeResult = null;
+
+    // Stroke margin between the logical box and the drawn bounds (for snapping edges)
+    const worldBounds = this.getObjectWorldBounds(object);
+    this.resizeStartPadding = {
+      x: Math.max(0, (worldBounds.maxX - worldBounds.minX - this.resizeStartSize.width) / 2),
+      y: Math.max(0, (worldBounds.maxY - worldBounds.minY - this.resizeStartSize.height) / 2)
+    };
 
-    // Only resize if we have valid dimensions and dimensions have actually changed
-    if (width > 0 && height > 0 && (width !== this.canvasWidth || height !== this.canvasHeight)) {
-      this.app.renderer.resize(width, height);
-      this.canvasWidth = width;
-      this.canvasHeight = height;
+    // Start resizing
+    this.isResizing = true;
+    this.resizingObject = object;
 
-      // Force an immediate render to prevent black screen during transitions
-      this.app.renderer.render(this.app.stage);
+    // Prevent object dragging while resizing
+    this.isDragging = false;
 
-      // Update culling after resize (disabled for now)
-      // this.updateVisibleObjects();
-    }
+    // Start of operation: capture initial state for undo
+    this.startOperation([objectId]);
   }
 
   /**
-   * Update viewport culling (debounced during pan/zoom)
+   * Handle resize handle pointer up
+   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
    */
-  debouncedCullUpdate() {
-    const now = Date.now();
-    if (now - this.lastCullUpdate > 100) {
-      this.updateVisibleObjects();
-      this.lastCullUpdate = now;
-    }
+  onResizeHandleUp(event) {
+    if (!this.isResizing || !this.resizingObject) return;
+
+    event.stopPropagation();
+    this.finishResize();
   }
 
   /**
-   * Update visible objects using v8 Culler for viewport culling
-   * Culls objects outside the visible viewport for better performance
+   * Apply a resize handle drag to the object being resized
+   *
+   * The opposite edge/corner stays fixed; Shift keeps the aspect ratio and
+   * Alt resizes about the center. Circles and text always keep their aspect
+   * ratio (text resizes by scaling its font).
+   *
+   * @param {Object} position - Pointer position in world coordinates
+   * @param {Object} modifiers - {shiftKey, altKey} from the pointer event
    */
-  updateVisibleObjects() {
-    if (!this.objectContainer || !this.app) return;
+  applyResizeDrag(position, modifiers = {}) {
+    const obj = this.resizingObject;
+    const lockedAspect = ['circle', 'text'].includes(obj.objectType);
+
+    const result = this.computeSnappedResize({
+      handle: this.resizeHandle,
+      width: this.resizeStartSize.width,
+      height: this.resizeStartSize.height,
+      center: this.resizeStartCenter,
+      angle: obj.angle,
+      dx: position.x - this.resizeStartMousePos.x,
+      dy: position.y - this.resizeStartMousePos.y,
+      keepAspect: !!modifiers.shiftKey || lockedAspect,
+      fromCenter: !!modifiers.altKey,
+      minSize: obj.objectType === 'text' ? 4 : 10
+    }, this.resizeStartPadding, modifiers);
+
+    if (obj.objectType === 'text') {
+      this.scaleText(obj, this.resizeStartData, result.height / this.resizeStartSize.height);
+    } else {
+      this.redrawGraphicsWithSize(obj, result.width, result.height);
+    }
+    this.setObjectCenter(obj, result.center);
+    this.rerouteConnectorsFor([obj.objectId]);
 
-    // Calculate visible viewport bounds with generous padding to prevent disappearing objects during pan
-    const padding = 500; // Extra padding to keep objects visible during pan/zoom (increased from 100)
-    const viewportBounds = new PIXI.Rectangle(
-      -this.viewOffset.x / this.zoomLevel - padding,
-      -this.viewOffset.y / this.zoomLevel - padding,
-      this.canvasWidth / this.zoomLevel + padding * 2,
-      this.canvasHeight / this.zoomLevel + padding * 2
-    );
+    this.resizeResult = result;
+    this.updateSelectionBoxes();
 
-    // Use v8 Culler.shared to cull invisible objects
-    PIXI.Culler.shared.cull(this.objectContainer, viewportBounds);
+    // Broadcast size changes during resize (throttled to avoid spam)
+    if (!this.lastResizeUpdate || Date.now() - this.lastResizeUpdate > 50) {
+      this.emit('update_object', this.resizeUpdatePayload(obj));
+      this.lastResizeUpdate = Date.now();
+    }
   }
 
   /**
-   * Object interaction handlers
+   * Commit the current resize and leave resize mode
    */
-  onObjectPointerDown(event) {
-    // Ignore right-clicks (button 2) - those are handled by rightdown event
-    if (event.data.button === 2) {
-      return;
+  finishResize() {
+    const obj = this.resizingObject;
+
+    if (this.resizeResult && !obj.destroyed) {
+      this.emit('update_object', this.resizeUpdatePayload(obj));
+      this.updateSpatialIndex(obj);
     }
 
-    // Prevent event bubbling
-    event.stopPropagation();
+    // End of operation: record one undo history entry
+    this.endOperation([obj.objectId]);
 
-    const object = event.currentTarget;
-    const globalPos = event.data.global;
-    const localPos = this.screenToCanvas(globalPos);
+    this.isResizing = false;
+    this.resizingObject = null;
+    this.resizeHandle = null;
+    this.resizeResult = null;
+    this.endSnapping();
+  }
 
-    console.log('[CanvasManager] PixiJS Object pointer down, objectId:', object.objectId, 'selectedObjects.size:', this.selectedObjects.size, 'has object:', this.selectedObjects.has(object));
+  /**
+   * Build the update_object payload for the object being resized
+   * @param {PIXI.DisplayObject} obj - Resized object
+   * @returns {Object} {object_id, position, data}
+   */
+  resizeUpdatePayload(obj) {
+    const center = this.getObjectCenter(obj);
+    const data = obj.objectData || {};
+
+    let changes;
+    if (obj.objectType === 'text') {
+      changes = { font_size: data.font_size };
+      if (getRuns(data)) changes.runs = data.runs;
+    } else if (obj.objectType === 'line' || obj.objectType === 'arrow') {
+      const round = point => ({ x: Math.round(point.x), y: Math.round(point.y) });
+      changes = { start: round(data.start), end: round(data.end) };
+    } else if (obj.objectType === 'path') {
+      const round = value => Math.round(value * 10) / 10;
+      changes = data.nodes
+        ? { nodes: mapNodes(data.nodes, point => ({ x: round(point.x), y: round(point.y) })) }
+        : { points: (data.points || []).map(round) };
+    } else {
+      changes = { width: Math.round(data.width), height: Math.round(data.height) };
+    }
 
-    // Check if object is locked by another user
-    const pixiObject = this.objects.get(object.objectId);
-    if (pixiObject && pixiObject.lockedBy && pixiObject.lockedBy !== this.currentUserId) {
-      // Object is locked by another user, prevent interaction
-      console.log('[CanvasManager] Object is locked by another user');
-      return;
+    return {
+      object_id: obj.objectId,
+      position: { x: Math.round(center.x), y: Math.round(center.y) },
+      data: changes
+    };
+  }
+
+  /**
+   * Scale a text object's font (and any run font sizes) relative to resize start
+   * @param {PIXI.Text|PIXI.HTMLText} textObject - Text object
+   * @param {Object} startData - Text object data when the resize started
+   * @param {number} scale - Scale relative to the size when the resize started
+   */
+  scaleText(textObject, startData, scale) {
+    const fontSize = Math.max(1, Math.round((startData.font_size || 16) * scale));
+    const changes = { font_size: fontSize };
+
+    const runs = getRuns(startData);
+    if (runs) {
+      changes.runs = runs.map(run => (run.font_size
+        ? { ...run, font_size: Math.max(1, Math.round(run.font_size * scale)) }
+        : run));
+      textObject.text = runsToHtml(changes.runs);
     }
 
-    if (this.currentTool === 'select') {
-      // Check if clicked object is a child of selectionContainer
-      // (This handles lasso selections properly since all selected objects are reparented there)
-      const isInSelection = object.parent === this.selectionContainer;
+    textObject.objectData = { ...startData, ...changes };
+    textObject.style.fontSize = fontSize;
 
-      // Check if shift key is pressed for multi-selection
-      const shiftPressed = event.data.originalEvent.shiftKey;
+    const bounds = textObject.getLocalBounds();
+    textObject.pivot.set(bounds.width / 2, bounds.height / 2);
+  }
 
-      console.log('[CanvasManager] onObjectPointerDown: object', object.objectId, 'parent:', object.parent?.constructor?.name, 'isInSelection:', isInSelection, 'shiftPressed:', shiftPressed, 'selectionContainer children:', this.selectionContainer.children.length, 'selectedObjects size:', this.selectedObjects.size);
+  /**
+   * Get an object's logical size (stored width/height, not stroke-inflated bounds)
+   * @param {PIXI.DisplayObject} obj - Canvas object
+   * @returns {Object} {width, height}
+   */
+  getObjectSize(obj) {
+    if (obj.objectType === 'text') {
+      const bounds = obj.getLocalBounds();
+      return { width: bounds.width, height: bounds.height };
+    }
 
-      if (shiftPressed) {
-        // Shift+click = toggle selection (add or remove from selection)
-        console.log('[CanvasManager] onObjectPointerDown: shift+click, calling toggleSelection for object', object.objectId);
-        this.toggleSelection(object);
-        // Don't start dragging on shift+click - user is building selection
-        return;
-      } else if (!isInSelection) {
-        // Object is not in selection container, select it (replace current selection)
-        console.log('[CanvasManager] onObjectPointerDown: calling setSelection for object', object.objectId);
-        this.setSelection(object);
-      } else {
-        console.log('[CanvasManager] onObjectPointerDown: object already in selection, preserving multi-selection');
-      }
+    if (obj.objectType === 'image') {
+      return { width: obj.imageWidth, height: obj.imageHeight };
+    }
 
-      // Prepare for dragging the selection container (all children move together)
-      this.isDragging = true;
-      this.hasDragged = false; // Track if actual movement occurs
+    if (obj.objectType === 'frame') {
+      return { width: obj.frameWidth, height: obj.frameHeight };
+    }
 
-      // Calculate single drag offset for selection container
-      this.dragOffset = {
-        x: this.selectionContainer.x - localPos.x,
-        y: this.selectionContainer.y - localPos.y
-      };
+    // Lines, arrows and connectors are sized by their drawn route
+    if (obj.pathPoints) {
+      const xs = obj.pathPoints.filter((value, index) => index % 2 === 0);
+      const ys = obj.pathPoints.filter((value, index) => index % 2 === 1);
+      return { width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+    }
 
-      // Store initial mouse position to detect clicks vs drags
-      this.dragStartPos = { x: localPos.x, y: localPos.y };
+    // Same defaults as the create* methods (circles, stars and polygons are sized by width)
+    const data = obj.objectData || {};
+    const width = data.width || 100;
+    const sizedByWidth = ['circle', 'star', 'polygon'].includes(obj.objectType);
+    return { width, height: data.height || (sizedByWidth ? width : 100) };
+  }
 
-      // Notify server: start of operation (capture initial states)
-      const selectedObjectIds = Array.from(this.selectedObjects).map(obj => obj.objectId);
-      if (selectedObjectIds.length > 0) {
-        this.emit('start_operation', { object_ids: selectedObjectIds });
-      }
+  /**
+   * Get an object's center (its position) in world coordinates
+   * @param {PIXI.DisplayObject} obj - Canvas object
+   * @returns {PIXI.Point}
+   */
+  getObjectCenter(obj) {
+    return this.objectContainer.toLocal(obj.position, obj.parent);
+  }
 
-      console.log('[CanvasManager] onObjectPointerDown: set dragOffset', this.dragOffset, 'selectionContainer pos:', { x: this.selectionContainer.x, y: this.selectionContainer.y });
-    } else if (this.currentTool === 'delete') {
-      // Delete object
-      this.emit('delete_object', { object_id: object.objectId });
-    }
+  /**
+   * Move an object so its center (position) lands on a world point
+   * @param {PIXI.DisplayObject} obj - Canvas object
+   * @param {Object} center - {x, y} in world coordinates
+   */
+  setObjectCenter(obj, center) {
+    const local = obj.parent.toLocal(new PIXI.Point(center.x, center.y), this.objectContainer);
+    obj.x = local.x;
+    obj.y = local.y;
   }
 
-  onObjectPointerMove(event) {
-    // Handled by global mouse move handler
+  /**
+   * Handle group rotation handle pointer down
+   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
+   */
+  onGroupRotationHandleDown(event) {
+    event.stopPropagation();
+    event.currentTarget.cursor = 'grabbing';
+    this.startGroupTransform('rotate', this.screenToCanvas(event.data.global));
   }
 
-  onObjectPointerUp(event) {
-    // Handled by global mouse up handler
+  /**
+   * Handle group resize handle pointer down
+   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
+   */
+  onGroupResizeHandleDown(event) {
+    event.stopPropagation();
+    this.startGroupTransform('resize', this.screenToCanvas(event.data.global), event.currentTarget.handleName);
   }
 
-  onObjectRightClick(event) {
+  /**
+   * Handle group rotation/resize handle pointer up
+   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
+   */
+  onGroupHandleUp(event) {
+    if (!this.groupTransform) return;
+
     event.stopPropagation();
-    const object = event.currentTarget;
+    this.finishGroupTransform();
+  }
 
-    console.log('[CanvasManager] Right-click on object:', object.objectId);
+  /**
+   * Start rotating or resizing the whole multi-selection
+   *
+   * Every object's starting center, angle, size and data is captured so each
+   * drag step is computed from the start (no accumulated rounding).
+   *
+   * @param {string} mode - 'rotate' or 'resize'
+   * @param {Object} mousePos - Pointer position in world coordinates
+   * @param {string} handleName - Grabbed resize handle (resize mode)
+   */
+  startGroupTransform(mode, mousePos, handleName = null) {
+    const bounds = this.getGroupBounds();
+    if (!bounds) return;
+
+    // Connectors aren't transformed themselves - they reroute to follow their ends
+    const items = Array.from(this.selectedObjects)
+      .filter(obj => obj && obj.parent && obj.objectType !== 'connector')
+      .map(obj => ({
+        obj,
+        center: this.getObjectCenter(obj),
+        angle: obj.angle || 0,
+        size: this.getObjectSize(obj),
+        data: { ...obj.objectData }
+      }));
+
+    this.groupTransform = {
+      mode,
+      items,
+      startBounds: bounds,
+      frame: { ...bounds, angle: 0 },
+      startMousePos: { x: mousePos.x, y: mousePos.y },
+      grabAngle: Math.atan2(mousePos.y - bounds.center.y, mousePos.x - bounds.center.x) * (180 / Math.PI),
+      handle: getResizeHandle(handleName) || getResizeHandle('se'),
+      changed: false
+    };
 
-    // Get the screen position for the context menu
-    const globalPos = event.data.global;
-    const canvasRect = this.app.canvas.getBoundingClientRect();
-    const screenX = globalPos.x + canvasRect.left;
-    const screenY = globalPos.y + canvasRect.top;
+    // Prevent selection dragging while transforming
+    this.isDragging = false;
 
-    // Show context menu
-    this.showObjectContextMenu(screenX, screenY, object.objectId);
+    // Start of operation: capture initial states for undo
+    this.startOperation(items.map(item => item.obj.objectId));
   }
 
-  showObjectContextMenu(x, y, objectId) {
-    // Remove any existing context menu
-    this.hideContextMenu();
+  /**
+   * Apply a group rotate/resize drag to every selected object
+   *
+   * Rotation turns objects about the group center (Shift snaps to 15°).
+   * Resizing scales the group box like a single object (Shift keeps the
+   * aspect ratio, Alt resizes from the center) and maps each object into it.
+   *
+   * @param {Object} position - Pointer position in world coordinates
+   * @param {Object} modifiers - {shiftKey, altKey} from the pointer event
+   */
+  applyGroupTransformDrag(position, modifiers = {}) {
+    const transform = this.groupTransform;
+    const { startBounds } = transform;
 
-    // Create context menu
-    const menu = document.createElement('div');
-    menu.id = 'object-context-menu';
-    menu.className = 'fixed bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-50';
-    menu.style.left = `${x}px`;
-    menu.style.top = `${y}px`;
+    if (transform.mode === 'rotate') {
+      const currentAngle = Math.atan2(position.y - startBounds.center.y, position.x - startBounds.center.x) * (180 / Math.PI);
+      let angleDelta = currentAngle - transform.grabAngle;
 
-    // Menu items
-    const menuItems = [
-      { label: 'Bring to Front', icon: '⬆⬆', event: 'bring_to_front' },
-      { label: 'Move Forward', icon: '⬆', event: 'move_forward' },
-      { label: 'Move Backward', icon: '⬇', event: 'move_backward' },
-      { label: 'Send to Back', icon: '⬇⬇', event: 'send_to_back' },
-    ];
+      // Snap to 15-degree increments if Shift key is held
+      if (modifiers.shiftKey) {
+        angleDelta = Math.round(angleDelta / 15) * 15;
+      }
 
-    menuItems.forEach((item) => {
-      const menuItem = document.createElement('button');
-      menuItem.className = 'w-full px-4 py-2 text-left text-sm hover:bg-gray-100 flex items-center gap-2';
-      menuItem.innerHTML = `
-        <span class="text-gray-500">${item.icon}</span>
-        <span>${item.label}</span>
-      `;
-      menuItem.addEventListener('click', () => {
-        // Clear selection before layer operation so we can see the result
-        this.clearSelection();
+      transform.items.forEach(item => {
+        this.setObjectCenter(item.obj, rotatePointAbout(item.center, startBounds.center, angleDelta));
+        item.obj.angle = ((item.angle + angleDelta) % 360 + 360) % 360;
+      });
 
-        this.emit(item.event, { object_id: objectId });
-        this.hideContextMenu();
+      transform.frame = { ...startBounds, angle: angleDelta };
+    } else {
+      const result = this.computeSnappedResize({
+        handle: transform.handle,
+        width: startBounds.width,
+        height: startBounds.height,
+        center: startBounds.center,
+        dx: position.x - transform.startMousePos.x,
+        dy: position.y - transform.startMousePos.y,
+        keepAspect: !!modifiers.shiftKey,
+        fromCenter: !!modifiers.altKey,
+        minSize: 10
+      }, { x: 0, y: 0 }, modifiers);
+
+      transform.items.forEach(item => {
+        const box = scaleBoxInGroup({ ...item.size, center: item.center, angle: item.angle }, startBounds, result);
+        const obj = item.obj;
+
+        // Text and circles can't stretch - scale them uniformly
+        const uniformScale = Math.sqrt((box.width / item.size.width) * (box.height / item.size.height));
+        if (obj.objectType === 'text') {
+          this.scaleText(obj, item.data, uniformScale);
+        } else if (obj.objectType === 'circle') {
+          this.redrawGraphicsWithSize(obj, item.size.width * uniformScale, item.size.height * uniformScale);
+        } else {
+          this.redrawGraphicsWithSize(obj, box.width, box.height);
+        }
+        this.setObjectCenter(obj, box.center);
       });
-      menu.appendChild(menuItem);
-    });
 
-    document.body.appendChild(menu);
+      transform.frame = { ...result, angle: 0 };
+    }
 
-    // Adjust position if menu goes off-screen
-    const rect = menu.getBoundingClientRect();
-    if (rect.right > window.innerWidth) {
-      menu.style.left = `${window.innerWidth - rect.width - 10}px`;
+    this.rerouteConnectorsFor(transform.items.map(item => item.obj.objectId));
+    transform.changed = true;
+    this.updateSelectionBoxes();
+    this.updateLockIndicators();
+
+    // Broadcast the group during the transform (throttled to avoid spam)
+    if (!this.lastResizeUpdate || Date.now() - this.lastResizeUpdate > 50) {
+      this.emit('update_objects_batch', { updates: this.groupTransformUpdates() });
+      this.lastResizeUpdate = Date.now();
     }
-    if (rect.bottom > window.innerHeight) {
-      menu.style.top = `${window.innerHeight - rect.height - 10}px`;
+  }
+
+  /**
+   * Commit the group transform as one batch update and one operation
+   */
+  finishGroupTransform() {
+    const transform = this.groupTransform;
+    this.groupTransform = null;
+
+    const liveItems = transform.items.filter(item => !item.obj.destroyed);
+
+    if (transform.changed && liveItems.length > 0) {
+      // Always send the final state - the throttled update may be stale
+      this.emit('update_objects_batch', { updates: this.groupTransformUpdates(liveItems, transform.mode) });
+      liveItems.forEach(item => this.updateSpatialIndex(item.obj));
     }
 
-    // Close context menu when clicking elsewhere
-    const clickHandler = (e) => {
-      if (menu && !menu.contains(e.target)) {
-        this.hideContextMenu();
-        document.removeEventListener('click', clickHandler);
-      }
-    };
-    // Use setTimeout to avoid immediate closure from the same click
-    setTimeout(() => {
-      document.addEventListener('click', clickHandler);
-    }, 0);
-  }
+    // Notify server: end of operation (one undo history entry for the whole group)
+    this.endOperation(transform.items.map(item => item.obj.objectId));
 
-  hideContextMenu() {
-    const menu = document.getElementById('object-context-menu');
-    if (menu) {
-      menu.remove();
+    if (this.groupHandles) {
+      this.groupHandles.rotationHandle.cursor = 'grab';
     }
+    this.endSnapping();
+    this.updateSelectionBoxes();
   }
 
   /**
-   * Handle rotation handle pointer down
-   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
+   * Build update_objects_batch entries for the objects in a group transform
+   * @param {Array<Object>} items - Transform items (defaults to the active transform's)
+   * @param {string} mode - 'rotate' or 'resize' (defaults to the active transform's)
+   * @returns {Array<Object>} [{object_id, position, data}]
    */
-  onRotationHandleDown(event) {
-    event.stopPropagation();
+  groupTransformUpdates(items = this.groupTransform.items, mode = this.groupTransform.mode) {
+    return items.map(({ obj }) => {
+      if (mode === 'resize') {
+        return this.resizeUpdatePayload(obj);
+      }
 
-    const handle = event.currentTarget;
-    const objectId = handle.objectId;
-    const object = this.objects.get(objectId);
+      const center = this.getObjectCenter(obj);
+      return {
+        object_id: obj.objectId,
+        position: { x: Math.round(center.x), y: Math.round(center.y) },
+        data: { rotation: Math.round(obj.angle) }
+      };
+    });
+  }
 
-    if (!object) {
-      console.error('[CanvasManager] No object found for objectId:', objectId);
-      return;
-    }
+  /**
+   * World bounds of nearby objects that the selection can snap to
+   * Cached until the current drag/resize ends; excludes the selection itself
+   * @returns {Array<Object>} [{minX, minY, maxX, maxY}]
+   */
+  getSnapCandidates() {
+    if (this.snapCandidates) return this.snapCandidates;
+
+    // Visible viewport plus a margin, in world coordinates
+    const margin = 100 / this.zoomLevel;
+    const minX = -this.viewOffset.x / this.zoomLevel - margin;
+    const minY = -this.viewOffset.y / this.zoomLevel - margin;
+    const maxX = minX + this.canvasWidth / this.zoomLevel + margin * 2;
+    const maxY = minY + this.canvasHeight / this.zoomLevel + margin * 2;
+
+    this.snapCandidates = this.spatialIndex.queryRect(minX, minY, maxX, maxY)
+      .filter(id => {
+        const obj = this.objects.get(id);
+        // Members of dragged frames move with the selection
+        return obj && !this.selectedObjects.has(obj) && !(this.frameDrag && this.frameDrag.ids.has(id));
+      })
+      .map(id => this.spatialIndex.getBounds(id));
 
-    // Get mouse position at grab time
-    const globalPos = event.data.global;
-    const mousePos = this.screenToCanvas(globalPos);
+    return this.snapCandidates;
+  }
 
-    // Calculate initial angle from object center to mouse position
-    const dx = mousePos.x - object.x;
-    const dy = mousePos.y - object.y;
-    this.rotationGrabAngle = Math.atan2(dy, dx) * (180 / Math.PI) + 90;
+  /**
+   * Snap a selection drag to the grid and to the edges, centers and spacing of nearby objects
+   *
+   * The selection's top-left snaps to the grid first; nearby objects then take
+   * over on any axis where they are within the snap threshold.
+   *
+   * @param {number} x - Proposed selection container x
+   * @param {number} y - Proposed selection container y
+   * @param {MouseEvent} modifiers - Pointer event (Cmd/Ctrl disables snapping)
+   * @returns {Object} {dx, dy} correction to add to the container position
+   */
+  snapSelectionDrag(x, y, modifiers = {}) {
+    if (modifiers.metaKey || modifiers.ctrlKey) {
+      this.clearGuides();
+      return { dx: 0, dy: 0 };
+    }
 
-    // Start rotating
-    this.isRotating = true;
-    this.rotatingObject = object;
-    this.rotationStartAngle = object.angle || 0;
+    if (!this.dragSnapStart) {
+      const objects = Array.from(this.selectedObjects).filter(obj => obj && obj.parent);
+      if (objects.length === 0) return { dx: 0, dy: 0 };
 
-    // Change cursor to grabbing
-    handle.cursor = 'grabbing';
+      this.dragSnapStart = {
+        bounds: unionBoxes(objects.map(obj => this.getObjectWorldBounds(obj))),
+        gridBounds: unionBoxes(objects.map(obj => this.getObjectBox(obj))),
+        x: this.selectionContainer.x,
+        y: this.selectionContainer.y
+      };
+    }
 
-    // Prevent object dragging while rotating
-    this.isDragging = false;
+    const start = this.dragSnapStart;
+    const grid = { dx: 0, dy: 0 };
+    const step = this.getGridSnapStep(modifiers);
+    if (step) {
+      const gridBox = offsetBox(start.gridBounds, x - start.x, y - start.y);
+      grid.dx = snapToGrid(gridBox.minX, step) - gridBox.minX;
+      grid.dy = snapToGrid(gridBox.minY, step) - gridBox.minY;
+    }
+
+    const moving = offsetBox(start.bounds, x - start.x + grid.dx, y - start.y + grid.dy);
+    const snap = computeSnap(moving, this.getSnapCandidates(), SNAP_THRESHOLD / this.zoomLevel);
 
-    // Notify server: start of operation (capture initial state)
-    this.emit('start_operation', { object_ids: [objectId] });
+    this.drawGuides(snap);
+    return { ...snap, dx: snap.dx + grid.dx, dy: snap.dy + grid.dy };
   }
 
   /**
-   * Handle rotation handle pointer up
-   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
+   * computeResize() with the dragged edges snapped to the grid and nearby objects
+   *
+   * Only unrotated boxes snap; a rotated box's edges don't run along guides.
+   * The grid snaps the logical box, nearby objects snap its drawn bounds.
+   *
+   * @param {Object} options - computeResize() options
+   * @param {Object} padding - {x, y} margin between the logical box and its drawn bounds
+   * @param {MouseEvent} modifiers - Pointer event (Cmd/Ctrl disables snapping)
+   * @returns {Object} {width, height, center}
    */
-  onRotationHandleUp(event) {
-    if (!this.isRotating || !this.rotatingObject) return;
+  computeSnappedResize(options, padding, modifiers = {}) {
+    let result = computeResize(options);
 
-    event.stopPropagation();
+    if (modifiers.metaKey || modifiers.ctrlKey || Math.abs(options.angle || 0) % 360 > 0.01) {
+      this.clearGuides();
+      return result;
+    }
 
-    const obj = this.rotatingObject;
+    // Moving the pointer by the snap offset moves the dragged edge by the same amount
+    const { handle } = options;
+    const step = this.getGridSnapStep(modifiers);
+    if (step) {
+      const halfWidth = result.width / 2;
+      const halfHeight = result.height / 2;
+      const gridOptions = { ...options };
+
+      if (handle.x !== 0) {
+        const edge = result.center.x + handle.x * halfWidth;
+        gridOptions.dx += snapToGrid(edge, step) - edge;
+      }
+      if (handle.y !== 0) {
+        const edge = result.center.y + handle.y * halfHeight;
+        gridOptions.dy += snapToGrid(edge, step) - edge;
+      }
 
-    // Get the object's ID
-    const objectData = Array.from(this.objects.entries()).find(([id, pixiObj]) => pixiObj === obj);
-    if (objectData) {
-      const [objectId, pixiObj] = objectData;
+      options = gridOptions;
+      result = computeResize(options);
+    }
 
-      // Emit update with new rotation angle (stored in data field, just like AI rotation)
-      this.emit('update_object', {
-        object_id: objectId,
-        data: {
-          rotation: Math.round(obj.angle) // Round to nearest degree
-        }
-      });
+    const candidates = this.getSnapCandidates();
+    const threshold = SNAP_THRESHOLD / this.zoomLevel;
+    const drawnBox = ({ center, width, height }) => ({
+      minX: center.x - width / 2 - padding.x,
+      minY: center.y - height / 2 - padding.y,
+      maxX: center.x + width / 2 + padding.x,
+      maxY: center.y + height / 2 + padding.y
+    });
 
-      // Notify server: end of operation (create undo history entry)
-      this.emit('end_operation', { object_ids: [objectId] });
-    }
+    const box = drawnBox(result);
+    let { dx, dy } = options;
 
-    // Reset rotation handle cursor
-    const handle = event.currentTarget;
-    if (handle) {
-      handle.cursor = 'grab';
+    if (handle.x !== 0) {
+      const targets = candidates.flatMap(candidate => boxAnchors(candidate, 'x'));
+      const snap = findAxisSnap([handle.x > 0 ? box.maxX : box.minX], targets, threshold);
+      if (snap) dx += snap.offset;
+    }
+    if (handle.y !== 0) {
+      const targets = candidates.flatMap(candidate => boxAnchors(candidate, 'y'));
+      const snap = findAxisSnap([handle.y > 0 ? box.maxY : box.minY], targets, threshold);
+      if (snap) dy += snap.offset;
     }
 
-    this.isRotating = false;
-    this.rotatingObject = null;
+    const snapped = (dx === options.dx && dy === options.dy) ? result : computeResize({ ...options, dx, dy });
+    const snappedBox = drawnBox(snapped);
+
+    this.drawGuides({
+      guides: [...alignmentGuides(snappedBox, candidates, 'x'), ...alignmentGuides(snappedBox, candidates, 'y')],
+      spacings: []
+    });
+
+    return snapped;
   }
 
   /**
-   * Handle resize handle pointer down
-   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
+   * Draw alignment guides and spacing indicators
+   * @param {Object} snap - {guides, spacings} from the smart guides helpers
    */
-  onResizeHandleDown(event) {
-    event.stopPropagation();
+  drawGuides({ guides, spacings }) {
+    if (!this.guideGraphics) {
+      this.guideGraphics = new PIXI.Graphics();
+      this.guideGraphics.eventMode = 'none';
+    }
 
-    const handle = event.currentTarget;
-    const objectId = handle.objectId;
-    const object = this.objects.get(objectId);
+    // (Re)add on top of objects and selection boxes
+    this.objectContainer.addChild(this.guideGraphics);
 
-    if (!object) {
-      console.error('[CanvasManager] No object found for objectId:', objectId);
-      return;
-    }
+    const graphics = this.guideGraphics;
+    const tick = 4 / this.zoomLevel;
+    graphics.clear();
 
-    // Get mouse position at grab time
-    const globalPos = event.data.global;
-    const mousePos = this.screenToCanvas(globalPos);
+    guides.forEach(guide => {
+      if (guide.axis === 'x') {
+        graphics.moveTo(guide.position, guide.start).lineTo(guide.position, guide.end);
+      } else {
+        graphics.moveTo(guide.start, guide.position).lineTo(guide.end, guide.position);
+      }
+    });
 
-    // Store initial mouse position and object size
-    this.resizeStartMousePos = { x: mousePos.x, y: mousePos.y };
-    const bounds = object.getLocalBounds();
-    this.resizeStartSize = { width: bounds.width, height: bounds.height };
+    // Spacing indicators: a segment across each equal gap with end ticks
+    spacings.forEach(spacing => {
+      if (spacing.axis === 'x') {
+        graphics.moveTo(spacing.start, spacing.position).lineTo(spacing.end, spacing.position)
+          .moveTo(spacing.start, spacing.position - tick).lineTo(spacing.start, spacing.position + tick)
+          .moveTo(spacing.end, spacing.position - tick).lineTo(spacing.end, spacing.position + tick);
+      } else {
+        graphics.moveTo(spacing.position, spacing.start).lineTo(spacing.position, spacing.end)
+          .moveTo(spacing.position - tick, spacing.start).lineTo(spacing.position + tick, spacing.start)
+          .moveTo(spacing.position - tick, spacing.end).lineTo(spacing.position + tick, spacing.end);
+      }
+    });
 
-    // Start resizing
-    this.isResizing = true;
-    this.resizingObject = object;
+    if (guides.length > 0 || spacings.length > 0) {
+      graphics.stroke({ width: 1 / this.zoomLevel, color: 0xf43f5e });
+    }
+  }
 
-    // Change cursor to grabbing
-    handle.cursor = 'nwse-resize';
+  /**
+   * Hide alignment guides and spacing indicators
+   */
+  clearGuides() {
+    if (this.guideGraphics) {
+      this.guideGraphics.clear();
+    }
+  }
 
-    // Prevent object dragging while resizing
-    this.isDragging = false;
+  /**
+   * Reset snapping state at the end of a drag or resize
+   */
+  endSnapping() {
+    this.snapCandidates = null;
+    this.dragSnapStart = null;
+    this.clearGuides();
   }
 
   /**
-   * Handle resize handle pointer up
-   * @param {PIXI.FederatedPointerEvent} event - PixiJS pointer event
+   * Apply grid settings (from the server or a local change)
+   * @param {Object} settings - Partial grid settings, see grid.js
    */
-  onResizeHandleUp(event) {
-    if (!this.isResizing || !this.resizingObject) return;
+  setGridSettings(settings) {
+    this.gridSettings = normalizeGridSettings({ ...this.gridSettings, ...settings });
+  }
 
-    event.stopPropagation();
+  /**
+   * Get the current grid settings
+   * @returns {Object} {visible, snap, spacing, subdivisions}
+   */
+  getGridSettings() {
+    return { ...this.gridSettings };
+  }
 
-    const obj = this.resizingObject;
+  /**
+   * Flip a boolean grid setting and ask the host to save it
+   * @param {string} key - 'visible' or 'snap'
+   */
+  toggleGridSetting(key) {
+    this.setGridSettings({ [key]: !this.gridSettings[key] });
+    this.emit('grid_settings_changed', this.getGridSettings());
+  }
 
-    // Get the object's ID
-    const objectData = Array.from(this.objects.entries()).find(([id, pixiObj]) => pixiObj === obj);
-    if (objectData) {
-      const [objectId, pixiObj] = objectData;
+  /**
+   * Grid step to snap to, or null when grid snapping is off
+   * @param {Object} modifiers - Pointer/keyboard event (Cmd/Ctrl disables snapping)
+   * @returns {number|null} Step in world units (the minor step shown at this zoom)
+   */
+  getGridSnapStep(modifiers = {}) {
+    if (!this.gridSettings.snap || modifiers.metaKey || modifiers.ctrlKey) return null;
+    return gridLevels(this.gridSettings, this.zoomLevel).minor;
+  }
 
-      // Emit update with new size
-      this.emit('update_object', {
-        object_id: objectId,
-        data: {
-          width: Math.round(obj.tempWidth || this.resizeStartSize.width),
-          height: Math.round(obj.tempHeight || this.resizeStartSize.height)
-        }
-      });
-    }
+  /**
+   * Snap a world point to the nearest grid intersection when grid snapping is on
+   * @param {Object} point - {x, y} in world coordinates
+   * @param {Object} modifiers - Pointer event (Cmd/Ctrl disables snapping)
+   * @returns {Object} {x, y}
+   */
+  snapPointToGridIfEnabled(point, modifiers = {}) {
+    const step = this.getGridSnapStep(modifiers);
+    return step ? snapPointToGrid(point, step) : point;
+  }
 
-    // Reset resize handle cursor
-    const handle = event.currentTarget;
-    if (handle) {
-      handle.cursor = 'nwse-resize';
+  /**
+   * The box an object snaps to the grid by, in world coordinates
+   *
+   * The logical box (without stroke) for objects rotated by multiples of 90°,
+   * so shapes drawn on the grid stay on it; world bounds otherwise.
+   *
+   * @param {PIXI.DisplayObject} obj - Canvas object
+   * @returns {Object} {minX, minY, maxX, maxY}
+   */
+  getObjectBox(obj) {
+    const angle = ((obj.angle % 180) + 180) % 180;
+    if (angle > 0.01 && Math.abs(angle - 90) > 0.01) {
+      return this.getObjectWorldBounds(obj);
     }
 
-    this.isResizing = false;
-    this.resizingObject = null;
+    const size = this.getObjectSize(obj);
+    const [width, height] = angle > 45 ? [size.height, size.width] : [size.width, size.height];
+    const center = this.getObjectCenter(obj);
+    return {
+      minX: center.x - width / 2,
+      minY: center.y - height / 2,
+      maxX: center.x + width / 2,
+      maxY: center.y + height / 2
+    };
+  }
+
+  /**
+   * Ticker callback - redraw the grid when the viewport or settings changed
+   */
+  updateGrid() {
+    if (!this.gridGraphics || !this.objectContainer) return;
+
+    const { visible, spacing, subdivisions } = this.gridSettings;
+    const zoom = this.objectContainer.scale.x;
+    const offsetX = this.objectContainer.x;
+    const offsetY = this.objectContainer.y;
+    const key = [visible, spacing, subdivisions, zoom, offsetX, offsetY, this.canvasWidth, this.canvasHeight].join('|');
+    if (key === this.gridDrawKey) return;
+    this.gridDrawKey = key;
+
+    const graphics = this.gridGraphics;
+    graphics.clear();
+    if (!visible) return;
+
+    // Lines are drawn in screen space so they stay 1px wide at any zoom
+    const { minor, major } = gridLevels(this.gridSettings, zoom);
+    const xs = gridLinesInRange(minor, -offsetX / zoom, (this.canvasWidth - offsetX) / zoom);
+    const ys = gridLinesInRange(minor, -offsetY / zoom, (this.canvasHeight - offsetY) / zoom);
+    const drawLines = (isMajor, color) => {
+      let drawn = false;
+      xs.filter(x => isOnGridLine(x, major) === isMajor).forEach(x => {
+        const screenX = Math.round(x * zoom + offsetX) + 0.5;
+        graphics.moveTo(screenX, 0).lineTo(screenX, this.canvasHeight);
+        drawn = true;
+      });
+      ys.filter(y => isOnGridLine(y, major) === isMajor).forEach(y => {
+        const screenY = Math.round(y * zoom + offsetY) + 0.5;
+        graphics.moveTo(0, screenY).lineTo(this.canvasWidth, screenY);
+        drawn = true;
+      });
+      if (drawn) graphics.stroke({ width: 1, color });
+    };
+
+    drawLines(false, 0xf1f5f9);
+    drawLines(true, 0xe2e8f0);
   }
 
   /**
@@ -3328,132 +6627,435 @@ export class CanvasManager {
   }
 
   /**
-   * Get current performance metrics
-   * @returns {Object} Performance metrics (fps, avgFrameTime, minFps, maxFps)
+   * Get current performance metrics
+   * @returns {Object} Performance metrics (fps, avgFrameTime, minFps, maxFps)
+   */
+  getPerformanceMetrics() {
+    if (!this.performanceMonitor) {
+      return {
+        fps: 0,
+        avgFrameTime: 0,
+        minFps: 0,
+        maxFps: 0
+      };
+    }
+    return this.performanceMonitor.getMetrics();
+  }
+
+  /**
+   * Get IDs of currently selected objects
+   * @returns {Array<string>} Array of selected object IDs
+   */
+  getSelectedObjectIds() {
+    return Array.from(this.selectedObjects).map(obj => obj.objectId);
+  }
+
+  /**
+   * Group selected objects together
+   */
+  groupSelected() {
+    if (this.selectedObjects.size < 2) {
+      console.log('[CanvasManager] Need at least 2 objects to create a group');
+      return;
+    }
+
+    const objectIds = this.getSelectedObjectIds();
+    this.emit('create_group', { object_ids: objectIds });
+    console.log('[CanvasManager] Creating group with objects:', objectIds);
+  }
+
+  /**
+   * Ungroup selected objects
+   */
+  ungroupSelected() {
+    if (this.selectedObjects.size === 0) {
+      console.log('[CanvasManager] No objects selected to ungroup');
+      return;
+    }
+
+    const objectIds = this.getSelectedObjectIds();
+    this.emit('ungroup', { object_ids: objectIds });
+    console.log('[CanvasManager] Ungrouping objects:', objectIds);
+  }
+
+  /**
+   * Duplicate selected objects
+   */
+  duplicateSelected() {
+    if (this.selectedObjects.size === 0) {
+      console.log('[CanvasManager] No objects selected to duplicate');
+      return;
+    }
+
+    this.selectedObjects.forEach(obj => {
+      // Get the object's data
+      const objectEntry = Array.from(this.objects.entries()).find(([id, pixiObj]) => pixiObj === obj);
+      if (objectEntry) {
+        const [objectId, pixiObj] = objectEntry;
+        
+        // Create duplicate with offset position
+        this.emit('duplicate_object', {
+          object_id: objectId,
+          offset: { x: 20, y: 20 }
+        });
+      }
+    });
+
+    console.log('[CanvasManager] Duplicating selected objects');
+  }
+
+  /**
+   * Delete all selected objects
+   */
+  deleteSelected() {
+    this.deleteObjects(Array.from(this.selectedObjects).map(obj => obj.objectId));
+    this.clearSelection();
+  }
+
+  /**
+   * Ask the server to delete objects, recorded as one undoable change
+   * @param {Array} objectIds - Object ids
+   */
+  deleteObjects(objectIds) {
+    const before = this.captureHistoryStates(objectIds);
+    objectIds.forEach(objectId => {
+      this.emit('delete_object', { object_id: objectId });
+    });
+    this.recordHistory(before, new Map(), { server: true });
+  }
+
+  /**
+   * Serialize an object into a create_object-style payload
+   * Position is in world (objectContainer) space and rotation reflects the current angle
+   * @param {PIXI.DisplayObject} obj - Object to serialize
+   * @returns {Object} {type, position, data, z_index}
+   */
+  serializeObject(obj) {
+    const position = this.objectContainer.toLocal(obj.getGlobalPosition());
+    const data = { ...(obj.objectData || {}) };
+
+    if (obj.angle || data.rotation !== undefined) {
+      data.rotation = Math.round(obj.angle || 0);
+    }
+
+    return {
+      type: obj.objectType,
+      position: { x: position.x, y: position.y },
+      data,
+      z_index: obj.zIndex || 0
+    };
+  }
+
+  /**
+   * Copy selected objects to the clipboard
+   * Writes full object payloads (custom MIME type + JSON text fallback) so
+   * paste works after the originals are deleted and across canvases/tabs
+   * @param {DataTransfer} clipboardData - Clipboard from a native copy/cut event (optional)
+   * @returns {boolean} True if anything was copied
+   */
+  copySelected(clipboardData = null) {
+    if (this.selectedObjects.size === 0) {
+      console.log('[CanvasManager] No objects selected to copy');
+      return false;
+    }
+
+    const payloads = this.sortByZOrder(Array.from(this.selectedObjects))
+      .filter(obj => obj && !obj.destroyed)
+      .map(obj => ({ id: obj.objectId, ...this.serializeObject(obj) }));
+
+    this.clipboard = payloads;
+    const json = serializeClipboard(payloads, { source_canvas_id: this.canvasId || null });
+
+    if (clipboardData) {
+      clipboardData.setData(CLIPBOARD_MIME_TYPE, json);
+      clipboardData.setData('text/plain', json);
+    } else if (navigator.clipboard && navigator.clipboard.writeText) {
+      // Programmatic copy (e.g. from a menu) - only plain text is widely supported
+      navigator.clipboard.writeText(json).catch(error => {
+        console.warn('[CanvasManager] Failed to write system clipboard:', error);
+      });
+    }
+
+    console.log('[CanvasManager] Copied', payloads.length, 'objects to clipboard');
+    return true;
+  }
+
+  /**
+   * Cut selected objects (copy, then delete)
+   * @param {DataTransfer} clipboardData - Clipboard from a native cut event (optional)
+   */
+  cutSelected(clipboardData = null) {
+    if (this.copySelected(clipboardData)) {
+      this.deleteSelected();
+    }
+  }
+
+  /**
+   * Paste objects from clipboard text
+   * Falls back to the in-memory clipboard when no text is given
+   * @param {string|null} text - Clipboard text (envelope JSON)
+   * @returns {boolean} True if the text was a canvas clipboard and objects were pasted
+   */
+  pasteFromClipboard(text = null) {
+    let objects;
+    if (text === null) {
+      objects = this.clipboard;
+    } else {
+      const envelope = parseClipboard(text);
+      if (!envelope) return false;
+      objects = envelope.objects;
+    }
+
+    if (!objects || objects.length === 0) {
+      console.log('[CanvasManager] Clipboard is empty');
+      return false;
+    }
+
+    this.pasteObjects(objects);
+    return true;
+  }
+
+  /**
+   * Recreate clipboard objects at the cursor (or viewport center)
+   * Sent in one paste_objects event so the server can tie pasted connectors to
+   * the pasted copies of their ends. Offline, objects are queued one by one and
+   * connectors lose their bindings, as the copies have no ids to point at yet.
+   * @param {Array<Object>} objects - Payloads of shape {id, type, position, data, z_index}
+   */
+  pasteObjects(objects) {
+    const target = this.getPasteTarget();
+    const payloads = layoutPaste(objects, target, this.getMaxZIndex());
+
+    if (this.offlineQueue && !this.offlineQueue.online) {
+      payloads.forEach(({ id, data, ...payload }) => {
+        const { source_id: sourceId, target_id: targetId, ...unbound } = data;
+        this.emit('create_object', { ...payload, data: payload.type === 'connector' ? unbound : data });
+      });
+    } else {
+      this.emit('paste_objects', { objects: payloads });
+    }
+
+    console.log('[CanvasManager] Pasted', payloads.length, 'objects at', target);
+  }
+
+  /**
+   * Check whether a DOM event targets an editable element (native clipboard behavior applies)
+   * @param {Event} event
+   * @returns {boolean}
+   */
+  isEditableTarget(event) {
+    const target = event.target;
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+  }
+
+  /**
+   * Handle native copy events
+   * @param {ClipboardEvent} event
    */
-  getPerformanceMetrics() {
-    if (!this.performanceMonitor) {
-      return {
-        fps: 0,
-        avgFrameTime: 0,
-        minFps: 0,
-        maxFps: 0
-      };
+  handleCopy(event) {
+    if (this.isEditableTarget(event) || this.selectedObjects.size === 0) return;
+
+    if (this.copySelected(event.clipboardData)) {
+      event.preventDefault();
     }
-    return this.performanceMonitor.getMetrics();
   }
 
   /**
-   * Get IDs of currently selected objects
-   * @returns {Array<string>} Array of selected object IDs
+   * Handle native cut events
+   * @param {ClipboardEvent} event
    */
-  getSelectedObjectIds() {
-    return Array.from(this.selectedObjects).map(obj => obj.objectId);
+  handleCut(event) {
+    if (this.isEditableTarget(event) || this.selectedObjects.size === 0) return;
+
+    event.preventDefault();
+    this.cutSelected(event.clipboardData);
   }
 
   /**
-   * Group selected objects together
+   * Handle native paste events
+   * @param {ClipboardEvent} event
    */
-  groupSelected() {
-    if (this.selectedObjects.size < 2) {
-      console.log('[CanvasManager] Need at least 2 objects to create a group');
+  handlePaste(event) {
+    if (this.isEditableTarget(event)) return;
+
+    const clipboardData = event.clipboardData;
+    const text = clipboardData
+      ? (clipboardData.getData(CLIPBOARD_MIME_TYPE) || clipboardData.getData('text/plain'))
+      : null;
+
+    if (this.pasteFromClipboard(text)) {
+      event.preventDefault();
       return;
     }
 
-    const objectIds = this.getSelectedObjectIds();
-    this.emit('create_group', { object_ids: objectIds });
-    console.log('[CanvasManager] Creating group with objects:', objectIds);
+    // Not our own objects - try images copied from other apps
+    const imageFile = findClipboardImageFile(clipboardData);
+    if (imageFile) {
+      event.preventDefault();
+      this.pasteImageFile(imageFile);
+      return;
+    }
+
+    const svgMarkup = extractSvgMarkup(clipboardData && clipboardData.getData(SVG_MIME_TYPE)) ||
+      extractSvgMarkup(text);
+    if (svgMarkup) {
+      event.preventDefault();
+      this.pasteSvgMarkup(svgMarkup);
+    }
   }
 
   /**
-   * Ungroup selected objects
+   * World position pasted content is centered on (cursor, else viewport center)
+   * @returns {Object} {x, y} in world coordinates
    */
-  ungroupSelected() {
-    if (this.selectedObjects.size === 0) {
-      console.log('[CanvasManager] No objects selected to ungroup');
-      return;
-    }
+  getPasteTarget() {
+    return this.lastPointerPosition || this.screenToCanvas({
+      x: this.canvasWidth / 2,
+      y: this.canvasHeight / 2
+    });
+  }
 
-    const objectIds = this.getSelectedObjectIds();
-    this.emit('ungroup', { object_ids: objectIds });
-    console.log('[CanvasManager] Ungrouping objects:', objectIds);
+  /**
+   * Highest z_index on the canvas (new content is stacked above it)
+   * @returns {number}
+   */
+  getMaxZIndex() {
+    let maxZIndex = 0;
+    this.objects.forEach(obj => {
+      maxZIndex = Math.max(maxZIndex, obj.zIndex || 0);
+    });
+    return maxZIndex;
   }
 
   /**
-   * Duplicate selected objects
+   * Upload a pasted PNG/JPEG and create an image object for it
+   * @param {File} file - Image file from the clipboard
+   * @returns {Promise<void>}
    */
-  duplicateSelected() {
-    if (this.selectedObjects.size === 0) {
-      console.log('[CanvasManager] No objects selected to duplicate');
-      return;
-    }
+  async pasteImageFile(file) {
+    // Capture the target now - the cursor may move while uploading
+    const target = this.getPasteTarget();
+    const objectUrl = URL.createObjectURL(file);
 
-    this.selectedObjects.forEach(obj => {
-      // Get the object's data
-      const objectEntry = Array.from(this.objects.entries()).find(([id, pixiObj]) => pixiObj === obj);
-      if (objectEntry) {
-        const [objectId, pixiObj] = objectEntry;
-        
-        // Create duplicate with offset position
-        this.emit('duplicate_object', {
-          object_id: objectId,
-          offset: { x: 20, y: 20 }
-        });
-      }
-    });
+    try {
+      const size = await this.loadImageSize(objectUrl);
+      const src = await uploadImage(file, uploadEndpoint(this.canvasId));
+      this.createImageObject(src, size, target);
+    } catch (error) {
+      console.error('[CanvasManager] Failed to paste image:', error);
+    } finally {
+      URL.revokeObjectURL(objectUrl);
+    }
+  }
 
-    console.log('[CanvasManager] Duplicating selected objects');
+  /**
+   * Create an image object from pasted SVG markup (kept inline as a data URL)
+   * @param {string} markup - SVG markup
+   */
+  pasteSvgMarkup(markup) {
+    this.createImageObject(svgToDataUrl(markup), parseSvgSize(markup), this.getPasteTarget());
   }
 
   /**
-   * Copy selected objects to clipboard
+   * Import an SVG document as canvas objects, centered on a target point
+   *
+   * Shapes, paths and text become separate objects and each top-level <g> a group
+   * (see svg_import.js). Documents that can't be parsed or mapped are placed as a
+   * single image instead, like pasted SVG markup.
+   *
+   * @param {string} markup - SVG document
+   * @param {Object} target - {x, y} world position (defaults to the paste target)
+   * @returns {number} Number of objects created
    */
-  copySelected() {
-    if (this.selectedObjects.size === 0) {
-      console.log('[CanvasManager] No objects selected to copy');
-      return;
+  importSvg(markup, target = this.getPasteTarget()) {
+    const objects = svgToObjects(markup);
+
+    if (!objects) {
+      const inline = extractSvgMarkup(markup);
+      if (!inline) {
+        console.warn('[CanvasManager] Could not import SVG');
+        return 0;
+      }
+      this.createImageObject(svgToDataUrl(inline), parseSvgSize(inline), target);
+      return 1;
     }
 
-    this.clipboard = [];
-    this.selectedObjects.forEach(obj => {
-      const objectEntry = Array.from(this.objects.entries()).find(([id, pixiObj]) => pixiObj === obj);
-      if (objectEntry) {
-        const [objectId, pixiObj] = objectEntry;
-        
-        // Store object data for pasting
-        this.clipboard.push({
-          id: objectId,
-          x: pixiObj.x,
-          y: pixiObj.y,
-          angle: pixiObj.angle || 0
-        });
+    // Group ids are assigned here so members are created straight into their group
+    const groupIds = new Map();
+    const payloads = layoutPaste(objects, target, this.getMaxZIndex());
+    payloads.forEach((payload, index) => {
+      const group = objects[index].group;
+      if (group) {
+        if (!groupIds.has(group)) groupIds.set(group, crypto.randomUUID());
+        payload.group_id = groupIds.get(group);
       }
+      this.emit('create_object', payload);
     });
 
-    console.log('[CanvasManager] Copied', this.clipboard.length, 'objects to clipboard');
+    console.log('[CanvasManager] Imported', payloads.length, 'objects from SVG at', target);
+    return payloads.length;
   }
 
   /**
-   * Paste objects from clipboard
+   * Import a dropped or picked SVG file
+   * @param {File} file - SVG file
+   * @param {Object} target - {x, y} world position (defaults to the paste target)
+   * @returns {Promise<number>} Number of objects created
    */
-  pasteFromClipboard() {
-    if (this.clipboard.length === 0) {
-      console.log('[CanvasManager] Clipboard is empty');
-      return;
+  async importSvgFile(file, target = this.getPasteTarget()) {
+    try {
+      return this.importSvg(await file.text(), target);
+    } catch (error) {
+      console.error('[CanvasManager] Failed to import SVG file:', error);
+      return 0;
     }
+  }
 
-    this.clipboard.forEach(clipboardItem => {
-      this.emit('duplicate_object', {
-        object_id: clipboardItem.id,
-        offset: { x: 20, y: 20 }
-      });
+  /**
+   * Emit create_object for an image, fitted to the visible viewport
+   * @param {string} src - Image URL or data URL
+   * @param {Object} naturalSize - {width, height} in image pixels
+   * @param {Object} target - {x, y} world position for the image center
+   */
+  createImageObject(src, naturalSize, target) {
+    // Don't let a large screenshot cover more than most of the view
+    const viewportSize = Math.min(this.canvasWidth, this.canvasHeight) || 1000;
+    const maxSize = viewportSize * 0.8 / this.zoomLevel;
+    const { width, height } = fitImageSize(naturalSize.width, naturalSize.height, maxSize);
+
+    this.emit('create_object', {
+      type: 'image',
+      position: { x: target.x, y: target.y },
+      data: {
+        src,
+        width,
+        height,
+        natural_width: naturalSize.width,
+        natural_height: naturalSize.height
+      },
+      z_index: this.getMaxZIndex() + 1
     });
 
-    console.log('[CanvasManager] Pasting', this.clipboard.length, 'objects from clipboard');
+    console.log('[CanvasManager] Pasted image', width, 'x', height, 'at', target);
+  }
+
+  /**
+   * Read an image's natural size
+   * @param {string} url - Image URL (e.g. an object URL for a pasted blob)
+   * @returns {Promise<Object>} {width, height}
+   */
+  loadImageSize(url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+      image.onerror = () => reject(new Error('Could not decode pasted image'));
+      image.src = url;
+    });
   }
 
   /**
    * Nudge selected objects in a direction
+   * With grid snapping on, moves to the next minor grid line (major when amount > 1)
    * @param {string} direction - Arrow key direction
    * @param {number} amount - Amount to nudge in pixels
    */
@@ -3478,10 +7080,21 @@ export class CanvasManager {
         break;
     }
 
+    // With grid snapping, move the selection's top-left to the next grid line instead
+    const step = this.getGridSnapStep();
+    if (step) {
+      const bounds = unionBoxes(Array.from(this.selectedObjects).map(obj => this.getObjectBox(obj)));
+      const gridStep = amount > 1 ? gridLevels(this.gridSettings, this.zoomLevel).major : step;
+      if (delta.x !== 0) delta.x = nextGridLine(bounds.minX, gridStep, Math.sign(delta.x)) - bounds.minX;
+      if (delta.y !== 0) delta.y = nextGridLine(bounds.minY, gridStep, Math.sign(delta.y)) - bounds.minY;
+    }
+
     // Update all selected objects
+    const before = this.captureHistoryStates(Array.from(this.selectedObjects).map(obj => obj.objectId));
     this.selectedObjects.forEach(obj => {
       obj.x += delta.x;
       obj.y += delta.y;
+      this.updateSpatialIndex(obj);
 
       // Emit update to server
       this.emit('update_object', {
@@ -3489,6 +7102,7 @@ export class CanvasManager {
         position: { x: obj.x, y: obj.y }
       });
     });
+    this.recordHistory(before);
 
     // Update selection boxes
     this.updateSelectionBoxes();
@@ -3539,6 +7153,7 @@ export class CanvasManager {
         this.objectContainer.addChild(pixiObj);
       }
     });
+    this.framesDirty = true; // Membership follows layer order
 
     console.log('[CanvasManager] Reordered', objectsToSort.length, 'objects by z_index');
   }
@@ -3673,198 +7288,317 @@ export class CanvasManager {
 
     this.emit('show_context_menu', {
       position: position,
+      object_ids: this.getSelectedObjectIds(),
       selected_count: this.selectedObjects.size
     });
   }
 
   /**
-   * Export canvas to PNG
-   * @param {boolean} selectionOnly - Export only selected objects
+   * Export canvas content as PNG, JPEG, WebP, PDF or SVG (see image_export.js)
+   *
+   * Drawn from object data via the SVG export, so the live scene is never touched
+   * and the output doesn't depend on the zoom or pan.
+   *
+   * @param {Object} options - {format, scale, background, padding, scope, region, filename};
+   *   scope 'region' without a region exports the visible viewport
+   * @returns {Promise<boolean>} Whether a file was downloaded
    */
-  async exportToPNG(selectionOnly = false) {
+  async exportImage(options = {}) {
+    const settings = normalizeExportOptions(options);
+
     try {
-      let renderTarget;
-      
-      if (selectionOnly && this.selectedObjects.size > 0) {
-        // Calculate bounds of selected objects
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        
-        this.selectedObjects.forEach(obj => {
-          const bounds = obj.getBounds();
-          minX = Math.min(minX, bounds.x);
-          minY = Math.min(minY, bounds.y);
-          maxX = Math.max(maxX, bounds.x + bounds.width);
-          maxY = Math.max(maxY, bounds.y + bounds.height);
-        });
-        
-        const width = maxX - minX;
-        const height = maxY - minY;
-        
-        // Create temporary container for selected objects
-        const tempContainer = new PIXI.Container();
-        tempContainer.x = -minX;
-        tempContainer.y = -minY;
-        
-        this.selectedObjects.forEach(obj => {
-          tempContainer.addChild(obj);
-        });
-        
-        // Create render texture
-        const renderTexture = PIXI.RenderTexture.create({
-          width: Math.ceil(width),
-          height: Math.ceil(height),
-          resolution: window.devicePixelRatio || 1
-        });
-        
-        this.app.renderer.render(tempContainer, { renderTexture });
-        
-        // Extract canvas and trigger download
-        const canvas = this.app.renderer.extract.canvas(renderTexture);
-        this.triggerDownload(canvas.toDataURL('image/png'), 'canvas-selection.png');
-        
-        // Restore objects to original container
-        this.selectedObjects.forEach(obj => {
-          this.objectContainer.addChild(obj);
-        });
-        
-        tempContainer.destroy();
-        renderTexture.destroy();
+      this.updateFrames(); // Members are exported clipped to their frames
+      const records = this.getExportObjects(settings).map(obj => this.svgRecord(obj));
+      let frame;
+      if (settings.scope === 'frame') {
+        // A frame exports exactly its own box
+        const box = records.length > 0 && objectsBounds([records[0]]);
+        frame = box && exportFrame(box, 0);
+      } else if (settings.scope === 'region') {
+        const region = settings.region || this.getViewportRegion();
+        frame = exportFrame(
+          { minX: region.x, minY: region.y, maxX: region.x + region.width, maxY: region.y + region.height },
+          settings.padding
+        );
       } else {
-        // Export entire canvas
-        // Calculate bounds of all objects
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        
-        this.objects.forEach(obj => {
-          const bounds = obj.getBounds();
-          minX = Math.min(minX, bounds.x);
-          minY = Math.min(minY, bounds.y);
-          maxX = Math.max(maxX, bounds.x + bounds.width);
-          maxY = Math.max(maxY, bounds.y + bounds.height);
-        });
-        
-        const width = maxX - minX;
-        const height = maxY - minY;
-        
-        // Create render texture
-        const renderTexture = PIXI.RenderTexture.create({
-          width: Math.ceil(width) || 800,
-          height: Math.ceil(height) || 600,
-          resolution: window.devicePixelRatio || 1
-        });
-        
-        // Temporarily offset container
-        const originalX = this.objectContainer.x;
-        const originalY = this.objectContainer.y;
-        this.objectContainer.x = -minX;
-        this.objectContainer.y = -minY;
-        
-        this.app.renderer.render(this.objectContainer, { renderTexture });
-        
-        // Restore original position
-        this.objectContainer.x = originalX;
-        this.objectContainer.y = originalY;
-        
-        // Extract canvas and trigger download
-        const canvas = this.app.renderer.extract.canvas(renderTexture);
-        this.triggerDownload(canvas.toDataURL('image/png'), 'canvas-export.png');
-        
-        renderTexture.destroy();
+        const box = objectsBounds(records);
+        frame = box && exportFrame(box, settings.padding);
       }
-      
-      console.log('[CanvasManager] PNG export complete');
+
+      if (!frame || records.length === 0) {
+        console.warn('[CanvasManager] No objects to export');
+        return false;
+      }
+
+      const scale = fitExportScale(frame, settings.scale);
+      if (scale < settings.scale) {
+        console.warn('[CanvasManager] Export too large at', settings.scale, 'x - exporting at', scale.toFixed(2), 'x');
+      }
+
+      const svg = objectsToSvg(settings.format === 'svg' ? records : await inlineImageSources(records), {
+        frame,
+        scale: settings.format === 'svg' ? 1 : scale,
+        background: settings.background
+      });
+      const blob = await encodeExport(svg, frame, scale, settings.format);
+
+      // Frames are saved under their own name
+      const filename = settings.scope === 'frame' ? records[0].data.name || settings.filename : settings.filename;
+      const url = URL.createObjectURL(blob);
+      this.triggerDownload(url, exportFilename(filename, settings.format));
+      URL.revokeObjectURL(url);
+
+      console.log('[CanvasManager] Exported', records.length, 'objects as', settings.format);
+      return true;
     } catch (error) {
-      console.error('[CanvasManager] PNG export failed:', error);
+      console.error('[CanvasManager] Export failed:', error);
+      return false;
     }
   }
 
   /**
-   * Export canvas to SVG
+   * Objects an export covers, back to front
+   * @param {Object} settings - Normalized export options ({scope, region, padding, frameId})
+   * @returns {Array<PIXI.DisplayObject>} All objects, the selection (all when nothing is
+   *   selected), those overlapping the padded region (the visible viewport by default)
+   *   or a frame followed by its members
+   */
+  getExportObjects(settings) {
+    if (settings.scope === 'frame') {
+      const frame = this.objects.get(settings.frameId);
+      return frame && frame.objectType === 'frame' ? [frame, ...this.getFrameMembers(frame)] : [];
+    }
+
+    let objects = Array.from(this.objects.values());
+    if (settings.scope === 'selection' && this.selectedObjects.size > 0) {
+      objects = Array.from(this.selectedObjects);
+    }
+    objects = this.sortByZOrder(objects);
+
+    if (settings.scope !== 'region') return objects;
+
+    const region = settings.region || this.getViewportRegion();
+    const frame = exportFrame(
+      { minX: region.x, minY: region.y, maxX: region.x + region.width, maxY: region.y + region.height },
+      settings.padding
+    );
+    return objects.filter(obj => {
+      const box = objectsBounds([this.svgRecord(obj)]);
+      return box && box.maxX > frame.x && box.minX < frame.x + frame.width &&
+        box.maxY > frame.y && box.minY < frame.y + frame.height;
+    });
+  }
+
+  /**
+   * The visible part of the canvas
+   * @returns {Object} {x, y, width, height} in world coordinates
+   */
+  getViewportRegion() {
+    const topLeft = this.screenToCanvas({ x: 0, y: 0 });
+    const bottomRight = this.screenToCanvas({ x: this.canvasWidth, y: this.canvasHeight });
+    return { x: topLeft.x, y: topLeft.y, width: bottomRight.x - topLeft.x, height: bottomRight.y - topLeft.y };
+  }
+
+  /**
+   * Export canvas to PNG at the screen's pixel density
    * @param {boolean} selectionOnly - Export only selected objects
+   * @returns {Promise<boolean>} Whether a file was downloaded
+   */
+  exportToPNG(selectionOnly = false) {
+    return this.exportImage({
+      format: 'png',
+      scale: window.devicePixelRatio || 1,
+      scope: selectionOnly ? 'selection' : 'all'
+    });
+  }
+
+  /**
+   * Export objects to SVG (see svg_export.js)
+   * @param {boolean} selectionOnly - Only export the selected objects
+   * @returns {Promise<boolean>} Whether a file was downloaded
    */
   exportToSVG(selectionOnly = false) {
+    return this.exportImage({ format: 'svg', scope: selectionOnly ? 'selection' : 'all' });
+  }
+
+  /**
+   * Download canvas content as a JSON document (see canvas_document.js)
+   *
+   * Unlike the image exports the document keeps every object's full data, layer
+   * order, groups and component linkage, and can be imported again losslessly.
+   *
+   * @param {Object} options - {scope, region, filename} as for exportImage()
+   * @returns {boolean} Whether a file was downloaded
+   */
+  exportDocument(options = {}) {
+    const settings = normalizeExportOptions(options);
+    const exported = this.getExportObjects(settings);
+
+    // Connectors only make sense with both ends in the document
+    const ids = new Set(exported.map(obj => obj.objectId));
+    const objects = exported.filter(obj => obj.objectType !== 'connector' ||
+      (ids.has(obj.objectData?.source_id) && ids.has(obj.objectData?.target_id)));
+
+    if (objects.length === 0) {
+      console.warn('[CanvasManager] No objects to export');
+      return false;
+    }
+
+    const canvasDocument = serializeDocument(objects.map(obj => this.documentRecord(obj)), {
+      name: settings.filename,
+      viewport: this.getViewportState()
+    });
+    const blob = new Blob([JSON.stringify(canvasDocument, null, 2)], { type: DOCUMENT_MIME_TYPE });
+
+    const url = URL.createObjectURL(blob);
+    this.triggerDownload(url, exportFilename(settings.filename, DOCUMENT_EXTENSION));
+    URL.revokeObjectURL(url);
+
+    console.log('[CanvasManager] Exported', objects.length, 'objects as a canvas document');
+    return true;
+  }
+
+  /**
+   * The record a canvas document stores for an object
+   * @param {PIXI.DisplayObject} obj - Object
+   * @returns {Object} {id, type, position, data, z_index, group_id, component_id,
+   *   is_main_component, instance_overrides}
+   */
+  documentRecord(obj) {
+    const record = this.svgRecord(obj);
+    return {
+      id: record.id,
+      type: record.type,
+      position: record.position,
+      data: record.data,
+      z_index: record.z_index,
+      group_id: record.group_id,
+      component_id: obj.componentId || null,
+      is_main_component: !!obj.isMainComponent,
+      instance_overrides: obj.instanceOverrides || null
+    };
+  }
+
+  /**
+   * Import a canvas document
+   *
+   * Objects are recreated in one import_document event so the server can point
+   * connectors at the new ids. Groups get fresh ids and layers are stacked above
+   * the existing content. Without a target the objects keep their saved positions
+   * and, on an empty canvas, the saved viewport is restored.
+   *
+   * @param {string} text - Document JSON
+   * @param {Object} target - {x, y} world position to center the objects on (optional)
+   * @returns {Object} {imported: number of objects, errors: validation problems}
+   */
+  importDocument(text, target = null) {
+    const { document: canvasDocument, errors } = parseDocument(text);
+    if (!canvasDocument) {
+      console.warn('[CanvasManager] Invalid canvas document:', errors);
+      this.emit('document_import_failed', { errors });
+      return { imported: 0, errors };
+    }
+
+    const objects = canvasDocument.objects;
+    if (objects.length === 0) {
+      return { imported: 0, errors };
+    }
+
+    const wasEmpty = this.objects.size === 0;
+    const center = target || boundsOfPoints(objects.map(obj => obj.position)).center;
+    const groupIds = new Map();
+    const payloads = layoutPaste(objects, center, this.getMaxZIndex()).map((payload, index) => {
+      const { id, group_id: groupId, component_id: componentId, instance_overrides: overrides } = objects[index];
+      if (groupId && !groupIds.has(groupId)) groupIds.set(groupId, crypto.randomUUID());
+
+      return {
+        ...payload,
+        id,
+        group_id: groupId ? groupIds.get(groupId) : null,
+        component_id: componentId || null,
+        instance_overrides: overrides || null
+      };
+    });
+
+    this.emit('import_document', { objects: payloads });
+
+    if (!target && wasEmpty && canvasDocument.viewport) {
+      const { x, y, zoom } = canvasDocument.viewport;
+      this.restoreViewport(x, y, zoom);
+      this.emit('viewport_changed');
+    }
+
+    console.log('[CanvasManager] Imported', payloads.length, 'objects from a canvas document');
+    return { imported: payloads.length, errors };
+  }
+
+  /**
+   * Import a dropped or picked canvas document file
+   * @param {File} file - JSON file
+   * @param {Object} target - {x, y} world position (optional, see importDocument())
+   * @returns {Promise<Object>} {imported, errors}
+   */
+  async importDocumentFile(file, target = null) {
     try {
-      const objectsToExport = selectionOnly && this.selectedObjects.size > 0
-        ? Array.from(this.selectedObjects)
-        : Array.from(this.objects.values());
-      
-      if (objectsToExport.length === 0) {
-        console.warn('[CanvasManager] No objects to export');
-        return;
-      }
-      
-      // Calculate bounds
-      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-      
-      objectsToExport.forEach(obj => {
-        const bounds = obj.getBounds();
-        minX = Math.min(minX, bounds.x);
-        minY = Math.min(minY, bounds.y);
-        maxX = Math.max(maxX, bounds.x + bounds.width);
-        maxY = Math.max(maxY, bounds.y + bounds.height);
-      });
-      
-      const width = maxX - minX;
-      const height = maxY - minY;
-      
-      // Create SVG
-      let svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${minX} ${minY} ${width} ${height}">
-`;
-      
-      // Convert each object to SVG
-      objectsToExport.forEach(obj => {
-        svg += this.objectToSVG(obj);
-      });
-      
-      svg += '</svg>';
-      
-      // Trigger download
-      const blob = new Blob([svg], { type: 'image/svg+xml' });
-      const url = URL.createObjectURL(blob);
-      this.triggerDownload(url, 'canvas-export.svg');
-      URL.revokeObjectURL(url);
-      
-      console.log('[CanvasManager] SVG export complete');
+      return this.importDocument(await file.text(), target);
     } catch (error) {
-      console.error('[CanvasManager] SVG export failed:', error);
+      console.error('[CanvasManager] Failed to import canvas document:', error);
+      return { imported: 0, errors: [error.message] };
     }
   }
 
   /**
-   * Convert a PixiJS object to SVG string
+   * Serialize objects to an SVG document, back to front
+   * @param {Array<PIXI.DisplayObject>} objects - Objects to include
+   * @param {Object} options - Passed to objectsToSvg() ({padding})
+   * @returns {string} SVG document ('' without exportable objects)
+   */
+  getSVGMarkup(objects, options = {}) {
+    const records = this.sortByZOrder([...objects]).map(obj => this.svgRecord(obj));
+    return objectsToSvg(records, options);
+  }
+
+  /**
+   * Convert one object to SVG markup
    * @param {PIXI.DisplayObject} obj - Object to convert
-   * @returns {string} SVG string
+   * @returns {string} SVG markup (with <defs> for its gradient or effects), '' for unknown types
    */
   objectToSVG(obj) {
-    let svg = '';
-    
-    if (obj instanceof PIXI.Graphics) {
-      // Extract bounds and color info from the graphics object
-      const bounds = obj.getBounds();
-      const fill = obj.fill?.color !== undefined 
-        ? `#${obj.fill.color.toString(16).padStart(6, '0')}`
-        : '#3b82f6';
-      const stroke = obj.stroke?.color !== undefined
-        ? `#${obj.stroke.color.toString(16).padStart(6, '0')}`
-        : fill;
-      const strokeWidth = obj.stroke?.width || 2;
-      
-      // Simple rectangle approximation for graphics objects
-      svg = `  <rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" 
-        fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" 
-        opacity="${obj.alpha}" transform="rotate(${obj.angle} ${bounds.x + bounds.width/2} ${bounds.y + bounds.height/2})" />\n`;
-    } else if (obj instanceof PIXI.Text) {
-      const bounds = obj.getBounds();
-      const fill = obj.style.fill || '#000000';
-      const fontSize = obj.style.fontSize || 16;
-      const fontFamily = obj.style.fontFamily || 'Arial';
-      
-      svg = `  <text x="${bounds.x}" y="${bounds.y + fontSize}" 
-        fill="${fill}" font-size="${fontSize}" font-family="${fontFamily}" 
-        opacity="${obj.alpha}">${obj.text}</text>\n`;
+    const element = objectToSvgElement(this.svgRecord(obj));
+    if (!element) return '';
+
+    const defs = element.defs.length > 0 ? `<defs>${element.defs.join('')}</defs>\n` : '';
+    return `${defs}${element.markup}\n`;
+  }
+
+  /**
+   * The record svg_export.js serializes an object from
+   * Adds what isn't in the object's data: its exact rotation, measured text size
+   * and a connector's current route.
+   * @param {PIXI.DisplayObject} obj - Object
+   * @returns {Object} {id, type, position, data, z_index, group_id, size?, route?}
+   */
+  svgRecord(obj) {
+    const record = { ...this.serializeObject(obj), id: obj.objectId, group_id: obj.groupId || null };
+
+    // Unselected objects sit directly in objectContainer - skip the float noise of a
+    // round trip through global coordinates
+    if (obj.parent === this.objectContainer) {
+      record.position = { x: obj.x, y: obj.y };
     }
-    
-    return svg;
+    if (obj.angle) {
+      record.data.rotation = Math.round(obj.angle * 1000) / 1000;
+    }
+    if (obj.objectType === 'text') {
+      record.size = this.getObjectSize(obj);
+    }
+    if (obj.objectType === 'connector' && obj.route) {
+      record.route = obj.route;
+    }
+    if (obj.clipFrame) {
+      record.frame_id = obj.clipFrame.objectId;
+    }
+    return record;
   }
 
   /**
@@ -3902,6 +7636,24 @@ export class CanvasManager {
     this.cursorContainer.y = y;
   }
 
+  /**
+   * Pan and zoom so a frame fills the view
+   * @param {number} frameId - Frame object ID
+   * @returns {boolean} Whether the frame exists
+   */
+  zoomToFrame(frameId) {
+    const frame = this.objects.get(frameId);
+    if (!frame || frame.objectType !== 'frame') {
+      console.warn('[CanvasManager] No frame to zoom to:', frameId);
+      return false;
+    }
+
+    const viewport = fitBoxToView(this.getObjectWorldBounds(frame), { width: this.canvasWidth, height: this.canvasHeight });
+    this.restoreViewport(viewport.x, viewport.y, viewport.zoom);
+    this.emit('viewport_changed');
+    return true;
+  }
+
   /**
    * Get current viewport state
    * @returns {Object} {x, y, zoom}
@@ -4157,12 +7909,14 @@ export class CanvasManager {
 
       // Interpolate size
       if ((target.targetWidth !== undefined || target.targetHeight !== undefined) &&
-          pixiObject instanceof PIXI.Graphics) {
+          (pixiObject instanceof PIXI.Graphics || pixiObject.objectType === 'image' || pixiObject.objectType === 'frame')) {
         const width = target.startWidth + (target.targetWidth - target.startWidth) * eased;
         const height = target.startHeight + (target.targetHeight - target.startHeight) * eased;
         this.redrawGraphicsWithSize(pixiObject, width, height);
       }
 
+      this.updateSpatialIndex(pixiObject);
+
       // Mark as complete if finished
       if (progress >= 1.0) {
         completedInterpolations.push(objectId);
@@ -4183,6 +7937,7 @@ export class CanvasManager {
     const canvas = this.app?.canvas;
     if (canvas) {
       canvas.removeEventListener('mousedown', this.boundHandlers.handleMouseDown);
+      canvas.removeEventListener('dblclick', this.boundHandlers.handleDoubleClick);
       canvas.removeEventListener('wheel', this.boundHandlers.handleWheel, { passive: false });
       canvas.removeEventListener('touchstart', this.boundHandlers.handleTouchStart);
       canvas.removeEventListener('touchmove', this.boundHandlers.handleTouchMove);
@@ -4195,6 +7950,20 @@ export class CanvasManager {
     window.removeEventListener('keydown', this.boundHandlers.handleKeyDown);
     window.removeEventListener('keyup', this.boundHandlers.handleKeyUp);
     window.removeEventListener('resize', this.boundHandlers.handleResize);
+    document.removeEventListener('copy', this.boundHandlers.handleCopy);
+    document.removeEventListener('cut', this.boundHandlers.handleCut);
+    document.removeEventListener('paste', this.boundHandlers.handlePaste);
+
+    // Drop an open text editor without committing (the canvas is going away)
+    this.stopTextEditing(false);
+
+    // Write out a pending history save, then close the store
+    if (this.historyStore) {
+      const store = this.historyStore;
+      const saved = this.historySaveTimer ? this.saveHistory() : Promise.resolve();
+      saved.finally(() => store.destroy());
+      this.historyStore = null;
+    }
 
     // Disconnect ResizeObserver
     if (this.resizeObserver) {
@@ -4216,6 +7985,9 @@ export class CanvasManager {
 
     // Clear all event listeners
     this.eventListeners.clear();
+
+    // Drop spatial index entries
+    this.spatialIndex.clear();
   }
 
   /**
@@ -4250,33 +8022,13 @@ export class CanvasManager {
       return;
     }
 
-    // Calculate bounding box of all objects
-    let minX = Infinity;
-    let minY = Infinity;
-    let maxX = -Infinity;
-    let maxY = -Infinity;
-
-    objects.forEach(obj => {
-      // Objects in this.objects are PixiJS containers/sprites directly
-      if (!obj || typeof obj.getLocalBounds !== 'function') {
-        console.warn('[CanvasManager] Skipping object without valid getLocalBounds method:', obj);
-        return;
-      }
-
-      // Use getLocalBounds() instead of getBounds() to get bounds in object's own coordinate space
-      // This prevents the bounds from being affected by the current zoom/pan transformations
-      const localBounds = obj.getLocalBounds();
-
-      // Object position is in world/canvas coordinates
-      const objX = obj.x || 0;
-      const objY = obj.y || 0;
-
-      // Calculate world-space bounds
-      minX = Math.min(minX, objX + localBounds.x);
-      minY = Math.min(minY, objY + localBounds.y);
-      maxX = Math.max(maxX, objX + localBounds.x + localBounds.width);
-      maxY = Math.max(maxY, objY + localBounds.y + localBounds.height);
-    });
+    // Bounding box of all objects comes straight from the spatial index
+    // (world-space bounds, unaffected by the current zoom/pan transformations)
+    const extent = this.spatialIndex.getExtent();
+    let minX = extent ? extent.minX : Infinity;
+    let minY = extent ? extent.minY : Infinity;
+    let maxX = extent ? extent.maxX : -Infinity;
+    let maxY = extent ? extent.maxY : -Infinity;
 
     // Check if we found any valid objects with bounds
     if (minX === Infinity || maxX === -Infinity) {
@@ -0,0 +1,122 @@
+/**
+ * Clipboard - Serialization for copy/cut/paste of canvas objects
+ *
+ * Objects are written to the system clipboard as a versioned JSON envelope,
+ * under a custom MIME type and as text/plain (so paste still works where the
+ * browser drops custom types). Because the envelope carries full object
+ * payloads rather than ids, it survives the source objects being deleted and
+ * can be pasted into another canvas or tab. The copied ids ride along only so
+ * pasted connectors can be tied to the pasted copies of their ends.
+ */
+
+export const CLIPBOARD_MIME_TYPE = 'application/x-collab-canvas';
+export const CLIPBOARD_FORMAT = 'collab-canvas/objects';
+export const CLIPBOARD_VERSION = 1;
+
+/**
+ * Serialize object payloads into a clipboard envelope string
+ * @param {Array<Object>} objects - Payloads of shape {id, type, position: {x, y}, data, z_index}
+ * @param {Object} meta - Extra envelope fields (e.g. {source_canvas_id})
+ * @returns {string} JSON string
+ */
+export function serializeClipboard(objects, meta = {}) {
+  return JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    ...meta,
+    objects: objects.map(obj => ({
+      ...(obj.id !== undefined && { id: obj.id }),
+      type: obj.type,
+      position: { x: obj.position.x, y: obj.position.y },
+      data: obj.data || {},
+      z_index: obj.z_index || 0
+    }))
+  });
+}
+
+/**
+ * Parse clipboard text back into an envelope
+ * @param {string} text - Clipboard contents
+ * @returns {Object|null} Envelope with an `objects` array, or null if the text isn't ours
+ */
+export function parseClipboard(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch (error) {
+    return null; // Plain text from elsewhere
+  }
+
+  if (!envelope || envelope.format !== CLIPBOARD_FORMAT || !Array.isArray(envelope.objects)) {
+    return null;
+  }
+
+  if (envelope.version > CLIPBOARD_VERSION) {
+    console.warn('[Clipboard] Clipboard written by a newer version:', envelope.version);
+  }
+
+  const objects = envelope.objects.filter(obj =>
+    obj && typeof obj.type === 'string' &&
+    obj.position && Number.isFinite(obj.position.x) && Number.isFinite(obj.position.y)
+  );
+
+  return { ...envelope, objects };
+}
+
+/**
+ * Build create_object payloads that place pasted objects around a target point
+ *
+ * The group's bounding-box center (by position) lands on `target`, relative
+ * layout is preserved, and z_index values are re-based above `baseZIndex`
+ * while keeping their original stacking order.
+ *
+ * Payloads keep the copied `id`, so the server can point connectors at the new
+ * copies of their ends (see Canvases.import_objects). Connector ends that
+ * aren't part of the paste are unbound rather than left on the originals.
+ *
+ * @param {Array<Object>} objects - Envelope objects
+ * @param {Object} target - {x, y} world position to paste at
+ * @param {number} baseZIndex - Current highest z_index on the target canvas
+ * @returns {Array<Object>} Payloads of shape {id, type, position, data, z_index}
+ */
+export function layoutPaste(objects, target, baseZIndex = 0) {
+  if (objects.length === 0) return [];
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  objects.forEach(obj => {
+    minX = Math.min(minX, obj.position.x);
+    minY = Math.min(minY, obj.position.y);
+    maxX = Math.max(maxX, obj.position.x);
+    maxY = Math.max(maxY, obj.position.y);
+  });
+
+  const dx = target.x - (minX + maxX) / 2;
+  const dy = target.y - (minY + maxY) / 2;
+
+  // Rank by original z_index so relative stacking survives the re-base
+  const ranked = objects
+    .map((obj, index) => ({ obj, index }))
+    .sort((a, b) => (a.obj.z_index || 0) - (b.obj.z_index || 0) || a.index - b.index);
+  const zByIndex = new Map(ranked.map((entry, rank) => [entry.index, baseZIndex + rank + 1]));
+
+  const pastedIds = new Set(objects.map(obj => obj.id).filter(id => id !== undefined && id !== null));
+
+  return objects.map((obj, index) => {
+    const data = { ...obj.data };
+    if (obj.type === 'connector') {
+      ['source_id', 'target_id'].forEach(end => {
+        if (!pastedIds.has(data[end])) delete data[end];
+      });
+    }
+
+    return {
+      ...(obj.id !== undefined && { id: obj.id }),
+      type: obj.type,
+      position: { x: obj.position.x + dx, y: obj.position.y + dy },
+      data,
+      z_index: zByIndex.get(index)
+    };
+  });
+}
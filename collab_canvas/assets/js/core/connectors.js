@@ -0,0 +1,273 @@
+/**
+ * Connectors - Geometry for lines, arrows and connectors between objects
+ *
+ * Lines and arrows store their endpoints relative to the object position (the
+ * midpoint of their bounding box). Connectors store the ids of the objects
+ * they join and are routed between those objects' world boxes whenever either
+ * one moves: straight (edge to edge toward the other center), elbow
+ * (horizontal/vertical segments between facing sides) or curved (a cubic
+ * bezier leaving and entering the facing sides perpendicularly).
+ *
+ * Points are {x, y}; boxes are {minX, minY, maxX, maxY}.
+ */
+
+export const ARROWHEAD_STYLES = ['none', 'triangle', 'open', 'circle', 'diamond'];
+
+export const CONNECTOR_ROUTINGS = ['straight', 'elbow', 'curved'];
+
+// Line segments used to approximate a curved route (hit-testing and bounds)
+const CURVE_SEGMENTS = 24;
+
+/**
+ * Endpoints of a line or arrow relative to its position
+ * @param {Object} data - Object data ({start, end}; defaults to a 100-unit horizontal line)
+ * @returns {Object} {start: {x, y}, end: {x, y}}
+ */
+export function lineEndpoints(data = {}) {
+  return {
+    start: data.start || { x: -50, y: 0 },
+    end: data.end || { x: 50, y: 0 }
+  };
+}
+
+/**
+ * Default arrowheads for each line-like type
+ * @param {string} type - 'line', 'arrow' or 'connector'
+ * @param {Object} data - Object data (explicit start_arrow/end_arrow win)
+ * @returns {Object} {start, end} arrowhead styles
+ */
+export function arrowheadsFor(type, data = {}) {
+  const defaultEnd = type === 'line' ? 'none' : 'triangle';
+  const valid = style => ARROWHEAD_STYLES.includes(style);
+
+  return {
+    start: valid(data.start_arrow) ? data.start_arrow : 'none',
+    end: valid(data.end_arrow) ? data.end_arrow : defaultEnd
+  };
+}
+
+/**
+ * Stretch a line's endpoints to a new bounding-box size (resize handles)
+ * @param {Object} data - Line data with start/end
+ * @param {number} width - New bounding-box width
+ * @param {number} height - New bounding-box height
+ * @returns {Object} {start, end} relative to the (unchanged) center
+ */
+export function scaleLineEndpoints(data, width, height) {
+  const { start, end } = lineEndpoints(data);
+  const oldWidth = Math.abs(end.x - start.x);
+  const oldHeight = Math.abs(end.y - start.y);
+  const scaleX = oldWidth > 0 ? width / oldWidth : 1;
+  const scaleY = oldHeight > 0 ? height / oldHeight : 1;
+
+  return {
+    start: { x: start.x * scaleX, y: start.y * scaleY },
+    end: { x: end.x * scaleX, y: end.y * scaleY }
+  };
+}
+
+/**
+ * Center of a box
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @returns {Object} {x, y}
+ */
+export function boxCenter(box) {
+  return { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+}
+
+/**
+ * Where the ray from a box's center toward a point leaves the box outline
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @param {Object} toward - {x, y} point the ray aims at
+ * @param {string} shape - 'rect' or 'ellipse' (circles)
+ * @returns {Object} {x, y} on the outline (the center if `toward` is the center)
+ */
+export function boxEdgePoint(box, toward, shape = 'rect') {
+  const center = boxCenter(box);
+  const halfWidth = (box.maxX - box.minX) / 2;
+  const halfHeight = (box.maxY - box.minY) / 2;
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+
+  if ((dx === 0 && dy === 0) || halfWidth <= 0 || halfHeight <= 0) return center;
+
+  const scale = shape === 'ellipse'
+    ? 1 / Math.hypot(dx / halfWidth, dy / halfHeight)
+    : 1 / Math.max(Math.abs(dx) / halfWidth, Math.abs(dy) / halfHeight);
+
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+}
+
+/**
+ * Midpoint of one side of a box
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @param {string} side - 'left', 'right', 'top' or 'bottom'
+ * @returns {Object} {x, y}
+ */
+export function sideAnchor(box, side) {
+  const center = boxCenter(box);
+
+  switch (side) {
+    case 'left': return { x: box.minX, y: center.y };
+    case 'right': return { x: box.maxX, y: center.y };
+    case 'top': return { x: center.x, y: box.minY };
+    default: return { x: center.x, y: box.maxY };
+  }
+}
+
+/**
+ * Sides of the source and target that face each other
+ * Boxes that are further apart horizontally connect left/right, otherwise top/bottom.
+ * @returns {Object} {horizontal, sourceSide, targetSide}
+ */
+function facingSides(sourceBox, targetBox) {
+  const source = boxCenter(sourceBox);
+  const target = boxCenter(targetBox);
+  const horizontal = Math.abs(target.x - source.x) >= Math.abs(target.y - source.y);
+
+  if (horizontal) {
+    return target.x >= source.x
+      ? { horizontal, sourceSide: 'right', targetSide: 'left' }
+      : { horizontal, sourceSide: 'left', targetSide: 'right' };
+  }
+
+  return target.y >= source.y
+    ? { horizontal, sourceSide: 'bottom', targetSide: 'top' }
+    : { horizontal, sourceSide: 'top', targetSide: 'bottom' };
+}
+
+/**
+ * Route a connector between two objects
+ *
+ * @param {Object} source - {box, shape} of the source object ('rect' or 'ellipse')
+ * @param {Object} target - {box, shape} of the target object
+ * @param {string} routing - 'straight', 'elbow' or 'curved'
+ * @returns {Object} {points: [{x, y}, ...], controls: [c1, c2] | null} - controls for curved routes
+ */
+export function routeConnector(source, target, routing = 'straight') {
+  if (routing === 'elbow' || routing === 'curved') {
+    const { horizontal, sourceSide, targetSide } = facingSides(source.box, target.box);
+    const start = sideAnchor(source.box, sourceSide);
+    const end = sideAnchor(target.box, targetSide);
+
+    if (routing === 'curved') {
+      // Control points leave each side perpendicularly, half the distance out
+      const reach = Math.max(20, (horizontal ? Math.abs(end.x - start.x) : Math.abs(end.y - start.y)) / 2);
+      const direction = horizontal ? Math.sign(end.x - start.x) || 1 : Math.sign(end.y - start.y) || 1;
+      const controls = horizontal
+        ? [{ x: start.x + reach * direction, y: start.y }, { x: end.x - reach * direction, y: end.y }]
+        : [{ x: start.x, y: start.y + reach * direction }, { x: end.x, y: end.y - reach * direction }];
+      return { points: [start, end], controls };
+    }
+
+    // Elbow: out of the source side, across at the midpoint, into the target side
+    const bends = horizontal
+      ? [{ x: (start.x + end.x) / 2, y: start.y }, { x: (start.x + end.x) / 2, y: end.y }]
+      : [{ x: start.x, y: (start.y + end.y) / 2 }, { x: end.x, y: (start.y + end.y) / 2 }];
+    return { points: removeCollinear([start, ...bends, end]), controls: null };
+  }
+
+  const sourceCenter = boxCenter(source.box);
+  const targetCenter = boxCenter(target.box);
+  return {
+    points: [
+      boxEdgePoint(source.box, targetCenter, source.shape),
+      boxEdgePoint(target.box, sourceCenter, target.shape)
+    ],
+    controls: null
+  };
+}
+
+/**
+ * Drop points that don't change direction (aligned elbows become straight)
+ * @param {Array<Object>} points - Route points
+ * @returns {Array<Object>}
+ */
+function removeCollinear(points) {
+  return points.filter((point, index) => {
+    if (index === 0 || index === points.length - 1) return true;
+    const prev = points[index - 1];
+    const next = points[index + 1];
+    const cross = (point.x - prev.x) * (next.y - point.y) - (point.y - prev.y) * (next.x - point.x);
+    return Math.abs(cross) > 1e-6;
+  });
+}
+
+/**
+ * Point on a cubic bezier
+ * @returns {Object} {x, y}
+ */
+function cubicPoint(p0, c1, c2, p1, t) {
+  const u = 1 - t;
+  return {
+    x: u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p1.x,
+    y: u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p1.y
+  };
+}
+
+/**
+ * A route as a polyline (curves are sampled)
+ * @param {Object} route - {points, controls} from routeConnector()
+ * @returns {Array<Object>} Points along the route
+ */
+export function routePolyline(route) {
+  if (!route.controls) return route.points;
+
+  const [start, end] = route.points;
+  const [c1, c2] = route.controls;
+  const points = [];
+  for (let i = 0; i <= CURVE_SEGMENTS; i++) {
+    points.push(cubicPoint(start, c1, c2, end, i / CURVE_SEGMENTS));
+  }
+  return points;
+}
+
+/**
+ * Directions arrowheads point along at each end of a route
+ * @param {Object} route - {points, controls}
+ * @returns {Object} {start: {tip, from}, end: {tip, from}} - each head points from `from` to `tip`
+ */
+export function routeEnds(route) {
+  const { points, controls } = route;
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    start: { tip: first, from: controls ? controls[0] : points[1] },
+    end: { tip: last, from: controls ? controls[1] : points[points.length - 2] }
+  };
+}
+
+/**
+ * Outline of an arrowhead
+ *
+ * @param {Object} tip - {x, y} where the head ends
+ * @param {Object} from - {x, y} a point behind the tip along the line
+ * @param {string} style - One of ARROWHEAD_STYLES
+ * @param {number} size - Head length
+ * @returns {Object|null} {kind: 'polygon'|'polyline', points: [x0, y0, ...]} or
+ *   {kind: 'circle', x, y, radius}; null for 'none'
+ */
+export function arrowheadGeometry(tip, from, style, size) {
+  if (!style || style === 'none') return null;
+
+  const length = Math.hypot(tip.x - from.x, tip.y - from.y) || 1;
+  const ux = (tip.x - from.x) / length;
+  const uy = (tip.y - from.y) / length;
+  // Perpendicular to the line
+  const px = -uy;
+  const py = ux;
+  const half = size / 2;
+  const at = (along, across) => [tip.x - ux * along + px * across, tip.y - uy * along + py * across];
+
+  switch (style) {
+    case 'circle':
+      return { kind: 'circle', x: tip.x - ux * half, y: tip.y - uy * half, radius: half };
+    case 'diamond':
+      return { kind: 'polygon', points: [...at(0, 0), ...at(half, half * 0.8), ...at(size, 0), ...at(half, -half * 0.8)] };
+    case 'open':
+      return { kind: 'polyline', points: [...at(size, half), ...at(0, 0), ...at(size, -half)] };
+    default:
+      return { kind: 'polygon', points: [...at(0, 0), ...at(size, half), ...at(size, -half)] };
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Drop Shadow Filter - Soft, offset copy of an object's silhouette drawn behind it
+ *
+ * PixiJS 8 ships no drop shadow filter, so this is a small single-pass one:
+ * the input's alpha is sampled on a 7x7 gaussian grid around the offset
+ * position, tinted with the shadow color and composited under the object.
+ *
+ * Offsets and blur are given in canvas units; filters run in screen pixels, so
+ * `scale` must follow the viewport zoom (CanvasManager keeps it in sync).
+ * WebGL only, like the renderer the canvas is created with.
+ */
+
+import { Filter, GlProgram, defaultFilterVert } from '../../vendor/pixi.min.mjs';
+
+const fragment = `
+in vec2 vTextureCoord;
+out vec4 finalColor;
+
+uniform sampler2D uTexture;
+uniform vec2 uOffset;
+uniform vec2 uSpread;
+uniform vec4 uShadowColor;
+
+void main(void) {
+    vec4 color = texture(uTexture, vTextureCoord);
+    vec2 origin = vTextureCoord - uOffset;
+
+    float alpha = 0.0;
+    float total = 0.0;
+    for (int x = -3; x <= 3; x++) {
+        for (int y = -3; y <= 3; y++) {
+            float weight = exp(-float(x * x + y * y) / 4.5);
+            alpha += texture(uTexture, origin + vec2(float(x), float(y)) * uSpread).a * weight;
+            total += weight;
+        }
+    }
+
+    // Premultiplied: the shadow only shows where the object is transparent
+    float shadow = uShadowColor.a * alpha / total;
+    finalColor = color + vec4(uShadowColor.rgb * shadow, shadow) * (1.0 - color.a);
+}
+`;
+
+export class DropShadowFilter extends Filter {
+  /**
+   * @param {Object} options - {x, y, blur, color, opacity} (see normalizeShadow in shape_styles.js)
+   */
+  constructor(options = {}) {
+    super({
+      glProgram: GlProgram.from({ vertex: defaultFilterVert, fragment, name: 'drop-shadow-filter' }),
+      resources: {
+        shadowUniforms: {
+          uOffset: { value: new Float32Array(2), type: 'vec2<f32>' },
+          uSpread: { value: new Float32Array(2), type: 'vec2<f32>' },
+          uShadowColor: { value: new Float32Array(4), type: 'vec4<f32>' }
+        }
+      }
+    });
+
+    this._scale = 1;
+    this.setShadow(options);
+  }
+
+  /**
+   * Change the shadow in place (cheaper than a new filter, e.g. while a slider moves)
+   * @param {Object} options - {x, y, blur, color, opacity}
+   */
+  setShadow({ x = 0, y = 4, blur = 8, color = '#000000', opacity = 0.25 } = {}) {
+    this.shadow = { x, y, blur };
+    const rgb = parseInt(color.replace('#', ''), 16);
+    this.resources.shadowUniforms.uniforms.uShadowColor.set([
+      ((rgb >> 16) & 0xff) / 255,
+      ((rgb >> 8) & 0xff) / 255,
+      (rgb & 0xff) / 255,
+      opacity
+    ]);
+    // Recompute the padding for the new offset and blur
+    this.scale = this._scale;
+  }
+
+  /**
+   * Screen pixels per canvas unit
+   * @type {number}
+   */
+  get scale() {
+    return this._scale;
+  }
+
+  set scale(value) {
+    this._scale = value;
+    // Room around the object for the offset shadow and its blur
+    const { x, y, blur } = this.shadow;
+    this.padding = Math.ceil((Math.max(Math.abs(x), Math.abs(y)) + blur) * value) + 1;
+  }
+
+  apply(filterManager, input, output, clearMode) {
+    // Texture coordinates span the input texture, so convert pixels into them
+    const { width, height } = input.source;
+    const { x, y, blur } = this.shadow;
+    const uniforms = this.resources.shadowUniforms.uniforms;
+
+    uniforms.uOffset[0] = (x * this._scale) / width;
+    uniforms.uOffset[1] = (y * this._scale) / height;
+    // Samples reach three steps out, i.e. the full blur distance
+    uniforms.uSpread[0] = (blur * this._scale) / 3 / width;
+    uniforms.uSpread[1] = (blur * this._scale) / 3 / height;
+
+    filterManager.applyFilter(this, input, output, clearMode);
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Frames - Membership and navigation for frame (artboard) objects
+ *
+ * A frame is a named box that other objects sit in. Membership is geometric
+ * rather than stored: an object belongs to the frontmost frame behind it whose
+ * box contains the object's center. That way every client works it out the
+ * same way from positions and layer order, and dropping an object onto (or
+ * off) a frame needs no extra bookkeeping. Frames don't nest, and connectors
+ * never belong to a frame - they follow the objects they join.
+ *
+ * Members are clipped to their frame, move with it and are exported with it.
+ */
+
+export const FRAME_DEFAULTS = {
+  name: 'Frame',
+  fill: '#ffffff',
+  stroke: '#d1d5db'
+};
+
+// Header label size and its gap above the frame, in screen pixels
+export const FRAME_HEADER_FONT_SIZE = 12;
+export const FRAME_HEADER_GAP = 4;
+
+// Space left around a frame when zooming to it, in screen pixels
+export const FRAME_ZOOM_PADDING = 48;
+
+/**
+ * Whether a box contains a point (edges included)
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @param {Object} point - {x, y}
+ * @returns {boolean}
+ */
+export function boxContains(box, point) {
+  return point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY;
+}
+
+/**
+ * Work out which frame each object belongs to
+ * @param {Array<Object>} items - {id, type, bounds: {minX, minY, maxX, maxY}}, back to front;
+ *   items without bounds are skipped
+ * @returns {Map} Object id → frame id, for objects that are in a frame
+ */
+export function frameMembership(items) {
+  const membership = new Map();
+  const frames = []; // frames seen so far, i.e. behind the current item
+
+  items.forEach(item => {
+    if (!item.bounds) return;
+
+    if (item.type === 'frame') {
+      frames.push(item);
+      return;
+    }
+    if (item.type === 'connector') return;
+
+    const center = {
+      x: (item.bounds.minX + item.bounds.maxX) / 2,
+      y: (item.bounds.minY + item.bounds.maxY) / 2
+    };
+    for (let i = frames.length - 1; i >= 0; i--) {
+      if (boxContains(frames[i].bounds, center)) {
+        membership.set(item.id, frames[i].id);
+        return;
+      }
+    }
+  });
+
+  return membership;
+}
+
+/**
+ * Viewport that fits a box in the view, centered
+ * @param {Object} box - {minX, minY, maxX, maxY} in canvas coordinates
+ * @param {Object} view - {width, height} of the screen
+ * @param {Object} options - {padding} in screen pixels, {minZoom, maxZoom}
+ * @returns {Object} {x, y, zoom} for the canvas stage
+ */
+export function fitBoxToView(box, view, { padding = FRAME_ZOOM_PADDING, minZoom = 0.1, maxZoom = 5 } = {}) {
+  const width = Math.max(box.maxX - box.minX, 1);
+  const height = Math.max(box.maxY - box.minY, 1);
+  const availableWidth = Math.max(view.width - padding * 2, 1);
+  const availableHeight = Math.max(view.height - padding * 2, 1);
+
+  const zoom = Math.min(maxZoom, Math.max(minZoom, Math.min(availableWidth / width, availableHeight / height)));
+  const centerX = (box.minX + box.maxX) / 2;
+  const centerY = (box.minY + box.maxY) / 2;
+
+  return {
+    x: view.width / 2 - centerX * zoom,
+    y: view.height / 2 - centerY * zoom,
+    zoom
+  };
+}
+
+/**
+ * Default name for a new frame, numbered after the existing ones
+ * @param {Array<string>} names - Names of the frames already on the canvas
+ * @returns {string} e.g. "Frame 3"
+ */
+export function nextFrameName(names) {
+  const numbers = names
+    .map(name => new RegExp(`^${FRAME_DEFAULTS.name} (\\d+)$`).exec(name || ''))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  return `${FRAME_DEFAULTS.name} ${Math.max(0, ...numbers) + 1}`;
+}
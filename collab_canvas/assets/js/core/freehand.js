@@ -0,0 +1,186 @@
+/**
+ * Freehand - Stroke simplification and smoothing for the pen tool
+ *
+ * Pointer samples are thinned with Ramer-Douglas-Peucker and stored as a flat
+ * point list relative to the stroke's center (the object position). The path
+ * is drawn through every stored point as a Catmull-Rom spline, converted to
+ * cubic bezier segments so PixiJS and SVG can render it directly.
+ *
+ * Points are {x, y}; stored paths are flat: [x0, y0, x1, y1, ...].
+ */
+
+// Line segments per spline segment when sampling for hit-testing and bounds
+const SAMPLES_PER_SEGMENT = 8;
+
+/**
+ * Distance from a point to the segment a-b
+ * @returns {number}
+ */
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Drop samples that stay within `tolerance` of the simplified path (Ramer-Douglas-Peucker)
+ * @param {Array<Object>} points - Pointer samples in drawing order
+ * @param {number} tolerance - Maximum deviation allowed (world units)
+ * @returns {Array<Object>} Kept points (always the first and last)
+ */
+export function simplifyPath(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative so long strokes can't overflow the call stack
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+}
+
+/**
+ * Catmull-Rom spline through the points as cubic bezier segments
+ * @param {Array<Object>} points - Points the curve passes through
+ * @returns {Array<Object>} [{c1, c2, to}, ...] - one segment per consecutive pair of points
+ */
+export function smoothPathSegments(points) {
+  const segments = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    // Ends reuse their own point as the missing neighbour
+    const p0 = points[i - 1] || points[i];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[i + 2] || p2;
+
+    segments.push({
+      c1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+      c2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+      to: p2
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Unpack a stored flat point list
+ * @param {Array<number>} flat - [x0, y0, x1, y1, ...]
+ * @returns {Array<Object>} {x, y} points
+ */
+export function pathPointsFromFlat(flat = []) {
+  const points = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) {
+    points.push({ x: flat[i], y: flat[i + 1] });
+  }
+  return points;
+}
+
+/**
+ * The smoothed path as a flat polyline (hit-testing and bounds)
+ * @param {Array<Object>} points - Stored path points
+ * @returns {Array<number>} Flat polyline
+ */
+export function samplePath(points) {
+  if (points.length === 0) return [];
+
+  const result = [points[0].x, points[0].y];
+  let from = points[0];
+  smoothPathSegments(points).forEach(({ c1, c2, to }) => {
+    for (let step = 1; step <= SAMPLES_PER_SEGMENT; step++) {
+      const t = step / SAMPLES_PER_SEGMENT;
+      const u = 1 - t;
+      result.push(
+        u * u * u * from.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * to.x,
+        u * u * u * from.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * to.y
+      );
+    }
+    from = to;
+  });
+
+  return result;
+}
+
+/**
+ * Turn pointer samples into a compact path object
+ * @param {Array<Object>} samples - Pointer samples in world coordinates
+ * @param {number} tolerance - Simplification tolerance (world units)
+ * @returns {Object|null} {position, points} - position is the bounding-box center and
+ *   points are flat, relative to it and rounded to 0.1; null for a stroke with no length
+ */
+export function compactStroke(samples, tolerance) {
+  const kept = simplifyPath(samples, tolerance);
+  const xs = kept.map(point => point.x);
+  const ys = kept.map(point => point.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+
+  if (kept.length < 2 || (maxX - minX === 0 && maxY - minY === 0)) return null;
+
+  const position = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+  const round = value => Math.round(value * 10) / 10 || 0; // no -0
+  return {
+    position,
+    points: kept.flatMap(point => [round(point.x - position.x), round(point.y - position.y)])
+  };
+}
+
+/**
+ * Stretch a stored path about its center (resize handles)
+ * @param {Array<number>} flat - Stored path points
+ * @param {Object} from - {width, height} current size
+ * @param {Object} to - {width, height} new size
+ * @returns {Array<number>} Scaled flat points
+ */
+export function scalePathPoints(flat, from, to) {
+  const scaleX = from.width > 0 ? to.width / from.width : 1;
+  const scaleY = from.height > 0 ? to.height / from.height : 1;
+  return flat.map((value, index) => value * (index % 2 === 0 ? scaleX : scaleY));
+}
+
+/**
+ * SVG path data for the smoothed path
+ * @param {Array<Object>} points - Stored path points
+ * @param {Function} transform - Maps a local {x, y} to output coordinates
+ * @returns {string} "M x y C ..." path data
+ */
+export function pathSvgData(points, transform = point => point) {
+  if (points.length === 0) return '';
+
+  const format = point => {
+    const { x, y } = transform(point);
+    return `${x} ${y}`;
+  };
+
+  return [
+    `M ${format(points[0])}`,
+    ...smoothPathSegments(points).map(({ c1, c2, to }) => `C ${format(c1)} ${format(c2)} ${format(to)}`)
+  ].join(' ');
+}
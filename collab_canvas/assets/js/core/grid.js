@@ -0,0 +1,130 @@
+/**
+ * Grid - Settings, zoom-adaptive levels and snapping for the canvas grid
+ *
+ * The grid has major lines every `spacing` world units, each cell split into
+ * `subdivisions` minor cells. When minor lines would crowd together on screen
+ * the grid coarsens by whole subdivisions, so the lines that stay are always a
+ * subset of the configured grid. Snapping uses the minor step that is shown.
+ */
+
+export const DEFAULT_GRID_SETTINGS = {
+  visible: false,
+  snap: false,
+  spacing: 100,
+  subdivisions: 5
+};
+
+// Closest minor lines may get on screen before the grid coarsens (pixels)
+const MIN_LINE_GAP = 8;
+
+/**
+ * Fill in defaults and clamp grid settings (same limits as the server)
+ * @param {Object} settings - Partial settings, possibly with string values
+ * @returns {Object} {visible, snap, spacing, subdivisions}
+ */
+export function normalizeGridSettings(settings = {}) {
+  const toBoolean = (value, fallback) => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return fallback;
+  };
+  const toInteger = (value, fallback, min, max) => {
+    const number = Math.round(Number(value));
+    return value === null || value === undefined || value === '' || !Number.isFinite(number)
+      ? fallback
+      : Math.min(max, Math.max(min, number));
+  };
+
+  return {
+    visible: toBoolean(settings.visible, DEFAULT_GRID_SETTINGS.visible),
+    snap: toBoolean(settings.snap, DEFAULT_GRID_SETTINGS.snap),
+    spacing: toInteger(settings.spacing, DEFAULT_GRID_SETTINGS.spacing, 4, 1000),
+    subdivisions: toInteger(settings.subdivisions, DEFAULT_GRID_SETTINGS.subdivisions, 1, 20)
+  };
+}
+
+/**
+ * Minor and major line steps shown at a zoom level
+ * @param {Object} settings - Normalized grid settings
+ * @param {number} zoom - Current zoom level
+ * @returns {Object} {minor, major} steps in world units (equal without subdivisions)
+ */
+export function gridLevels(settings, zoom) {
+  const { spacing, subdivisions } = settings;
+  const factor = Math.max(2, subdivisions);
+  let minor = spacing / subdivisions;
+
+  while (minor * zoom < MIN_LINE_GAP) {
+    minor *= factor;
+  }
+
+  if (subdivisions === 1) {
+    return { minor, major: minor };
+  }
+
+  // Coarsened at least to the configured spacing: keep emphasising every `factor`th line
+  const major = minor < spacing ? spacing : minor * factor;
+  return { minor, major };
+}
+
+/**
+ * World coordinates of the grid lines within a range
+ * @param {number} step - Line step in world units
+ * @param {number} min - Start of the range (world)
+ * @param {number} max - End of the range (world)
+ * @returns {Array<number>} Line coordinates, ascending
+ */
+export function gridLinesInRange(step, min, max) {
+  const lines = [];
+
+  for (let i = Math.ceil(min / step); i <= Math.floor(max / step); i++) {
+    lines.push(i * step || 0); // no -0
+  }
+
+  return lines;
+}
+
+/**
+ * Whether a world coordinate lies on a grid line
+ * @param {number} value - World coordinate
+ * @param {number} step - Line step
+ * @returns {boolean}
+ */
+export function isOnGridLine(value, step) {
+  const remainder = Math.abs(value / step - Math.round(value / step));
+  return remainder < 1e-6;
+}
+
+/**
+ * Round a coordinate to the nearest grid line
+ * @param {number} value - World coordinate
+ * @param {number} step - Grid step
+ * @returns {number}
+ */
+export function snapToGrid(value, step) {
+  return Math.round(value / step) * step;
+}
+
+/**
+ * Round a point to the nearest grid intersection
+ * @param {Object} point - {x, y} in world coordinates
+ * @param {number} step - Grid step
+ * @returns {Object} {x, y}
+ */
+export function snapPointToGrid(point, step) {
+  return { x: snapToGrid(point.x, step), y: snapToGrid(point.y, step) };
+}
+
+/**
+ * The next grid line strictly past a coordinate
+ * @param {number} value - World coordinate
+ * @param {number} step - Grid step
+ * @param {number} direction - 1 (increasing) or -1 (decreasing)
+ * @returns {number}
+ */
+export function nextGridLine(value, step, direction) {
+  const index = value / step;
+  const next = direction > 0 ? Math.floor(index + 1e-6) + 1 : Math.ceil(index - 1e-6) - 1;
+  return next * step;
+}
@@ -0,0 +1,80 @@
+/**
+ * Group Transform - Geometry for rotating and scaling a multi-selection
+ *
+ * A multi-selection is framed by one axis-aligned bounding box. Rotating the
+ * group turns every object about the box center; scaling maps each object's
+ * center from the old box into the new one and scales its size along the
+ * object's own (possibly rotated) axes.
+ */
+
+/**
+ * Axis-aligned bounds of a set of points
+ * @param {Array<Object>} points - {x, y} points
+ * @returns {Object|null} {center: {x, y}, width, height}, or null without points
+ */
+export function boundsOfPoints(points) {
+  if (points.length === 0) return null;
+
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const maxX = Math.max(...xs);
+  const maxY = Math.max(...ys);
+
+  return {
+    center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 },
+    width: maxX - minX,
+    height: maxY - minY
+  };
+}
+
+/**
+ * Rotate a point about a center
+ * @param {Object} point - {x, y}
+ * @param {Object} center - {x, y} rotation center
+ * @param {number} angle - Rotation in degrees (clockwise on screen)
+ * @returns {Object} {x, y}
+ */
+export function rotatePointAbout(point, center, angle) {
+  const rad = angle * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos
+  };
+}
+
+/**
+ * Scale one object of a group from the group's old box to its new box
+ *
+ * Exact for objects rotated by multiples of 90°; other angles can't be
+ * stretched without shearing, so their size follows the group's scale
+ * projected onto the object's axes.
+ *
+ * @param {Object} item - {center: {x, y}, width, height, angle} of the object
+ * @param {Object} from - {center, width, height} group box before scaling
+ * @param {Object} to - {center, width, height} group box after scaling
+ * @returns {Object} {center: {x, y}, width, height}
+ */
+export function scaleBoxInGroup(item, from, to) {
+  const scaleX = from.width > 0 ? to.width / from.width : 1;
+  const scaleY = from.height > 0 ? to.height / from.height : 1;
+
+  const rad = (item.angle || 0) * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+
+  return {
+    center: {
+      x: to.center.x + (item.center.x - from.center.x) * scaleX,
+      y: to.center.y + (item.center.y - from.center.y) * scaleY
+    },
+    width: item.width * Math.hypot(scaleX * cos, scaleY * sin),
+    height: item.height * Math.hypot(scaleX * sin, scaleY * cos)
+  };
+}
@@ -6,15 +6,275 @@
  * - Redo (Cmd/Ctrl+Shift+Z)
  * - Multi-object operations (treated as atomic actions)
  * - AI-generated operations (grouped as single undoable action)
+ *
+ * Operations record object states of shape {id, type, position, data, z_index,
+ * group_id}: `data` is the state after the operation and `previousState` the
+ * state before it (null when the object didn't exist). Stepping back or forward
+ * goes through resolveHistoryChange so that only what still looks the way the
+ * operation left it is changed - edits collaborators made since are kept.
+ *
+ * Every action gets an id and a readable label ("Moved 3 objects"), and named
+ * checkpoints can be pinned at the current point, for the history panel
+ * (see hooks/history_panel.js).
+ *
+ * Moves of the same objects in quick succession (arrow-key nudges, repeated
+ * drags) are compacted into one action, and the stacks can be serialized so a
+ * reload picks up where the session left off (see history_store.js).
  */
+
+// DOM events between the canvas hook and the history panel hook
+export const HISTORY_EVENTS = {
+  changed: 'canvas:history', // detail: HistoryManager#getSummary()
+  request: 'canvas:history-request', // ask for a 'changed' event
+  jump: 'canvas:history-jump', // detail: {entryId} (null for the start) or {checkpointId}
+  pin: 'canvas:history-pin', // detail: {name}
+  unpin: 'canvas:history-unpin' // detail: {id}
+};
+
+// State fields compared as a whole; `data` is compared key by key
+const STATE_FIELDS = ['type', 'position', 'z_index', 'group_id'];
+
+// Moves of the same objects less than this far apart (ms) become one action
+export const HISTORY_COMPACT_WINDOW = 1000;
+
+// Version of HistoryManager#serialize() snapshots
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Whether two recorded values are the same
+ * Numbers are compared within float noise and null/undefined count as equal.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function sameHistoryValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) < 1e-6;
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(keys).every(key => sameHistoryValue(a[key], b[key]));
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Operation type for an object going from one state to another
+ * @param {Object|null} before - State before (null if the object didn't exist)
+ * @param {Object|null} after - State after (null if the object was deleted)
+ * @returns {string|null} 'create', 'update' or 'delete', or null when nothing changed
+ */
+export function historyOperationType(before, after) {
+  if (!before && !after) return null;
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  return sameHistoryValue(before, after) ? null : 'update';
+}
+
+/**
+ * Work out how to take an object from one recorded state to another
+ *
+ * Updates are merged field by field (and data key by key): a field only goes
+ * back to `to` while it still equals `from`, so a collaborator's later change to
+ * it wins. Objects deleted since aren't brought back by an update, and objects
+ * that exist again aren't recreated.
+ *
+ * @param {Object|null} current - The object's state now (null if it doesn't exist)
+ * @param {Object|null} from - State the operation left the object in
+ * @param {Object|null} to - State to go back (or forward) to
+ * @returns {Object|null} {action: 'create'|'update'|'delete', id, state}, or null
+ *   when there's nothing left to change
+ */
+export function resolveHistoryChange(current, from, to) {
+  if (!to) {
+    return current ? { action: 'delete', id: current.id, state: null } : null;
+  }
+  if (!from) {
+    return current ? null : { action: 'create', id: to.id, state: to };
+  }
+  if (!current) return null;
+
+  const state = { ...current, data: { ...(current.data || {}) } };
+  let changed = false;
+
+  STATE_FIELDS.forEach(field => {
+    if (!sameHistoryValue(from[field], to[field]) && sameHistoryValue(current[field], from[field])) {
+      state[field] = to[field];
+      changed = true;
+    }
+  });
+
+  const fromData = from.data || {};
+  const toData = to.data || {};
+  new Set([...Object.keys(fromData), ...Object.keys(toData)]).forEach(key => {
+    if (!sameHistoryValue(fromData[key], toData[key]) && sameHistoryValue(state.data[key], fromData[key])) {
+      if (toData[key] === undefined) {
+        delete state.data[key];
+      } else {
+        state.data[key] = toData[key];
+      }
+      changed = true;
+    }
+  });
+
+  return changed ? { action: 'update', id: current.id, state } : null;
+}
+
+/**
+ * Ids of the objects an action touches
+ * @param {Object} action - Operation or batch from the undo/redo stack
+ * @returns {Array} Object ids, each once
+ */
+export function historyActionIds(action) {
+  const operations = action.type === 'batch' ? action.operations : [action];
+  const ids = operations.map(operation => (operation.data || operation.previousState || {}).id);
+  return Array.from(new Set(ids.filter(id => id !== undefined)));
+}
+
+/**
+ * Object ids to send with an undo/redo step so the server can move its own
+ * UndoHistory operations along
+ * @param {Object} action - Operation or batch from the undo/redo stack
+ * @returns {Array} Nothing for steps the server never recorded; otherwise each id
+ *   once per server operation compacted into the step
+ */
+export function serverHistoryIds(action) {
+  if (!action.server) return [];
+  const ids = historyActionIds(action);
+  return Array.from({ length: action.steps || 1 }, () => ids).flat();
+}
+
+const actionOperations = action => (action.type === 'batch' ? action.operations : [action]);
+
+// Whether an action only moved existing objects
+function isMoveAction(action) {
+  return actionOperations(action).every(({ type, data, previousState }) =>
+    type === 'update' &&
+    STATE_FIELDS.every(field => field === 'position' || sameHistoryValue(data[field], previousState[field])) &&
+    sameHistoryValue(data.data, previousState.data)
+  );
+}
+
+const SIZE_KEYS = ['width', 'height', 'radius'];
+const only = (keys, allowed) => Array.from(keys).every(key => allowed.includes(key));
+
+// Labels for updates by the fields (and data keys) they changed, checked in order
+const UPDATE_LABELS = [
+  [keys => keys.has('text') || keys.has('runs'), () => 'Edited text'],
+  [keys => keys.has('nodes'), noun => `Edited ${noun}`],
+  [keys => keys.has('rotation') && only(keys, ['rotation', 'position']), noun => `Rotated ${noun}`],
+  [keys => SIZE_KEYS.some(key => keys.has(key)) && only(keys, [...SIZE_KEYS, 'position']), noun => `Resized ${noun}`],
+  [keys => only(keys, ['position']), noun => `Moved ${noun}`],
+  [keys => keys.has('position') || keys.has('type'), noun => `Changed ${noun}`],
+  [() => true, noun => `Restyled ${noun}`]
+];
+
+/**
+ * Readable label for an action, e.g. "Moved 3 objects" or "Deleted rectangle"
+ * @param {Array<Object>} operations - The action's operations
+ * @returns {string}
+ */
+export function describeHistoryAction(operations) {
+  const states = operations.map(operation => operation.data || operation.previousState || {});
+  const noun = operations.length === 1 ? (states[0].type || 'object') : `${operations.length} objects`;
+  const types = new Set(operations.map(operation => operation.type));
+
+  if (types.size > 1) return `Changed ${noun}`;
+  if (types.has('create')) return `Created ${noun}`;
+  if (types.has('delete')) return `Deleted ${noun}`;
+
+  // Which fields the update touched, with data keys flattened in
+  const keys = new Set();
+  operations.forEach(({ data, previousState }) => {
+    ['type', 'position', 'z_index', 'group_id'].forEach(field => {
+      if (!sameHistoryValue(data[field], previousState[field])) keys.add(field);
+    });
+    const before = previousState.data || {};
+    const after = data.data || {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      if (!sameHistoryValue(before[key], after[key])) keys.add(key);
+    });
+  });
+
+  if (keys.size === 0) return `Changed ${noun}`;
+  const [, label] = UPDATE_LABELS.find(([matches]) => matches(keys));
+  return label(noun);
+}
+
 export class HistoryManager {
-  constructor(maxHistorySize = 50) {
+  /**
+   * @param {number} maxHistorySize - Most actions kept on each stack
+   * @param {Object} options - {compactWindow} in ms (0 turns compaction off)
+   */
+  constructor(maxHistorySize = 50, { compactWindow = HISTORY_COMPACT_WINDOW } = {}) {
+    this.compactWindow = compactWindow;
     this.undoStack = [];
     this.redoStack = [];
     this.maxHistorySize = maxHistorySize;
     this.currentBatch = null; // For batching multi-object operations
     this.undoCallback = null;
     this.redoCallback = null;
+    this.changeCallback = null;
+    this.nextId = 1; // Ids for actions and checkpoints
+    this.checkpoints = []; // {id, name, entryId, timestamp}, oldest first
+    this.trimmed = false; // The oldest actions were dropped to stay within maxHistorySize
+  }
+
+  /**
+   * Add an action to the undo stack: give it an id and label, enforce the
+   * size limit and clear the redo stack
+   * @param {Object} action - Operation or batch
+   */
+  pushAction(action) {
+    if (this.compactInto(action)) return;
+
+    action.id = this.nextId++;
+    if (!action.label) {
+      action.label = describeHistoryAction(action.type === 'batch' ? action.operations : [action]);
+    }
+    this.undoStack.push(action);
+
+    // Enforce max size
+    if (this.undoStack.length > this.maxHistorySize) {
+      this.undoStack.shift();
+      this.trimmed = true;
+    }
+
+    // Clear redo stack when new action is added
+    this.redoStack = [];
+    this.notifyChange();
+  }
+
+  /**
+   * Fold a move into the last action when that moved the same objects just before
+   * The last action keeps its id and starting states and takes the new end states,
+   * so one undo takes back the whole run of nudges or drags. Actions a checkpoint
+   * is pinned to are left alone.
+   * @param {Object} action - Action about to be pushed
+   * @returns {boolean} True if it was compacted
+   */
+  compactInto(action) {
+    const last = this.peekUndo();
+    if (!last || this.compactWindow <= 0 || this.redoStack.length > 0) return false;
+    if (action.timestamp - last.timestamp > this.compactWindow) return false;
+    if (Boolean(last.server) !== Boolean(action.server) || action.label || last.group) return false;
+    if (this.checkpoints.some(checkpoint => checkpoint.entryId === last.id)) return false;
+    if (!isMoveAction(last) || !isMoveAction(action)) return false;
+
+    const lastIds = historyActionIds(last);
+    const ids = historyActionIds(action);
+    if (lastIds.length !== ids.length || !ids.every(id => lastIds.includes(id))) return false;
+
+    const operations = actionOperations(last);
+    actionOperations(action).forEach(operation => {
+      operations.find(existing => existing.data.id === operation.data.id).data = operation.data;
+    });
+    last.timestamp = action.timestamp;
+    if (last.server) {
+      last.steps = (last.steps || 1) + (action.steps || 1);
+    }
+    this.notifyChange();
+    return true;
   }
 
   /**
@@ -27,22 +287,17 @@ export class HistoryManager {
 
   /**
    * End the current batch and add it to the undo stack
+   * @param {Object} meta - Extra properties kept on the action, e.g. {server: true} or
+   *   {label: 'AI: arrange in grid'} (the label is worked out from the operations otherwise)
    */
-  endBatch() {
+  endBatch(meta = {}) {
     if (this.currentBatch && this.currentBatch.length > 0) {
-      this.undoStack.push({
+      this.pushAction({
+        ...meta,
         type: 'batch',
         operations: this.currentBatch,
         timestamp: Date.now()
       });
-      
-      // Enforce max size
-      if (this.undoStack.length > this.maxHistorySize) {
-        this.undoStack.shift();
-      }
-      
-      // Clear redo stack when new action is added
-      this.redoStack = [];
     }
     this.currentBatch = null;
   }
@@ -68,15 +323,46 @@ export class HistoryManager {
     }
 
     // Otherwise add directly to undo stack
-    this.undoStack.push(operation);
-    
-    // Enforce max size
-    if (this.undoStack.length > this.maxHistorySize) {
-      this.undoStack.shift();
+    this.pushAction(operation);
+  }
+
+  /**
+   * Add an operation to the latest action when it belongs to the same group,
+   * e.g. the objects created by one import, or as a new action otherwise
+   * @param {string} group - Group key (actions without one never merge)
+   * @param {string} type - Operation type: 'create', 'update', 'delete'
+   * @param {Object} data - Operation data
+   * @param {Object} previousState - Previous state for undo
+   * @param {Object} meta - Extra properties kept on a new action
+   */
+  addGroupedOperation(group, type, data, previousState = null, meta = {}) {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (group && last && last.type === 'batch' && last.group === group && this.redoStack.length === 0) {
+      last.operations.push({ type, data, previousState, timestamp: Date.now() });
+      last.label = describeHistoryAction(last.operations);
+      this.notifyChange();
+      return;
     }
-    
-    // Clear redo stack when new action is added
-    this.redoStack = [];
+
+    this.startBatch();
+    this.addOperation(type, data, previousState);
+    this.endBatch({ ...meta, group });
+  }
+
+  /**
+   * The action the next undo would revert
+   * @returns {Object|null}
+   */
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+
+  /**
+   * The action the next redo would reapply
+   * @returns {Object|null}
+   */
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null;
   }
 
   /**
@@ -102,6 +388,7 @@ export class HistoryManager {
       
       // Add to redo stack
       this.redoStack.push(action);
+      this.notifyChange();
       
       return true;
     } catch (error) {
@@ -135,6 +422,7 @@ export class HistoryManager {
       
       // Add back to undo stack
       this.undoStack.push(action);
+      this.notifyChange();
       
       return true;
     } catch (error) {
@@ -183,6 +471,151 @@ export class HistoryManager {
     this.redoCallback = callback;
   }
 
+  /**
+   * Register callback for any change to the stacks or checkpoints
+   * @param {Function} callback - Called without arguments
+   */
+  onChange(callback) {
+    this.changeCallback = callback;
+  }
+
+  notifyChange() {
+    if (this.changeCallback) {
+      this.changeCallback();
+    }
+  }
+
+  /**
+   * Point recorded operations at new object ids, e.g. once objects created
+   * offline have been saved under server ids
+   * @param {Object} idMap - Old id → new id
+   */
+  remapObjectIds(idMap) {
+    const ids = new Map(Object.entries(idMap));
+    if (ids.size === 0) return;
+
+    [...this.undoStack, ...this.redoStack].forEach(action => {
+      actionOperations(action).forEach(operation => {
+        [operation.data, operation.previousState].forEach(state => {
+          if (state && ids.has(String(state.id))) state.id = ids.get(String(state.id));
+        });
+      });
+    });
+    this.notifyChange();
+  }
+
+  /**
+   * Change how many actions each stack keeps, dropping the oldest beyond it
+   * @param {number} size - New limit
+   */
+  setMaxHistorySize(size) {
+    this.maxHistorySize = size;
+    if (this.undoStack.length > size) {
+      this.undoStack = this.undoStack.slice(-size);
+      this.trimmed = true;
+    }
+    this.redoStack = this.redoStack.slice(-size);
+    this.notifyChange();
+  }
+
+  /**
+   * The stacks and checkpoints as plain data, for storing between sessions
+   * @returns {Object} Snapshot to pass to restore()
+   */
+  serialize() {
+    return {
+      version: SNAPSHOT_VERSION,
+      undoStack: this.undoStack,
+      redoStack: this.redoStack,
+      checkpoints: this.checkpoints,
+      nextId: this.nextId,
+      trimmed: this.trimmed
+    };
+  }
+
+  /**
+   * Replace the history with a stored snapshot
+   * Stacks longer than maxHistorySize lose their oldest actions.
+   * @param {Object} snapshot - From serialize()
+   * @returns {boolean} False if the snapshot isn't one this version can read
+   */
+  restore(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION ||
+        !Array.isArray(snapshot.undoStack) || !Array.isArray(snapshot.redoStack)) {
+      return false;
+    }
+
+    const undoStack = snapshot.undoStack.slice(-this.maxHistorySize);
+    const redoStack = snapshot.redoStack.slice(-this.maxHistorySize);
+    const ids = [...undoStack, ...redoStack, ...(snapshot.checkpoints || [])].map(item => item.id);
+
+    this.undoStack = undoStack;
+    this.redoStack = redoStack;
+    this.currentBatch = null;
+    this.checkpoints = Array.isArray(snapshot.checkpoints) ? snapshot.checkpoints : [];
+    this.nextId = Math.max(snapshot.nextId || 1, ...ids.map(id => id + 1));
+    this.trimmed = Boolean(snapshot.trimmed) || undoStack.length < snapshot.undoStack.length;
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * Pin a named checkpoint at the current point in the history
+   * @param {string} name - Checkpoint name (defaults to "Checkpoint N")
+   * @returns {Object} The checkpoint {id, name, entryId, timestamp}
+   */
+  addCheckpoint(name = '') {
+    const checkpoint = {
+      id: this.nextId++,
+      name: name.trim() || `Checkpoint ${this.checkpoints.length + 1}`,
+      entryId: this.peekUndo() ? this.peekUndo().id : null,
+      timestamp: Date.now()
+    };
+    this.checkpoints.push(checkpoint);
+    this.notifyChange();
+    return checkpoint;
+  }
+
+  /**
+   * Remove a pinned checkpoint
+   * @param {number} id - Checkpoint id
+   */
+  removeCheckpoint(id) {
+    this.checkpoints = this.checkpoints.filter(checkpoint => checkpoint.id !== id);
+    this.notifyChange();
+  }
+
+  /**
+   * Whether the history can still go to the point right after an action
+   * @param {number|null} entryId - Action id, or null for the start of the history
+   * @returns {boolean} False when the action was dropped (size limit, or an undone
+   *   branch replaced by new changes)
+   */
+  canReach(entryId) {
+    if (entryId === null) return !this.trimmed;
+    return this.undoStack.some(action => action.id === entryId) ||
+      this.redoStack.some(action => action.id === entryId);
+  }
+
+  /**
+   * The history as the panel shows it
+   * @returns {Object} {entries: [{id, label, timestamp, applied}] oldest first,
+   *   checkpoints: [{id, name, entryId, timestamp, reachable}], current: id of the
+   *   latest applied action or null, startReachable}
+   */
+  getSummary() {
+    const entry = applied => action => ({ id: action.id, label: action.label, timestamp: action.timestamp, applied });
+    return {
+      entries: [
+        ...this.undoStack.map(entry(true)),
+        ...this.redoStack.slice().reverse().map(entry(false))
+      ],
+      checkpoints: this.checkpoints.map(checkpoint => ({ ...checkpoint, reachable: this.canReach(checkpoint.entryId) })),
+      current: this.peekUndo() ? this.peekUndo().id : null,
+      startReachable: !this.trimmed
+    };
+  }
+
   /**
    * Check if undo is available
    */
@@ -218,5 +651,8 @@ export class HistoryManager {
     this.undoStack = [];
     this.redoStack = [];
     this.currentBatch = null;
+    this.checkpoints = [];
+    this.trimmed = false;
+    this.notifyChange();
   }
 }
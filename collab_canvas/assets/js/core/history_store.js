@@ -0,0 +1,121 @@
+/**
+ * HistoryStore - IndexedDB persistence for a user's undo history on a canvas
+ *
+ * Keeps one HistoryManager snapshot per user in a per-canvas database, so a
+ * reload mid-session keeps the undo stack, redo stack and checkpoints. Saving
+ * is best-effort: without IndexedDB (or when it fails) history just lasts for
+ * the session, as before.
+ */
+export class HistoryStore {
+  constructor(canvasId, userId) {
+    this.canvasId = canvasId;
+    this.userId = String(userId);
+    this.dbName = `collab_canvas_history_${canvasId}`;
+    this.storeName = 'histories';
+    this.db = null;
+    this.ready = null;
+  }
+
+  /**
+   * Initialize IndexedDB database
+   * @returns {Promise<IDBDatabase|null>} Null when IndexedDB isn't available
+   */
+  initDB() {
+    if (this.ready) return this.ready;
+
+    if (typeof indexedDB === 'undefined') {
+      this.ready = Promise.resolve(null);
+      return this.ready;
+    }
+
+    this.ready = new Promise((resolve) => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onerror = () => {
+        console.error('[HistoryStore] Error opening IndexedDB:', request.error);
+        resolve(null);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        // One record per user, keyed by user id
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'userId' });
+        }
+      };
+    });
+    return this.ready;
+  }
+
+  /**
+   * Run a request against the store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - (store) => IDBRequest
+   * @returns {Promise<*>} The request's result, or null if it failed
+   */
+  async request(mode, makeRequest) {
+    const db = await this.initDB();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction([this.storeName], mode);
+        const request = makeRequest(transaction.objectStore(this.storeName));
+
+        request.onsuccess = () => resolve(request.result ?? null);
+        request.onerror = () => {
+          console.error('[HistoryStore] IndexedDB request failed:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.error('[HistoryStore] IndexedDB request failed:', error);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Load this user's stored history
+   * @returns {Promise<Object|null>} HistoryManager snapshot, or null if none was stored
+   */
+  async load() {
+    const record = await this.request('readonly', store => store.get(this.userId));
+    return record ? record.snapshot : null;
+  }
+
+  /**
+   * Store this user's history, replacing what was there
+   * @param {Object} snapshot - HistoryManager#serialize()
+   */
+  async save(snapshot) {
+    await this.request('readwrite', store => store.put({
+      userId: this.userId,
+      snapshot,
+      savedAt: Date.now()
+    }));
+  }
+
+  /**
+   * Forget this user's stored history
+   */
+  async clear() {
+    await this.request('readwrite', store => store.delete(this.userId));
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.ready = null;
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Image Export - Raster (PNG/JPEG/WebP), PDF and SVG files of canvas content
+ *
+ * Exports are drawn from the SVG document svg_export.js builds out of object
+ * data, never from the live PixiJS scene, so nothing on screen is moved,
+ * reparented or re-rendered. The SVG is sized to the output pixels and
+ * rasterized through an <img> onto a 2D canvas; PDFs embed that raster as a
+ * JPEG on a single page sized to the exported area (1 canvas unit = 1 CSS px).
+ *
+ * Image objects referencing uploaded files are inlined as data URLs first: an
+ * SVG drawn as an image may not load anything external.
+ */
+
+import { svgToDataUrl } from './image_paste.js';
+
+export const EXPORT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png', transparent: true },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', transparent: false },
+  webp: { mimeType: 'image/webp', extension: 'webp', transparent: true },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf', transparent: false },
+  svg: { mimeType: 'image/svg+xml', extension: 'svg', transparent: true }
+};
+
+// Scale factors offered by the export dialog (any positive scale is accepted)
+export const EXPORT_SCALES = [1, 2, 4];
+
+// What to export: every object, the selected ones, a canvas-space region or one
+// frame with its contents (see frames.js)
+export const EXPORT_SCOPES = ['all', 'selection', 'region', 'frame'];
+
+// Largest canvas every browser will draw into (Safari caps the area at 4096²)
+export const MAX_EXPORT_PIXELS = 4096 * 4096;
+export const MAX_EXPORT_SIDE = 16384;
+
+const MAX_SCALE = 8;
+const MAX_PADDING = 1000;
+const JPEG_QUALITY = 0.92;
+
+// PDF points per canvas unit (CSS pixels are 1/96 inch, points 1/72)
+const POINTS_PER_UNIT = 0.75;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Fill in and clamp export options
+ * @param {Object} options - {format, scale, background, padding, scope, region, frame_id, filename}
+ * @returns {Object} Normalized options; `background` is a #rrggbb color or null for
+ *   transparent (formats without transparency get white)
+ */
+export function normalizeExportOptions(options = {}) {
+  const format = EXPORT_FORMATS[options.format] ? options.format : 'png';
+  const scale = Number(options.scale);
+  const padding = Number(options.padding);
+  const region = options.region;
+  const validRegion = !!region && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(Number(region[key])))
+    && region.width > 0 && region.height > 0;
+  const background = typeof options.background === 'string' && /^#[0-9A-Fa-f]{6}$/.test(options.background)
+    ? options.background.toLowerCase()
+    : null;
+
+  return {
+    format,
+    scale: scale > 0 ? Math.min(scale, MAX_SCALE) : 1,
+    background: background || (EXPORT_FORMATS[format].transparent ? null : '#ffffff'),
+    padding: padding > 0 ? Math.min(padding, MAX_PADDING) : 0,
+    scope: EXPORT_SCOPES.includes(options.scope) ? options.scope : 'all',
+    region: validRegion
+      ? { x: Number(region.x), y: Number(region.y), width: Number(region.width), height: Number(region.height) }
+      : null,
+    frameId: options.frame_id !== undefined && options.frame_id !== null && options.frame_id !== '' ? options.frame_id : null,
+    filename: typeof options.filename === 'string' ? options.filename : ''
+  };
+}
+
+/**
+ * The exported area: a box grown by the padding
+ * @param {Object} box - {minX, minY, maxX, maxY} in canvas coordinates
+ * @param {number} padding - Padding on every side
+ * @returns {Object} {x, y, width, height}
+ */
+export function exportFrame(box, padding = 0) {
+  return {
+    x: box.minX - padding,
+    y: box.minY - padding,
+    width: box.maxX - box.minX + padding * 2,
+    height: box.maxY - box.minY + padding * 2
+  };
+}
+
+/**
+ * Largest scale, up to the requested one, at which the frame fits the browser's canvas limits
+ * @param {Object} frame - {width, height} in canvas units
+ * @param {number} scale - Requested pixels per canvas unit
+ * @returns {number} Scale to render at
+ */
+export function fitExportScale(frame, scale) {
+  const area = frame.width * frame.height;
+  const side = Math.max(frame.width, frame.height);
+  if (!(area > 0)) return scale;
+
+  return Math.min(scale, Math.sqrt(MAX_EXPORT_PIXELS / area), MAX_EXPORT_SIDE / side);
+}
+
+/**
+ * Download name for an export
+ * @param {string} name - Base name (e.g. the canvas name)
+ * @param {string} format - Export format, or the extension of another file type
+ * @returns {string} e.g. "roadmap-q3.png"
+ */
+export function exportFilename(name, format) {
+  const base = String(name || '')
+    .trim()
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+  const extension = EXPORT_FORMATS[format] ? EXPORT_FORMATS[format].extension : (format || 'png');
+  return `${base || 'canvas-export'}.${extension}`;
+}
+
+/**
+ * Replace image sources that aren't data URLs with inline copies
+ * @param {Array<Object>} records - Object records (see svg_export.js)
+ * @param {Function} fetchImpl - fetch implementation
+ * @returns {Promise<Array<Object>>} Records, with image objects copied
+ */
+export async function inlineImageSources(records, fetchImpl = fetch) {
+  const cache = new Map();
+  const inline = src => {
+    if (!cache.has(src)) {
+      cache.set(src, fetchImpl(src)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.blob();
+        })
+        .then(blobToDataUrl)
+        .catch(error => {
+          console.warn('[ImageExport] Could not inline image, it will be missing:', src, error);
+          return src;
+        }));
+    }
+    return cache.get(src);
+  };
+
+  return Promise.all(records.map(async record => {
+    const src = record.type === 'image' && record.data && record.data.src;
+    if (!src || src.startsWith('data:')) return record;
+    return { ...record, data: { ...record.data, src: await inline(src) } };
+  }));
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Draw an SVG document onto a new canvas
+ * @param {string} svg - SVG document
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function rasterizeSvg(svg, width, height) {
+  const image = new Image();
+  image.src = svgToDataUrl(svg);
+  await image.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Encode a canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} mimeType - image/png, image/jpeg or image/webp
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, mimeType) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      // Browsers fall back to PNG for types they can't encode
+      if (!blob || blob.type !== mimeType) {
+        reject(new Error(`This browser can't encode ${mimeType}`));
+      } else {
+        resolve(blob);
+      }
+    }, mimeType, JPEG_QUALITY);
+  });
+}
+
+/**
+ * Wrap a JPEG in a single-page PDF
+ * @param {Uint8Array} jpeg - JPEG file
+ * @param {Object} size - {width, height} of the JPEG in pixels, {pageWidth, pageHeight} in points
+ * @returns {Uint8Array} PDF file
+ */
+export function jpegToPdf(jpeg, { width, height, pageWidth, pageHeight }) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = part => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, dictionary, stream = null) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${dictionary}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  const pageSize = `${round(pageWidth)} ${round(pageHeight)}`;
+  const content = encoder.encode(`q ${round(pageWidth)} 0 0 ${round(pageHeight)} 0 0 cm /Im0 Do Q`);
+
+  // The binary comment marks the file as binary for transfer tools
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageSize}] `
+    + '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>');
+  object(4, `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB `
+    + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`, jpeg);
+  object(5, `<< /Length ${content.length} >>`, content);
+
+  // Cross-reference entries are exactly 20 bytes each
+  const xref = length;
+  write(`xref\n0 ${offsets.length}\n0000000000 65535 f \n`);
+  offsets.slice(1).forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  write(`trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+}
+
+/**
+ * Encode an export frame's SVG in the requested format
+ * @param {string} svg - SVG document, already sized to the output pixels
+ * @param {Object} frame - {width, height} of the exported area in canvas units
+ * @param {number} scale - Pixels per canvas unit
+ * @param {string} format - Export format
+ * @returns {Promise<Blob>}
+ */
+export async function encodeExport(svg, frame, scale, format) {
+  const { mimeType } = EXPORT_FORMATS[format];
+  if (format === 'svg') {
+    return new Blob([svg], { type: mimeType });
+  }
+
+  const width = Math.max(1, Math.round(frame.width * scale));
+  const height = Math.max(1, Math.round(frame.height * scale));
+  const canvas = await rasterizeSvg(svg, width, height);
+
+  if (format !== 'pdf') {
+    return canvasToBlob(canvas, mimeType);
+  }
+
+  const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg')).arrayBuffer());
+  const pdf = jpegToPdf(jpeg, {
+    width,
+    height,
+    pageWidth: frame.width * POINTS_PER_UNIT,
+    pageHeight: frame.height * POINTS_PER_UNIT
+  });
+  return new Blob([pdf], { type: mimeType });
+}
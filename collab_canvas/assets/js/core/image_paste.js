@@ -0,0 +1,168 @@
+/**
+ * Image Paste - Turn clipboard images and SVG markup into image objects
+ *
+ * PNG/JPEG blobs are uploaded to the canvas's upload endpoint and referenced by URL, so the
+ * object data stays small. SVG markup is never uploaded (served from our own
+ * origin it could run script); it is kept inline as a data URL, which PixiJS
+ * rasterizes through an <img> where scripts don't execute.
+ */
+
+export const PASTE_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+export const SVG_MIME_TYPE = 'image/svg+xml';
+
+/**
+ * Upload endpoint for a canvas's pasted images
+ * @param {number|string} canvasId - Canvas the image is pasted onto
+ * @returns {string}
+ */
+export function uploadEndpoint(canvasId) {
+  return `/api/canvases/${encodeURIComponent(canvasId)}/uploads`;
+}
+
+// The session's CSRF token, which the upload endpoint requires
+function csrfToken() {
+  const meta = document.querySelector("meta[name='csrf-token']");
+  return meta ? meta.getAttribute('content') : null;
+}
+
+// Inline SVGs are stored in the object data - keep them reasonably small
+export const MAX_INLINE_SVG_LENGTH = 256 * 1024;
+
+// Browsers fall back to 300x150 for SVGs without an intrinsic size
+const DEFAULT_SVG_SIZE = { width: 300, height: 150 };
+
+/**
+ * Find a pasteable PNG/JPEG file in a paste event's clipboard data
+ * @param {DataTransfer} clipboardData - event.clipboardData
+ * @returns {File|null}
+ */
+export function findClipboardImageFile(clipboardData) {
+  if (!clipboardData) return null;
+
+  const items = Array.from(clipboardData.items || []);
+  for (const item of items) {
+    if (item.kind === 'file' && PASTE_IMAGE_TYPES.includes(item.type)) {
+      const file = item.getAsFile();
+      if (file) return file;
+    }
+  }
+
+  const files = Array.from(clipboardData.files || []);
+  return files.find(file => PASTE_IMAGE_TYPES.includes(file.type)) || null;
+}
+
+/**
+ * Extract standalone SVG markup from pasted text
+ * @param {string} text - Clipboard text
+ * @returns {string|null} The markup, or null if the text isn't a single SVG document
+ */
+export function extractSvgMarkup(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  // Drop a BOM, XML prolog, doctype and leading comments (as written by editors)
+  const markup = text
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .replace(/^<\?xml[\s\S]*?\?>\s*/i, '')
+    .replace(/^(<!--[\s\S]*?-->\s*)+/, '')
+    .replace(/^<!DOCTYPE[^>]*>\s*/i, '');
+
+  if (!/^<svg[\s>]/i.test(markup) || !/<\/svg>$/i.test(markup)) {
+    return null;
+  }
+
+  if (markup.length > MAX_INLINE_SVG_LENGTH) {
+    console.warn('[ImagePaste] SVG too large to paste inline:', markup.length, 'characters');
+    return null;
+  }
+
+  return markup;
+}
+
+/**
+ * Encode SVG markup as a data URL usable as an image object's `src`
+ * @param {string} markup - SVG markup
+ * @returns {string}
+ */
+export function svgToDataUrl(markup) {
+  return `data:${SVG_MIME_TYPE};charset=utf-8,${encodeURIComponent(markup)}`;
+}
+
+/**
+ * Read the intrinsic size of SVG markup from its root element
+ *
+ * Uses width/height when both are absolute lengths, otherwise the viewBox
+ * (scaled to a given width or height when only one is set).
+ *
+ * @param {string} markup - SVG markup
+ * @returns {Object} {width, height}
+ */
+export function parseSvgSize(markup) {
+  const root = (markup.match(/^<svg\b[^>]*>/i) || [''])[0];
+  const attr = (name) => {
+    const match = root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1].trim() : null;
+  };
+  const length = (value) => {
+    const match = value && value.match(/^(\d*\.?\d+)(px)?$/i);
+    return match ? parseFloat(match[1]) : null;
+  };
+
+  const width = length(attr('width'));
+  const height = length(attr('height'));
+  if (width && height) return { width, height };
+
+  const viewBox = (attr('viewBox') || '').split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    const [, , vbWidth, vbHeight] = viewBox;
+    if (width) return { width, height: width * vbHeight / vbWidth };
+    if (height) return { width: height * vbWidth / vbHeight, height };
+    return { width: vbWidth, height: vbHeight };
+  }
+
+  return {
+    width: width || DEFAULT_SVG_SIZE.width,
+    height: height || DEFAULT_SVG_SIZE.height
+  };
+}
+
+/**
+ * Scale a size down (never up) so its longest side fits within maxSize
+ * @param {number} width - Natural width
+ * @param {number} height - Natural height
+ * @param {number} maxSize - Longest allowed side
+ * @returns {Object} {width, height} rounded to whole units
+ */
+export function fitImageSize(width, height, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Upload an image file and return its public URL
+ * @param {Blob} file - PNG or JPEG blob
+ * @param {string} endpoint - Upload endpoint (see uploadEndpoint)
+ * @returns {Promise<string>} URL of the stored image
+ */
+export async function uploadImage(file, endpoint) {
+  const formData = new FormData();
+  formData.append('file', file, file.name || 'pasted-image');
+
+  const token = csrfToken();
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: token ? { 'x-csrf-token': token } : {},
+    credentials: 'same-origin',
+    body: formData
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Upload failed with status ${response.status}`);
+  }
+
+  return result.url;
+}
@@ -1,8 +1,14 @@
+import { coalesceOperations } from './offline_sync.js';
+
 /**
  * OfflineQueue - IndexedDB-backed operation queue for offline support
  * 
  * Queues canvas operations when offline and syncs them when reconnected.
  * Provides visual feedback about connection status.
+ *
+ * The queue is coalesced and sent as one batch (see offline_sync.js); entries
+ * stay queued until the server confirms them, so a sync that can't get through
+ * yet is retried on the next reconnect rather than dropped.
  */
 export class OfflineQueue {
   constructor(canvasId) {
@@ -14,6 +20,9 @@ export class OfflineQueue {
     this.maxQueueSize = 100; // More than the required 20
     this.syncCallback = null;
     this.statusCallback = null;
+    this.syncing = false; // A batch was sent and its result hasn't arrived yet
+    this.syncTimeout = 30000; // Give up waiting for a result after this long (ms)
+    this.syncTimer = null;
     
     // Initialize IndexedDB
     this.initDB();
@@ -177,63 +186,88 @@ export class OfflineQueue {
   handleOffline() {
     console.log('[OfflineQueue] Connection lost, entering offline mode');
     this.isOnline = false;
+    // A batch in flight won't be answered - resend it once back online
+    this.stopSyncing();
     this.updateStatus('offline', 0);
   }
 
   /**
-   * Sync all queued operations
+   * Send all queued operations, coalesced, in one batch
+   * The entries are cleared by completeSync() once the server has applied them.
    */
   async syncQueue() {
-    const operations = await this.getQueuedOperations();
+    if (!this.isOnline || this.syncing) return;
+
+    const queued = await this.getQueuedOperations();
     
-    if (operations.length === 0) {
+    if (queued.length === 0) {
       console.log('[OfflineQueue] No operations to sync');
       this.updateStatus('online', 0);
       return;
     }
 
-    console.log(`[OfflineQueue] Syncing ${operations.length} operations...`);
-    
-    const startTime = Date.now();
-    let successCount = 0;
-    let failCount = 0;
-
-    // Process operations in order
-    for (const operation of operations) {
-      try {
-        // Call the sync callback if provided
-        if (this.syncCallback) {
-          await this.syncCallback(operation.type, operation.data);
-        }
-        
-        // Remove from queue on success
-        await this.clearOperation(operation.id);
-        successCount++;
-        
-        // Update status during sync
-        const remaining = operations.length - successCount - failCount;
-        this.updateStatus('reconnecting', remaining);
-      } catch (error) {
-        console.error('[OfflineQueue] Error syncing operation:', error);
-        failCount++;
-        
-        // Retry logic: remove if too many retries
-        operation.retries = (operation.retries || 0) + 1;
-        if (operation.retries >= 3) {
-          console.warn('[OfflineQueue] Operation failed after 3 retries, removing:', operation);
-          await this.clearOperation(operation.id);
-        }
+    const operations = coalesceOperations(queued);
+    console.log(`[OfflineQueue] Syncing ${queued.length} operations as ${operations.length}...`);
+    this.updateStatus('reconnecting', queued.length);
+
+    this.syncing = true;
+    // If the connection drops after the push, the result never arrives
+    this.syncTimer = setTimeout(() => {
+      console.warn('[OfflineQueue] No sync result received, will retry');
+      this.syncFailed();
+    }, this.syncTimeout);
+
+    try {
+      if (this.syncCallback) {
+        await this.syncCallback(operations, queued.map(operation => operation.id));
       }
+    } catch (error) {
+      console.error('[OfflineQueue] Error syncing operations:', error);
+      this.syncFailed();
     }
+  }
 
-    const syncDuration = Date.now() - startTime;
-    console.log(`[OfflineQueue] Sync complete: ${successCount} succeeded, ${failCount} failed in ${syncDuration}ms`);
-    
-    this.updateStatus('online', 0);
+  /**
+   * Clear the entries the server has applied
+   * Anything queued since goes out in another batch.
+   * @param {Array<number>} queueIds - Ids of the entries that were sent
+   */
+  async completeSync(queueIds) {
+    for (const id of queueIds) {
+      await this.clearOperation(id);
+    }
+    this.stopSyncing();
+
+    const remaining = await this.getQueueSize();
+    console.log(`[OfflineQueue] Sync complete: ${queueIds.length} applied, ${remaining} left`);
+    if (remaining > 0) {
+      await this.syncQueue();
+    } else {
+      this.updateStatus(this.isOnline ? 'online' : 'offline', 0);
+    }
+  }
+
+  /**
+   * The batch didn't get through (e.g. the server connection isn't back yet)
+   * Everything stays queued for the next syncQueue().
+   */
+  async syncFailed() {
+    this.stopSyncing();
+    this.updateStatus(this.isOnline ? 'reconnecting' : 'offline', await this.getQueueSize());
+  }
+
+  /**
+   * Stop waiting for the batch in flight
+   */
+  stopSyncing() {
+    this.syncing = false;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
   }
 
   /**
    * Register a callback for syncing operations
+   * @param {Function} callback - (operations, queueIds) => Promise; see coalesceOperations
    */
   onSync(callback) {
     this.syncCallback = callback;
@@ -266,6 +300,8 @@ export class OfflineQueue {
    * Cleanup resources
    */
   destroy() {
+    this.stopSyncing();
+
     if (this.db) {
       this.db.close();
       this.db = null;
@@ -0,0 +1,127 @@
+/**
+ * Offline sync - Client ids and coalescing for operations queued offline
+ *
+ * Objects created offline get a client id ("local-…") so later edits and
+ * deletes can refer to them before the server has assigned a real id; the
+ * server maps client ids to the ids it creates (see CollabCanvas.OfflineSync).
+ *
+ * Before replay the queue is coalesced: repeated updates to an object become
+ * one, updates to an object created offline fold into its create, and edits to
+ * an object deleted afterwards are dropped. Each update and delete keeps the
+ * object's state from when the connection dropped (its "base"), which the server
+ * merges against to spot what collaborators changed meanwhile.
+ */
+
+export const CLIENT_ID_PREFIX = 'local-';
+
+/**
+ * New id for an object created offline
+ * @returns {string} e.g. "local-1b9d6bcd-…"
+ */
+export function createClientId() {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  return `${CLIENT_ID_PREFIX}${random}`;
+}
+
+/**
+ * Whether an id was made by createClientId
+ * @param {*} id - Object id
+ * @returns {boolean}
+ */
+export function isClientId(id) {
+  return typeof id === 'string' && id.startsWith(CLIENT_ID_PREFIX);
+}
+
+// Object data as a map (queued payloads carry either a map or a JSON string)
+function dataMap(data) {
+  if (typeof data === 'string') {
+    try {
+      const parsed = JSON.parse(data);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return data && typeof data === 'object' ? data : {};
+}
+
+// Fields an update_object payload sets, with `data` as a map of the keys it sets
+function updateChanges(payload) {
+  const changes = {};
+  ['type', 'position', 'z_index', 'group_id'].forEach(field => {
+    if (payload[field] !== undefined) changes[field] = payload[field];
+  });
+  if (payload.data !== undefined) changes.data = dataMap(payload.data);
+  return changes;
+}
+
+// Apply later changes on top of earlier ones (data key by key)
+function mergeChanges(target, changes) {
+  const { data, ...fields } = changes;
+  Object.assign(target, fields);
+  if (data) target.data = { ...dataMap(target.data), ...data };
+}
+
+/**
+ * Coalesce queued operations into what the server has to apply
+ * @param {Array<Object>} queued - OfflineQueue entries {type: 'create'|'update'|'delete', data, timestamp},
+ *   oldest first; create payloads carry a client_id, update/delete payloads an
+ *   object_id and optionally a base state
+ * @returns {Array<Object>} Operations for the server, in order:
+ *   {type: 'create', client_id, object, timestamp},
+ *   {type: 'update', object_id, changes, base, timestamp} or
+ *   {type: 'delete', object_id, base, timestamp}
+ */
+export function coalesceOperations(queued) {
+  const operations = [];
+  const latest = new Map(); // object id → its operation (or {type: 'gone'})
+
+  const remove = operation => operations.splice(operations.indexOf(operation), 1);
+
+  queued.forEach(({ type, data = {}, timestamp }) => {
+    if (type === 'create') {
+      const { client_id: clientId, ...object } = data;
+      const operation = { type: 'create', client_id: clientId, object: { ...object, data: dataMap(object.data) }, timestamp };
+      latest.set(clientId, operation);
+      operations.push(operation);
+      return;
+    }
+
+    const id = data.object_id ?? data.id;
+    const existing = latest.get(id);
+
+    if (type === 'update') {
+      const changes = updateChanges(data);
+      if (!existing) {
+        const operation = { type: 'update', object_id: id, changes, base: data.base || null, timestamp };
+        latest.set(id, operation);
+        operations.push(operation);
+      } else if (existing.type === 'create') {
+        mergeChanges(existing.object, changes);
+      } else if (existing.type === 'update') {
+        mergeChanges(existing.changes, changes);
+        existing.timestamp = timestamp;
+      }
+      // Updates to deleted objects are dropped
+      return;
+    }
+
+    if (type === 'delete') {
+      if (existing && existing.type === 'create') {
+        // Created and deleted offline - the server never needs to know
+        remove(existing);
+        latest.set(id, { type: 'gone' });
+      } else if (!existing || existing.type === 'update') {
+        if (existing) remove(existing);
+        const base = existing ? existing.base : (data.base || null);
+        const operation = { type: 'delete', object_id: id, base, timestamp };
+        latest.set(id, operation);
+        operations.push(operation);
+      }
+    }
+  });
+
+  return operations;
+}
@@ -0,0 +1,116 @@
+/**
+ * Resize Handles - Geometry for the eight selection resize handles
+ *
+ * Handles are named by compass direction and placed on the box in unit
+ * coordinates ({x, y} in -1..1, 0 = middle). computeResize() turns a pointer
+ * drag into a new size and center for a possibly rotated box: the opposite
+ * edge or corner stays put, or the center does when resizing from the center.
+ */
+
+export const RESIZE_HANDLES = [
+  { name: 'nw', x: -1, y: -1 },
+  { name: 'n', x: 0, y: -1 },
+  { name: 'ne', x: 1, y: -1 },
+  { name: 'e', x: 1, y: 0 },
+  { name: 'se', x: 1, y: 1 },
+  { name: 's', x: 0, y: 1 },
+  { name: 'sw', x: -1, y: 1 },
+  { name: 'w', x: -1, y: 0 }
+];
+
+// Cursors by handle direction, in 45° steps starting at "east"
+const RESIZE_CURSORS = ['ew-resize', 'nwse-resize', 'ns-resize', 'nesw-resize'];
+
+/**
+ * Look up a handle by name
+ * @param {string} name - Handle name (e.g. 'se')
+ * @returns {Object|null} {name, x, y}
+ */
+export function getResizeHandle(name) {
+  return RESIZE_HANDLES.find(handle => handle.name === name) || null;
+}
+
+/**
+ * CSS cursor for a handle on a box rotated by `angle`
+ * @param {Object} handle - {x, y} handle placement
+ * @param {number} angle - Box rotation in degrees
+ * @returns {string} CSS cursor
+ */
+export function resizeCursor(handle, angle = 0) {
+  const direction = Math.atan2(handle.y, handle.x) * 180 / Math.PI + angle;
+  const normalized = ((direction % 180) + 180) % 180;
+  return RESIZE_CURSORS[Math.round(normalized / 45) % 4];
+}
+
+/**
+ * Compute the box produced by dragging a resize handle
+ *
+ * @param {Object} options
+ * @param {Object} options.handle - {x, y} handle placement
+ * @param {number} options.width - Box width when the drag started
+ * @param {number} options.height - Box height when the drag started
+ * @param {Object} options.center - {x, y} box center when the drag started
+ * @param {number} options.angle - Box rotation in degrees
+ * @param {number} options.dx - Pointer movement since the drag started (world x)
+ * @param {number} options.dy - Pointer movement since the drag started (world y)
+ * @param {boolean} options.keepAspect - Keep the width/height ratio (Shift)
+ * @param {boolean} options.fromCenter - Resize symmetrically about the center (Alt)
+ * @param {number} options.minSize - Smallest allowed width/height
+ * @returns {Object} {width, height, center: {x, y}}
+ */
+export function computeResize({
+  handle,
+  width,
+  height,
+  center,
+  angle = 0,
+  dx,
+  dy,
+  keepAspect = false,
+  fromCenter = false,
+  minSize = 1
+}) {
+  const rad = angle * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+
+  // Pointer movement in the box's unrotated frame
+  const localDx = dx * cos + dy * sin;
+  const localDy = -dx * sin + dy * cos;
+
+  // From the center, both opposite sides move - the size changes twice as fast
+  const factor = fromCenter ? 2 : 1;
+  let newWidth = width + handle.x * localDx * factor;
+  let newHeight = height + handle.y * localDy * factor;
+
+  if (keepAspect && width > 0 && height > 0) {
+    let scale;
+    if (handle.x === 0) {
+      scale = newHeight / height;
+    } else if (handle.y === 0) {
+      scale = newWidth / width;
+    } else {
+      // Corners follow whichever axis moved further
+      scale = Math.max(newWidth / width, newHeight / height);
+    }
+    scale = Math.max(scale, minSize / Math.min(width, height));
+    newWidth = width * scale;
+    newHeight = height * scale;
+  } else {
+    newWidth = Math.max(minSize, newWidth);
+    newHeight = Math.max(minSize, newHeight);
+  }
+
+  // Keep the opposite side fixed by moving the center half the size change
+  const shiftX = fromCenter ? 0 : handle.x * (newWidth - width) / 2;
+  const shiftY = fromCenter ? 0 : handle.y * (newHeight - height) / 2;
+
+  return {
+    width: newWidth,
+    height: newHeight,
+    center: {
+      x: center.x + shiftX * cos - shiftY * sin,
+      y: center.y + shiftX * sin + shiftY * cos
+    }
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Rich Text - Styled runs for text objects
+ *
+ * A text object may carry `data.runs`, an ordered list of spans
+ * `{text, bold, italic, color, font_size}` whose texts concatenate to
+ * `data.text`. Style fields on a run override the object's own
+ * bold/italic/color/font_size; unset fields inherit them. `data.text` always
+ * holds the plain text, so clients and tools that don't know about runs keep
+ * working.
+ */
+
+export const RUN_STYLE_KEYS = ['bold', 'italic', 'color', 'font_size'];
+
+/**
+ * Get the styled runs of a text object's data
+ * @param {Object} data - Text object data
+ * @returns {Array<Object>|null} Runs, or null when the text is unstyled
+ */
+export function getRuns(data) {
+  if (!data || !Array.isArray(data.runs)) return null;
+
+  const runs = data.runs.filter(run => run && typeof run.text === 'string');
+  const styled = runs.some(run => RUN_STYLE_KEYS.some(key => run[key] !== undefined));
+
+  return styled ? runs : null;
+}
+
+/**
+ * Concatenate run texts
+ * @param {Array<Object>} runs - Runs
+ * @returns {string}
+ */
+export function runsToPlainText(runs) {
+  return runs.map(run => run.text).join('');
+}
+
+/**
+ * Drop empty runs and merge neighbours with identical styles
+ * @param {Array<Object>} runs - Runs
+ * @returns {Array<Object>} New runs
+ */
+export function normalizeRuns(runs) {
+  const result = [];
+
+  runs.forEach(run => {
+    if (!run.text) return;
+
+    const previous = result[result.length - 1];
+    if (previous && RUN_STYLE_KEYS.every(key => previous[key] === run[key])) {
+      previous.text += run.text;
+    } else {
+      result.push({ ...run });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Cut the runs covering a character range
+ * @param {Array<Object>} runs - Runs
+ * @param {number} start - Start offset (inclusive)
+ * @param {number} end - End offset (exclusive)
+ * @returns {Array<Object>} Runs for the range
+ */
+export function sliceRuns(runs, start, end) {
+  const result = [];
+  let offset = 0;
+
+  runs.forEach(run => {
+    const runStart = offset;
+    const runEnd = offset + run.text.length;
+    offset = runEnd;
+
+    const from = Math.max(start, runStart);
+    const to = Math.min(end, runEnd);
+    if (from < to) {
+      result.push({ ...run, text: run.text.slice(from - runStart, to - runStart) });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Re-apply run styles after the plain text was edited
+ *
+ * Text outside the changed region keeps its styles; inserted text takes the
+ * style of the character before it (or after it, at the very start).
+ *
+ * @param {Array<Object>} runs - Runs before the edit
+ * @param {string} newText - Plain text after the edit
+ * @returns {Array<Object>} Runs whose texts concatenate to newText
+ */
+export function applyTextEdit(runs, newText) {
+  const oldText = runsToPlainText(runs);
+  if (oldText === newText) return runs.map(run => ({ ...run }));
+
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (suffix < maxSuffix &&
+         oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const inserted = newText.slice(prefix, newText.length - suffix);
+  const styleIndex = prefix > 0 ? prefix - 1 : 0;
+  const [styleRun] = sliceRuns(runs, styleIndex, styleIndex + 1);
+
+  return normalizeRuns([
+    ...sliceRuns(runs, 0, prefix),
+    { ...(styleRun || {}), text: inserted },
+    ...sliceRuns(runs, oldText.length - suffix, oldText.length)
+  ]);
+}
+
+/**
+ * Escape text for use in HTML/XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the markup rendered by PIXI.HTMLText for a list of runs
+ * @param {Array<Object>} runs - Runs
+ * @returns {string} XHTML fragment
+ */
+export function runsToHtml(runs) {
+  return runs.map(run => {
+    const css = [];
+    if (run.bold !== undefined) css.push(`font-weight: ${run.bold ? 'bold' : 'normal'}`);
+    if (run.italic !== undefined) css.push(`font-style: ${run.italic ? 'italic' : 'normal'}`);
+    if (run.color) css.push(`color: ${run.color}`);
+    if (run.font_size) css.push(`font-size: ${run.font_size}px`);
+
+    const content = escapeXml(run.text).replace(/\n/g, '<br/>');
+    return css.length > 0 ? `<span style="${escapeXml(css.join('; '))}">${content}</span>` : content;
+  }).join('');
+}
+
+/**
+ * Split runs into lines at newline characters
+ * @param {Array<Object>} runs - Runs
+ * @returns {Array<Array<Object>>} Runs per line (a line may be empty)
+ */
+export function splitRunsIntoLines(runs) {
+  const lines = [[]];
+
+  runs.forEach(run => {
+    run.text.split('\n').forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ ...run, text: part });
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Build SVG <tspan> content for runs inside a <text> element
+ *
+ * Each line starts with a tspan positioned at `x`; the first sits on the
+ * <text> element's baseline and each following one is advanced by 1.2x the
+ * mean of the two lines' largest font sizes. Styled runs become nested tspans.
+ *
+ * @param {Array<Object>} runs - Runs
+ * @param {Object} options - {x, fontSize} where fontSize is the object's base size
+ * @returns {string} SVG markup
+ */
+export function runsToSvgTspans(runs, { x, fontSize }) {
+  let pendingDy = 0;
+  let previousSize = null;
+
+  return splitRunsIntoLines(runs).map((line, index) => {
+    const lineSize = Math.max(...line.map(run => run.font_size || fontSize), fontSize);
+
+    if (index > 0) {
+      pendingDy += (previousSize + lineSize) / 2 * 1.2;
+    }
+    previousSize = lineSize;
+
+    // An empty tspan can't carry dy - fold it into the next non-empty line
+    if (line.length === 0) return '';
+
+    const dy = pendingDy;
+    pendingDy = 0;
+
+    const spans = line.map(run => {
+      const attrs = [];
+      if (run.bold !== undefined) attrs.push(`font-weight="${run.bold ? 'bold' : 'normal'}"`);
+      if (run.italic !== undefined) attrs.push(`font-style="${run.italic ? 'italic' : 'normal'}"`);
+      if (run.color) attrs.push(`fill="${escapeXml(run.color)}"`);
+      if (run.font_size) attrs.push(`font-size="${run.font_size}"`);
+
+      const content = escapeXml(run.text);
+      return attrs.length > 0 ? `<tspan ${attrs.join(' ')}>${content}</tspan>` : content;
+    }).join('');
+
+    return `<tspan x="${x}" dy="${dy}">${spans}</tspan>`;
+  }).join('');
+}
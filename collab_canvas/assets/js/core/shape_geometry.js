@@ -0,0 +1,216 @@
+/**
+ * Shape Geometry - Pure geometry helpers for canvas shapes
+ *
+ * Generates the outline points used to draw stars, triangles and polygons,
+ * and provides the point-in-shape / distance-to-edge math used for precise
+ * hit-testing. All functions work in an object's local coordinate space and
+ * have no PixiJS dependency.
+ *
+ * Point arrays are flat: [x0, y0, x1, y1, ...] (the format Graphics.poly() takes).
+ */
+
+/**
+ * Calculate star outline points centered at the origin
+ * @param {number} points - Number of star points
+ * @param {number} outerRadius - Radius of the outer points
+ * @param {number} innerRadius - Radius of the inner points
+ * @returns {Array<number>} Flat point array
+ */
+export function starPoints(points, outerRadius, innerRadius) {
+  const result = [];
+  for (let i = 0; i < points * 2; i++) {
+    const angle = (i * Math.PI) / points - Math.PI / 2;
+    const radius = i % 2 === 0 ? outerRadius : innerRadius;
+    result.push(Math.cos(angle) * radius, Math.sin(angle) * radius);
+  }
+  return result;
+}
+
+/**
+ * Calculate triangle points (pointing up) centered at the origin
+ * @param {number} width - Triangle base width
+ * @param {number} height - Triangle height
+ * @returns {Array<number>} Flat point array
+ */
+export function trianglePoints(width, height) {
+  return [
+    0, -height / 2,           // Top
+    -width / 2, height / 2,   // Bottom left
+    width / 2, height / 2     // Bottom right
+  ];
+}
+
+/**
+ * Calculate regular polygon points centered at the origin (first vertex at top)
+ * @param {number} sides - Number of sides
+ * @param {number} radius - Circumradius
+ * @returns {Array<number>} Flat point array
+ */
+export function regularPolygonPoints(sides, radius) {
+  const result = [];
+  for (let i = 0; i < sides; i++) {
+    const angle = (i * 2 * Math.PI) / sides - Math.PI / 2;
+    result.push(Math.cos(angle) * radius, Math.sin(angle) * radius);
+  }
+  return result;
+}
+
+/**
+ * Test whether a point lies inside a polygon (even-odd rule)
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {Array<number>} points - Flat polygon point array
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, points) {
+  let inside = false;
+  const count = points.length / 2;
+
+  for (let i = 0, j = count - 1; i < count; j = i++) {
+    const xi = points[i * 2], yi = points[i * 2 + 1];
+    const xj = points[j * 2], yj = points[j * 2 + 1];
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Distance from a point to a line segment
+ * @param {number} px - Point x
+ * @param {number} py - Point y
+ * @param {number} ax - Segment start x
+ * @param {number} ay - Segment start y
+ * @param {number} bx - Segment end x
+ * @param {number} by - Segment end y
+ * @returns {number}
+ */
+export function distanceToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+
+  let t = 0;
+  if (lengthSq > 0) {
+    t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  }
+
+  const cx = ax + t * dx;
+  const cy = ay + t * dy;
+  return Math.hypot(px - cx, py - cy);
+}
+
+/**
+ * Distance from a point to the nearest edge of a polyline or closed polygon
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {Array<number>} points - Flat point array
+ * @param {boolean} closed - Include the closing edge from last to first point (default: true)
+ * @returns {number} Distance (Infinity for fewer than one point)
+ */
+export function distanceToPolyline(x, y, points, closed = true) {
+  const count = points.length / 2;
+  if (count === 0) return Infinity;
+  if (count === 1) return Math.hypot(x - points[0], y - points[1]);
+
+  let min = Infinity;
+  const edges = closed ? count : count - 1;
+  for (let i = 0; i < edges; i++) {
+    const j = (i + 1) % count;
+    min = Math.min(min, distanceToSegment(
+      x, y,
+      points[i * 2], points[i * 2 + 1],
+      points[j * 2], points[j * 2 + 1]
+    ));
+  }
+  return min;
+}
+
+/**
+ * Test whether a local-space point hits a shape, including an edge tolerance
+ *
+ * Supported shapes:
+ * - {kind: 'rect', x, y, width, height}
+ * - {kind: 'ellipse', cx, cy, rx, ry}
+ * - {kind: 'polygon', points}
+ * - {kind: 'polyline', points} (open path - only its stroke is hit)
+ *
+ * @param {Object} shape - Shape descriptor in local coordinates
+ * @param {number} x - Point x (local)
+ * @param {number} y - Point y (local)
+ * @param {number} tolerance - Distance outside the outline that still counts as a hit
+ * @returns {boolean}
+ */
+export function hitTestShape(shape, x, y, tolerance = 0) {
+  if (!shape) return false;
+
+  switch (shape.kind) {
+    case 'rect': {
+      return x >= shape.x - tolerance &&
+        x <= shape.x + shape.width + tolerance &&
+        y >= shape.y - tolerance &&
+        y <= shape.y + shape.height + tolerance;
+    }
+
+    case 'ellipse': {
+      const rx = shape.rx + tolerance;
+      const ry = shape.ry + tolerance;
+      if (rx <= 0 || ry <= 0) return false;
+      const nx = (x - shape.cx) / rx;
+      const ny = (y - shape.cy) / ry;
+      return nx * nx + ny * ny <= 1;
+    }
+
+    case 'polygon': {
+      if (pointInPolygon(x, y, shape.points)) return true;
+      return tolerance > 0 && distanceToPolyline(x, y, shape.points, true) <= tolerance;
+    }
+
+    case 'polyline':
+      return distanceToPolyline(x, y, shape.points, false) <= tolerance;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get the outline points for a polygon-based object type from its stored data
+ * Uses the same defaults as CanvasManager's create* methods
+ * @param {string} type - Object type ('star', 'triangle' or 'polygon')
+ * @param {Object} data - Object data
+ * @returns {Array<number>|null} Flat point array, or null for non-polygon types
+ */
+export function outlinePointsFor(type, data = {}) {
+  switch (type) {
+    case 'star': {
+      const outerRadius = (data.width || 100) / 2;
+      const points = starPoints(data.points || 5, outerRadius, outerRadius * (data.innerRatio || 0.5));
+      return stretchToHeight(points, data);
+    }
+    case 'triangle':
+      return trianglePoints(data.width || 100, data.height || 100);
+    case 'polygon':
+      return stretchToHeight(regularPolygonPoints(data.sides || 6, (data.width || 100) / 2), data);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Stretch a regular outline vertically when its data has a separate height
+ * (stars and polygons are sized by width; resizing can set both)
+ * @param {Array<number>} points - Flat [x0, y0, ...] outline centered on the origin
+ * @param {Object} data - Shape data
+ * @returns {Array<number>}
+ */
+function stretchToHeight(points, data) {
+  const width = data.width || 100;
+  if (!data.height || data.height === width) return points;
+
+  const scaleY = data.height / width;
+  return points.map((value, index) => (index % 2 === 1 ? value * scaleY : value));
+}
@@ -0,0 +1,265 @@
+/**
+ * Shape Styles - Gradient fills, stroke patterns and effects stored in object data
+ *
+ * Besides a solid `fill`, `stroke`, `stroke_width` and `opacity`, shapes may carry:
+ * - fill_gradient: {type: 'linear' | 'radial', angle, stops: [{offset, color}, ...]}
+ *   Offsets run 0 → 1 across the shape's box; angle is in degrees (0 = left to
+ *   right, 90 = top to bottom) and only applies to linear gradients.
+ * - stroke_style: 'solid' | 'dashed' | 'dotted' (patterns scale with stroke_width)
+ * - corner_radius: rectangles only, clamped to half the shorter side
+ * - shadow: {x, y, blur, color, opacity} drop shadow in canvas units
+ * - blur: layer blur in canvas units
+ *
+ * Everything here is pure geometry and markup; CanvasManager draws it with
+ * PIXI and writes it out in SVG exports.
+ */
+
+export const STROKE_STYLES = ['solid', 'dashed', 'dotted'];
+
+const DEFAULT_SHADOW = { x: 0, y: 4, blur: 8, color: '#000000', opacity: 0.25 };
+
+// Line segments per rounded corner when dashing a rounded rectangle
+const CORNER_STEPS = 8;
+
+const isHexColor = color => typeof color === 'string' && /^#[0-9A-Fa-f]{6}$/.test(color);
+const clamp01 = value => Math.min(1, Math.max(0, value));
+const round = value => Math.round(value * 10000) / 10000 || 0; // no -0
+
+/**
+ * Dash and gap lengths for a stroke style
+ * Dotted strokes are zero-length dashes drawn as round dots.
+ * @param {string} style - 'solid', 'dashed' or 'dotted'
+ * @param {number} width - Stroke width
+ * @returns {Array<number>|null} [dash, gap], or null for a solid stroke
+ */
+export function dashPattern(style, width) {
+  if (style === 'dashed') return [width * 4, width * 2];
+  if (style === 'dotted') return [0, width * 2];
+  return null;
+}
+
+/**
+ * SVG stroke-dasharray for a stroke style
+ * @param {string} style - 'solid', 'dashed' or 'dotted'
+ * @param {number} width - Stroke width (already scaled to the output)
+ * @returns {string|null} Dash array, or null for a solid stroke
+ */
+export function svgDashArray(style, width) {
+  const pattern = dashPattern(style, width);
+  return pattern ? pattern.map(round).join(' ') : null;
+}
+
+/**
+ * Cut a polyline into dashes
+ * The pattern carries on around corners, so dashes bend with the outline.
+ * @param {Array<number>} points - Flat polyline [x0, y0, x1, y1, ...]
+ * @param {boolean} closed - Whether the last point joins back to the first
+ * @param {Array<number>} pattern - [dash, gap] from dashPattern()
+ * @returns {Array<Array<number>>} Flat polylines, one per dash; a zero-length
+ *   dash (a dot) is a single [x, y] point
+ */
+export function dashPolyline(points, closed, pattern) {
+  const [dash, gap] = pattern;
+  const period = dash + gap;
+  if (!(period > 0)) return [];
+
+  const vertices = [];
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    vertices.push({ x: points[i], y: points[i + 1] });
+  }
+  if (closed && vertices.length > 2) vertices.push(vertices[0]);
+
+  const dashes = [];
+  let offset = 0; // distance into the current dash + gap period
+  let current = null; // dash being extended across corners
+
+  for (let i = 1; i < vertices.length; i++) {
+    const from = vertices[i - 1];
+    const to = vertices[i];
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    const pointAt = t => [from.x + ((to.x - from.x) * t) / length, from.y + ((to.y - from.y) * t) / length];
+
+    let t = 0;
+    while (t < length) {
+      if (offset === 0 && dash === 0) dashes.push(pointAt(t));
+
+      const inDash = offset < dash;
+      const boundary = inDash ? dash : period;
+      const remaining = boundary - offset;
+      const step = Math.min(length - t, remaining);
+
+      if (inDash) {
+        if (!current) {
+          current = pointAt(t);
+          dashes.push(current);
+        }
+        current.push(...pointAt(t + step));
+      } else {
+        current = null;
+      }
+
+      t += step;
+      if (step === remaining) {
+        offset = boundary === period ? 0 : dash;
+        if (boundary === dash) current = null;
+      } else {
+        offset += step;
+      }
+    }
+  }
+
+  return dashes;
+}
+
+/**
+ * Largest usable corner radius for a rectangle
+ * @param {number} radius - Requested radius
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @returns {number} Radius between 0 and half the shorter side
+ */
+export function clampCornerRadius(radius, width, height) {
+  return Math.max(0, Math.min(Number(radius) || 0, Math.min(width, height) / 2));
+}
+
+/**
+ * Outline of a (rounded) rectangle from 0,0 as a closed polyline (for dashing)
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @param {number} radius - Corner radius (already clamped)
+ * @returns {Array<number>} Flat points, clockwise from the top-left corner
+ */
+export function roundedRectPoints(width, height, radius = 0) {
+  if (radius <= 0) return [0, 0, width, 0, width, height, 0, height];
+
+  const corners = [
+    { x: width - radius, y: radius, start: -Math.PI / 2 },
+    { x: width - radius, y: height - radius, start: 0 },
+    { x: radius, y: height - radius, start: Math.PI / 2 },
+    { x: radius, y: radius, start: Math.PI }
+  ];
+  const points = [];
+  corners.forEach(({ x, y, start }) => {
+    for (let step = 0; step <= CORNER_STEPS; step++) {
+      const angle = start + (step / CORNER_STEPS) * (Math.PI / 2);
+      points.push(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+    }
+  });
+  return points;
+}
+
+/**
+ * Outline of an ellipse as a closed polyline (for dashing)
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} rx - Horizontal radius
+ * @param {number} ry - Vertical radius
+ * @param {number} steps - Number of points
+ * @returns {Array<number>} Flat points
+ */
+export function ellipsePoints(cx, cy, rx, ry, steps = 64) {
+  const points = [];
+  for (let step = 0; step < steps; step++) {
+    const angle = (step / steps) * Math.PI * 2;
+    points.push(cx + Math.cos(angle) * rx, cy + Math.sin(angle) * ry);
+  }
+  return points;
+}
+
+/**
+ * Validate a stored gradient
+ * @param {Object} gradient - data.fill_gradient
+ * @returns {Object|null} {type, angle, stops} with stops sorted by offset, or null
+ *   when there are fewer than two valid stops
+ */
+export function normalizeGradient(gradient) {
+  if (!gradient || !Array.isArray(gradient.stops)) return null;
+
+  const stops = gradient.stops
+    .filter(stop => stop && isHexColor(stop.color))
+    .map(stop => ({ offset: clamp01(Number(stop.offset) || 0), color: stop.color }))
+    .sort((a, b) => a.offset - b.offset);
+  if (stops.length < 2) return null;
+
+  return {
+    type: gradient.type === 'radial' ? 'radial' : 'linear',
+    angle: Number(gradient.angle) || 0,
+    stops
+  };
+}
+
+/**
+ * Start and end of a linear gradient in the shape's unit box
+ * The gradient line passes through the center in the direction of the angle.
+ * @param {number} angle - Degrees, 0 = left to right, 90 = top to bottom
+ * @returns {Object} {start: {x, y}, end: {x, y}} with coordinates 0 → 1
+ */
+export function linearGradientEnds(angle) {
+  const radians = (angle * Math.PI) / 180;
+  const dx = Math.cos(radians) / 2;
+  const dy = Math.sin(radians) / 2;
+  return {
+    start: { x: round(0.5 - dx), y: round(0.5 - dy) },
+    end: { x: round(0.5 + dx), y: round(0.5 + dy) }
+  };
+}
+
+/**
+ * Validate a stored drop shadow, filling in defaults
+ * @param {Object} shadow - data.shadow
+ * @returns {Object|null} {x, y, blur, color, opacity}, or null for no shadow
+ */
+export function normalizeShadow(shadow) {
+  if (!shadow || typeof shadow !== 'object') return null;
+
+  const number = (value, fallback) => (Number.isFinite(Number(value)) && value !== null ? Number(value) : fallback);
+  return {
+    x: number(shadow.x, DEFAULT_SHADOW.x),
+    y: number(shadow.y, DEFAULT_SHADOW.y),
+    blur: Math.max(0, number(shadow.blur, DEFAULT_SHADOW.blur)),
+    color: isHexColor(shadow.color) ? shadow.color : DEFAULT_SHADOW.color,
+    opacity: clamp01(number(shadow.opacity, DEFAULT_SHADOW.opacity))
+  };
+}
+
+/**
+ * SVG gradient definition (objectBoundingBox units, matching the shape's box)
+ * @param {string} id - Element id to reference with fill="url(#id)"
+ * @param {Object} gradient - Normalized gradient
+ * @returns {string} <linearGradient> or <radialGradient> markup
+ */
+export function svgGradientDef(id, gradient) {
+  const stops = gradient.stops
+    .map(stop => `<stop offset="${round(stop.offset)}" stop-color="${stop.color}" />`)
+    .join('');
+
+  if (gradient.type === 'radial') {
+    return `<radialGradient id="${id}" cx="0.5" cy="0.5" r="0.5">${stops}</radialGradient>`;
+  }
+
+  const { start, end } = linearGradientEnds(gradient.angle);
+  return `<linearGradient id="${id}" x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}">${stops}</linearGradient>`;
+}
+
+/**
+ * SVG filter for a drop shadow and/or layer blur
+ * Blur amounts are treated as twice the gaussian standard deviation.
+ * @param {string} id - Element id to reference with filter="url(#id)"
+ * @param {Object|null} shadow - Normalized shadow
+ * @param {number} blur - Layer blur
+ * @param {number} scale - Canvas units to output units (for markup in global coordinates)
+ * @returns {string} <filter> markup, or '' when there are no effects
+ */
+export function svgEffectsFilterDef(id, shadow, blur = 0, scale = 1) {
+  const primitives = [];
+  if (shadow) {
+    primitives.push(`<feDropShadow dx="${round(shadow.x * scale)}" dy="${round(shadow.y * scale)}" `
+      + `stdDeviation="${round((shadow.blur * scale) / 2)}" flood-color="${shadow.color}" flood-opacity="${shadow.opacity}" />`);
+  }
+  if (blur > 0) {
+    primitives.push(`<feGaussianBlur stdDeviation="${round((blur * scale) / 2)}" />`);
+  }
+  if (primitives.length === 0) return '';
+
+  return `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">${primitives.join('')}</filter>`;
+}
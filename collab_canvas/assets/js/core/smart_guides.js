@@ -0,0 +1,208 @@
+/**
+ * Smart Guides - Alignment and equal-spacing snapping for moving boxes
+ *
+ * Boxes are world-space {minX, minY, maxX, maxY} (as stored in the spatial
+ * index). A moving box snaps when one of its edges or its center comes within
+ * a threshold of an edge or center of another box, or when it can sit at the
+ * same gap as its neighbours. computeSnap() returns the offset to apply plus
+ * the alignment guides and spacing indicators to draw.
+ */
+
+// Snap distance in screen pixels (divide by zoom for world units)
+export const SNAP_THRESHOLD = 6;
+
+// Coordinates closer than this count as aligned when collecting guides
+const ALIGN_EPSILON = 0.5;
+
+const AXES = {
+  x: { min: 'minX', max: 'maxX', crossMin: 'minY', crossMax: 'maxY' },
+  y: { min: 'minY', max: 'maxY', crossMin: 'minX', crossMax: 'maxX' }
+};
+
+/**
+ * Edge and center coordinates of a box along an axis
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @param {string} axis - 'x' or 'y'
+ * @returns {Array<number>} [min, center, max]
+ */
+export function boxAnchors(box, axis) {
+  const { min, max } = AXES[axis];
+  return [box[min], (box[min] + box[max]) / 2, box[max]];
+}
+
+/**
+ * Move a box
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @param {number} dx - X offset
+ * @param {number} dy - Y offset
+ * @returns {Object} New box
+ */
+export function offsetBox(box, dx, dy) {
+  return { minX: box.minX + dx, minY: box.minY + dy, maxX: box.maxX + dx, maxY: box.maxY + dy };
+}
+
+/**
+ * Smallest box containing all boxes
+ * @param {Array<Object>} boxes - Non-empty list of {minX, minY, maxX, maxY}
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+export function unionBoxes(boxes) {
+  return {
+    minX: Math.min(...boxes.map(box => box.minX)),
+    minY: Math.min(...boxes.map(box => box.minY)),
+    maxX: Math.max(...boxes.map(box => box.maxX)),
+    maxY: Math.max(...boxes.map(box => box.maxY))
+  };
+}
+
+/**
+ * Find the closest snap between moving coordinates and target coordinates
+ * @param {Array<number>} values - Coordinates of the moving box
+ * @param {Array<number>} targets - Coordinates to snap to
+ * @param {number} threshold - Largest allowed offset
+ * @returns {Object|null} {offset, value} where value is the target snapped to
+ */
+export function findAxisSnap(values, targets, threshold) {
+  let best = null;
+
+  values.forEach(value => {
+    targets.forEach(target => {
+      const offset = target - value;
+      if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, value: target };
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Alignment guides for every edge or center of a box that lines up with another box
+ * @param {Object} box - Box after snapping
+ * @param {Array<Object>} others - Other boxes
+ * @param {string} axis - 'x' (vertical guides) or 'y' (horizontal guides)
+ * @returns {Array<Object>} [{axis, position, start, end}] spanning the aligned boxes
+ */
+export function alignmentGuides(box, others, axis) {
+  const { crossMin, crossMax } = AXES[axis];
+  const guides = new Map();
+
+  boxAnchors(box, axis).forEach(value => {
+    others.forEach(other => {
+      if (!boxAnchors(other, axis).some(target => Math.abs(target - value) < ALIGN_EPSILON)) return;
+
+      const guide = guides.get(value) || { axis, position: value, start: box[crossMin], end: box[crossMax] };
+      guide.start = Math.min(guide.start, other[crossMin]);
+      guide.end = Math.max(guide.end, other[crossMax]);
+      guides.set(value, guide);
+    });
+  });
+
+  return Array.from(guides.values());
+}
+
+/**
+ * Equal-spacing snap along one axis
+ *
+ * Considers boxes that overlap the moving box on the cross axis and tries
+ * three placements: centered between the nearest neighbours, or continuing
+ * the gap of the two nearest boxes on either side.
+ *
+ * @returns {Object|null} {offset, gaps: [{from, to}]} - gap boxes, null for the moving box
+ */
+function findSpacingSnap(moving, others, axis, threshold) {
+  const { min, max, crossMin, crossMax } = AXES[axis];
+  const size = moving[max] - moving[min];
+
+  const row = others.filter(other => other[crossMin] < moving[crossMax] && other[crossMax] > moving[crossMin]);
+  const before = row
+    .filter(other => other[max] <= moving[min] + threshold)
+    .sort((a, b) => b[max] - a[max]);
+  const after = row
+    .filter(other => other[min] >= moving[max] - threshold)
+    .sort((a, b) => a[min] - b[min]);
+
+  const options = [];
+  const [left, beforeLeft] = before;
+  const [right, afterRight] = after;
+
+  if (left && right) {
+    const gap = (right[min] - left[max] - size) / 2;
+    if (gap >= 0) {
+      options.push({ start: left[max] + gap, gaps: [{ from: left, to: null }, { from: null, to: right }] });
+    }
+  }
+  if (left && beforeLeft && beforeLeft[max] <= left[min]) {
+    const gap = left[min] - beforeLeft[max];
+    options.push({ start: left[max] + gap, gaps: [{ from: beforeLeft, to: left }, { from: left, to: null }] });
+  }
+  if (right && afterRight && afterRight[min] >= right[max]) {
+    const gap = afterRight[min] - right[max];
+    options.push({ start: right[min] - gap - size, gaps: [{ from: null, to: right }, { from: right, to: afterRight }] });
+  }
+
+  let best = null;
+  options.forEach(option => {
+    const offset = option.start - moving[min];
+    if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+      best = { offset, gaps: option.gaps };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Spacing indicator segments for an equal-spacing snap
+ * @returns {Array<Object>} [{axis, start, end, position}] - one segment per gap
+ */
+function spacingIndicators(snapped, spacing, axis) {
+  const { min, max, crossMin, crossMax } = AXES[axis];
+
+  return spacing.gaps.map(gap => {
+    const from = gap.from || snapped;
+    const to = gap.to || snapped;
+
+    // Draw across the middle of the two boxes' cross-axis overlap
+    const overlapMin = Math.max(from[crossMin], to[crossMin]);
+    const overlapMax = Math.min(from[crossMax], to[crossMax]);
+
+    return { axis, start: from[max], end: to[min], position: (overlapMin + overlapMax) / 2 };
+  });
+}
+
+/**
+ * Snap a moving box to other boxes
+ * @param {Object} moving - Moving box at its unsnapped position
+ * @param {Array<Object>} others - Boxes to snap to
+ * @param {number} threshold - Snap distance in world units
+ * @returns {Object} {dx, dy, guides, spacings}
+ */
+export function computeSnap(moving, others, threshold) {
+  const offsets = { x: 0, y: 0 };
+  const spacingSnaps = {};
+
+  ['x', 'y'].forEach(axis => {
+    const targets = others.flatMap(other => boxAnchors(other, axis));
+    const align = findAxisSnap(boxAnchors(moving, axis), targets, threshold);
+    const spacing = findSpacingSnap(moving, others, axis, threshold);
+
+    // Alignment wins ties - it's the more common intent
+    if (spacing && (!align || Math.abs(spacing.offset) < Math.abs(align.offset))) {
+      offsets[axis] = spacing.offset;
+      spacingSnaps[axis] = spacing;
+    } else if (align) {
+      offsets[axis] = align.offset;
+    }
+  });
+
+  const snapped = offsetBox(moving, offsets.x, offsets.y);
+
+  return {
+    dx: offsets.x,
+    dy: offsets.y,
+    guides: [...alignmentGuides(snapped, others, 'x'), ...alignmentGuides(snapped, others, 'y')],
+    spacings: Object.entries(spacingSnaps).flatMap(([axis, spacing]) => spacingIndicators(snapped, spacing, axis))
+  };
+}
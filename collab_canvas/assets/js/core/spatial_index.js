@@ -0,0 +1,236 @@
+/**
+ * SpatialIndex - Uniform grid index for canvas object bounds
+ *
+ * Buckets axis-aligned bounding boxes (in objectContainer/world coordinates)
+ * into fixed-size grid cells so hit-testing, lasso selection and viewport
+ * culling only look at objects near the query instead of every object.
+ *
+ * Objects that would span more than `maxCellsPerEntry` cells are kept in a
+ * separate oversized list that every query checks, which keeps very large
+ * shapes from flooding the grid.
+ */
+export class SpatialIndex {
+  /**
+   * Create a SpatialIndex instance
+   * @param {Object} config - Configuration options
+   * @param {number} config.cellSize - Grid cell size in world units (default: 256)
+   * @param {number} config.maxCellsPerEntry - Cell count above which an entry is stored as oversized (default: 64)
+   */
+  constructor(config = {}) {
+    this.cellSize = config.cellSize || 256;
+    this.maxCellsPerEntry = config.maxCellsPerEntry || 64;
+
+    this.cells = new Map(); // Map of "cx,cy" -> Set of ids
+    this.entries = new Map(); // Map of id -> {minX, minY, maxX, maxY, cellKeys}
+    this.oversized = new Set(); // Ids whose bounds cover too many cells
+  }
+
+  /**
+   * Number of indexed entries
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Insert an entry, replacing any previous bounds for the same id
+   * @param {*} id - Entry identifier (object ID)
+   * @param {Object} bounds - {minX, minY, maxX, maxY} in world coordinates
+   */
+  insert(id, bounds) {
+    if (this.entries.has(id)) {
+      this.remove(id);
+    }
+
+    if (!this.isValidBounds(bounds)) {
+      console.warn('[SpatialIndex] Ignoring invalid bounds for', id, bounds);
+      return;
+    }
+
+    const entry = {
+      minX: bounds.minX,
+      minY: bounds.minY,
+      maxX: bounds.maxX,
+      maxY: bounds.maxY,
+      cellKeys: []
+    };
+
+    const range = this.cellRange(entry.minX, entry.minY, entry.maxX, entry.maxY);
+    const cellCount = (range.maxCx - range.minCx + 1) * (range.maxCy - range.minCy + 1);
+
+    if (cellCount > this.maxCellsPerEntry) {
+      this.oversized.add(id);
+    } else {
+      for (let cx = range.minCx; cx <= range.maxCx; cx++) {
+        for (let cy = range.minCy; cy <= range.maxCy; cy++) {
+          const key = `${cx},${cy}`;
+          let cell = this.cells.get(key);
+          if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+          }
+          cell.add(id);
+          entry.cellKeys.push(key);
+        }
+      }
+    }
+
+    this.entries.set(id, entry);
+  }
+
+  /**
+   * Update the bounds of an entry (alias of insert, kept for readability at call sites)
+   * @param {*} id - Entry identifier
+   * @param {Object} bounds - {minX, minY, maxX, maxY}
+   */
+  update(id, bounds) {
+    this.insert(id, bounds);
+  }
+
+  /**
+   * Remove an entry from the index
+   * @param {*} id - Entry identifier
+   * @returns {boolean} True if the entry existed
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    entry.cellKeys.forEach(key => {
+      const cell = this.cells.get(key);
+      if (cell) {
+        cell.delete(id);
+        if (cell.size === 0) {
+          this.cells.delete(key);
+        }
+      }
+    });
+
+    this.oversized.delete(id);
+    this.entries.delete(id);
+    return true;
+  }
+
+  /**
+   * Check whether an id is indexed
+   * @param {*} id - Entry identifier
+   */
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Get the stored bounds for an entry
+   * @param {*} id - Entry identifier
+   * @returns {Object|null} {minX, minY, maxX, maxY} or null
+   */
+  getBounds(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    return { minX: entry.minX, minY: entry.minY, maxX: entry.maxX, maxY: entry.maxY };
+  }
+
+  /**
+   * Find entries whose bounds contain a point
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @param {number} tolerance - Extra margin around each entry's bounds (default: 0)
+   * @returns {Array} Matching ids (unordered)
+   */
+  queryPoint(x, y, tolerance = 0) {
+    return this.queryRect(x - tolerance, y - tolerance, x + tolerance, y + tolerance);
+  }
+
+  /**
+   * Find entries whose bounds intersect a rectangle
+   * @param {number} minX - Rectangle min x
+   * @param {number} minY - Rectangle min y
+   * @param {number} maxX - Rectangle max x
+   * @param {number} maxY - Rectangle max y
+   * @returns {Array} Matching ids (unordered)
+   */
+  queryRect(minX, minY, maxX, maxY) {
+    const results = new Set();
+    const range = this.cellRange(minX, minY, maxX, maxY);
+    const cellCount = (range.maxCx - range.minCx + 1) * (range.maxCy - range.minCy + 1);
+
+    const test = (id) => {
+      if (results.has(id)) return;
+      const entry = this.entries.get(id);
+      if (entry && !(entry.maxX < minX || maxX < entry.minX || entry.maxY < minY || maxY < entry.minY)) {
+        results.add(id);
+      }
+    };
+
+    if (cellCount > this.cells.size) {
+      // Query covers more cells than are populated - walk the populated cells instead
+      this.cells.forEach(cell => cell.forEach(test));
+    } else {
+      for (let cx = range.minCx; cx <= range.maxCx; cx++) {
+        for (let cy = range.minCy; cy <= range.maxCy; cy++) {
+          const cell = this.cells.get(`${cx},${cy}`);
+          if (cell) {
+            cell.forEach(test);
+          }
+        }
+      }
+    }
+
+    this.oversized.forEach(test);
+
+    return Array.from(results);
+  }
+
+  /**
+   * Get the combined bounds of every indexed entry
+   * @returns {Object|null} {minX, minY, maxX, maxY} or null when empty
+   */
+  getExtent() {
+    if (this.entries.size === 0) {
+      return null;
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    this.entries.forEach(entry => {
+      minX = Math.min(minX, entry.minX);
+      minY = Math.min(minY, entry.minY);
+      maxX = Math.max(maxX, entry.maxX);
+      maxY = Math.max(maxY, entry.maxY);
+    });
+
+    return { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+    this.oversized.clear();
+  }
+
+  /**
+   * Convert a world-space rectangle into an inclusive range of cell coordinates
+   */
+  cellRange(minX, minY, maxX, maxY) {
+    return {
+      minCx: Math.floor(minX / this.cellSize),
+      minCy: Math.floor(minY / this.cellSize),
+      maxCx: Math.floor(maxX / this.cellSize),
+      maxCy: Math.floor(maxY / this.cellSize)
+    };
+  }
+
+  /**
+   * Check that bounds are finite and well-ordered
+   */
+  isValidBounds(bounds) {
+    return !!bounds &&
+      Number.isFinite(bounds.minX) && Number.isFinite(bounds.minY) &&
+      Number.isFinite(bounds.maxX) && Number.isFinite(bounds.maxY) &&
+      bounds.maxX >= bounds.minX && bounds.maxY >= bounds.minY;
+  }
+}
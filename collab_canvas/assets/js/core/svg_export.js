@@ -0,0 +1,562 @@
+/**
+ * SVG Export - Serialize canvas objects to a standalone SVG document
+ *
+ * Works from object records rather than rendered PIXI objects, so the output is
+ * the same at any zoom or pan:
+ *   {id, type, position, data, z_index, group_id, size?, route?, frame_id?}
+ * `position` is where the object's pivot sits in canvas coordinates (as stored on
+ * the server); `size` is the measured {width, height} of objects whose size isn't
+ * in their data (text), `route` the current {points, controls} of a connector and
+ * `frame_id` the frame the object is clipped to (see frames.js).
+ *
+ * Each object is drawn in its local coordinates - exactly as CanvasManager draws
+ * it - and placed with translate/rotate/translate(-pivot). Objects keep their
+ * z-order; consecutive members of a group are wrapped in a <g>. Every object's
+ * root element carries its record in `data-canvas-object`, so an import can
+ * restore it exactly; plain SVG viewers simply ignore the attribute.
+ */
+
+import { outlinePointsFor } from './shape_geometry.js';
+import { FRAME_DEFAULTS } from './frames.js';
+import { lineEndpoints, arrowheadsFor, routeEnds, routePolyline, arrowheadGeometry } from './connectors.js';
+import { pathPointsFromFlat, samplePath, pathSvgData } from './freehand.js';
+import { sampleNodes, nodesSvgData } from './vector_path.js';
+import { getRuns, splitRunsIntoLines, runsToPlainText, runsToSvgTspans, escapeXml } from './rich_text.js';
+import {
+  svgDashArray,
+  clampCornerRadius,
+  normalizeGradient,
+  normalizeShadow,
+  svgGradientDef,
+  svgEffectsFilterDef
+} from './shape_styles.js';
+
+export const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Attribute holding each object's record for lossless re-import
+export const OBJECT_ATTRIBUTE = 'data-canvas-object';
+export const GROUP_ATTRIBUTE = 'data-canvas-group';
+
+// Pivot positions as fractions of the object's box (see CanvasManager.applyRotation)
+const PIVOTS = {
+  'top-left': [0, 0],
+  'top-right': [1, 0],
+  'bottom-left': [0, 1],
+  'bottom-right': [1, 1],
+  center: [0.5, 0.5]
+};
+
+// Types whose local geometry is centered on the origin rather than starting at 0,0
+const CENTERED_TYPES = ['star', 'triangle', 'polygon', 'path', 'line', 'arrow', 'connector'];
+
+const num = value => Math.round(value * 1000) / 1000 || 0; // no -0
+const color = (value, fallback) => (typeof value === 'string' && /^#[0-9A-Fa-f]{6}$/.test(value) ? value : fallback);
+const flatToPairs = flat => {
+  const pairs = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) {
+    pairs.push(`${num(flat[i])},${num(flat[i + 1])}`);
+  }
+  return pairs.join(' ');
+};
+
+/**
+ * Build an element's markup
+ * @param {Object} element - {name, attributes: [[name, value], ...], children?}
+ * @returns {string} Markup
+ */
+function renderElement({ name, attributes, children }) {
+  const attrs = attributes
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  return children !== undefined ? `<${name}${attrs}>${children}</${name}>` : `<${name}${attrs} />`;
+}
+
+/**
+ * Fill, stroke and opacity attributes shared by shapes
+ * @param {Object} record - Object record
+ * @param {Object} options - {fill, stroke, fillOpacity} resolved colors (fill may be 'none')
+ * @returns {Array<Array>} Attribute pairs
+ */
+function paintAttributes(record, { fill, stroke, fillOpacity = null }) {
+  const data = record.data;
+  const strokeWidth = data.stroke_width || 2;
+  const dashArray = svgDashArray(data.stroke_style, strokeWidth);
+  const gradient = fill !== 'none' ? normalizeGradient(data.fill_gradient) : null;
+
+  return [
+    ['fill', gradient ? `url(#object-${record.id}-fill)` : fill],
+    ['fill-opacity', fillOpacity],
+    ['stroke', stroke],
+    ['stroke-width', strokeWidth],
+    ['stroke-dasharray', dashArray],
+    ['stroke-linecap', data.stroke_style === 'dotted' ? 'round' : null]
+  ];
+}
+
+/**
+ * Size of an object's local box (used for its rotation pivot and bounds)
+ * @param {Object} record - Object record
+ * @returns {Object} {width, height}
+ */
+export function localSize(record) {
+  const data = record.data;
+
+  switch (record.type) {
+    case 'circle':
+      return { width: data.width || 100, height: data.width || 100 };
+    case 'star':
+    case 'polygon':
+      return { width: data.width || 100, height: data.height || data.width || 100 };
+    case 'line':
+    case 'arrow':
+    case 'connector': {
+      const { start, end } = lineEndpoints(data);
+      return { width: Math.abs(end.x - start.x), height: Math.abs(end.y - start.y) };
+    }
+    case 'path': {
+      const bounds = flatBounds(pathSamples(data));
+      return { width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY };
+    }
+    case 'text':
+      return record.size || estimateTextSize(data);
+    default:
+      return { width: data.width || 100, height: data.height || 100 };
+  }
+}
+
+/**
+ * Where an object's pivot sits in its local coordinates
+ * Unrotated objects pivot on their center; rotated ones on their pivot_point.
+ * @param {Object} record - Object record
+ * @returns {Object} {x, y}
+ */
+export function localPivot(record) {
+  if (record.type === 'connector') return { x: 0, y: 0 };
+
+  const { width, height } = localSize(record);
+  const rotated = Number(record.data.rotation) || 0;
+  const [fx, fy] = (rotated && PIVOTS[record.data.pivot_point]) || PIVOTS.center;
+  const offset = CENTERED_TYPES.includes(record.type) ? 0.5 : 0;
+
+  return { x: (fx - offset) * width, y: (fy - offset) * height };
+}
+
+/**
+ * Map a local point of an object to canvas coordinates
+ * @param {Object} record - Object record
+ * @param {Object} point - {x, y} local point
+ * @returns {Object} {x, y}
+ */
+export function localToCanvas(record, point) {
+  const pivot = localPivot(record);
+  const radians = ((Number(record.data.rotation) || 0) * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const x = point.x - pivot.x;
+  const y = point.y - pivot.y;
+
+  return {
+    x: record.position.x + x * cos - y * sin,
+    y: record.position.y + x * sin + y * cos
+  };
+}
+
+function transformAttribute(record) {
+  const pivot = localPivot(record);
+  const rotation = Number(record.data.rotation) || 0;
+  const parts = [`translate(${num(record.position.x)} ${num(record.position.y)})`];
+  if (rotation) parts.push(`rotate(${num(rotation)})`);
+  if (num(pivot.x) || num(pivot.y)) parts.push(`translate(${num(-pivot.x)} ${num(-pivot.y)})`);
+  return parts.join(' ');
+}
+
+function flatBounds(flat) {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (let i = 0; i + 1 < flat.length; i += 2) {
+    bounds.minX = Math.min(bounds.minX, flat[i]);
+    bounds.minY = Math.min(bounds.minY, flat[i + 1]);
+    bounds.maxX = Math.max(bounds.maxX, flat[i]);
+    bounds.maxY = Math.max(bounds.maxY, flat[i + 1]);
+  }
+  return bounds.minX === Infinity ? { minX: 0, minY: 0, maxX: 0, maxY: 0 } : bounds;
+}
+
+function pathSamples(data) {
+  return Array.isArray(data.nodes)
+    ? sampleNodes(data.nodes, !!data.closed)
+    : samplePath(pathPointsFromFlat(data.points));
+}
+
+function estimateTextSize(data) {
+  const fontSize = data.font_size || 16;
+  const runs = getRuns(data) || [{ text: data.text !== undefined ? data.text : 'Text' }];
+  const lines = splitRunsIntoLines(runs).map(line => runsToPlainText(line));
+  return {
+    width: Math.max(...lines.map(line => line.length)) * fontSize * 0.6,
+    height: lines.length * fontSize * 1.2
+  };
+}
+
+function lineRoute(record) {
+  if (record.route) return record.route;
+  const { start, end } = lineEndpoints(record.data);
+  return { points: [start, end], controls: null };
+}
+
+/**
+ * Elements (in local coordinates) and local bounds for each object type
+ * @param {Object} record - Object record
+ * @returns {Object|null} {elements, bounds: {minX, minY, maxX, maxY}}, null for unknown types
+ */
+function localGeometry(record) {
+  const data = record.data;
+  const type = record.type;
+  const fillColor = color(data.fill || data.color, '#3b82f6');
+
+  if (type === 'rectangle' || type === 'circle') {
+    const { width, height } = localSize(record);
+    const paint = paintAttributes(record, { fill: fillColor, stroke: color(data.stroke, '#1e40af') });
+    const radius = type === 'rectangle' ? clampCornerRadius(data.corner_radius, width, height) : 0;
+    const element = type === 'circle'
+      ? { name: 'circle', attributes: [['cx', num(width / 2)], ['cy', num(width / 2)], ['r', num(width / 2)], ...paint] }
+      : {
+          name: 'rect',
+          attributes: [
+            ['x', 0], ['y', 0], ['width', num(width)], ['height', num(height)],
+            ['rx', radius > 0 ? num(radius) : null], ['ry', radius > 0 ? num(radius) : null],
+            ...paint
+          ]
+        };
+    return { elements: [element], bounds: { minX: 0, minY: 0, maxX: width, maxY: height } };
+  }
+
+  if (type === 'frame') {
+    // The border is drawn inside the box, as on the canvas
+    const { width, height } = localSize(record);
+    const element = {
+      name: 'rect',
+      attributes: [
+        ['x', 0.5], ['y', 0.5], ['width', num(Math.max(width - 1, 0))], ['height', num(Math.max(height - 1, 0))],
+        ['fill', color(data.fill, FRAME_DEFAULTS.fill)],
+        ['stroke', color(data.stroke, FRAME_DEFAULTS.stroke)],
+        ['stroke-width', 1]
+      ]
+    };
+    return { elements: [element], bounds: { minX: 0, minY: 0, maxX: width, maxY: height } };
+  }
+
+  const outline = outlinePointsFor(type, data);
+  if (outline) {
+    const opacity = data.opacity || 1;
+    const paint = paintAttributes(record, {
+      fill: fillColor,
+      stroke: color(data.stroke, fillColor),
+      fillOpacity: opacity !== 1 ? opacity : null
+    });
+    return {
+      elements: [{ name: 'polygon', attributes: [['points', flatToPairs(outline)], ...paint] }],
+      bounds: flatBounds(outline)
+    };
+  }
+
+  if (type === 'path') {
+    const vector = Array.isArray(data.nodes);
+    const fill = vector && data.closed ? color(data.fill, null) : null;
+    const stroke = vector
+      ? color(data.stroke, fill || '#1e293b')
+      : color(data.stroke || data.fill || data.color, '#1e293b');
+    const d = vector
+      ? nodesSvgData(data.nodes, !!data.closed, point => ({ x: num(point.x), y: num(point.y) }))
+      : pathSvgData(pathPointsFromFlat(data.points), point => ({ x: num(point.x), y: num(point.y) }));
+    return {
+      elements: [{
+        name: 'path',
+        attributes: [
+          ['d', d],
+          ...paintAttributes(record, { fill: fill || 'none', stroke }),
+          ['stroke-linecap', 'round'],
+          ['stroke-linejoin', 'round']
+        ]
+      }],
+      bounds: flatBounds(pathSamples(data))
+    };
+  }
+
+  if (type === 'line' || type === 'arrow' || type === 'connector') {
+    return lineGeometry(record);
+  }
+
+  if (type === 'text') {
+    const { width, height } = localSize(record);
+    const fontSize = data.font_size || 16;
+    const runs = getRuns(data) || [{ text: data.text !== undefined ? data.text : 'Text' }];
+    const anchor = { center: 'middle', right: 'end' }[data.align] || 'start';
+    const x = anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0;
+    return {
+      elements: [{
+        name: 'text',
+        attributes: [
+          ['x', num(x)], ['y', fontSize], ['text-anchor', anchor],
+          ['fill', color(data.fill || data.color, '#000000')],
+          ['font-size', fontSize],
+          ['font-family', data.font_family || 'Arial'],
+          ['font-weight', data.bold ? 'bold' : 'normal'],
+          ['font-style', data.italic ? 'italic' : 'normal']
+        ],
+        children: runsToSvgTspans(runs, { x: num(x), fontSize })
+      }],
+      bounds: { minX: 0, minY: 0, maxX: width, maxY: height }
+    };
+  }
+
+  if (type === 'image') {
+    const { width, height } = localSize(record);
+    return {
+      elements: [{
+        name: 'image',
+        attributes: [
+          ['href', data.src || ''],
+          ['x', 0], ['y', 0], ['width', num(width)], ['height', num(height)],
+          ['preserveAspectRatio', 'none']
+        ]
+      }],
+      bounds: { minX: 0, minY: 0, maxX: width, maxY: height }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * A line, arrow or connector route with its arrowheads (same geometry as drawLinePath)
+ */
+function lineGeometry(record) {
+  const data = record.data;
+  const stroke = color(data.stroke || data.fill || data.color, '#1e293b');
+  const strokeWidth = data.stroke_width || 2;
+  const route = lineRoute(record);
+  const { points, controls } = route;
+
+  const format = point => `${num(point.x)} ${num(point.y)}`;
+  const d = controls
+    ? `M ${format(points[0])} C ${format(controls[0])} ${format(controls[1])} ${format(points[points.length - 1])}`
+    : `M ${format(points[0])} ${points.slice(1).map(point => `L ${format(point)}`).join(' ')}`;
+
+  const elements = [{
+    name: 'path',
+    attributes: [
+      ['d', d],
+      ...paintAttributes(record, { fill: 'none', stroke }),
+      ['stroke-linecap', 'round'],
+      ['stroke-linejoin', 'round']
+    ]
+  }];
+
+  // Arrowheads grow with the stroke so thick lines keep visible heads
+  const heads = arrowheadsFor(record.type, data);
+  const ends = routeEnds(route);
+  const size = Math.max(10, strokeWidth * 4);
+  ['start', 'end'].forEach(which => {
+    const head = arrowheadGeometry(ends[which].tip, ends[which].from, heads[which], size);
+    if (!head) return;
+
+    if (head.kind === 'circle') {
+      elements.push({ name: 'circle', attributes: [['cx', num(head.x)], ['cy', num(head.y)], ['r', num(head.radius)], ['fill', stroke]] });
+    } else if (head.kind === 'polyline') {
+      elements.push({
+        name: 'polyline',
+        attributes: [
+          ['points', flatToPairs(head.points)], ['fill', 'none'], ['stroke', stroke], ['stroke-width', strokeWidth],
+          ['stroke-linecap', 'round'], ['stroke-linejoin', 'round']
+        ]
+      });
+    } else {
+      elements.push({
+        name: 'polygon',
+        attributes: [['points', flatToPairs(head.points)], ['fill', stroke], ['stroke', stroke], ['stroke-width', 1], ['stroke-linejoin', 'round']]
+      });
+    }
+  });
+
+  const bounds = flatBounds(routePolyline(route).flatMap(point => [point.x, point.y]));
+  return {
+    elements,
+    bounds: { minX: bounds.minX - size / 2, minY: bounds.minY - size / 2, maxX: bounds.maxX + size / 2, maxY: bounds.maxY + size / 2 }
+  };
+}
+
+/**
+ * Serialize one object
+ * @param {Object} record - Object record
+ * @returns {Object|null} {markup, defs, bounds} - defs are gradient and filter
+ *   definitions it references, bounds its canvas-space box; null for unknown types
+ */
+export function objectToSvgElement(record) {
+  record = { ...record, data: record.data || {}, position: record.position || { x: 0, y: 0 } };
+  const geometry = localGeometry(record);
+  if (!geometry) return null;
+
+  const data = record.data;
+  const defs = [];
+  // Only filled shapes reference their gradient (see paintAttributes)
+  const gradient = normalizeGradient(data.fill_gradient);
+  const gradientUrl = `url(#object-${record.id}-fill)`;
+  if (gradient && geometry.elements[0].attributes.some(([name, value]) => name === 'fill' && value === gradientUrl)) {
+    defs.push(svgGradientDef(`object-${record.id}-fill`, gradient));
+  }
+  const shadow = normalizeShadow(data.shadow);
+  const blur = Math.max(0, Number(data.blur) || 0);
+  const filter = svgEffectsFilterDef(`object-${record.id}-effects`, shadow, blur);
+  if (filter) defs.push(filter);
+
+  // The record, for lossless import (ids are assigned again on import)
+  const { type, position, z_index: zIndex } = record;
+  const rootAttributes = [
+    ['id', `object-${record.id}`],
+    [OBJECT_ATTRIBUTE, JSON.stringify({ type, position, data, z_index: zIndex || 0 })]
+  ];
+  // Star, triangle and polygon opacity only applies to their fill (fill-opacity above)
+  const opacity = outlinePointsFor(type, data) ? undefined : data.opacity;
+  const placement = [['transform', transformAttribute(record)], ['opacity', opacity !== undefined && opacity !== 1 ? opacity : null]];
+
+  let body;
+  if (geometry.elements.length === 1) {
+    const [element] = geometry.elements;
+    body = { ...element, attributes: [...(filter ? [] : rootAttributes), ...placement, ...element.attributes] };
+  } else {
+    body = {
+      name: 'g',
+      attributes: [...(filter ? [] : rootAttributes), ...placement],
+      children: geometry.elements.map(renderElement).join('')
+    };
+  }
+  // Effects apply in canvas space (like PIXI's screen-space filters), so a
+  // rotated shape's shadow still falls the same way
+  const root = filter
+    ? { name: 'g', attributes: [...rootAttributes, ['filter', `url(#object-${record.id}-effects)`]], children: renderElement(body) }
+    : body;
+
+  // Canvas-space bounds, grown by the stroke and any shadow or blur
+  const { minX, minY, maxX, maxY } = geometry.bounds;
+  const corners = [
+    { x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }
+  ].map(point => localToCanvas(record, point));
+  const grow = (type === 'frame' ? 0 : (data.stroke_width || 2) / 2)
+    + (shadow ? Math.max(Math.abs(shadow.x), Math.abs(shadow.y)) + shadow.blur : 0)
+    + blur;
+
+  return {
+    markup: renderElement(root),
+    defs,
+    bounds: {
+      minX: Math.min(...corners.map(point => point.x)) - grow,
+      minY: Math.min(...corners.map(point => point.y)) - grow,
+      maxX: Math.max(...corners.map(point => point.x)) + grow,
+      maxY: Math.max(...corners.map(point => point.y)) + grow
+    }
+  };
+}
+
+/**
+ * Canvas-space bounds of the objects as exported (grown by strokes and effects)
+ * @param {Array<Object>} records - Object records
+ * @returns {Object|null} {minX, minY, maxX, maxY}, or null when nothing is exportable
+ */
+export function objectsBounds(records) {
+  const elements = records.map(objectToSvgElement).filter(Boolean);
+  if (elements.length === 0) return null;
+
+  return {
+    minX: Math.min(...elements.map(element => element.bounds.minX)),
+    minY: Math.min(...elements.map(element => element.bounds.minY)),
+    maxX: Math.max(...elements.map(element => element.bounds.maxX)),
+    maxY: Math.max(...elements.map(element => element.bounds.maxY))
+  };
+}
+
+// Clip path matching a frame's box
+function frameClipDef(frame) {
+  const record = { ...frame, data: frame.data || {}, position: frame.position || { x: 0, y: 0 } };
+  const { width, height } = localSize(record);
+  return `<clipPath id="object-${record.id}-clip">`
+    + `<rect x="0" y="0" width="${num(width)}" height="${num(height)}" transform="${transformAttribute(record)}" />`
+    + '</clipPath>';
+}
+
+/**
+ * Serialize objects to an SVG document
+ * @param {Array<Object>} records - Object records, back to front (ties keep their order)
+ * @param {Object} options - {padding} around the objects, in canvas units; or an explicit
+ *   {frame: {x, y, width, height}} to show instead. {scale} multiplies the document's
+ *   width and height (not its coordinates), {background} fills the frame with a color.
+ * @returns {string} SVG document, or '' when there is nothing to export
+ */
+export function objectsToSvg(records, { padding = 0, frame = null, scale = 1, background = null } = {}) {
+  const ordered = records
+    .map((record, index) => ({ record, index }))
+    .sort((a, b) => ((a.record.z_index || 0) - (b.record.z_index || 0)) || a.index - b.index)
+    .map(({ record }) => record);
+
+  const defs = [];
+  const lines = [];
+  const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  let group = null; // group_id of the open <g>
+  const frames = new Map(ordered.filter(record => record.type === 'frame').map(record => [record.id, record]));
+  const clipped = new Set(); // frames whose clip path is already in defs
+
+  ordered.forEach(record => {
+    const element = objectToSvgElement(record);
+    if (!element) return;
+
+    defs.push(...element.defs);
+    box.minX = Math.min(box.minX, element.bounds.minX);
+    box.minY = Math.min(box.minY, element.bounds.minY);
+    box.maxX = Math.max(box.maxX, element.bounds.maxX);
+    box.maxY = Math.max(box.maxY, element.bounds.maxY);
+
+    // Consecutive members of a group share a <g>; a group split by other objects
+    // in the z-order becomes several <g>s with the same group id
+    const groupId = record.group_id || null;
+    if (group !== groupId) {
+      if (group) lines.push('  </g>');
+      if (groupId) lines.push(`  <g ${GROUP_ATTRIBUTE}="${escapeXml(groupId)}">`);
+      group = groupId;
+    }
+
+    // Frame members are clipped to the frame's box in canvas space, so the clip
+    // goes on a wrapper rather than on the transformed element itself
+    let markup = element.markup;
+    const frame = frames.get(record.frame_id);
+    if (frame) {
+      if (!clipped.has(frame.id)) {
+        defs.push(frameClipDef(frame));
+        clipped.add(frame.id);
+      }
+      markup = `<g clip-path="url(#object-${frame.id}-clip)">${markup}</g>`;
+    }
+    lines.push(`${groupId ? '    ' : '  '}${markup}`);
+  });
+  if (group) lines.push('  </g>');
+
+  if (lines.length === 0) return '';
+
+  const view = frame || {
+    x: box.minX - padding,
+    y: box.minY - padding,
+    width: box.maxX - box.minX + padding * 2,
+    height: box.maxY - box.minY + padding * 2
+  };
+  const [x, y, width, height] = [view.x, view.y, view.width, view.height].map(num);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="${SVG_NAMESPACE}" width="${num(width * scale)}" height="${num(height * scale)}" `
+      + `viewBox="${x} ${y} ${width} ${height}">`,
+    ...(defs.length > 0 ? [`  <defs>${defs.join('')}</defs>`] : []),
+    ...(color(background, null) ? [`  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${background}" />`] : []),
+    ...lines,
+    '</svg>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,859 @@
+/**
+ * SVG Import - Turn an SVG document into canvas objects
+ *
+ * Shapes are mapped onto the closest object type, with every transform on the
+ * way down resolved into canvas coordinates:
+ *   rect          → rectangle (rx as corner_radius)
+ *   circle        → circle, or a closed path when scaled unevenly
+ *   ellipse       → closed path
+ *   polygon/line  → path with straight nodes
+ *   path          → one path per subpath (arcs and quadratics become cubics)
+ *   text          → text (one line per positioned <tspan>)
+ *   g / a         → the objects inside; each outermost <g> becomes a group
+ * Boxes that end up skewed or mirrored, unfilled rects and circles, and filled
+ * compound paths (which may have holes) become paths or fall back too.
+ *
+ * Everything else that renders - <image>, <use>, <foreignObject>, elements with
+ * clip paths, masks or filters - is kept as one image object covering the
+ * document, at the stacking position of the first of them. Elements exported
+ * by svg_export.js carry their record in `data-canvas-object` and are restored
+ * exactly instead (except connectors, whose endpoints can't be re-attached).
+ *
+ * CSS in <style> sheets is not applied; presentation attributes and inline
+ * `style` are.
+ */
+
+import { OBJECT_ATTRIBUTE, GROUP_ATTRIBUTE, SVG_NAMESPACE } from './svg_export.js';
+import { svgToDataUrl, MAX_INLINE_SVG_LENGTH } from './image_paste.js';
+import { centerNodes, mapNodes } from './vector_path.js';
+import { normalizeGradient } from './shape_styles.js';
+import { escapeXml } from './rich_text.js';
+
+// Larger documents are imported as a single image rather than flooding the canvas
+export const MAX_IMPORTED_OBJECTS = 500;
+
+// Handle length for a quarter circle drawn as a cubic bezier
+const KAPPA = 0.5522847498;
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Elements that never render by themselves
+const NON_RENDERING = new Set([
+  'defs', 'title', 'desc', 'metadata', 'style', 'script', 'linearGradient', 'radialGradient',
+  'clipPath', 'mask', 'pattern', 'symbol', 'marker', 'filter'
+]);
+
+// Properties passed down from ancestors (`opacity` multiplies instead)
+const INHERITED = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-opacity', 'stroke-width', 'stroke-dasharray',
+  'font-size', 'font-family', 'font-weight', 'font-style', 'text-anchor', 'color', 'visibility'
+];
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+  yellow: '#ffff00', orange: '#ffa500', purple: '#800080', gray: '#808080', grey: '#808080',
+  silver: '#c0c0c0', maroon: '#800000', navy: '#000080', teal: '#008080', olive: '#808000',
+  lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff', fuchsia: '#ff00ff', magenta: '#ff00ff',
+  pink: '#ffc0cb', brown: '#a52a2a', gold: '#ffd700', indigo: '#4b0082', violet: '#ee82ee',
+  darkgray: '#a9a9a9', darkgrey: '#a9a9a9', lightgray: '#d3d3d3', lightgrey: '#d3d3d3'
+};
+
+const round = value => Math.round(value * 100) / 100 || 0; // no -0
+
+// Matrices are [a, b, c, d, e, f], in the order of SVG's matrix()
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+function applyMatrix(m, point) {
+  return { x: m[0] * point.x + m[2] * point.y + m[4], y: m[1] * point.x + m[3] * point.y + m[5] };
+}
+
+/**
+ * Parse a `transform` attribute
+ * @param {string|null} value - e.g. "translate(10 20) rotate(45)"
+ * @returns {Array<number>} Matrix [a, b, c, d, e, f]
+ */
+export function parseTransform(value) {
+  let matrix = IDENTITY;
+  if (!value) return matrix;
+
+  for (const [, name, rawArgs] of value.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const args = numbers(rawArgs);
+    const radians = (args[0] || 0) * Math.PI / 180;
+    let step = null;
+
+    if (name === 'matrix' && args.length === 6) {
+      step = args;
+    } else if (name === 'translate') {
+      step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+    } else if (name === 'scale') {
+      const sx = args[0] !== undefined ? args[0] : 1;
+      step = [sx, 0, 0, args[1] !== undefined ? args[1] : sx, 0, 0];
+    } else if (name === 'rotate') {
+      const [cx = 0, cy = 0] = args.slice(1);
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+    } else if (name === 'skewX') {
+      step = [1, 0, Math.tan(radians), 1, 0, 0];
+    } else if (name === 'skewY') {
+      step = [1, Math.tan(radians), 0, 1, 0, 0];
+    }
+
+    if (step) matrix = multiply(matrix, step);
+  }
+
+  return matrix;
+}
+
+/**
+ * Split a matrix into scale and rotation, if it has no skew
+ * @param {Array<number>} m - Matrix
+ * @returns {Object|null} {scaleX, scaleY, rotation (degrees), mirrored}, or null when skewed
+ */
+function decompose(m) {
+  const scaleX = Math.hypot(m[0], m[1]);
+  const scaleY = Math.hypot(m[2], m[3]);
+  if (scaleX === 0 || scaleY === 0) return null;
+  if (Math.abs(m[0] * m[2] + m[1] * m[3]) / (scaleX * scaleY) > 1e-6) return null;
+
+  return {
+    scaleX,
+    scaleY,
+    rotation: round(Math.atan2(m[1], m[0]) * 180 / Math.PI),
+    mirrored: m[0] * m[3] - m[1] * m[2] < 0
+  };
+}
+
+function numbers(text) {
+  return (String(text).match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+}
+
+function length(value, fallback = 0) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Endpoint-parameterized elliptical arc as cubic segments (SVG spec, appendix B.2.4)
+ */
+function arcSegments(from, rx, ry, angle, largeArc, sweep, to) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return null;
+
+  const phi = angle * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (from.x - to.x) / 2;
+  const dy = (from.y - to.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // Radii too small to reach the endpoint are scaled up
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = coefficient * rx * y1 / ry;
+  const cyp = -coefficient * ry * x1 / rx;
+  const cx = cos * cxp - sin * cyp + (from.x + to.x) / 2;
+  const cy = sin * cxp + cos * cyp + (from.y + to.y) / 2;
+
+  const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = vectorAngle(1, 0, (x1 - cxp) / rx, (y1 - cyp) / ry);
+  let sweepAngle = vectorAngle((x1 - cxp) / rx, (y1 - cyp) / ry, (-x1 - cxp) / rx, (-y1 - cyp) / ry);
+  if (!sweep && sweepAngle > 0) sweepAngle -= Math.PI * 2;
+  if (sweep && sweepAngle < 0) sweepAngle += Math.PI * 2;
+
+  const count = Math.max(1, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2) - 1e-9));
+  const delta = sweepAngle / count;
+  const k = (4 / 3) * Math.tan(delta / 4);
+  const point = t => ({
+    x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+  });
+  const tangent = t => ({
+    x: -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    y: -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+  });
+
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const t1 = start + i * delta;
+    const t2 = t1 + delta;
+    const p1 = point(t1);
+    const p2 = i === count - 1 ? to : point(t2);
+    const d1 = tangent(t1);
+    const d2 = tangent(t2);
+    segments.push({
+      c1: { x: p1.x + k * d1.x, y: p1.y + k * d1.y },
+      c2: { x: p2.x - k * d2.x, y: p2.y - k * d2.y },
+      to: p2
+    });
+  }
+  return segments;
+}
+
+/**
+ * Parse SVG path data into subpaths of vector path nodes
+ * @param {string} d - Path data
+ * @returns {Array<Object>} [{nodes, closed}, ...] in the path's own coordinates
+ */
+export function parsePathData(d) {
+  const subpaths = [];
+  const text = String(d || '');
+  let index = 0;
+
+  const skip = () => {
+    while (index < text.length && /[\s,]/.test(text[index])) index++;
+  };
+  const readNumber = () => {
+    skip();
+    const match = /^[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/.exec(text.slice(index));
+    if (!match) return null;
+    index += match[0].length;
+    return Number(match[0]);
+  };
+  // Arc flags may be written without separators ("a1 1 0 01 5 5")
+  const readFlag = () => {
+    skip();
+    const flag = text[index];
+    if (flag !== '0' && flag !== '1') return null;
+    index++;
+    return flag === '1';
+  };
+
+  let current = null; // {nodes, closed}
+  let point = { x: 0, y: 0 };
+  let start = { x: 0, y: 0 };
+  let lastCubic = null; // second control point of the previous C/S
+  let lastQuad = null; // control point of the previous Q/T
+
+  const lastNode = () => current.nodes[current.nodes.length - 1];
+  const ensureSubpath = () => {
+    if (!current || current.closed) {
+      current = { nodes: [{ x: start.x, y: start.y }], closed: false };
+      subpaths.push(current);
+    }
+  };
+  const lineTo = to => {
+    ensureSubpath();
+    current.nodes.push({ x: to.x, y: to.y });
+    point = to;
+  };
+  const curveTo = (c1, c2, to) => {
+    ensureSubpath();
+    lastNode().handle_out = { x: c1.x, y: c1.y };
+    current.nodes.push({ x: to.x, y: to.y, handle_in: { x: c2.x, y: c2.y } });
+    point = to;
+  };
+
+  let command = null;
+  while (true) {
+    skip();
+    if (index >= text.length) break;
+
+    if (/[A-Za-z]/.test(text[index])) {
+      command = text[index++];
+    } else if (!command) {
+      break;
+    }
+
+    const relative = command === command.toLowerCase();
+    const origin = relative ? point : { x: 0, y: 0 };
+    const readPoint = () => {
+      const x = readNumber();
+      const y = readNumber();
+      return x === null || y === null ? null : { x: origin.x + x, y: origin.y + y };
+    };
+    const upper = command.toUpperCase();
+    let cubic = null;
+    let quad = null;
+
+    if (upper === 'Z') {
+      if (current && !current.closed) {
+        // A final segment back onto the start point becomes the closing segment
+        const nodes = current.nodes;
+        const last = nodes[nodes.length - 1];
+        if (nodes.length > 2 && Math.hypot(last.x - nodes[0].x, last.y - nodes[0].y) < 1e-6) {
+          if (last.handle_in) nodes[0].handle_in = last.handle_in;
+          nodes.pop();
+        }
+        current.closed = true;
+      }
+      point = start;
+      command = null;
+      lastCubic = lastQuad = null;
+      continue;
+    }
+
+    if (upper === 'M') {
+      const to = readPoint();
+      if (!to) break;
+      current = { nodes: [{ x: to.x, y: to.y }], closed: false };
+      subpaths.push(current);
+      point = start = to;
+      // Further pairs are implicit line-tos
+      command = relative ? 'l' : 'L';
+    } else if (upper === 'L') {
+      const to = readPoint();
+      if (!to) break;
+      lineTo(to);
+    } else if (upper === 'H' || upper === 'V') {
+      const value = readNumber();
+      if (value === null) break;
+      lineTo(upper === 'H'
+        ? { x: (relative ? point.x : 0) + value, y: point.y }
+        : { x: point.x, y: (relative ? point.y : 0) + value });
+    } else if (upper === 'C' || upper === 'S') {
+      const c1 = upper === 'C'
+        ? readPoint()
+        : (lastCubic ? { x: 2 * point.x - lastCubic.x, y: 2 * point.y - lastCubic.y } : point);
+      const c2 = readPoint();
+      const to = readPoint();
+      if (!c1 || !c2 || !to) break;
+      curveTo(c1, c2, to);
+      cubic = c2;
+    } else if (upper === 'Q' || upper === 'T') {
+      const control = upper === 'Q'
+        ? readPoint()
+        : (lastQuad ? { x: 2 * point.x - lastQuad.x, y: 2 * point.y - lastQuad.y } : point);
+      const to = readPoint();
+      if (!control || !to) break;
+      const from = point;
+      curveTo(
+        { x: from.x + (2 / 3) * (control.x - from.x), y: from.y + (2 / 3) * (control.y - from.y) },
+        { x: to.x + (2 / 3) * (control.x - to.x), y: to.y + (2 / 3) * (control.y - to.y) },
+        to
+      );
+      quad = control;
+    } else if (upper === 'A') {
+      const rx = readNumber();
+      const ry = readNumber();
+      const angle = readNumber();
+      const largeArc = readFlag();
+      const sweep = readFlag();
+      const to = readPoint();
+      if (rx === null || ry === null || angle === null || largeArc === null || sweep === null || !to) break;
+      const segments = arcSegments(point, rx, ry, angle, largeArc, sweep, to);
+      if (segments) {
+        segments.forEach(segment => curveTo(segment.c1, segment.c2, segment.to));
+      } else {
+        lineTo(to);
+      }
+    } else {
+      break;
+    }
+
+    lastCubic = cubic;
+    lastQuad = quad;
+  }
+
+  return subpaths.filter(subpath => subpath.nodes.length > 1);
+}
+
+function ellipseNodes(cx, cy, rx, ry) {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    { x: cx + rx, y: cy, handle_in: { x: cx + rx, y: cy - ky }, handle_out: { x: cx + rx, y: cy + ky } },
+    { x: cx, y: cy + ry, handle_in: { x: cx + kx, y: cy + ry }, handle_out: { x: cx - kx, y: cy + ry } },
+    { x: cx - rx, y: cy, handle_in: { x: cx - rx, y: cy + ky }, handle_out: { x: cx - rx, y: cy - ky } },
+    { x: cx, y: cy - ry, handle_in: { x: cx - kx, y: cy - ry }, handle_out: { x: cx + kx, y: cy - ry } }
+  ];
+}
+
+function rectNodes(x, y, width, height, rx, ry) {
+  if (rx <= 0 || ry <= 0) {
+    return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+  }
+
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  const right = x + width;
+  const bottom = y + height;
+  return [
+    { x: x + rx, y, handle_in: { x: x + rx - kx, y } },
+    { x: right - rx, y, handle_out: { x: right - rx + kx, y } },
+    { x: right, y: y + ry, handle_in: { x: right, y: y + ry - ky } },
+    { x: right, y: bottom - ry, handle_out: { x: right, y: bottom - ry + ky } },
+    { x: right - rx, y: bottom, handle_in: { x: right - rx + kx, y: bottom } },
+    { x: x + rx, y: bottom, handle_out: { x: x + rx - kx, y: bottom } },
+    { x, y: bottom - ry, handle_in: { x, y: bottom - ry + ky } },
+    { x, y: y + ry, handle_out: { x, y: y + ry - ky } }
+  ];
+}
+
+function pointListNodes(value) {
+  const values = numbers(value);
+  const nodes = [];
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    nodes.push({ x: values[i], y: values[i + 1] });
+  }
+  return nodes;
+}
+
+/**
+ * Normalize an SVG color to #rrggbb
+ * @param {string} value - Color value
+ * @param {string} currentColor - Value of the `color` property
+ * @returns {string|null} Hex color, or null for none/unknown
+ */
+export function parseColor(value, currentColor = '#000000') {
+  if (!value) return null;
+  const text = value.trim().toLowerCase();
+  if (text === 'currentcolor') return parseColor(currentColor);
+
+  let match = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})(?:[0-9a-f]{1,2})?$/);
+  if (match) {
+    const hex = match[1].length === 3 ? match[1].replace(/./g, char => char + char) : match[1];
+    return `#${hex}`;
+  }
+
+  match = text.match(/^rgba?\(([^)]*)\)$/);
+  if (match) {
+    const channels = match[1].split(/[\s,/]+/).filter(Boolean).slice(0, 3).map(channel => (
+      channel.endsWith('%') ? parseFloat(channel) * 2.55 : parseFloat(channel)
+    ));
+    if (channels.length < 3 || channels.some(channel => !Number.isFinite(channel))) return null;
+    return `#${channels.map(channel => Math.max(0, Math.min(255, Math.round(channel))).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  return NAMED_COLORS[text] || null;
+}
+
+/**
+ * Resolve an element's style from its presentation attributes and inline style
+ * @param {Element} element - SVG element
+ * @param {Object} parent - The parent's resolved style
+ * @returns {Object} Property map, plus `opacity` multiplied down from ancestors
+ */
+function resolveStyle(element, parent) {
+  const own = {};
+  for (const attribute of element.attributes) {
+    own[attribute.name] = attribute.value;
+  }
+  (element.getAttribute('style') || '').split(';').forEach(declaration => {
+    const colon = declaration.indexOf(':');
+    if (colon > 0) {
+      own[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim();
+    }
+  });
+
+  const style = {};
+  INHERITED.forEach(name => {
+    const value = own[name] !== undefined && own[name] !== 'inherit' ? own[name] : parent[name];
+    if (value !== undefined) style[name] = value;
+  });
+  style.opacity = parent.opacity * length(own.opacity, 1);
+  style.display = own.display;
+  style.effects = !!(own['clip-path'] || own.mask || own.filter);
+  return style;
+}
+
+/**
+ * Fill of an element: a solid color, optionally with a gradient from a url(#id) reference
+ * @returns {Object|null} {color, gradient}, or null for no fill
+ */
+function resolveFill(value, style, doc) {
+  const fill = value === undefined ? '#000000' : value;
+  const reference = fill.match(/^url\(\s*["']?#([^)"']+)["']?\s*\)/);
+  if (!reference) {
+    const color = parseColor(fill, style.color);
+    return color ? { color, gradient: null } : null;
+  }
+
+  const gradient = resolveGradient(doc, reference[1]);
+  if (!gradient) return { color: '#000000', gradient: null };
+  return { color: gradient.stops[0].color, gradient };
+}
+
+function resolveGradient(doc, id) {
+  const element = doc.getElementById(id);
+  if (!element || !['linearGradient', 'radialGradient'].includes(element.localName)) return null;
+
+  // Stops may live on a gradient referenced through href
+  let stopsElement = element;
+  for (let depth = 0; depth < 4 && stopsElement && !stopsElement.querySelector('stop'); depth++) {
+    const href = stopsElement.getAttribute('href') || stopsElement.getAttribute('xlink:href');
+    stopsElement = href && href.startsWith('#') ? doc.getElementById(href.slice(1)) : null;
+  }
+  if (!stopsElement) return null;
+
+  const stops = Array.from(stopsElement.querySelectorAll('stop')).map(stop => {
+    const inline = (stop.getAttribute('style') || '').match(/stop-color\s*:\s*([^;]+)/);
+    const offset = stop.getAttribute('offset') || '0';
+    return {
+      offset: Math.max(0, Math.min(1, offset.endsWith('%') ? parseFloat(offset) / 100 : length(offset))),
+      color: parseColor(inline ? inline[1] : stop.getAttribute('stop-color') || 'black')
+    };
+  });
+
+  if (element.localName === 'radialGradient') {
+    return normalizeGradient({ type: 'radial', stops });
+  }
+
+  const coordinate = (name, fallback) => {
+    const value = element.getAttribute(name);
+    if (value === null) return fallback;
+    return value.endsWith('%') ? parseFloat(value) / 100 : length(value, fallback);
+  };
+  const angle = Math.atan2(coordinate('y2', 0) - coordinate('y1', 0), coordinate('x2', 1) - coordinate('x1', 0));
+  return normalizeGradient({ type: 'linear', angle: round(angle * 180 / Math.PI), stops });
+}
+
+/**
+ * Fill, stroke and opacity data for a shape
+ * @returns {Object|null} Partial object data, or null when the shape would be invisible
+ */
+function paintData(style, matrix, doc) {
+  const fill = resolveFill(style.fill, style, doc);
+  const strokeColor = style.stroke ? parseColor(style.stroke, style.color) : null;
+  if (!fill && !strokeColor) return null;
+
+  const data = {};
+  if (fill) {
+    data.fill = fill.color;
+    if (fill.gradient) data.fill_gradient = fill.gradient;
+  }
+  // Canvas shapes always draw a stroke - match the fill when the SVG has none
+  data.stroke = strokeColor || fill.color;
+  data.stroke_width = strokeColor
+    ? round(Math.max(0.5, length(style['stroke-width'], 1) * Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]))))
+    : 1;
+  if (strokeColor && style['stroke-dasharray'] && style['stroke-dasharray'] !== 'none') {
+    data.stroke_style = 'dashed';
+  }
+
+  const opacity = style.opacity * length(style[fill ? 'fill-opacity' : 'stroke-opacity'], 1);
+  if (opacity < 1) data.opacity = round(opacity);
+  return data;
+}
+
+/**
+ * Path objects for node lists in an element's coordinates
+ * @returns {Array<Object>|null} Payloads, or null when a filled compound path can't be represented
+ */
+function pathObjects(subpaths, matrix, paint, stroked) {
+  if (subpaths.length === 0) return [];
+  // Holes in a filled compound path would be filled in
+  if (subpaths.length > 1 && paint.fill) return null;
+
+  return subpaths.map(({ nodes, closed }) => {
+    // SVG fills open subpaths as if closed - close them when no stroke shows the difference
+    const isClosed = closed || (!!paint.fill && !stroked);
+    const path = centerNodes(mapNodes(nodes, point => applyMatrix(matrix, point)), isClosed);
+    const data = { nodes: path.nodes, closed: isClosed, ...paint };
+    if (!isClosed) {
+      delete data.fill;
+      delete data.fill_gradient;
+    }
+    return { type: 'path', position: { x: round(path.center.x), y: round(path.center.y) }, data };
+  });
+}
+
+function boxObject(type, center, size, parts, paint, extra = {}) {
+  const data = { width: round(size.width), height: round(size.height), ...paint, ...extra };
+  if (parts.rotation) data.rotation = parts.rotation;
+  return { type, position: { x: round(center.x), y: round(center.y) }, data };
+}
+
+function textObject(element, style, matrix) {
+  const parts = decompose(matrix);
+  if (!parts || parts.mirrored) return null;
+
+  const positioned = Array.from(element.children).filter(child => child.localName === 'tspan' && child.hasAttribute('x'));
+  const lines = (positioned.length > 0 ? positioned : [element])
+    .map(line => line.textContent.replace(/\s+/g, ' ').trim());
+  if (lines.every(line => line === '')) return [];
+
+  const fontSize = length(style['font-size'], 16);
+  const anchor = style['text-anchor'] || 'start';
+  const x = numbers(element.getAttribute('x') || (positioned[0] && positioned[0].getAttribute('x')) || '0')[0] || 0;
+  const y = numbers(element.getAttribute('y') || (positioned[0] && positioned[0].getAttribute('y')) || '0')[0] || 0;
+
+  // Measured the way svg_export.js estimates text, with the first baseline a font size down
+  const width = Math.max(...lines.map(line => line.length)) * fontSize * 0.6;
+  const height = lines.length * fontSize * 1.2;
+  const left = anchor === 'middle' ? x - width / 2 : anchor === 'end' ? x - width : x;
+  const center = applyMatrix(matrix, { x: left + width / 2, y: y - fontSize + height / 2 });
+
+  const fill = resolveFill(style.fill, style, element.ownerDocument);
+  const weight = style['font-weight'] || 'normal';
+  const data = {
+    text: lines.join('\n'),
+    font_size: round(fontSize * parts.scaleY),
+    font_family: (style['font-family'] || 'Arial').split(',')[0].trim().replace(/^["']|["']$/g, ''),
+    fill: fill ? fill.color : '#000000',
+    align: { middle: 'center', end: 'right' }[anchor] || 'left'
+  };
+  if (weight === 'bold' || weight === 'bolder' || Number(weight) >= 600) data.bold = true;
+  if (style['font-style'] === 'italic' || style['font-style'] === 'oblique') data.italic = true;
+  if (parts.rotation) data.rotation = parts.rotation;
+  if (style.opacity < 1) data.opacity = round(style.opacity);
+
+  return [{ type: 'text', position: { x: round(center.x), y: round(center.y) }, data }];
+}
+
+/**
+ * Canvas objects for one shape element
+ * @returns {Array<Object>|null} Payloads (possibly none), or null when unsupported
+ */
+function elementObjects(element, style, matrix) {
+  const name = element.localName;
+  if (name === 'text') return textObject(element, style, matrix);
+
+  const attr = (key, fallback = 0) => length(element.getAttribute(key), fallback);
+  const paint = paintData(style, matrix, element.ownerDocument);
+  if (!paint) return [];
+
+  const stroked = !!(style.stroke && parseColor(style.stroke, style.color));
+  const parts = decompose(matrix);
+  const boxable = parts && paint.fill;
+
+  if (name === 'rect') {
+    const width = attr('width');
+    const height = attr('height');
+    if (width <= 0 || height <= 0) return [];
+    const rx = Math.min(element.hasAttribute('rx') ? attr('rx') : attr('ry'), width / 2);
+    const ry = Math.min(element.hasAttribute('ry') ? attr('ry') : attr('rx'), height / 2);
+    const x = attr('x');
+    const y = attr('y');
+
+    if (!boxable || Math.abs(rx - ry) > 1e-6 && rx > 0) {
+      return pathObjects([{ nodes: rectNodes(x, y, width, height, rx, ry), closed: true }], matrix, paint, stroked);
+    }
+    const extra = rx > 0 ? { corner_radius: round(rx * Math.min(parts.scaleX, parts.scaleY)) } : {};
+    return [boxObject(
+      'rectangle',
+      applyMatrix(matrix, { x: x + width / 2, y: y + height / 2 }),
+      { width: width * parts.scaleX, height: height * parts.scaleY },
+      parts,
+      paint,
+      extra
+    )];
+  }
+
+  if (name === 'circle' || name === 'ellipse') {
+    const cx = attr('cx');
+    const cy = attr('cy');
+    const rx = name === 'circle' ? attr('r') : attr('rx', attr('ry'));
+    const ry = name === 'circle' ? rx : attr('ry', rx);
+    if (rx <= 0 || ry <= 0) return [];
+
+    const diameter = rx * 2 * (parts ? parts.scaleX : 0);
+    if (boxable && Math.abs(rx * parts.scaleX - ry * parts.scaleY) < 1e-6) {
+      return [boxObject('circle', applyMatrix(matrix, { x: cx, y: cy }), { width: diameter, height: diameter }, {}, paint)];
+    }
+    return pathObjects([{ nodes: ellipseNodes(cx, cy, rx, ry), closed: true }], matrix, paint, stroked);
+  }
+
+  if (name === 'polygon' || name === 'polyline') {
+    const nodes = pointListNodes(element.getAttribute('points'));
+    return nodes.length > 1 ? pathObjects([{ nodes, closed: name === 'polygon' }], matrix, paint, stroked) : [];
+  }
+
+  if (name === 'line') {
+    // Lines have nothing to fill
+    if (!stroked) return [];
+    const nodes = [{ x: attr('x1'), y: attr('y1') }, { x: attr('x2'), y: attr('y2') }];
+    return pathObjects([{ nodes, closed: false }], matrix, paint, stroked);
+  }
+
+  if (name === 'path') {
+    return pathObjects(parsePathData(element.getAttribute('d')), matrix, paint, stroked);
+  }
+
+  return null;
+}
+
+/**
+ * Restore an object exported by svg_export.js from its record
+ * @returns {Object|null} Payload, or null when the record is unusable
+ */
+function recordObject(element, matrix) {
+  let record;
+  try {
+    record = JSON.parse(element.getAttribute(OBJECT_ATTRIBUTE));
+  } catch {
+    return null;
+  }
+  if (!record || typeof record.type !== 'string' || !record.position || record.type === 'connector') {
+    return null;
+  }
+
+  const position = applyMatrix(matrix, { x: Number(record.position.x) || 0, y: Number(record.position.y) || 0 });
+  return {
+    type: record.type,
+    position: { x: round(position.x), y: round(position.y) },
+    data: record.data && typeof record.data === 'object' ? record.data : {}
+  };
+}
+
+/**
+ * Matrix from the root's viewBox to its width/height (preserveAspectRatio's default, xMidYMid meet)
+ * @returns {Object} {matrix, width, height}
+ */
+function rootViewport(root) {
+  const viewBox = numbers(root.getAttribute('viewBox') || '');
+  const absolute = value => (value && /^\s*[\d.]+\s*(px)?\s*$/i.test(value) ? parseFloat(value) : null);
+  let width = absolute(root.getAttribute('width'));
+  let height = absolute(root.getAttribute('height'));
+
+  if (viewBox.length !== 4 || viewBox[2] <= 0 || viewBox[3] <= 0) {
+    return { matrix: IDENTITY, width: width || 300, height: height || 150 };
+  }
+
+  const [x, y, boxWidth, boxHeight] = viewBox;
+  if (width && !height) height = width * boxHeight / boxWidth;
+  if (height && !width) width = height * boxWidth / boxHeight;
+  if (!width) {
+    width = boxWidth;
+    height = boxHeight;
+  }
+
+  const scale = Math.min(width / boxWidth, height / boxHeight);
+  const dx = (width - boxWidth * scale) / 2 - x * scale;
+  const dy = (height - boxHeight * scale) / 2 - y * scale;
+  return { matrix: [scale, 0, 0, scale, dx, dy], width, height };
+}
+
+/**
+ * Image object holding the elements that couldn't be mapped, over the whole document
+ */
+function fallbackImage(doc, viewport, unsupported) {
+  const markupOf = node => new XMLSerializer().serializeToString(node);
+  const shared = Array.from(doc.documentElement.querySelectorAll('defs, style, symbol')).map(markupOf);
+  const layers = unsupported.map(({ element, matrix, style }) => {
+    const inherited = INHERITED
+      .filter(name => style[name] !== undefined)
+      .map(name => ` ${name}="${escapeXml(style[name])}"`)
+      .join('');
+    return `<g transform="matrix(${matrix.join(' ')})" opacity="${style.opacity}"${inherited}>${markupOf(element)}</g>`;
+  });
+
+  const markup = `<svg xmlns="${SVG_NAMESPACE}" xmlns:xlink="http://www.w3.org/1999/xlink" `
+    + `width="${viewport.width}" height="${viewport.height}" viewBox="0 0 ${viewport.width} ${viewport.height}">`
+    + `${shared.join('')}${layers.join('')}</svg>`;
+
+  if (markup.length > MAX_INLINE_SVG_LENGTH) {
+    console.warn('[SvgImport] Skipping', unsupported.length, 'unsupported elements: too large to keep inline');
+    return null;
+  }
+
+  return {
+    type: 'image',
+    position: { x: round(viewport.width / 2), y: round(viewport.height / 2) },
+    data: {
+      src: svgToDataUrl(markup),
+      width: round(viewport.width),
+      height: round(viewport.height),
+      natural_width: round(viewport.width),
+      natural_height: round(viewport.height)
+    }
+  };
+}
+
+/**
+ * Map an SVG document onto canvas objects
+ *
+ * Positions are in the document's coordinates (its viewport starts at 0,0), ready
+ * to be laid out with layoutPaste. Objects from the same outermost <g> share a
+ * `group` key; groups of a single object are dropped.
+ *
+ * @param {string} markup - SVG document
+ * @returns {Array<Object>|null} [{type, position, data, z_index, group?}, ...] back to
+ *   front, or null when the markup isn't an SVG document or has too many objects
+ */
+export function svgToObjects(markup) {
+  let doc;
+  try {
+    doc = new DOMParser().parseFromString(String(markup || ''), 'image/svg+xml');
+  } catch {
+    return null;
+  }
+  const root = doc && doc.documentElement;
+  if (!root || root.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+    return null;
+  }
+
+  const viewport = rootViewport(root);
+  const objects = [];
+  const unsupported = [];
+  let unsupportedAt = null;
+  let groupCount = 0;
+
+  const visit = (parent, matrix, parentStyle, group) => {
+    Array.from(parent.children).forEach(element => {
+      const name = element.localName;
+      if (NON_RENDERING.has(name)) return;
+
+      const style = resolveStyle(element, parentStyle);
+      if (style.display === 'none') return;
+      const elementMatrix = multiply(matrix, parseTransform(element.getAttribute('transform')));
+
+      if (element.hasAttribute(OBJECT_ATTRIBUTE)) {
+        const object = recordObject(element, matrix);
+        if (object) objects.push({ ...object, group });
+        return;
+      }
+
+      if ((name === 'g' || name === 'a') && !style.effects) {
+        const key = element.getAttribute(GROUP_ATTRIBUTE);
+        visit(element, elementMatrix, style, group || (key ? `canvas:${key}` : `group-${groupCount++}`));
+        return;
+      }
+
+      const mapped = style.effects ? null : elementObjects(element, style, elementMatrix);
+      if (mapped === null) {
+        if (unsupportedAt === null) unsupportedAt = objects.length;
+        unsupported.push({ element, matrix, style: parentStyle });
+        return;
+      }
+      if (style.visibility !== 'hidden') {
+        mapped.forEach(object => objects.push({ ...object, group }));
+      }
+    });
+  };
+  visit(root, viewport.matrix, { opacity: 1 }, null);
+
+  if (unsupported.length > 0) {
+    const image = fallbackImage(doc, viewport, unsupported);
+    if (image) objects.splice(unsupportedAt, 0, { ...image, group: null });
+  }
+  if (objects.length > MAX_IMPORTED_OBJECTS) return null;
+
+  const groupSizes = new Map();
+  objects.forEach(object => {
+    if (object.group) groupSizes.set(object.group, (groupSizes.get(object.group) || 0) + 1);
+  });
+
+  return objects.map(({ group, ...object }, index) => ({
+    ...object,
+    z_index: index,
+    ...(group && groupSizes.get(group) > 1 ? { group } : {})
+  }));
+}
+
+/**
+ * Whether a dropped or picked file is an SVG document
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isSvgFile(file) {
+  return !!file && (file.type === 'image/svg+xml' || /\.svg$/i.test(file.name || ''));
+}
@@ -0,0 +1,150 @@
+/**
+ * TextEditor - Inline textarea overlay for editing text on the canvas
+ *
+ * The textarea is styled in world units (font size) and mapped onto the
+ * canvas with a CSS transform, centered on the text object's position, so it
+ * lines up with the PIXI.Text it stands in for at any zoom, pan or rotation.
+ * The owner keeps the transform in sync via setTransform() while editing.
+ *
+ * Enter inserts a newline; Escape, Cmd/Ctrl+Enter or losing focus commits.
+ */
+
+export class TextEditor {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onCommit - Called with the final text when editing ends
+   */
+  constructor(options = {}) {
+    this.onCommit = options.onCommit || (() => {});
+    this.textarea = null;
+
+    this.handleInput = this.autosize.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleBlur = this.commit.bind(this);
+  }
+
+  /**
+   * Whether an editing session is active
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return this.textarea !== null;
+  }
+
+  /**
+   * Show the editor and focus it
+   * @param {HTMLElement} parent - Element to attach the overlay to (positioned as fixed)
+   * @param {string} text - Initial text
+   * @param {Object} style - {fontFamily, fontSize, color, fontWeight, fontStyle, align}
+   */
+  open(parent, text, style = {}) {
+    this.close();
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'canvas-text-editor';
+    textarea.value = text;
+    textarea.spellcheck = false;
+    textarea.setAttribute('aria-label', 'Edit text');
+
+    Object.assign(textarea.style, {
+      position: 'fixed',
+      left: '0',
+      top: '0',
+      margin: '0',
+      padding: '0',
+      border: 'none',
+      outline: '1px dashed #3b82f6',
+      background: 'transparent',
+      resize: 'none',
+      overflow: 'hidden',
+      whiteSpace: 'pre',
+      lineHeight: 'normal',
+      transformOrigin: '0 0',
+      zIndex: '50',
+      fontFamily: style.fontFamily || 'Arial',
+      fontSize: `${style.fontSize || 16}px`,
+      fontWeight: style.fontWeight || 'normal',
+      fontStyle: style.fontStyle || 'normal',
+      color: style.color || '#000000',
+      textAlign: style.align || 'left'
+    });
+
+    textarea.addEventListener('input', this.handleInput);
+    textarea.addEventListener('keydown', this.handleKeyDown);
+    textarea.addEventListener('blur', this.handleBlur);
+
+    this.textarea = textarea;
+    parent.appendChild(textarea);
+
+    this.autosize();
+    textarea.focus();
+    textarea.select();
+  }
+
+  /**
+   * Place the editor so its center sits on a screen point
+   * @param {number} x - Viewport x of the text center
+   * @param {number} y - Viewport y of the text center
+   * @param {number} scale - Canvas zoom level
+   * @param {number} angle - Text rotation in degrees
+   */
+  setTransform(x, y, scale, angle = 0) {
+    if (!this.textarea) return;
+
+    this.textarea.style.transform =
+      `translate(${x}px, ${y}px) rotate(${angle}deg) scale(${scale}) translate(-50%, -50%)`;
+  }
+
+  /**
+   * Grow the textarea to fit its content (no scrollbars or wrapping)
+   */
+  autosize() {
+    const textarea = this.textarea;
+    if (!textarea) return;
+
+    const fontSize = parseFloat(textarea.style.fontSize) || 16;
+
+    textarea.style.width = '0px';
+    textarea.style.height = '0px';
+    // Leave room for the caret at the end of the longest line
+    textarea.style.width = `${Math.max(fontSize, textarea.scrollWidth + fontSize / 2)}px`;
+    textarea.style.height = `${Math.max(fontSize, textarea.scrollHeight)}px`;
+  }
+
+  /**
+   * Keyboard handling inside the editor
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape' || (event.key === 'Enter' && (event.metaKey || event.ctrlKey))) {
+      event.preventDefault();
+      this.commit();
+    }
+  }
+
+  /**
+   * End the session and report the text
+   */
+  commit() {
+    if (!this.textarea) return;
+
+    const value = this.textarea.value;
+    this.close();
+    this.onCommit(value);
+  }
+
+  /**
+   * Remove the editor without reporting anything
+   */
+  close() {
+    const textarea = this.textarea;
+    if (!textarea) return;
+
+    // Clear first - removing a focused element fires blur synchronously
+    this.textarea = null;
+    textarea.removeEventListener('input', this.handleInput);
+    textarea.removeEventListener('keydown', this.handleKeyDown);
+    textarea.removeEventListener('blur', this.handleBlur);
+    textarea.remove();
+  }
+}
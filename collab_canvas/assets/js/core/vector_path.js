@@ -0,0 +1,308 @@
+/**
+ * Vector Path - Anchor points with bezier handles for the pen tool and path editing
+ *
+ * A vector path is a list of nodes in the object's local space:
+ * {x, y, handle_in?: {x, y}, handle_out?: {x, y}}. Handles are absolute local
+ * points; a missing handle means the curve leaves or enters the anchor in a
+ * straight line. Closed paths join the last node back to the first.
+ *
+ * Nodes are treated as immutable - every edit returns a new array.
+ */
+
+// Line segments per bezier segment when sampling for hit-testing and bounds
+const SAMPLES_PER_SEGMENT = 16;
+
+/**
+ * Cubic bezier segments between consecutive nodes
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {boolean} closed - Whether the last node joins back to the first
+ * @returns {Array<Object>} [{from, c1, c2, to}, ...]
+ */
+export function nodeSegments(nodes, closed = false) {
+  const segments = [];
+  const count = closed ? nodes.length : nodes.length - 1;
+
+  for (let i = 0; i < count; i++) {
+    const from = nodes[i];
+    const to = nodes[(i + 1) % nodes.length];
+    segments.push({
+      from,
+      c1: from.handle_out || { x: from.x, y: from.y },
+      c2: to.handle_in || { x: to.x, y: to.y },
+      to
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * The path as a flat polyline (hit-testing and bounds)
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {boolean} closed - Whether the path is closed
+ * @returns {Array<number>} [x0, y0, x1, y1, ...]
+ */
+export function sampleNodes(nodes, closed = false) {
+  if (nodes.length === 0) return [];
+
+  const result = [nodes[0].x, nodes[0].y];
+  nodeSegments(nodes, closed).forEach(({ from, c1, c2, to }) => {
+    // Straight segments need no intermediate samples
+    const straight = !from.handle_out && !to.handle_in;
+    const steps = straight ? 1 : SAMPLES_PER_SEGMENT;
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      const u = 1 - t;
+      result.push(
+        u * u * u * from.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * to.x,
+        u * u * u * from.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * to.y
+      );
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Bounding box of the drawn curve
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {boolean} closed - Whether the path is closed
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+export function nodesBounds(nodes, closed = false) {
+  const flat = sampleNodes(nodes, closed);
+  const xs = flat.filter((value, index) => index % 2 === 0);
+  const ys = flat.filter((value, index) => index % 2 === 1);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * Map every anchor and handle of a path through a function
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {Function} map - ({x, y}) => {x, y}
+ * @returns {Array<Object>} New nodes
+ */
+export function mapNodes(nodes, map) {
+  return nodes.map(node => {
+    const { x, y } = map({ x: node.x, y: node.y });
+    const result = { x, y };
+    if (node.handle_in) result.handle_in = map(node.handle_in);
+    if (node.handle_out) result.handle_out = map(node.handle_out);
+    return result;
+  });
+}
+
+/**
+ * Corner nodes for a straight-edged outline (star, triangle, polygon)
+ * @param {Array<number>} flat - Outline points [x0, y0, ...]
+ * @returns {Array<Object>} Nodes (the path is closed)
+ */
+export function nodesFromOutline(flat) {
+  const nodes = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) {
+    nodes.push({ x: flat[i], y: flat[i + 1] });
+  }
+  return nodes;
+}
+
+/**
+ * Nodes for a curve given as bezier segments from a start point (freehand paths)
+ * @param {Object} start - {x, y} first anchor
+ * @param {Array<Object>} segments - [{c1, c2, to}, ...]
+ * @returns {Array<Object>} Nodes (the path is open)
+ */
+export function nodesFromSegments(start, segments) {
+  const nodes = [{ x: start.x, y: start.y }];
+  segments.forEach(({ c1, c2, to }) => {
+    nodes[nodes.length - 1].handle_out = { x: c1.x, y: c1.y };
+    nodes.push({ x: to.x, y: to.y, handle_in: { x: c2.x, y: c2.y } });
+  });
+  return nodes;
+}
+
+/**
+ * Move an anchor, carrying its handles along
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {number} index - Anchor index
+ * @param {Object} point - {x, y} new anchor position
+ * @returns {Array<Object>} New nodes
+ */
+export function moveAnchor(nodes, index, point) {
+  const node = nodes[index];
+  const dx = point.x - node.x;
+  const dy = point.y - node.y;
+  const [moved] = mapNodes([node], p => ({ x: p.x + dx, y: p.y + dy }));
+  return nodes.map((other, i) => (i === index ? moved : other));
+}
+
+/**
+ * Move one handle of an anchor
+ * Mirrored moves keep the opposite handle pointing the other way (a smooth node),
+ * preserving its length; a node without an opposite handle is left a corner.
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {number} index - Anchor index
+ * @param {string} which - 'handle_in' or 'handle_out'
+ * @param {Object} point - {x, y} new handle position
+ * @param {boolean} mirror - Whether to rotate the opposite handle with it
+ * @returns {Array<Object>} New nodes
+ */
+export function moveHandle(nodes, index, which, point, mirror = true) {
+  const node = { ...nodes[index], [which]: { x: point.x, y: point.y } };
+  const opposite = which === 'handle_in' ? 'handle_out' : 'handle_in';
+
+  if (mirror && node[opposite]) {
+    const length = Math.hypot(node[opposite].x - node.x, node[opposite].y - node.y);
+    const dx = node.x - point.x;
+    const dy = node.y - point.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance > 0) {
+      node[opposite] = { x: node.x + (dx / distance) * length, y: node.y + (dy / distance) * length };
+    }
+  }
+
+  return nodes.map((other, i) => (i === index ? node : other));
+}
+
+/**
+ * Give a node symmetric handles pointing at the point being dragged to (pen tool)
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {number} index - Anchor index
+ * @param {Object} point - {x, y} where handle_out should be
+ * @returns {Array<Object>} New nodes
+ */
+export function pullHandles(nodes, index, point) {
+  const node = nodes[index];
+  return nodes.map((other, i) => (i === index
+    ? {
+        x: node.x,
+        y: node.y,
+        handle_in: { x: 2 * node.x - point.x, y: 2 * node.y - point.y },
+        handle_out: { x: point.x, y: point.y }
+      }
+    : other));
+}
+
+/**
+ * Turn a curved node into a corner, or a corner into a smooth node
+ * New handles run parallel to the line between the neighbouring anchors,
+ * a third of the way to each neighbour.
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {number} index - Anchor index
+ * @param {boolean} closed - Whether the path is closed (the ends are neighbours)
+ * @returns {Array<Object>} New nodes
+ */
+export function toggleSmooth(nodes, index, closed = false) {
+  const node = nodes[index];
+
+  if (node.handle_in || node.handle_out) {
+    return nodes.map((other, i) => (i === index ? { x: node.x, y: node.y } : other));
+  }
+
+  const neighbour = offset => {
+    const i = index + offset;
+    if (i >= 0 && i < nodes.length) return nodes[i];
+    return closed ? nodes[(i + nodes.length) % nodes.length] : node;
+  };
+  const prev = neighbour(-1);
+  const next = neighbour(1);
+  const dx = next.x - prev.x;
+  const dy = next.y - prev.y;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return nodes;
+
+  const ux = dx / length;
+  const uy = dy / length;
+  const inLength = Math.hypot(node.x - prev.x, node.y - prev.y) / 3;
+  const outLength = Math.hypot(next.x - node.x, next.y - node.y) / 3;
+  const smooth = { x: node.x, y: node.y };
+  if (inLength > 0) smooth.handle_in = { x: node.x - ux * inLength, y: node.y - uy * inLength };
+  if (outLength > 0) smooth.handle_out = { x: node.x + ux * outLength, y: node.y + uy * outLength };
+
+  return nodes.map((other, i) => (i === index ? smooth : other));
+}
+
+/**
+ * Remove an anchor (and its handles)
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {number} index - Anchor index
+ * @param {boolean} closed - Closed paths keep at least three anchors, open paths two
+ * @returns {Array<Object>} New nodes (unchanged if the path would get too short)
+ */
+export function removeNode(nodes, index, closed = false) {
+  if (nodes.length <= (closed ? 3 : 2)) return nodes;
+  return nodes.filter((node, i) => i !== index);
+}
+
+/**
+ * Find the anchor or handle under a point
+ * Handles are checked first since they can sit on top of anchors.
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {Object} point - {x, y} in the same space as the nodes
+ * @param {number} radius - Grab radius
+ * @returns {Object|null} {index, part} - part is 'anchor', 'handle_in' or 'handle_out'
+ */
+export function findNodePart(nodes, point, radius) {
+  const near = target => target && Math.hypot(target.x - point.x, target.y - point.y) <= radius;
+
+  for (const part of ['handle_in', 'handle_out']) {
+    const index = nodes.findIndex(node => near(node[part]));
+    if (index !== -1) return { index, part };
+  }
+
+  const index = nodes.findIndex(node => near(node));
+  return index !== -1 ? { index, part: 'anchor' } : null;
+}
+
+/**
+ * Center a path on its drawn bounds
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {boolean} closed - Whether the path is closed
+ * @returns {Object} {center: {x, y}, nodes} - center in the original space, nodes relative
+ *   to it and rounded to 0.1
+ */
+export function centerNodes(nodes, closed = false) {
+  const box = nodesBounds(nodes, closed);
+  const center = { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+  const round = value => Math.round(value * 10) / 10 || 0; // no -0
+
+  return {
+    center,
+    nodes: mapNodes(nodes, point => ({ x: round(point.x - center.x), y: round(point.y - center.y) }))
+  };
+}
+
+/**
+ * SVG path data for the path
+ * @param {Array<Object>} nodes - Path nodes
+ * @param {boolean} closed - Whether the path is closed
+ * @param {Function} transform - Maps a local {x, y} to output coordinates
+ * @returns {string} "M x y C ... Z" path data
+ */
+export function nodesSvgData(nodes, closed = false, transform = point => point) {
+  if (nodes.length === 0) return '';
+
+  const format = point => {
+    const { x, y } = transform(point);
+    return `${x} ${y}`;
+  };
+
+  const commands = [
+    `M ${format(nodes[0])}`,
+    ...nodeSegments(nodes, closed).map(({ c1, c2, to }) => `C ${format(c1)} ${format(c2)} ${format(to)}`)
+  ];
+  if (closed) commands.push('Z');
+  return commands.join(' ');
+}
+
+/**
+ * Stretch a path about its origin (resize handles)
+ * @param {Array<Object>} nodes - Path nodes centered on the origin
+ * @param {Object} from - {width, height} current size
+ * @param {Object} to - {width, height} new size
+ * @returns {Array<Object>} Scaled nodes
+ */
+export function scaleNodes(nodes, from, to) {
+  const scaleX = from.width > 0 ? to.width / from.width : 1;
+  const scaleY = from.height > 0 ? to.height / from.height : 1;
+  return mapNodes(nodes, point => ({ x: point.x * scaleX, y: point.y * scaleY }));
+}
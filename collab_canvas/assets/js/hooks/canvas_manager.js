@@ -1,4 +1,77 @@
 import { CanvasManager } from '../core/canvas_manager.js';
+import { isSvgFile } from '../core/svg_import.js';
+import { DOCUMENT_EXTENSION, isDocumentFile } from '../core/canvas_document.js';
+import { HISTORY_EVENTS } from '../core/history_manager.js';
+
+/**
+ * Bridge table mapping CanvasManager events to their LiveView counterparts.
+ *
+ * A string value forwards the event payload to that server event.
+ * A function value handles the event on the client; it is called with the
+ * hook as `this`. `viewport_changed` is handled by setupViewportSaving().
+ */
+export const CANVAS_EVENT_BRIDGE = {
+  // Object lifecycle
+  create_object: 'create_object',
+  update_object: 'update_object',
+  update_objects_batch: 'update_objects_batch',
+  delete_object: 'delete_object',
+  duplicate_object: 'duplicate_object',
+
+  // Canvas documents (see canvas_document.js)
+  import_document: 'import_document',
+  paste_objects: 'paste_objects',
+  document_import_failed: 'document_import_failed',
+
+  // Locking and presence
+  lock_object: 'lock_object',
+  unlock_object: 'unlock_object',
+  cursor_move: 'cursor_move',
+  tool_changed: 'select_tool',
+
+  // Layer ordering
+  bring_to_front: 'bring_to_front',
+  send_to_back: 'send_to_back',
+  move_forward: 'move_forward',
+  move_backward: 'move_backward',
+
+  // Grouping and layout
+  create_group: 'create_group',
+  ungroup: 'ungroup',
+  align_objects: 'align_objects',
+  distribute_objects: 'distribute_objects',
+
+  // Undo/Redo and operation batching
+  undo: 'undo',
+  redo: 'redo',
+  start_operation: 'start_operation',
+  end_operation: 'end_operation',
+
+  // Per-user canvas settings
+  grid_settings_changed: 'update_grid',
+
+  // Operations queued offline; kept queued if LiveView isn't connected yet
+  sync_offline_operations(data) {
+    this.pushEvent('sync_offline_operations', data).catch(() => {
+      if (this.canvasManager && this.canvasManager.offlineQueue) {
+        this.canvasManager.offlineQueue.syncFailed();
+      }
+    });
+  },
+
+  // Client-side only: hand this user's history to the history panel hook
+  history_changed(data) {
+    window.dispatchEvent(new CustomEvent(HISTORY_EVENTS.changed, { detail: data }));
+  },
+
+  // Client-side only: open the layer context menu for the selection
+  show_context_menu(data) {
+    const objectId = data.object_ids && data.object_ids[0];
+    if (objectId !== undefined && data.position) {
+      this.canvasManager.showObjectContextMenu(data.position.x, data.position.y, objectId);
+    }
+  }
+};
 
 /**
  * CanvasManager Hook for Phoenix LiveView
@@ -17,7 +90,9 @@ export default {
 
     // Create CanvasManager instance
     this.canvasManager = new CanvasManager();
-    await this.canvasManager.initialize(this.el, this.currentUserId, this.canvasId);
+    await this.canvasManager.initialize(this.el, this.currentUserId, this.canvasId, {
+      historyDepth: Number(this.el.dataset.historyDepth) || undefined
+    });
 
     // Set initial current color from data attribute
     const currentColor = this.el.dataset.currentColor || '#000000';
@@ -35,6 +110,9 @@ export default {
 
     // Setup server event handlers
     this.setupServerEventHandlers();
+
+    // Let the history panel hook list and jump through this user's history
+    this.setupHistoryPanelEvents();
   },
 
   /**
@@ -51,84 +129,30 @@ export default {
 
   /**
    * Setup event listeners from CanvasManager
+   * Every event in CANVAS_EVENT_BRIDGE is subscribed here, so anything
+   * CanvasManager emits reaches either the server or a client-side handler
    */
   setupCanvasEventListeners() {
-    // Forward canvas events to server
-    this.canvasManager.on('create_object', (data) => {
-      this.safePushEvent('create_object', data);
-    });
-
-    this.canvasManager.on('update_object', (data) => {
-      this.safePushEvent('update_object', data);
-    });
-
-    this.canvasManager.on('update_objects_batch', (data) => {
-      this.safePushEvent('update_objects_batch', data);
-    });
-
-    this.canvasManager.on('delete_object', (data) => {
-      this.safePushEvent('delete_object', data);
-    });
-
-    this.canvasManager.on('lock_object', (data) => {
-      this.safePushEvent('lock_object', data);
-    });
-
-    this.canvasManager.on('unlock_object', (data) => {
-      this.safePushEvent('unlock_object', data);
-    });
-
-    this.canvasManager.on('cursor_move', (data) => {
-      this.safePushEvent('cursor_move', data);
-    });
-
-    this.canvasManager.on('tool_changed', (data) => {
-      this.safePushEvent('select_tool', data);
-    });
-
-    this.canvasManager.on('bring_to_front', (data) => {
-      this.safePushEvent('bring_to_front', data);
-    });
-
-    this.canvasManager.on('send_to_back', (data) => {
-      this.safePushEvent('send_to_back', data);
-    });
-
-    this.canvasManager.on('move_forward', (data) => {
-      this.safePushEvent('move_forward', data);
-    });
-
-    this.canvasManager.on('move_backward', (data) => {
-      this.safePushEvent('move_backward', data);
-    });
-
-    // Undo/Redo events
-    this.canvasManager.on('undo', (data) => {
-      this.safePushEvent('undo', data);
-    });
-
-    this.canvasManager.on('redo', (data) => {
-      this.safePushEvent('redo', data);
-    });
-
-    // Operation batching events
-    this.canvasManager.on('start_operation', (data) => {
-      this.safePushEvent('start_operation', data);
-    });
-
-    this.canvasManager.on('end_operation', (data) => {
-      this.safePushEvent('end_operation', data);
+    Object.entries(CANVAS_EVENT_BRIDGE).forEach(([event, target]) => {
+      if (typeof target === 'function') {
+        this.canvasManager.on(event, (data) => target.call(this, data));
+      } else {
+        this.canvasManager.on(event, (data) => this.safePushEvent(target, data));
+      }
     });
 
     // Setup drag-and-drop for component instantiation
     this.setupComponentDragAndDrop();
 
+    // Setup the toolbar's file picker
+    this.setupImportInput();
+
     // Setup AI command button to inject selected object IDs
     this.setupAICommandButton();
   },
 
   /**
-   * Setup drag-and-drop event listeners for component instantiation
+   * Setup drag-and-drop event listeners for component instantiation and SVG files
    */
   setupComponentDragAndDrop() {
     const canvasElement = this.el;
@@ -139,11 +163,20 @@ export default {
       e.dataTransfer.dropEffect = 'copy';
     });
 
-    // Handle component drop
+    // Handle component, SVG and canvas document file drops
     canvasElement.addEventListener('drop', (e) => {
       e.preventDefault();
       e.stopPropagation();
 
+      // Files are imported where they're dropped
+      const files = Array.from(e.dataTransfer.files || []).filter(file => isSvgFile(file) || isDocumentFile(file));
+      if (files.length > 0) {
+        const rect = canvasElement.getBoundingClientRect();
+        const target = this.canvasManager.screenToCanvas({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+        files.forEach(file => this.importFile(file, target));
+        return;
+      }
+
       // Get component ID from dataTransfer
       const componentId = e.dataTransfer.getData('application/component-id') ||
                           e.dataTransfer.getData('text/plain');
@@ -177,6 +210,34 @@ export default {
     });
   },
 
+  /**
+   * Setup the toolbar's "Import" file input (SVG files and canvas documents)
+   */
+  setupImportInput() {
+    const input = document.getElementById('import-input');
+    if (!input) return;
+
+    input.addEventListener('change', () => {
+      Array.from(input.files || []).forEach(file => this.importFile(file));
+      // Let the same file be picked again
+      input.value = '';
+    });
+  },
+
+  /**
+   * Import an SVG file or canvas document
+   * @param {File} file - Picked or dropped file
+   * @param {Object} target - {x, y} world position (optional: SVGs go to the paste
+   *   target, documents keep their saved positions)
+   */
+  importFile(file, target = undefined) {
+    if (isDocumentFile(file)) {
+      this.canvasManager.importDocumentFile(file, target || null);
+    } else if (isSvgFile(file)) {
+      this.canvasManager.importSvgFile(file, target);
+    }
+  },
+
   /**
    * Setup AI command button to inject selected object IDs
    */
@@ -260,6 +321,15 @@ export default {
     // Handle object created events
     this.handleEvent('object_created', (data) => {
       this.canvasManager.createObject(data.object);
+      // Objects this user created go into their undo history
+      if (data.local) {
+        this.canvasManager.recordCreation(data.object.id, data.operation_id);
+      }
+    });
+
+    // Handle the server's merge of operations queued offline
+    this.handleEvent('offline_sync_result', (data) => {
+      this.canvasManager.applyOfflineSyncResult(data);
     });
 
     // Handle object updated events
@@ -270,14 +340,19 @@ export default {
     // Handle batch object updates (for layout operations and AI)
     this.handleEvent('objects_updated_batch', (data) => {
       console.log('Batch update received:', data.objects.length, 'objects');
-      // Start history batch for undo/redo
-      this.canvasManager.startHistoryBatch();
       // Skip animation if this client is currently dragging (they already see objects in final position)
       // Use animation for remote clients watching the drag or for AI/layout operations
       const shouldAnimate = !this.canvasManager.isDragging;
       data.objects.forEach(obj => this.canvasManager.updateObject(obj, { animate: shouldAnimate }));
-      // End history batch
-      this.canvasManager.endHistoryBatch();
+    });
+
+    // Handle group membership changes (from Cmd+G / Cmd+Shift+G on any client)
+    this.handleEvent('objects_grouped', (data) => {
+      data.objects.forEach(obj => this.canvasManager.updateObject({ id: obj.id, group_id: obj.group_id }));
+    });
+
+    this.handleEvent('objects_ungrouped', (data) => {
+      data.objects.forEach(obj => this.canvasManager.updateObject({ id: obj.id, group_id: null }));
     });
 
     // Handle object deleted events
@@ -285,6 +360,15 @@ export default {
       this.canvasManager.deleteObject(data.object_id);
     });
 
+    // An AI command's changes go into the undo history as one labelled step
+    this.handleEvent('ai_command_started', () => {
+      this.canvasManager.startAiCommand();
+    });
+
+    this.handleEvent('ai_changes', (data) => {
+      this.canvasManager.recordAiChanges(data.object_ids, data.label);
+    });
+
     // Handle cursor position updates from other users
     this.handleEvent('cursor_moved', (data) => {
       this.canvasManager.updateCursor(data.user_id, data, data.position);
@@ -327,6 +411,11 @@ export default {
       this.canvasManager.restoreViewport(data.x, data.y, data.zoom);
     });
 
+    // Handle grid settings (restored on mount, changed from the toolbar)
+    this.handleEvent('grid_settings', (data) => {
+      this.canvasManager.setGridSettings(data);
+    });
+
     // Handle color changes from color picker
     this.handleEvent('color_changed', (data) => {
       this.canvasManager.setCurrentColor(data.color);
@@ -364,12 +453,27 @@ export default {
       this.canvasManager.selectObjectById(data.object_id);
     });
 
+    // Handle zoom to frame from the layers panel
+    this.handleEvent('zoom_to_frame', (data) => {
+      console.log('[Hook] zoom_to_frame event received:', data.object_id);
+      this.canvasManager.zoomToFrame(data.object_id);
+    });
+
     // Handle multi-object selection (e.g., from semantic AI selection)
     this.handleEvent('select_objects', (data) => {
       console.log('[Hook] select_objects event received:', data.object_ids);
       this.canvasManager.selectObjectsByIds(data.object_ids);
     });
 
+    // Handle exports requested from the export dialog
+    this.handleEvent('export_canvas', (options) => {
+      if (options.format === DOCUMENT_EXTENSION) {
+        this.canvasManager.exportDocument(options);
+      } else {
+        this.canvasManager.exportImage(options);
+      }
+    });
+
     // Handle error sound playback with volume boost
     this.handleEvent('play_error_sound', () => {
       console.log('[Hook] play_error_sound event received');
@@ -428,10 +532,63 @@ export default {
     this.canvasManager.on('viewport_changed', saveViewport);
   },
 
+  /**
+   * Answer the history panel hook (see hooks/history_panel.js)
+   * The panel can be opened and closed independently of the canvas, so the two
+   * talk through window events instead of holding on to each other.
+   */
+  setupHistoryPanelEvents() {
+    this.historyPanelHandlers = {
+      [HISTORY_EVENTS.request]: () => {
+        CANVAS_EVENT_BRIDGE.history_changed.call(this, this.canvasManager.historyManager.getSummary());
+      },
+      [HISTORY_EVENTS.jump]: (e) => {
+        if (e.detail.checkpointId !== undefined) {
+          this.canvasManager.jumpToCheckpoint(e.detail.checkpointId);
+        } else {
+          this.canvasManager.jumpToHistory(e.detail.entryId);
+        }
+      },
+      [HISTORY_EVENTS.pin]: (e) => this.canvasManager.pinHistoryCheckpoint(e.detail.name),
+      [HISTORY_EVENTS.unpin]: (e) => this.canvasManager.historyManager.removeCheckpoint(e.detail.id)
+    };
+
+    Object.entries(this.historyPanelHandlers).forEach(([event, handler]) => {
+      window.addEventListener(event, handler);
+    });
+  },
+
+  /**
+   * Hook lifecycle - disconnected
+   * A sync batch pushed before the drop won't be answered
+   */
+  disconnected() {
+    if (this.canvasManager && this.canvasManager.offlineQueue) {
+      this.canvasManager.offlineQueue.syncFailed();
+    }
+  },
+
+  /**
+   * Hook lifecycle - reconnected
+   * Operations queued offline go out once LiveView is back
+   */
+  reconnected() {
+    if (this.canvasManager && this.canvasManager.offlineQueue) {
+      this.canvasManager.offlineQueue.syncQueue();
+    }
+  },
+
   /**
    * Hook lifecycle - destroyed
    */
   destroyed() {
+    if (this.historyPanelHandlers) {
+      Object.entries(this.historyPanelHandlers).forEach(([event, handler]) => {
+        window.removeEventListener(event, handler);
+      });
+      this.historyPanelHandlers = null;
+    }
+
     // Clean up CanvasManager
     if (this.canvasManager) {
       this.canvasManager.destroy();
@@ -0,0 +1,169 @@
+/**
+ * HistoryPanel Hook for Phoenix LiveView
+ *
+ * Lists this user's undo history with a label per entry. Clicking an entry
+ * undoes or redoes to the point right after it; undone entries stay listed
+ * (greyed out) until a new change replaces them. Named checkpoints can be pinned
+ * at the current point and returned to later.
+ *
+ * The history lives in the canvas hook's CanvasManager; the two hooks talk
+ * through window events (see HISTORY_EVENTS in core/history_manager.js).
+ */
+import { HISTORY_EVENTS } from '../core/history_manager.js';
+
+const ROW_CLASS = 'w-full flex items-center gap-2 px-3 py-1.5 text-left text-xs rounded hover:bg-gray-100';
+
+const formatTime = timestamp =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const dispatch = (event, detail) => window.dispatchEvent(new CustomEvent(event, { detail }));
+
+export default {
+  mounted() {
+    this.el.innerHTML = `
+      <form class="flex gap-1 p-3 border-b border-gray-200" data-history-pin>
+        <input
+          type="text"
+          name="name"
+          maxlength="60"
+          placeholder="Checkpoint name"
+          class="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+        <button type="submit" class="px-2 py-1 text-xs font-medium text-white bg-blue-600 rounded hover:bg-blue-700">
+          Pin
+        </button>
+      </form>
+      <div class="p-2 border-b border-gray-200" data-history-checkpoints></div>
+      <div class="flex-1 overflow-y-auto p-2" data-history-entries></div>
+    `;
+    this.checkpointList = this.el.querySelector('[data-history-checkpoints]');
+    this.entryList = this.el.querySelector('[data-history-entries]');
+
+    this.historyHandler = (e) => this.render(e.detail);
+    window.addEventListener(HISTORY_EVENTS.changed, this.historyHandler);
+
+    // Event delegation - rows are rebuilt on every change
+    this.clickHandler = (e) => {
+      const unpin = e.target.closest('[data-unpin-id]');
+      if (unpin) {
+        dispatch(HISTORY_EVENTS.unpin, { id: Number(unpin.dataset.unpinId) });
+        return;
+      }
+
+      const checkpoint = e.target.closest('[data-checkpoint-id]');
+      if (checkpoint && !checkpoint.disabled) {
+        dispatch(HISTORY_EVENTS.jump, { checkpointId: Number(checkpoint.dataset.checkpointId) });
+        return;
+      }
+
+      const entry = e.target.closest('[data-entry-id]');
+      if (entry && !entry.disabled) {
+        const entryId = entry.dataset.entryId === 'start' ? null : Number(entry.dataset.entryId);
+        dispatch(HISTORY_EVENTS.jump, { entryId });
+      }
+    };
+    this.el.addEventListener('click', this.clickHandler);
+
+    this.pinHandler = (e) => {
+      e.preventDefault();
+      const input = e.target.elements.name;
+      dispatch(HISTORY_EVENTS.pin, { name: input.value });
+      input.value = '';
+    };
+    this.el.querySelector('[data-history-pin]').addEventListener('submit', this.pinHandler);
+
+    // The canvas answers with the current history
+    dispatch(HISTORY_EVENTS.request);
+  },
+
+  /**
+   * Rebuild the checkpoint and entry lists
+   * @param {Object} summary - HistoryManager#getSummary()
+   */
+  render(summary) {
+    this.checkpointList.replaceChildren(...this.renderCheckpoints(summary.checkpoints));
+
+    const start = this.renderRow({
+      label: 'Start of session',
+      current: summary.current === null,
+      disabled: !summary.startReachable
+    });
+    start.dataset.entryId = 'start';
+
+    const entries = summary.entries.map(entry => {
+      const row = this.renderRow({
+        label: entry.label,
+        time: formatTime(entry.timestamp),
+        current: entry.id === summary.current,
+        undone: !entry.applied
+      });
+      row.dataset.entryId = entry.id;
+      return row;
+    });
+
+    this.entryList.replaceChildren(start, ...entries);
+  },
+
+  renderCheckpoints(checkpoints) {
+    if (checkpoints.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'px-3 py-1 text-xs text-gray-400';
+      empty.textContent = 'No checkpoints yet';
+      return [empty];
+    }
+
+    return checkpoints.map(checkpoint => {
+      const item = document.createElement('div');
+      item.className = 'flex items-center';
+
+      const row = this.renderRow({
+        label: `📌 ${checkpoint.name}`,
+        time: formatTime(checkpoint.timestamp),
+        disabled: !checkpoint.reachable
+      });
+      row.dataset.checkpointId = checkpoint.id;
+      if (!checkpoint.reachable) {
+        row.title = 'No longer in the history';
+      }
+
+      const unpin = document.createElement('button');
+      unpin.type = 'button';
+      unpin.className = 'px-2 text-gray-400 hover:text-gray-700';
+      unpin.title = 'Unpin checkpoint';
+      unpin.textContent = '×';
+      unpin.dataset.unpinId = checkpoint.id;
+
+      item.append(row, unpin);
+      return item;
+    });
+  },
+
+  renderRow({ label, time = '', current = false, undone = false, disabled = false }) {
+    const row = document.createElement('button');
+    row.type = 'button';
+    row.disabled = disabled;
+    row.className = [
+      ROW_CLASS,
+      current && 'bg-blue-50 text-blue-700 font-medium',
+      undone && 'text-gray-400 italic',
+      disabled && 'opacity-50 cursor-not-allowed'
+    ].filter(Boolean).join(' ');
+
+    const text = document.createElement('span');
+    text.className = 'flex-1 truncate';
+    text.textContent = label;
+    row.appendChild(text);
+
+    if (time) {
+      const stamp = document.createElement('span');
+      stamp.className = 'text-[10px] text-gray-400';
+      stamp.textContent = time;
+      row.appendChild(stamp);
+    }
+    return row;
+  },
+
+  destroyed() {
+    window.removeEventListener(HISTORY_EVENTS.changed, this.historyHandler);
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * Tests for canvas documents
+ *
+ * Tests the JSON save/load format including:
+ * - Serializing objects with groups, layers, component links and the viewport
+ * - Reporting schema problems by path
+ * - Upgrading older versions and rejecting newer ones
+ * - Exporting from and importing into CanvasManager
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  DOCUMENT_FORMAT,
+  DOCUMENT_VERSION,
+  serializeDocument,
+  validateDocument,
+  migrateDocument,
+  parseDocument,
+  isDocumentFile
+} from '../js/core/canvas_document.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+const documentWith = objects => ({
+  format: DOCUMENT_FORMAT,
+  version: DOCUMENT_VERSION,
+  canvas: { name: 'Board' },
+  viewport: { x: 0, y: 0, zoom: 1 },
+  objects
+});
+
+const rect = (id, extra = {}) => ({ id, type: 'rectangle', position: { x: id * 100, y: 0 }, data: { width: 20, height: 20 }, ...extra });
+
+describe('Canvas documents', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('format', () => {
+    it('should serialize objects with their links and the viewport', () => {
+      const document = serializeDocument([
+        rect(1, { z_index: 3, group_id: 'g1', component_id: 7, instance_overrides: '{"fill":"#ff0000"}' })
+      ], { name: 'Board', viewport: { x: 5, y: 6, zoom: 2 } });
+
+      expect(document).toMatchObject({
+        format: DOCUMENT_FORMAT,
+        version: DOCUMENT_VERSION,
+        canvas: { name: 'Board' },
+        viewport: { x: 5, y: 6, zoom: 2 }
+      });
+      expect(document.objects[0]).toEqual({
+        id: 1,
+        type: 'rectangle',
+        position: { x: 100, y: 0 },
+        data: { width: 20, height: 20 },
+        z_index: 3,
+        group_id: 'g1',
+        component_id: 7,
+        is_main_component: false,
+        instance_overrides: { fill: '#ff0000' }
+      });
+      expect(validateDocument(document)).toEqual([]);
+    });
+
+    it('should report problems by path', () => {
+      const errors = validateDocument({
+        ...documentWith([
+          rect(1),
+          { id: 1, type: 'hexagon', position: { x: 'a', y: 0 }, data: [], z_index: '2' },
+          { id: 3, type: 'connector', position: { x: 0, y: 0 }, data: { source_id: 1, target_id: 9 } }
+        ]),
+        viewport: { x: 0, y: 0, zoom: 0 }
+      });
+
+      expect(errors).toEqual([
+        'viewport: must have numeric x and y and a positive zoom',
+        'objects[1].id: duplicates id 1',
+        expect.stringMatching(/^objects\[1\]\.type: must be one of rectangle, /),
+        'objects[1].position: must have numeric x and y',
+        'objects[1].data: must be an object',
+        'objects[1].z_index: must be a number',
+        'objects[2].data.target_id: must reference an object in the document'
+      ]);
+    });
+
+    it('should upgrade older documents in order and refuse newer ones', () => {
+      const migrations = {
+        0: document => ({ ...document, version: 1, objects: document.shapes })
+      };
+      const old = { format: DOCUMENT_FORMAT, version: 0, shapes: [rect(1)] };
+
+      expect(migrateDocument(old, migrations).objects).toEqual([rect(1)]);
+      expect(old.version).toBe(0);
+
+      expect(() => migrateDocument({ version: 0 })).toThrow('No migration from document version 0');
+      const newer = parseDocument(JSON.stringify({ ...documentWith([]), version: 99 }));
+      expect(newer.errors).toEqual([expect.stringContaining('saved by a newer version (99)')]);
+    });
+
+    it('should parse document text and recognize document files', () => {
+      expect(parseDocument(JSON.stringify(documentWith([rect(1)]))).document.objects).toHaveLength(1);
+      expect(parseDocument('{').errors).toEqual(['document: is not valid JSON']);
+      expect(parseDocument('{"format":"collab-canvas/objects"}').errors).toEqual(['document: is not a canvas document']);
+
+      expect(isDocumentFile(new File(['{}'], 'Board.JSON'))).toBe(true);
+      expect(isDocumentFile(new File(['<svg/>'], 'logo.svg', { type: 'image/svg+xml' }))).toBe(false);
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should export connectors only with both of their ends', async () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({ ...rect(1), group_id: 'g1', component_id: 4, z_index: 2 });
+      canvasManager.createObject(rect(2));
+      canvasManager.createObject(rect(3));
+      canvasManager.createObject({ id: 4, type: 'connector', position: { x: 0, y: 0 }, data: { source_id: 1, target_id: 2 } });
+      canvasManager.createObject({ id: 5, type: 'connector', position: { x: 0, y: 0 }, data: { source_id: 1, target_id: 3 } });
+      canvasManager.selectObjectsByIds([1, 2, 4, 5]);
+
+      const downloads = [];
+      vi.spyOn(canvasManager, 'triggerDownload').mockImplementation((url, filename) => downloads.push(filename));
+      vi.spyOn(URL, 'createObjectURL').mockImplementation(blob => {
+        downloads.push(blob);
+        return 'blob:document';
+      });
+      vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+      expect(canvasManager.exportDocument({ scope: 'selection', filename: 'Team Board' })).toBe(true);
+
+      const [blob, filename] = downloads;
+      const { document } = parseDocument(await blob.text());
+      expect(filename).toBe('team-board.json');
+      expect(document.objects.map(obj => obj.id)).toEqual([2, 4, 1]);
+      expect(document.objects[2]).toMatchObject({ position: { x: 100, y: 0 }, group_id: 'g1', component_id: 4 });
+    });
+
+    it('should recreate documents in place with fresh groups above existing layers', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({ ...rect(9), z_index: 5 });
+      const emit = vi.spyOn(canvasManager, 'emit');
+
+      const result = canvasManager.importDocument(JSON.stringify(documentWith([
+        rect(1, { z_index: 2, group_id: 'g1' }),
+        rect(2, { z_index: 1, group_id: 'g1' }),
+        { id: 3, type: 'connector', position: { x: 0, y: 0 }, data: { source_id: 1, target_id: 2 } }
+      ])));
+
+      const [, { objects }] = emit.mock.calls.find(([event]) => event === 'import_document');
+      expect(result).toEqual({ imported: 3, errors: [] });
+      expect(objects.map(obj => obj.id)).toEqual([1, 2, 3]);
+      expect(objects.map(obj => obj.z_index)).toEqual([8, 7, 6]);
+      expect(objects[0].position).toEqual({ x: 100, y: 0 });
+      expect(objects[0].group_id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(objects[0].group_id).not.toBe('g1');
+      expect(objects[1].group_id).toBe(objects[0].group_id);
+      expect(objects[2].data).toEqual({ source_id: 1, target_id: 2 });
+      // The canvas wasn't empty, so the viewport stays where it is
+      expect(emit).not.toHaveBeenCalledWith('viewport_changed');
+    });
+
+    it('should report invalid documents instead of importing them', () => {
+      const canvasManager = createCanvasManager();
+      const emit = vi.spyOn(canvasManager, 'emit');
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = canvasManager.importDocument(JSON.stringify(documentWith([{ id: 1, type: 'blob' }])));
+
+      expect(result.imported).toBe(0);
+      expect(emit).toHaveBeenCalledWith('document_import_failed', { errors: result.errors });
+      expect(emit).not.toHaveBeenCalledWith('import_document', expect.anything());
+    });
+  });
+});
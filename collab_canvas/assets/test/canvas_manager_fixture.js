@@ -0,0 +1,14 @@
+// CanvasManager for tests: no PIXI application, just the containers it draws
+// objects, selection boxes, labels and cursors into
+import * as PIXI from '../vendor/pixi.min.mjs';
+import { CanvasManager } from '../js/core/canvas_manager.js';
+
+export function createCanvasManager() {
+  const canvasManager = new CanvasManager();
+  canvasManager.objectContainer = new PIXI.Container();
+  canvasManager.selectionContainer = new PIXI.Container();
+  canvasManager.objectContainer.addChild(canvasManager.selectionContainer);
+  canvasManager.labelContainer = new PIXI.Container();
+  canvasManager.cursorContainer = new PIXI.Container();
+  return canvasManager;
+}
@@ -0,0 +1,90 @@
+/**
+ * Tests for CanvasManager Hook event bridge
+ *
+ * Tests that CanvasManager events reach LiveView including:
+ * - Every emitted event has a bridge entry
+ * - String entries forward to the mapped server event
+ * - Client-side entries run with the hook as `this`
+ * - Dev-mode warning for events without subscribers
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import CanvasHook, { CANVAS_EVENT_BRIDGE } from '../js/hooks/canvas_manager.js';
+import { CanvasManager } from '../js/core/canvas_manager.js';
+
+describe('CanvasManager Hook event bridge', () => {
+  let hook;
+
+  beforeEach(() => {
+    hook = Object.create(CanvasHook);
+    hook.el = document.createElement('div');
+    hook.pushEvent = vi.fn();
+    hook.canvasManager = new CanvasManager();
+    hook.setupCanvasEventListeners();
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('should have a bridge entry for every event CanvasManager emits', () => {
+    const source = readFileSync(resolve(__dirname, '../js/core/canvas_manager.js'), 'utf8');
+    const emitted = new Set(Array.from(source.matchAll(/this\.emit\('([a-z_]+)'/g), m => m[1]));
+
+    // Handled by setupViewportSaving()
+    emitted.delete('viewport_changed');
+
+    emitted.forEach(event => {
+      expect(CANVAS_EVENT_BRIDGE, `missing bridge for ${event}`).toHaveProperty(event);
+    });
+  });
+
+  it('should forward previously dropped events to the server', () => {
+    const events = ['create_group', 'ungroup', 'duplicate_object', 'align_objects', 'distribute_objects'];
+
+    events.forEach(event => {
+      hook.canvasManager.emit(event, { object_ids: [1, 2, 3] });
+      expect(hook.pushEvent).toHaveBeenCalledWith(event, { object_ids: [1, 2, 3] });
+    });
+  });
+
+  it('should rename events whose server name differs', () => {
+    hook.canvasManager.emit('tool_changed', { tool: 'rectangle' });
+
+    expect(hook.pushEvent).toHaveBeenCalledWith('select_tool', { tool: 'rectangle' });
+  });
+
+  it('should handle show_context_menu on the client', () => {
+    const spy = vi.spyOn(hook.canvasManager, 'showObjectContextMenu').mockImplementation(() => {});
+
+    hook.canvasManager.emit('show_context_menu', {
+      position: { x: 10, y: 20 },
+      object_ids: [7],
+      selected_count: 1
+    });
+
+    expect(spy).toHaveBeenCalledWith(10, 20, 7);
+    expect(hook.pushEvent).not.toHaveBeenCalled();
+  });
+
+  it('should warn in development when an event has no subscribers', () => {
+    vi.stubEnv('NODE_ENV', 'development');
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    hook.canvasManager.emit('not_bridged', { a: 1 });
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('not_bridged'), { a: 1 });
+  });
+
+  it('should not warn outside development', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    hook.canvasManager.emit('not_bridged', {});
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
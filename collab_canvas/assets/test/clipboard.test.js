@@ -0,0 +1,87 @@
+/**
+ * Tests for Clipboard serialization
+ *
+ * Tests copy/paste payload handling including:
+ * - Envelope round-trip
+ * - Rejecting foreign clipboard text
+ * - Paste layout around the cursor and z_index re-basing
+ * - Keeping connectors tied to pasted copies of their ends
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CLIPBOARD_FORMAT,
+  serializeClipboard,
+  parseClipboard,
+  layoutPaste
+} from '../js/core/clipboard.js';
+
+describe('Clipboard', () => {
+  const objects = [
+    { type: 'rectangle', position: { x: 100, y: 100 }, data: { width: 50, fill: '#ff0000' }, z_index: 3 },
+    { type: 'circle', position: { x: 200, y: 150 }, data: { width: 40 }, z_index: 1 }
+  ];
+
+  describe('serializeClipboard / parseClipboard', () => {
+    it('should round-trip full object payloads', () => {
+      const text = serializeClipboard(objects, { source_canvas_id: 7 });
+      const envelope = parseClipboard(text);
+
+      expect(envelope.format).toBe(CLIPBOARD_FORMAT);
+      expect(envelope.source_canvas_id).toBe(7);
+      expect(envelope.objects).toEqual(objects);
+    });
+
+    it('should return null for plain text and foreign JSON', () => {
+      expect(parseClipboard('hello')).toBeNull();
+      expect(parseClipboard('')).toBeNull();
+      expect(parseClipboard(JSON.stringify({ objects: [] }))).toBeNull();
+    });
+
+    it('should drop malformed objects', () => {
+      const text = JSON.stringify({
+        format: CLIPBOARD_FORMAT,
+        version: 1,
+        objects: [objects[0], { type: 'circle' }, { position: { x: 1, y: 1 } }]
+      });
+
+      expect(parseClipboard(text).objects).toHaveLength(1);
+    });
+  });
+
+  describe('layoutPaste', () => {
+    it('should center the pasted group on the target', () => {
+      const payloads = layoutPaste(objects, { x: 0, y: 0 });
+
+      expect(payloads[0].position).toEqual({ x: -50, y: -25 });
+      expect(payloads[1].position).toEqual({ x: 50, y: 25 });
+    });
+
+    it('should stack pasted objects above the base z_index in original order', () => {
+      const payloads = layoutPaste(objects, { x: 0, y: 0 }, 10);
+
+      expect(payloads[1].z_index).toBe(11);
+      expect(payloads[0].z_index).toBe(12);
+    });
+
+    it('should keep connector ends that are pasted along and unbind the rest', () => {
+      const payloads = layoutPaste([
+        { id: 1, type: 'rectangle', position: { x: 0, y: 0 }, data: {} },
+        { id: 2, type: 'circle', position: { x: 100, y: 0 }, data: {} },
+        { id: 3, type: 'connector', position: { x: 50, y: 0 }, data: { source_id: 1, target_id: 2 } },
+        { id: 4, type: 'connector', position: { x: 50, y: 50 }, data: { source_id: 1, target_id: 99, routing: 'elbow' } }
+      ], { x: 0, y: 0 });
+
+      expect(payloads.map(payload => payload.id)).toEqual([1, 2, 3, 4]);
+      expect(payloads[2].data).toEqual({ source_id: 1, target_id: 2 });
+      expect(payloads[3].data).toEqual({ source_id: 1, routing: 'elbow' });
+    });
+
+    it('should not share data objects with the source', () => {
+      const payloads = layoutPaste(objects, { x: 0, y: 0 });
+      payloads[0].data.width = 999;
+
+      expect(objects[0].data.width).toBe(50);
+    });
+  });
+});
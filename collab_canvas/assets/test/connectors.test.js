@@ -0,0 +1,121 @@
+/**
+ * Tests for lines, arrows and connectors
+ *
+ * Tests connector geometry including:
+ * - Arrowhead defaults and line endpoint scaling
+ * - Straight, elbow and curved routing between object boxes
+ * - Arrowhead outlines
+ * - CanvasManager rerouting connectors when their objects move
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  arrowheadsFor,
+  scaleLineEndpoints,
+  boxEdgePoint,
+  routeConnector,
+  routePolyline,
+  arrowheadGeometry
+} from '../js/core/connectors.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+const box = (x, y, width, height) => ({ minX: x, minY: y, maxX: x + width, maxY: y + height });
+
+describe('Connectors', () => {
+  describe('lines and arrows', () => {
+    it('should default arrowheads by type', () => {
+      expect(arrowheadsFor('line', {})).toEqual({ start: 'none', end: 'none' });
+      expect(arrowheadsFor('arrow', {})).toEqual({ start: 'none', end: 'triangle' });
+      expect(arrowheadsFor('arrow', { start_arrow: 'circle', end_arrow: 'bogus' }))
+        .toEqual({ start: 'circle', end: 'triangle' });
+    });
+
+    it('should stretch endpoints to a new size about the center', () => {
+      const endpoints = scaleLineEndpoints({ start: { x: -50, y: -10 }, end: { x: 50, y: 10 } }, 200, 10);
+
+      expect(endpoints).toEqual({ start: { x: -100, y: -5 }, end: { x: 100, y: 5 } });
+    });
+  });
+
+  describe('routeConnector', () => {
+    const source = { box: box(0, 0, 100, 50), shape: 'rect' };
+    const target = { box: box(300, 150, 100, 50), shape: 'rect' };
+
+    it('should clip straight routes to the object outlines', () => {
+      const { points, controls } = routeConnector(source, target, 'straight');
+
+      expect(controls).toBeNull();
+      expect(points[0]).toEqual({ x: 100, y: 25 + 150 * (50 / 300) });
+      expect(points[1].x).toBeCloseTo(300);
+    });
+
+    it('should clip to circles along the ellipse', () => {
+      const point = boxEdgePoint(box(0, 0, 100, 100), { x: 200, y: 200 }, 'ellipse');
+
+      expect(point.x).toBeCloseTo(50 + 50 / Math.SQRT2);
+      expect(point.y).toBeCloseTo(50 + 50 / Math.SQRT2);
+    });
+
+    it('should route elbows between facing sides', () => {
+      const { points } = routeConnector(source, target, 'elbow');
+
+      expect(points).toEqual([
+        { x: 100, y: 25 },
+        { x: 200, y: 25 },
+        { x: 200, y: 175 },
+        { x: 300, y: 175 }
+      ]);
+    });
+
+    it('should straighten elbows between aligned objects', () => {
+      const { points } = routeConnector(source, { box: box(300, 0, 100, 50), shape: 'rect' }, 'elbow');
+
+      expect(points).toEqual([{ x: 100, y: 25 }, { x: 300, y: 25 }]);
+    });
+
+    it('should leave and enter curved routes perpendicular to the sides', () => {
+      const route = routeConnector(source, target, 'curved');
+
+      expect(route.controls).toEqual([{ x: 200, y: 25 }, { x: 200, y: 175 }]);
+      const polyline = routePolyline(route);
+      expect(polyline[0]).toEqual({ x: 100, y: 25 });
+      expect(polyline[polyline.length - 1]).toEqual({ x: 300, y: 175 });
+    });
+  });
+
+  describe('arrowheadGeometry', () => {
+    it('should point a triangle from the line toward the tip', () => {
+      const head = arrowheadGeometry({ x: 100, y: 0 }, { x: 0, y: 0 }, 'triangle', 10);
+
+      expect(head.kind).toBe('polygon');
+      expect(head.points.map(value => Math.round(value) || 0)).toEqual([100, 0, 90, 5, 90, -5]);
+      expect(arrowheadGeometry({ x: 100, y: 0 }, { x: 0, y: 0 }, 'none', 10)).toBeNull();
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should reroute a connector when its source moves', () => {
+      const canvasManager = createCanvasManager();
+
+      canvasManager.createObject({ id: 1, type: 'rectangle', position: { x: 50, y: 25 }, data: { width: 100, height: 50 } });
+      canvasManager.createObject({ id: 2, type: 'rectangle', position: { x: 350, y: 25 }, data: { width: 100, height: 50 } });
+      canvasManager.createObject({
+        id: 3,
+        type: 'connector',
+        position: { x: 0, y: 0 },
+        data: { source_id: 1, target_id: 2, routing: 'straight' }
+      });
+
+      const connector = canvasManager.objects.get(3);
+      expect(connector.position.x).toBe(200);
+      expect(connector.pathPoints).toEqual([-100, 0, 100, 0]);
+
+      canvasManager.updateObject({ id: 1, position: { x: 150, y: 25 } });
+
+      expect(connector.position.x).toBe(250);
+      expect(connector.pathPoints).toEqual([-50, 0, 50, 0]);
+      expect(canvasManager.hitTestObject(connector, { x: 250, y: 26 })).toBe(true);
+      expect(canvasManager.hitTestObject(connector, { x: 250, y: 40 })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for frames
+ *
+ * Tests frame (artboard) objects including:
+ * - Working out membership from positions and layer order
+ * - Fitting a frame to the view and naming new frames
+ * - Clipping members and moving them along with a dragged frame
+ * - Exporting a single frame and zooming to it from CanvasManager
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { frameMembership, fitBoxToView, nextFrameName } from '../js/core/frames.js';
+import { objectsToSvg } from '../js/core/svg_export.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+const box = (minX, minY, maxX, maxY) => ({ minX, minY, maxX, maxY });
+
+describe('Frames', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('membership', () => {
+    it('should put objects in the frontmost frame behind them that holds their center', () => {
+      const membership = frameMembership([
+        { id: 'outer', type: 'frame', bounds: box(0, 0, 400, 400) },
+        { id: 'a', type: 'rectangle', bounds: box(10, 10, 50, 50) },
+        { id: 'inner', type: 'frame', bounds: box(100, 100, 300, 300) },
+        { id: 'b', type: 'rectangle', bounds: box(150, 150, 250, 250) },
+        { id: 'edge', type: 'rectangle', bounds: box(380, 0, 480, 20) },
+        { id: 'link', type: 'connector', bounds: box(20, 20, 200, 200) }
+      ]);
+
+      expect(Object.fromEntries(membership)).toEqual({ a: 'outer', b: 'inner' });
+    });
+
+    it('should leave objects behind a frame out of it', () => {
+      const membership = frameMembership([
+        { id: 'a', type: 'rectangle', bounds: box(10, 10, 50, 50) },
+        { id: 'frame', type: 'frame', bounds: box(0, 0, 400, 400) }
+      ]);
+
+      expect(membership.size).toBe(0);
+    });
+  });
+
+  describe('navigation and naming', () => {
+    it('should fit and center a frame in the view', () => {
+      const viewport = fitBoxToView(box(100, 100, 300, 200), { width: 500, height: 400 }, { padding: 50 });
+
+      expect(viewport.zoom).toBe(2);
+      expect(viewport.x).toBe(250 - 200 * 2);
+      expect(viewport.y).toBe(200 - 150 * 2);
+
+      expect(fitBoxToView(box(0, 0, 1, 1), { width: 500, height: 400 }).zoom).toBe(5);
+    });
+
+    it('should number new frames after the existing ones', () => {
+      expect(nextFrameName([])).toBe('Frame 1');
+      expect(nextFrameName(['Frame 2', 'Home', 'Frame 7', undefined])).toBe('Frame 8');
+    });
+
+    it('should clip members to their frame in SVG', () => {
+      const svg = objectsToSvg([
+        { id: 1, type: 'frame', position: { x: 50, y: 50 }, data: { width: 100, height: 100, name: 'Home' } },
+        { id: 2, type: 'rectangle', position: { x: 90, y: 50 }, data: { width: 60, height: 20 }, frame_id: 1 }
+      ]);
+
+      expect(svg).toContain('<clipPath id="object-1-clip"><rect x="0" y="0" width="100" height="100" transform="translate(50 50) translate(-50 -50)" /></clipPath>');
+      expect(svg).toMatch(/<g clip-path="url\(#object-1-clip\)"><rect id="object-2"/);
+      expect(svg).toMatch(/<rect id="object-1" [^>]*x="0.5" y="0.5" width="99" height="99" fill="#ffffff" stroke="#d1d5db"/);
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    const setup = () => {
+      const canvasManager = createCanvasManager();
+
+      canvasManager.createObject({ id: 1, type: 'frame', position: { x: 100, y: 100 }, data: { width: 200, height: 200, name: 'Home' } });
+      canvasManager.createObject({ id: 2, type: 'rectangle', position: { x: 150, y: 150 }, data: { width: 40, height: 40 } });
+      canvasManager.createObject({ id: 3, type: 'rectangle', position: { x: 500, y: 500 }, data: { width: 40, height: 40 } });
+      canvasManager.updateFrames();
+      return canvasManager;
+    };
+
+    it('should size frames by their box and clip their members', () => {
+      const canvasManager = setup();
+      const frame = canvasManager.objects.get(1);
+      const member = canvasManager.objects.get(2);
+
+      expect(canvasManager.getObjectWorldBounds(frame)).toEqual(box(0, 0, 200, 200));
+      expect(frame.header.text).toBe('Home');
+      expect(member.mask).toBe(frame.clipMasks.get(2));
+      expect(canvasManager.objects.get(3).mask).toBeFalsy();
+
+      // Moved out of the frame, the member is no longer clipped
+      canvasManager.updateObject({ id: 2, position: { x: 400, y: 400 } });
+      canvasManager.updateFrames();
+      expect(member.mask).toBeFalsy();
+      expect(frame.clipMasks.size).toBe(0);
+
+      // Deleting the frame releases whatever it clipped
+      canvasManager.updateObject({ id: 2, position: { x: 150, y: 150 } });
+      canvasManager.updateFrames();
+      canvasManager.deleteObject(1);
+      expect(member.mask).toBeFalsy();
+      expect(member.clipFrame).toBeNull();
+    });
+
+    it('should add frames created behind existing objects behind them', () => {
+      const canvasManager = setup();
+      canvasManager.createObject({ id: 4, type: 'frame', position: { x: 500, y: 500 }, z_index: -1, data: { width: 100, height: 100 } });
+      canvasManager.updateFrames();
+
+      const children = canvasManager.objectContainer.children;
+      expect(children.indexOf(canvasManager.objects.get(4))).toBeLessThan(children.indexOf(canvasManager.objects.get(3)));
+      expect(canvasManager.objects.get(3).clipFrame).toBe(canvasManager.objects.get(4));
+      expect(canvasManager.frameCreationLayer({ x: 450, y: 450, width: 100, height: 100 })).toEqual({ z_index: -1 });
+    });
+
+    it('should move members along with a dragged frame', () => {
+      const canvasManager = setup();
+      canvasManager.selectObjectsByIds([1]);
+
+      canvasManager.startFrameDrag();
+      canvasManager.selectionContainer.x = 30;
+      canvasManager.selectionContainer.y = -10;
+      canvasManager.moveFrameMembers();
+
+      expect(Array.from(canvasManager.frameDrag.ids)).toEqual([2]);
+      expect(canvasManager.frameMemberUpdates()).toEqual([{ object_id: 2, position: { x: 180, y: 140 } }]);
+      expect(canvasManager.objects.get(3).x).toBe(500);
+    });
+
+    it('should export a frame with its members, clipped to its box', async () => {
+      const canvasManager = setup();
+      const downloads = [];
+      vi.spyOn(canvasManager, 'triggerDownload').mockImplementation((url, filename) => downloads.push(filename));
+      vi.spyOn(URL, 'createObjectURL').mockImplementation(blob => {
+        downloads.push(blob);
+        return 'blob:export';
+      });
+      vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+      expect(await canvasManager.exportImage({ format: 'svg', scope: 'frame', frame_id: 1, padding: 20 })).toBe(true);
+
+      const [blob, filename] = downloads;
+      const svg = await blob.text();
+      expect(filename).toBe('home.svg');
+      expect(svg).toContain('viewBox="0 0 200 200"');
+      expect(svg).toContain('clip-path="url(#object-1-clip)"');
+      expect(svg).not.toContain('id="object-3"');
+
+      expect(await canvasManager.exportImage({ format: 'svg', scope: 'frame', frame_id: 3 })).toBe(false);
+    });
+
+    it('should zoom to a frame', () => {
+      const canvasManager = setup();
+      canvasManager.canvasWidth = 496;
+      canvasManager.canvasHeight = 496;
+      const emit = vi.spyOn(canvasManager, 'emit');
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(canvasManager.zoomToFrame(1)).toBe(true);
+
+      expect(canvasManager.getViewportState()).toEqual({ x: 48, y: 48, zoom: 2 });
+      expect(emit).toHaveBeenCalledWith('viewport_changed');
+      expect(canvasManager.zoomToFrame(2)).toBe(false);
+    });
+  });
+});
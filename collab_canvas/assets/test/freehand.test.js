@@ -0,0 +1,117 @@
+/**
+ * Tests for the freehand pencil tool
+ *
+ * Tests stroke processing including:
+ * - Simplifying pointer samples
+ * - Catmull-Rom smoothing through the kept points
+ * - Compact storage, resizing and SVG path data
+ * - CanvasManager creating, hit-testing and exporting path objects
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  simplifyPath,
+  smoothPathSegments,
+  samplePath,
+  compactStroke,
+  scalePathPoints,
+  pathSvgData
+} from '../js/core/freehand.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+describe('Freehand', () => {
+  describe('simplifyPath', () => {
+    it('should drop samples along a straight run and keep corners', () => {
+      const samples = [
+        { x: 0, y: 0 }, { x: 10, y: 0.3 }, { x: 20, y: -0.2 }, { x: 30, y: 0 },
+        { x: 30, y: 10 }, { x: 30.4, y: 20 }, { x: 30, y: 30 }
+      ];
+
+      expect(simplifyPath(samples, 1)).toEqual([{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 30 }]);
+    });
+  });
+
+  describe('smoothing', () => {
+    it('should pass through every point with tangents from the neighbours', () => {
+      const points = [{ x: 0, y: 0 }, { x: 60, y: 0 }, { x: 60, y: 60 }];
+      const segments = smoothPathSegments(points);
+
+      expect(segments).toHaveLength(2);
+      expect(segments[0]).toEqual({ c1: { x: 10, y: 0 }, c2: { x: 50, y: -10 }, to: { x: 60, y: 0 } });
+      expect(segments[1].to).toEqual({ x: 60, y: 60 });
+
+      const sampled = samplePath(points);
+      expect(sampled.slice(0, 2)).toEqual([0, 0]);
+      expect(sampled.slice(-2)).toEqual([60, 60]);
+    });
+  });
+
+  describe('storage', () => {
+    it('should center the stroke on its bounding box', () => {
+      const stroke = compactStroke([{ x: 100, y: 100 }, { x: 150.04, y: 120 }, { x: 200, y: 100 }], 0.5);
+
+      expect(stroke.position).toEqual({ x: 150, y: 110 });
+      expect(stroke.points).toEqual([-50, -10, 0, 10, 50, -10]);
+    });
+
+    it('should discard strokes with no length', () => {
+      expect(compactStroke([{ x: 5, y: 5 }], 1)).toBeNull();
+      expect(compactStroke([{ x: 5, y: 5 }, { x: 5, y: 5 }], 1)).toBeNull();
+    });
+
+    it('should scale points about the center', () => {
+      expect(scalePathPoints([-50, -10, 50, 10], { width: 100, height: 20 }, { width: 200, height: 10 }))
+        .toEqual([-100, -5, 100, 5]);
+    });
+
+    it('should describe the curve as SVG path data', () => {
+      const shift = point => ({ x: point.x + 100, y: point.y });
+
+      expect(pathSvgData([{ x: 0, y: 0 }, { x: 60, y: 0 }], shift)).toBe('M 100 0 C 110 0 150 0 160 0');
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should create a path object from a pencil stroke', () => {
+      const canvasManager = createCanvasManager();
+      const created = vi.fn();
+      canvasManager.on('create_object', created);
+
+      canvasManager.isCreating = true;
+      canvasManager.createStart = { x: 0, y: 0 };
+      canvasManager.freehandSamples = [{ x: 0, y: 0 }];
+      canvasManager.createTempObject('pencil', { x: 0, y: 0 });
+      [{ x: 0.2, y: 0 }, { x: 50, y: 1 }, { x: 100, y: 0 }, { x: 100, y: 40 }]
+        .forEach(position => canvasManager.addFreehandSample(position));
+      canvasManager.finishFreehandStroke();
+
+      // The sample closer than a pixel is skipped and the near-straight run simplified
+      expect(created).toHaveBeenCalledWith({
+        type: 'path',
+        position: { x: 50, y: 20 },
+        data: { points: [-50, -20, 50, -20, 50, 20], stroke: '#000000', stroke_width: 2 }
+      });
+      expect(canvasManager.freehandSamples).toBeNull();
+      expect(canvasManager.isCreating).toBe(false);
+    });
+
+    it('should hit-test only along the stroke and export a path', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({
+        id: 1,
+        type: 'path',
+        position: { x: 100, y: 100 },
+        data: { points: [-50, 0, 50, 0], stroke: '#ff0000', stroke_width: 4 }
+      });
+      const path = canvasManager.objects.get(1);
+
+      expect(canvasManager.hitTestObject(path, { x: 120, y: 102 })).toBe(true);
+      expect(canvasManager.hitTestObject(path, { x: 120, y: 20 })).toBe(false);
+      expect(canvasManager.getObjectSize(path)).toEqual({ width: 100, height: 0 });
+
+      const svg = canvasManager.objectToSVG(path);
+      expect(svg).toContain('transform="translate(100 100)" d="M -50 0 C');
+      expect(svg).toContain('stroke="#ff0000"');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the canvas grid
+ *
+ * Tests grid geometry and snapping including:
+ * - Normalizing settings from the server or the toolbar form
+ * - Coarsening the grid as the view zooms out
+ * - Snapping coordinates and nudging to the next grid line
+ * - CanvasManager nudging a selection along the grid
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_GRID_SETTINGS,
+  normalizeGridSettings,
+  gridLevels,
+  gridLinesInRange,
+  snapToGrid,
+  snapPointToGrid,
+  nextGridLine
+} from '../js/core/grid.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+describe('Grid', () => {
+  describe('normalizeGridSettings', () => {
+    it('should fill in defaults', () => {
+      expect(normalizeGridSettings()).toEqual(DEFAULT_GRID_SETTINGS);
+    });
+
+    it('should parse form values and clamp numbers', () => {
+      expect(normalizeGridSettings({ visible: 'true', snap: 'false', spacing: '5000', subdivisions: '0' }))
+        .toEqual({ visible: true, snap: false, spacing: 1000, subdivisions: 1 });
+      expect(normalizeGridSettings({ spacing: 'wide' }).spacing).toBe(100);
+    });
+  });
+
+  describe('gridLevels', () => {
+    const settings = { spacing: 100, subdivisions: 5 };
+
+    it('should show subdivisions when zoomed in', () => {
+      expect(gridLevels(settings, 1)).toEqual({ minor: 20, major: 100 });
+    });
+
+    it('should coarsen by whole subdivisions when lines get too close', () => {
+      expect(gridLevels(settings, 0.2)).toEqual({ minor: 100, major: 500 });
+      expect(gridLevels(settings, 0.01)).toEqual({ minor: 2500, major: 12500 });
+    });
+
+    it('should use one line weight without subdivisions', () => {
+      expect(gridLevels({ spacing: 50, subdivisions: 1 }, 1)).toEqual({ minor: 50, major: 50 });
+    });
+  });
+
+  describe('snapping', () => {
+    it('should list the lines inside a range', () => {
+      expect(gridLinesInRange(20, -15, 45)).toEqual([0, 20, 40]);
+    });
+
+    it('should round to the nearest grid line', () => {
+      expect(snapToGrid(29, 20)).toBe(20);
+      expect(snapToGrid(31, 20)).toBe(40);
+      expect(snapPointToGrid({ x: -11, y: 9 }, 20)).toEqual({ x: -20, y: 0 });
+    });
+
+    it('should find the next grid line strictly past a coordinate', () => {
+      expect(nextGridLine(40, 20, 1)).toBe(60);
+      expect(nextGridLine(43, 20, 1)).toBe(60);
+      expect(nextGridLine(43, 20, -1)).toBe(40);
+      expect(nextGridLine(40, 20, -1)).toBe(20);
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should nudge the selection to the next grid line when snapping', () => {
+      const canvasManager = createCanvasManager();
+
+      const updates = vi.fn();
+      canvasManager.on('update_object', updates);
+
+      // Left edge at 33, top edge at 10
+      canvasManager.createObject({ id: 1, type: 'rectangle', position: { x: 83, y: 35 }, data: { width: 100, height: 50 } });
+      canvasManager.selectObjectsByIds([1]);
+      canvasManager.setGridSettings({ snap: true });
+
+      canvasManager.nudgeSelected('ArrowRight', 1);
+      expect(updates).toHaveBeenLastCalledWith({ object_id: 1, position: { x: 90, y: 35 } });
+
+      canvasManager.nudgeSelected('ArrowUp', 10);
+      expect(updates).toHaveBeenLastCalledWith({ object_id: 1, position: { x: 90, y: 25 } });
+    });
+  });
+});
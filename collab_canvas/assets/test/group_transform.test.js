@@ -0,0 +1,86 @@
+/**
+ * Tests for Group Transform
+ *
+ * Tests multi-selection rotate/scale geometry including:
+ * - Bounding box of a selection
+ * - Rotating object centers about the group center
+ * - Mapping objects (including rotated ones) into a scaled group box
+ * - CanvasManager committing a group transform as one batch and one operation
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { boundsOfPoints, rotatePointAbout, scaleBoxInGroup } from '../js/core/group_transform.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+describe('Group Transform', () => {
+  describe('boundsOfPoints', () => {
+    it('should frame all points', () => {
+      expect(boundsOfPoints([{ x: 0, y: 10 }, { x: 40, y: -10 }, { x: 20, y: 30 }])).toEqual({
+        center: { x: 20, y: 10 },
+        width: 40,
+        height: 40
+      });
+    });
+
+    it('should return null without points', () => {
+      expect(boundsOfPoints([])).toBeNull();
+    });
+  });
+
+  describe('rotatePointAbout', () => {
+    it('should rotate clockwise on screen', () => {
+      const point = rotatePointAbout({ x: 10, y: 0 }, { x: 0, y: 0 }, 90);
+
+      expect(point.x).toBeCloseTo(0);
+      expect(point.y).toBeCloseTo(10);
+    });
+  });
+
+  describe('scaleBoxInGroup', () => {
+    const from = { center: { x: 0, y: 0 }, width: 200, height: 100 };
+    const to = { center: { x: 50, y: 0 }, width: 300, height: 100 };
+
+    it('should move centers and stretch sizes with the group', () => {
+      const box = scaleBoxInGroup({ center: { x: -50, y: 20 }, width: 40, height: 20, angle: 0 }, from, to);
+
+      expect(box.center).toEqual({ x: -25, y: 20 });
+      expect(box.width).toBeCloseTo(60);
+      expect(box.height).toBeCloseTo(20);
+    });
+
+    it('should stretch a quarter-turned object along its own height', () => {
+      const box = scaleBoxInGroup({ center: { x: 0, y: 0 }, width: 40, height: 20, angle: 90 }, from, to);
+
+      expect(box.width).toBeCloseTo(40);
+      expect(box.height).toBeCloseTo(30);
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should rotate a multi-selection about its center and commit once', () => {
+      const canvasManager = createCanvasManager();
+      const batches = vi.fn();
+      const ended = vi.fn();
+      canvasManager.on('update_objects_batch', batches);
+      canvasManager.on('end_operation', ended);
+
+      canvasManager.createObject({ id: 1, type: 'rectangle', position: { x: 0, y: 0 }, data: { width: 20, height: 20 } });
+      canvasManager.createObject({ id: 2, type: 'rectangle', position: { x: 100, y: 0 }, data: { width: 20, height: 20 } });
+      canvasManager.selectObjectsByIds([1, 2]);
+      expect(canvasManager.groupHandles).not.toBeNull();
+
+      const { center } = canvasManager.getGroupBounds();
+      canvasManager.startGroupTransform('rotate', { x: center.x + 100, y: center.y });
+      canvasManager.applyGroupTransformDrag({ x: center.x, y: center.y + 100 }, {});
+      canvasManager.finishGroupTransform();
+
+      const finalUpdates = batches.mock.calls[batches.mock.calls.length - 1][0].updates;
+      expect(finalUpdates).toEqual([
+        { object_id: 1, position: { x: 50, y: -50 }, data: { rotation: 90 } },
+        { object_id: 2, position: { x: 50, y: 50 }, data: { rotation: 90 } }
+      ]);
+      expect(ended).toHaveBeenCalledTimes(1);
+      expect(ended).toHaveBeenCalledWith({ object_ids: [1, 2] });
+    });
+  });
+});
@@ -0,0 +1,463 @@
+/**
+ * Tests for undo/redo history
+ *
+ * Tests the client-side history including:
+ * - Resolving a step against what collaborators changed since
+ * - Grouping objects created by one server operation
+ * - Recording local changes and replaying them on the canvas from CanvasManager
+ * - Reconciling with the server's history through undo/redo events
+ * - Labels, checkpoints and jumping through the history panel
+ * - Compacting runs of moves and keeping the history across reloads
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  HistoryManager,
+  HISTORY_EVENTS,
+  resolveHistoryChange,
+  historyOperationType,
+  historyActionIds,
+  serverHistoryIds,
+  describeHistoryAction
+} from '../js/core/history_manager.js';
+import { HistoryStore } from '../js/core/history_store.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+import HistoryPanel from '../js/hooks/history_panel.js';
+
+const state = (id, extra = {}) => ({
+  id,
+  type: 'rectangle',
+  position: { x: 0, y: 0 },
+  data: { width: 20, height: 20, fill: '#ff0000' },
+  z_index: 0,
+  group_id: null,
+  ...extra
+});
+
+describe('History', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('resolving steps', () => {
+    it('should only take back fields that still look the way the step left them', () => {
+      const before = state(1);
+      const after = state(1, { position: { x: 50, y: 0 }, data: { width: 40, height: 20, fill: '#ff0000' } });
+      // A collaborator has since resized the object again
+      const current = state(1, { position: { x: 50, y: 0 }, data: { width: 80, height: 20, fill: '#ff0000' } });
+
+      expect(resolveHistoryChange(current, after, before)).toEqual({
+        action: 'update',
+        id: 1,
+        state: state(1, { data: { width: 80, height: 20, fill: '#ff0000' } })
+      });
+      expect(resolveHistoryChange(current, before, before)).toBeNull();
+    });
+
+    it('should skip objects that are gone or already back', () => {
+      expect(resolveHistoryChange(null, state(1), state(1, { position: { x: 5, y: 5 } }))).toBeNull();
+      expect(resolveHistoryChange(state(1), null, state(1))).toBeNull();
+      expect(resolveHistoryChange(null, null, state(1))).toEqual({ action: 'create', id: 1, state: state(1) });
+      expect(resolveHistoryChange(state(1), state(1), null)).toEqual({ action: 'delete', id: 1, state: null });
+    });
+
+    it('should type operations and group objects created together', () => {
+      expect(historyOperationType(state(1), state(1, { z_index: 1e-9 }))).toBeNull();
+      expect(historyOperationType(null, state(1))).toBe('create');
+      expect(historyOperationType(state(1), null)).toBe('delete');
+
+      const history = new HistoryManager();
+      history.addGroupedOperation('op-1', 'create', state(1), null, { server: true });
+      history.addGroupedOperation('op-1', 'create', state(2));
+      history.addGroupedOperation('op-2', 'create', state(3));
+
+      expect(history.getUndoStackSize()).toBe(2);
+      expect(history.undoStack[0]).toMatchObject({ server: true, group: 'op-1' });
+      expect(historyActionIds(history.undoStack[0])).toEqual([1, 2]);
+    });
+  });
+
+  describe('labels and checkpoints', () => {
+    const update = (extra, data = {}) => ({
+      type: 'update',
+      previousState: state(1),
+      data: state(1, { ...extra, data: { width: 20, height: 20, fill: '#ff0000', ...data } })
+    });
+
+    it('should describe what each action did', () => {
+      expect(describeHistoryAction([{ type: 'create', data: state(1) }])).toBe('Created rectangle');
+      expect(describeHistoryAction([{ type: 'delete', previousState: state(1) }, { type: 'delete', previousState: state(2) }])).toBe('Deleted 2 objects');
+      expect(describeHistoryAction([update({ position: { x: 5, y: 0 } }), update({ position: { x: 5, y: 5 } })])).toBe('Moved 2 objects');
+      expect(describeHistoryAction([update({ position: { x: 5, y: 0 } }, { width: 40 })])).toBe('Resized rectangle');
+      expect(describeHistoryAction([update({}, { rotation: 45 })])).toBe('Rotated rectangle');
+      expect(describeHistoryAction([update({}, { fill: '#00ff00' })])).toBe('Restyled rectangle');
+      expect(describeHistoryAction([update({}, { text: 'Hi' })])).toBe('Edited text');
+      expect(describeHistoryAction([{ type: 'create', data: state(1) }, update({}, { fill: '#00ff00' })])).toBe('Changed 2 objects');
+    });
+
+    it('should list entries oldest first and keep undone ones until replaced', async () => {
+      const history = new HistoryManager();
+      const onChange = vi.fn();
+      history.onChange(onChange);
+
+      history.addOperation('create', state(1));
+      history.startBatch();
+      history.addOperation('update', state(1, { position: { x: 5, y: 0 } }), state(1));
+      history.endBatch({ label: 'AI: arrange in grid' });
+      await history.undo();
+
+      expect(history.getSummary()).toMatchObject({
+        entries: [
+          { id: 1, label: 'Created rectangle', applied: true },
+          { id: 2, label: 'AI: arrange in grid', applied: false }
+        ],
+        current: 1,
+        startReachable: true
+      });
+      expect(onChange).toHaveBeenCalledTimes(3);
+
+      history.addOperation('delete', null, state(1));
+      expect(history.getSummary().entries.map(entry => entry.id)).toEqual([1, 3]);
+      expect(history.canReach(2)).toBe(false);
+    });
+
+    it('should pin checkpoints and notice when they fall out of the history', () => {
+      const history = new HistoryManager(2);
+      const start = history.addCheckpoint('  ');
+      history.addOperation('create', state(1));
+      const named = history.addCheckpoint('Before cleanup');
+
+      expect(start).toMatchObject({ name: 'Checkpoint 1', entryId: null });
+      expect(named).toMatchObject({ name: 'Before cleanup', entryId: history.peekUndo().id });
+
+      history.addOperation('create', state(2));
+      history.addOperation('create', state(3));
+      expect(history.getSummary().checkpoints.map(checkpoint => checkpoint.reachable)).toEqual([false, false]);
+      expect(history.getSummary().startReachable).toBe(false);
+
+      history.removeCheckpoint(start.id);
+      expect(history.checkpoints).toEqual([named]);
+    });
+  });
+
+  describe('compaction and persistence', () => {
+    const move = (history, id, x, meta = {}) => {
+      history.startBatch();
+      history.addOperation('update', state(id, { position: { x, y: 0 } }), state(id, { position: { x: x - 10, y: 0 } }));
+      history.endBatch(meta);
+    };
+
+    it('should compact a quick run of moves of the same objects', () => {
+      vi.useFakeTimers();
+      const history = new HistoryManager();
+
+      move(history, 1, 10, { server: true });
+      move(history, 1, 20, { server: true });
+      move(history, 1, 30, { server: true });
+      expect(history.getUndoStackSize()).toBe(1);
+      expect(history.peekUndo().operations[0]).toMatchObject({
+        data: { position: { x: 30, y: 0 } },
+        previousState: { position: { x: 0, y: 0 } }
+      });
+      // One id per server operation folded in, for the server to move all three
+      expect(serverHistoryIds(history.peekUndo())).toEqual([1, 1, 1]);
+
+      // Other objects, a pause, or a checkpoint start a new entry
+      move(history, 2, 10, { server: true });
+      vi.advanceTimersByTime(1500);
+      move(history, 2, 20, { server: true });
+      history.addCheckpoint('Here');
+      move(history, 2, 30, { server: true });
+      expect(history.getUndoStackSize()).toBe(4);
+      expect(serverHistoryIds(history.peekUndo())).toEqual([2]);
+
+      vi.useRealTimers();
+    });
+
+    it('should not compact edits other than moves', () => {
+      const history = new HistoryManager();
+      history.addOperation('update', state(1, { position: { x: 10, y: 0 } }), state(1));
+      history.addOperation('update', state(1, { data: { width: 40, height: 20, fill: '#ff0000' } }), state(1));
+
+      expect(history.getUndoStackSize()).toBe(2);
+      expect(serverHistoryIds(history.peekUndo())).toEqual([]);
+    });
+
+    it('should restore a serialized history within its depth', () => {
+      const history = new HistoryManager();
+      history.addOperation('create', state(1));
+      history.addOperation('create', state(2));
+      history.addOperation('create', state(3));
+      const checkpoint = history.addCheckpoint('Three');
+
+      const restored = new HistoryManager(2);
+      const onChange = vi.fn();
+      restored.onChange(onChange);
+
+      expect(restored.restore(JSON.parse(JSON.stringify(history.serialize())))).toBe(true);
+      expect(restored.getSummary()).toMatchObject({
+        entries: [{ label: 'Created rectangle' }, { label: 'Created rectangle' }],
+        checkpoints: [{ name: 'Three', reachable: true }],
+        startReachable: false
+      });
+      expect(onChange).toHaveBeenCalled();
+
+      restored.addOperation('delete', null, state(3));
+      expect(restored.peekUndo().id).toBeGreaterThan(checkpoint.id);
+
+      expect(restored.restore({ version: 99, undoStack: [], redoStack: [] })).toBe(false);
+      expect(restored.restore(null)).toBe(false);
+    });
+
+    it('should keep history in memory only when IndexedDB is unavailable', async () => {
+      const store = new HistoryStore(7, 3);
+      expect(store.dbName).toBe('collab_canvas_history_7');
+      expect(await store.load()).toBeNull();
+      await expect(store.save({ version: 1 })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    const setup = () => {
+      const canvasManager = createCanvasManager();
+
+      canvasManager.createObject(state(1, { data: JSON.stringify({ width: 20, height: 20, fill: '#ff0000' }) }));
+      canvasManager.createObject(state(2, { position: { x: 100, y: 0 }, data: JSON.stringify({ width: 20, height: 20 }) }));
+      return canvasManager;
+    };
+
+    it('should undo a move right away and keep a collaborator\'s later change', async () => {
+      const canvasManager = setup();
+      const emit = vi.spyOn(canvasManager, 'emit');
+      const obj = canvasManager.objects.get(1);
+
+      canvasManager.startOperation([1]);
+      obj.x = 60;
+      canvasManager.endOperation([1]);
+
+      // Someone else recolors it before we undo
+      canvasManager.updateObject({ id: 1, type: 'rectangle', position: { x: 60, y: 0 }, data: JSON.stringify({ width: 20, height: 20, fill: '#00ff00' }) });
+
+      await canvasManager.performUndo();
+
+      const moved = canvasManager.objects.get(1);
+      expect(moved.x).toBe(0);
+      expect(moved.objectData.fill).toBe('#00ff00');
+      expect(emit).toHaveBeenCalledWith('undo', {
+        changes: [expect.objectContaining({ action: 'update', id: 1, position: { x: 0, y: 0 } })],
+        object_ids: [1]
+      });
+
+      await canvasManager.performRedo();
+      expect(canvasManager.objects.get(1).x).toBe(60);
+      expect(emit).toHaveBeenLastCalledWith('redo', expect.objectContaining({ object_ids: [1] }));
+    });
+
+    it('should bring deleted objects back with their ids', async () => {
+      const canvasManager = setup();
+      const emit = vi.spyOn(canvasManager, 'emit');
+
+      canvasManager.deleteObjects([1, 2]);
+      // The server confirms the deletes
+      canvasManager.deleteObject(1);
+      canvasManager.deleteObject(2);
+
+      await canvasManager.performUndo();
+
+      expect(canvasManager.objects.get(2).x).toBe(100);
+      const [, { changes, object_ids }] = emit.mock.calls.find(([event]) => event === 'undo');
+      expect(changes.map(change => [change.action, change.id])).toEqual([['create', 2], ['create', 1]]);
+      expect(object_ids).toEqual([1, 2]);
+    });
+
+    it('should leave steps the server never recorded out of its stacks', async () => {
+      const canvasManager = setup();
+      const emit = vi.spyOn(canvasManager, 'emit');
+
+      canvasManager.updateObjectStyle(2, { stroke: '#0000ff' });
+      await canvasManager.performUndo();
+
+      expect(canvasManager.objects.get(2).objectData.stroke).toBeUndefined();
+      expect(emit).toHaveBeenLastCalledWith('undo', {
+        changes: [expect.objectContaining({ action: 'update', id: 2 })],
+        object_ids: []
+      });
+    });
+
+    it('should fall back to the server history when nothing was recorded', async () => {
+      const canvasManager = setup();
+      const emit = vi.spyOn(canvasManager, 'emit');
+
+      canvasManager.recordCreation(1, 'op-1');
+      await canvasManager.performUndo();
+      expect(canvasManager.objects.has(1)).toBe(false);
+
+      await canvasManager.performUndo();
+      expect(emit).toHaveBeenLastCalledWith('undo', {});
+    });
+
+    it('should record an AI command as one labelled entry', async () => {
+      const canvasManager = setup();
+      const emit = vi.spyOn(canvasManager, 'emit');
+
+      canvasManager.startAiCommand();
+      // The command's changes reach the canvas as plain updates and creations
+      canvasManager.updateObject(state(2, { position: { x: 0, y: 40 }, data: JSON.stringify({ width: 20, height: 20 }) }));
+      canvasManager.createObject(state(3, { position: { x: 40, y: 40 }, data: JSON.stringify({ width: 20, height: 20 }) }));
+      canvasManager.recordAiChanges([3, 2], 'AI: arrange in grid');
+
+      const { entries } = canvasManager.historyManager.getSummary();
+      expect(entries).toHaveLength(1);
+      expect(entries[0].label).toBe('AI: arrange in grid');
+
+      await canvasManager.performUndo();
+      expect(canvasManager.objects.has(3)).toBe(false);
+      expect(canvasManager.objects.get(2).y).toBe(0);
+      expect(emit).toHaveBeenLastCalledWith('undo', expect.objectContaining({ object_ids: [3, 2] }));
+    });
+
+    it('should jump back and forth to an entry or checkpoint', async () => {
+      const canvasManager = setup();
+      const summaries = [];
+      vi.spyOn(canvasManager, 'emit').mockImplementation((event, data) => {
+        if (event === 'history_changed') summaries.push(data);
+      });
+
+      const move = x => {
+        canvasManager.startOperation([1]);
+        canvasManager.objects.get(1).x = x;
+        canvasManager.endOperation([1]);
+      };
+      move(10);
+      const checkpoint = canvasManager.pinHistoryCheckpoint('At 10');
+      move(20);
+      move(30);
+      const latest = canvasManager.historyManager.peekUndo().id;
+
+      expect(await canvasManager.jumpToHistory(null)).toBe(true);
+      expect(canvasManager.objects.get(1).x).toBe(0);
+      // The two quick drags after the checkpoint were compacted into one entry
+      expect(summaries[summaries.length - 1].entries.map(entry => entry.applied)).toEqual([false, false]);
+
+      expect(await canvasManager.jumpToHistory(latest)).toBe(true);
+      expect(canvasManager.objects.get(1).x).toBe(30);
+
+      expect(await canvasManager.jumpToCheckpoint(checkpoint.id)).toBe(true);
+      expect(canvasManager.objects.get(1).x).toBe(10);
+      expect(summaries[summaries.length - 1].current).toBe(checkpoint.entryId);
+
+      expect(await canvasManager.jumpToHistory(99)).toBe(false);
+    });
+
+    it('should pick up the stored history and save changes after it', async () => {
+      vi.useFakeTimers();
+      const stored = new HistoryManager();
+      stored.addOperation('update', state(1, { position: { x: 40, y: 0 } }), state(1));
+
+      const saves = [];
+      const canvasManager = setup();
+      canvasManager.historyStore = {
+        load: vi.fn().mockResolvedValue(JSON.parse(JSON.stringify(stored.serialize()))),
+        save: vi.fn(async snapshot => saves.push(JSON.parse(JSON.stringify(snapshot))))
+      };
+
+      // Nothing is saved before the stored history has been read
+      canvasManager.scheduleHistorySave();
+      vi.runAllTimers();
+      expect(saves).toEqual([]);
+
+      await canvasManager.restoreHistory();
+      expect(canvasManager.historyManager.getSummary().entries.map(entry => entry.label)).toEqual(['Moved rectangle']);
+
+      canvasManager.deleteObjects([2]);
+      vi.runAllTimers();
+      expect(saves[saves.length - 1].undoStack.map(action => action.label)).toEqual(['Moved rectangle', 'Deleted rectangle']);
+
+      vi.useRealTimers();
+    });
+  });
+
+  describe('HistoryPanel hook', () => {
+    let hook;
+    let events;
+    let listener;
+
+    beforeEach(() => {
+      events = [];
+      listener = e => events.push([e.type, e.detail]);
+      [HISTORY_EVENTS.request, HISTORY_EVENTS.jump, HISTORY_EVENTS.pin, HISTORY_EVENTS.unpin]
+        .forEach(event => window.addEventListener(event, listener));
+
+      hook = Object.create(HistoryPanel);
+      hook.el = document.createElement('div');
+      document.body.appendChild(hook.el);
+      hook.mounted();
+    });
+
+    afterEach(() => {
+      hook.destroyed();
+      hook.el.remove();
+      [HISTORY_EVENTS.request, HISTORY_EVENTS.jump, HISTORY_EVENTS.pin, HISTORY_EVENTS.unpin]
+        .forEach(event => window.removeEventListener(event, listener));
+    });
+
+    const show = summary => window.dispatchEvent(new CustomEvent(HISTORY_EVENTS.changed, { detail: summary }));
+
+    it('should ask the canvas for its history and list it', () => {
+      expect(events).toEqual([[HISTORY_EVENTS.request, null]]);
+
+      show({
+        entries: [
+          { id: 1, label: 'Created rectangle', timestamp: 0, applied: true },
+          { id: 2, label: 'Moved rectangle', timestamp: 0, applied: false }
+        ],
+        checkpoints: [],
+        current: 1,
+        startReachable: false
+      });
+
+      const rows = Array.from(hook.el.querySelectorAll('[data-entry-id]'));
+      expect(rows.map(row => row.textContent.split(/\d/)[0])).toEqual(['Start of session', 'Created rectangle', 'Moved rectangle']);
+      expect(rows[0].disabled).toBe(true);
+      expect(rows[1].className).toContain('bg-blue-50');
+      expect(rows[2].className).toContain('text-gray-400');
+      expect(hook.el.textContent).toContain('No checkpoints yet');
+    });
+
+    it('should send jumps, pins and unpins to the canvas', () => {
+      show({
+        entries: [{ id: 1, label: 'Created rectangle', timestamp: 0, applied: true }],
+        checkpoints: [
+          { id: 2, name: 'Draft', entryId: 1, timestamp: 0, reachable: true },
+          { id: 3, name: 'Old', entryId: 9, timestamp: 0, reachable: false }
+        ],
+        current: 1,
+        startReachable: true
+      });
+      events = [];
+
+      hook.el.querySelector('[data-entry-id="start"]').click();
+      hook.el.querySelector('[data-entry-id="1"]').click();
+      hook.el.querySelector('[data-checkpoint-id="2"]').click();
+      hook.el.querySelector('[data-checkpoint-id="3"]').click();
+      hook.el.querySelector('[data-unpin-id="3"]').click();
+
+      const input = hook.el.querySelector('input[name="name"]');
+      input.value = 'Final';
+      hook.el.querySelector('[data-history-pin]').dispatchEvent(new Event('submit', { cancelable: true }));
+
+      expect(events).toEqual([
+        [HISTORY_EVENTS.jump, { entryId: null }],
+        [HISTORY_EVENTS.jump, { entryId: 1 }],
+        [HISTORY_EVENTS.jump, { checkpointId: 2 }],
+        [HISTORY_EVENTS.unpin, { id: 3 }],
+        [HISTORY_EVENTS.pin, { name: 'Final' }]
+      ]);
+      expect(input.value).toBe('');
+    });
+  });
+});
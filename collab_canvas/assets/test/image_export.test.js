@@ -0,0 +1,171 @@
+/**
+ * Tests for image export
+ *
+ * Tests turning canvas content into files including:
+ * - Normalizing dialog options and fitting scales to canvas limits
+ * - Writing single-page PDFs around a JPEG
+ * - Inlining image sources and framing the SVG document
+ * - Exporting the selection or a region without touching the scene
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  normalizeExportOptions,
+  exportFrame,
+  fitExportScale,
+  exportFilename,
+  inlineImageSources,
+  jpegToPdf,
+  MAX_EXPORT_PIXELS
+} from '../js/core/image_export.js';
+import { objectsToSvg } from '../js/core/svg_export.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+describe('Image export', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('options', () => {
+    it('should fill in defaults and clamp values', () => {
+      expect(normalizeExportOptions({})).toEqual({
+        format: 'png',
+        scale: 1,
+        background: null,
+        padding: 0,
+        scope: 'all',
+        region: null,
+        frameId: null,
+        filename: ''
+      });
+
+      const options = normalizeExportOptions({ format: 'gif', scale: '40', padding: -5, scope: 'everything', background: '#ABCDEF' });
+      expect(options).toMatchObject({ format: 'png', scale: 8, padding: 0, scope: 'all', background: '#abcdef' });
+    });
+
+    it('should put formats without transparency on white', () => {
+      expect(normalizeExportOptions({ format: 'jpeg' }).background).toBe('#ffffff');
+      expect(normalizeExportOptions({ format: 'pdf', background: 'transparent' }).background).toBe('#ffffff');
+      expect(normalizeExportOptions({ format: 'webp' }).background).toBeNull();
+    });
+
+    it('should pad frames, cap their pixels and name files', () => {
+      const frame = exportFrame({ minX: 0, minY: 10, maxX: 100, maxY: 60 }, 8);
+      expect(frame).toEqual({ x: -8, y: 2, width: 116, height: 66 });
+
+      expect(fitExportScale(frame, 4)).toBe(4);
+      const huge = { width: 8000, height: 4000 };
+      const scale = fitExportScale(huge, 4);
+      expect(huge.width * huge.height * scale * scale).toBeCloseTo(MAX_EXPORT_PIXELS);
+
+      expect(exportFilename(' Q3 Roadmap / Draft ', 'jpeg')).toBe('q3-roadmap-draft.jpg');
+      expect(exportFilename('', 'pdf')).toBe('canvas-export.pdf');
+    });
+  });
+
+  describe('files', () => {
+    it('should write a PDF whose cross-references point at its objects', () => {
+      const jpeg = new Uint8Array([0xff, 0xd8, 0x01, 0x02, 0xff, 0xd9]);
+      const pdf = jpegToPdf(jpeg, { width: 200, height: 100, pageWidth: 75, pageHeight: 37.5 });
+      const text = new TextDecoder('latin1').decode(pdf);
+
+      expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(text).toContain('/MediaBox [0 0 75 37.5]');
+      expect(text).toContain('/Width 200 /Height 100');
+      expect(text).toContain('/Length 6 >>\nstream\n\xff\xd8\x01\x02\xff\xd9\nendstream');
+
+      const offsets = [...text.matchAll(/(\d{10}) 00000 n /g)].map(match => Number(match[1]));
+      expect(offsets).toHaveLength(5);
+      offsets.forEach((offset, index) => {
+        expect(text.slice(offset, offset + 7)).toBe(`${index + 1} 0 obj`);
+      });
+      const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+      expect(text.slice(startxref, startxref + 4)).toBe('xref');
+    });
+
+    it('should inline uploaded images once and keep what it cannot fetch', async () => {
+      const fetchImpl = vi.fn(async src => (src === '/uploads/a.png'
+        ? new Response(new Blob(['png'], { type: 'image/png' }))
+        : new Response('', { status: 404 })));
+      const records = [
+        { type: 'image', data: { src: '/uploads/a.png' } },
+        { type: 'image', data: { src: '/uploads/a.png' } },
+        { type: 'image', data: { src: '/uploads/missing.png' } },
+        { type: 'image', data: { src: 'data:image/png;base64,AA==' } },
+        { type: 'rectangle', data: {} }
+      ];
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const inlined = await inlineImageSources(records, fetchImpl);
+
+      expect(inlined[0].data.src).toMatch(/^data:image\/png;base64,/);
+      expect(inlined[1].data.src).toBe(inlined[0].data.src);
+      expect(inlined[2].data.src).toBe('/uploads/missing.png');
+      expect(inlined[3]).toBe(records[3]);
+      expect(records[0].data.src).toBe('/uploads/a.png');
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    it('should frame, scale and fill the SVG document', () => {
+      const svg = objectsToSvg(
+        [{ id: 1, type: 'rectangle', position: { x: 50, y: 50 }, data: { width: 20, height: 20 } }],
+        { frame: { x: 0, y: 0, width: 100, height: 50 }, scale: 2, background: '#112233' }
+      );
+
+      expect(svg).toContain('width="200" height="100" viewBox="0 0 100 50"');
+      expect(svg).toContain('<rect x="0" y="0" width="100" height="50" fill="#112233" />');
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    const setup = () => {
+      const canvasManager = createCanvasManager();
+      [1, 2, 3].forEach(id => canvasManager.createObject({
+        id,
+        type: 'rectangle',
+        position: { x: id * 100, y: 0 },
+        data: { width: 20, height: 20, fill: '#ff0000' }
+      }));
+
+      const downloads = [];
+      vi.spyOn(canvasManager, 'triggerDownload').mockImplementation((url, filename) => downloads.push(filename));
+      vi.spyOn(URL, 'createObjectURL').mockImplementation(blob => {
+        downloads.push(blob);
+        return 'blob:export';
+      });
+      vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+      return { canvasManager, downloads };
+    };
+
+    it('should export the selection without moving it out of the selection', async () => {
+      const { canvasManager, downloads } = setup();
+      canvasManager.selectObjectsByIds([1, 2]);
+      const selected = canvasManager.objects.get(1);
+      const parent = selected.parent;
+
+      const exported = await canvasManager.exportImage({ format: 'svg', scope: 'selection', padding: 10, filename: 'Board' });
+
+      const [blob, filename] = downloads;
+      const svg = await blob.text();
+      expect(exported).toBe(true);
+      expect(filename).toBe('board.svg');
+      expect(svg).toContain('id="object-1"');
+      expect(svg).toContain('id="object-2"');
+      expect(svg).not.toContain('id="object-3"');
+      expect(svg).toContain('viewBox="79 -21 142 42"');
+      expect(selected.parent).toBe(parent);
+      expect(parent).toBe(canvasManager.selectionContainer);
+    });
+
+    it('should export only objects inside a region', async () => {
+      const { canvasManager, downloads } = setup();
+
+      await canvasManager.exportImage({ format: 'svg', scope: 'region', region: { x: 150, y: -50, width: 200, height: 100 } });
+
+      const svg = await downloads[0].text();
+      expect(svg).toContain('viewBox="150 -50 200 100"');
+      expect(svg).not.toContain('id="object-1"');
+      expect(svg).toContain('id="object-3"');
+    });
+  });
+});
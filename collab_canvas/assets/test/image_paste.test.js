@@ -0,0 +1,126 @@
+/**
+ * Tests for Image Paste helpers
+ *
+ * Tests turning clipboard content into image objects including:
+ * - Finding PNG/JPEG blobs in clipboard data
+ * - Recognizing SVG markup and reading its intrinsic size
+ * - Fitting large images and uploading blobs
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  findClipboardImageFile,
+  extractSvgMarkup,
+  svgToDataUrl,
+  parseSvgSize,
+  fitImageSize,
+  uploadImage,
+  uploadEndpoint
+} from '../js/core/image_paste.js';
+
+describe('Image Paste', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('findClipboardImageFile', () => {
+    it('should return PNG and JPEG files from clipboard items', () => {
+      const png = new File(['x'], 'shot.png', { type: 'image/png' });
+      const clipboardData = {
+        items: [
+          { kind: 'string', type: 'text/html' },
+          { kind: 'file', type: 'image/png', getAsFile: () => png }
+        ]
+      };
+
+      expect(findClipboardImageFile(clipboardData)).toBe(png);
+    });
+
+    it('should fall back to files and ignore other types', () => {
+      const gif = new File(['x'], 'a.gif', { type: 'image/gif' });
+      const jpeg = new File(['x'], 'b.jpg', { type: 'image/jpeg' });
+
+      expect(findClipboardImageFile({ items: [], files: [gif, jpeg] })).toBe(jpeg);
+      expect(findClipboardImageFile({ items: [], files: [gif] })).toBeNull();
+      expect(findClipboardImageFile(null)).toBeNull();
+    });
+  });
+
+  describe('extractSvgMarkup', () => {
+    it('should accept SVG documents with a prolog', () => {
+      const text = '<?xml version="1.0"?>\n<!-- icon -->\n<svg viewBox="0 0 10 10"><rect/></svg>\n';
+
+      expect(extractSvgMarkup(text)).toBe('<svg viewBox="0 0 10 10"><rect/></svg>');
+    });
+
+    it('should reject other text', () => {
+      expect(extractSvgMarkup('hello <svg></svg>')).toBeNull();
+      expect(extractSvgMarkup('<svgfoo></svgfoo>')).toBeNull();
+      expect(extractSvgMarkup('<svg><rect/>')).toBeNull();
+      expect(extractSvgMarkup('')).toBeNull();
+    });
+
+    it('should encode markup as a data URL', () => {
+      expect(svgToDataUrl('<svg></svg>')).toBe('data:image/svg+xml;charset=utf-8,%3Csvg%3E%3C%2Fsvg%3E');
+    });
+  });
+
+  describe('parseSvgSize', () => {
+    it('should prefer absolute width and height', () => {
+      expect(parseSvgSize('<svg width="120px" height="40" viewBox="0 0 10 10"></svg>'))
+        .toEqual({ width: 120, height: 40 });
+    });
+
+    it('should derive size from the viewBox', () => {
+      expect(parseSvgSize('<svg viewBox="0 0 200 100"></svg>')).toEqual({ width: 200, height: 100 });
+      expect(parseSvgSize('<svg width="50" viewBox="0,0,200,100"></svg>')).toEqual({ width: 50, height: 25 });
+      expect(parseSvgSize('<svg width="100%" viewBox="0 0 64 32"></svg>')).toEqual({ width: 64, height: 32 });
+    });
+
+    it('should use the browser default size otherwise', () => {
+      expect(parseSvgSize('<svg></svg>')).toEqual({ width: 300, height: 150 });
+    });
+  });
+
+  describe('fitImageSize', () => {
+    it('should scale down preserving aspect ratio but never scale up', () => {
+      expect(fitImageSize(2000, 1000, 800)).toEqual({ width: 800, height: 400 });
+      expect(fitImageSize(200, 100, 800)).toEqual({ width: 200, height: 100 });
+    });
+  });
+
+  describe('uploadImage', () => {
+    it('should post the file with the CSRF token and return the stored URL', async () => {
+      const meta = document.createElement('meta');
+      meta.name = 'csrf-token';
+      meta.content = 'token-123';
+      document.head.appendChild(meta);
+
+      const fetchMock = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ url: '/uploads/7/abc.png' })
+      });
+      vi.stubGlobal('fetch', fetchMock);
+
+      const url = await uploadImage(new File(['x'], 'shot.png', { type: 'image/png' }), uploadEndpoint(7));
+
+      expect(url).toBe('/uploads/7/abc.png');
+      expect(fetchMock).toHaveBeenCalledWith('/api/canvases/7/uploads', expect.objectContaining({
+        method: 'POST',
+        headers: { 'x-csrf-token': 'token-123' }
+      }));
+      expect(fetchMock.mock.calls[0][1].body.get('file').name).toBe('shot.png');
+      meta.remove();
+    });
+
+    it('should surface the server error message', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+        ok: false,
+        status: 415,
+        json: () => Promise.resolve({ error: 'Only PNG and JPEG images are supported' })
+      }));
+
+      await expect(uploadImage(new Blob(['x']), uploadEndpoint(7))).rejects.toThrow('Only PNG and JPEG');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for syncing edits made offline
+ *
+ * Tests the offline sync including:
+ * - Client ids for objects created offline
+ * - Coalescing queued operations before replay
+ * - Sending the queue as one batch and keeping it until the server confirms
+ * - Queuing edits on the canvas and taking in the server's merge result
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createClientId, isClientId, coalesceOperations } from '../js/core/offline_sync.js';
+import { OfflineQueue } from '../js/core/offline_queue.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+const queued = (type, data, timestamp = 1) => ({ type, data, timestamp });
+
+describe('Offline sync', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('client ids', () => {
+    it('should tell client ids from server ids', () => {
+      const id = createClientId();
+      expect(isClientId(id)).toBe(true);
+      expect(createClientId()).not.toBe(id);
+      expect(isClientId(12)).toBe(false);
+      expect(isClientId('12')).toBe(false);
+    });
+  });
+
+  describe('coalesceOperations', () => {
+    it('should merge repeated updates to an object, data key by key', () => {
+      const base = { id: 1, position: { x: 0, y: 0 }, data: { fill: '#ff0000' } };
+      const operations = coalesceOperations([
+        queued('update', { object_id: 1, position: { x: 10, y: 0 }, base }, 1),
+        queued('update', { object_id: 1, data: JSON.stringify({ fill: '#0000ff' }), base }, 2),
+        queued('update', { object_id: 1, position: { x: 20, y: 0 }, data: { width: 40 }, base }, 3)
+      ]);
+
+      expect(operations).toEqual([{
+        type: 'update',
+        object_id: 1,
+        changes: { position: { x: 20, y: 0 }, data: { fill: '#0000ff', width: 40 } },
+        base,
+        timestamp: 3
+      }]);
+    });
+
+    it('should fold updates into a create and drop objects created and deleted offline', () => {
+      const operations = coalesceOperations([
+        queued('create', { client_id: 'local-a', type: 'rectangle', position: { x: 0, y: 0 }, data: { fill: '#ff0000' } }),
+        queued('update', { object_id: 'local-a', data: { width: 40 } }),
+        queued('create', { client_id: 'local-b', type: 'circle', position: { x: 5, y: 5 } }),
+        queued('delete', { object_id: 'local-b' })
+      ]);
+
+      expect(operations).toEqual([{
+        type: 'create',
+        client_id: 'local-a',
+        object: { type: 'rectangle', position: { x: 0, y: 0 }, data: { fill: '#ff0000', width: 40 } },
+        timestamp: 1
+      }]);
+    });
+
+    it('should replace edits of an object deleted afterwards with the delete', () => {
+      const base = { id: 1, data: { fill: '#ff0000' } };
+      const operations = coalesceOperations([
+        queued('update', { object_id: 1, data: { fill: '#0000ff' }, base }, 1),
+        queued('delete', { object_id: 1 }, 2),
+        queued('update', { object_id: 1, data: { fill: '#00ff00' } }, 3)
+      ]);
+
+      expect(operations).toEqual([{ type: 'delete', object_id: 1, base, timestamp: 2 }]);
+    });
+  });
+
+  describe('OfflineQueue', () => {
+    const setup = (entries) => {
+      const queue = Object.create(OfflineQueue.prototype);
+      Object.assign(queue, { isOnline: true, syncing: false, statusCallback: null, syncTimeout: 1000, syncTimer: null });
+      queue.entries = entries;
+      queue.getQueuedOperations = vi.fn(async () => queue.entries);
+      queue.getQueueSize = vi.fn(async () => queue.entries.length);
+      queue.clearOperation = vi.fn(async id => {
+        queue.entries = queue.entries.filter(entry => entry.id !== id);
+      });
+      queue.syncCallback = vi.fn();
+      return queue;
+    };
+
+    it('should send the coalesced queue once and clear it when the server confirms', async () => {
+      const queue = setup([
+        { id: 1, ...queued('update', { object_id: 1, position: { x: 1, y: 1 } }) },
+        { id: 2, ...queued('update', { object_id: 1, position: { x: 2, y: 2 } }) }
+      ]);
+
+      await queue.syncQueue();
+      await queue.syncQueue();
+
+      expect(queue.syncCallback).toHaveBeenCalledTimes(1);
+      const [operations, queueIds] = queue.syncCallback.mock.calls[0];
+      expect(operations).toHaveLength(1);
+      expect(operations[0].changes.position).toEqual({ x: 2, y: 2 });
+      expect(queueIds).toEqual([1, 2]);
+
+      await queue.completeSync(queueIds);
+      expect(queue.entries).toEqual([]);
+      expect(queue.syncing).toBe(false);
+    });
+
+    it('should keep the queue and send it again after a failed sync', async () => {
+      const queue = setup([{ id: 1, ...queued('delete', { object_id: 1 }) }]);
+      queue.syncCallback.mockRejectedValueOnce(new Error('disconnected'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await queue.syncQueue();
+      expect(queue.syncing).toBe(false);
+      expect(queue.entries).toHaveLength(1);
+
+      await queue.syncQueue();
+      expect(queue.syncCallback).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop waiting for a result that never arrives', async () => {
+      vi.useFakeTimers();
+      const queue = setup([{ id: 1, ...queued('delete', { object_id: 1 }) }]);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await queue.syncQueue();
+      expect(queue.syncing).toBe(true);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(queue.syncing).toBe(false);
+
+      await queue.syncQueue();
+      expect(queue.syncCallback).toHaveBeenCalledTimes(2);
+      queue.stopSyncing();
+      vi.useRealTimers();
+    });
+
+    it('should resend after the connection drops mid-sync', async () => {
+      const queue = setup([{ id: 1, ...queued('delete', { object_id: 1 }) }]);
+
+      await queue.syncQueue();
+      queue.handleOffline();
+      expect(queue.syncing).toBe(false);
+
+      queue.isOnline = true;
+      await queue.syncQueue();
+      expect(queue.syncCallback).toHaveBeenCalledTimes(2);
+      queue.stopSyncing();
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    const setup = () => {
+      const canvasManager = createCanvasManager();
+
+      canvasManager.createObject({
+        id: 1,
+        type: 'rectangle',
+        position: { x: 0, y: 0 },
+        data: JSON.stringify({ width: 20, height: 20, fill: '#ff0000' })
+      });
+      canvasManager.offlineBase = canvasManager.captureHistoryStates([1]);
+      canvasManager.offlineQueue = { online: false, queueOperation: vi.fn(), completeSync: vi.fn() };
+      return canvasManager;
+    };
+
+    it('should queue edits instead of sending them while offline', () => {
+      const canvasManager = setup();
+      const listener = vi.fn();
+      canvasManager.on('update_object', listener);
+
+      canvasManager.emit('update_objects_batch', { updates: [{ object_id: 1, position: { x: 50, y: 0 } }] });
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(canvasManager.offlineQueue.queueOperation).toHaveBeenCalledWith('update', {
+        object_id: 1,
+        position: { x: 50, y: 0 },
+        base: expect.objectContaining({ id: 1, position: { x: 0, y: 0 } })
+      });
+    });
+
+    it('should show objects created offline under a client id until the server saves them', () => {
+      const canvasManager = setup();
+
+      canvasManager.emit('create_object', { type: 'circle', position: { x: 10, y: 10 }, data: { radius: 5 } });
+
+      const [type, payload] = canvasManager.offlineQueue.queueOperation.mock.calls[0];
+      expect(type).toBe('create');
+      expect(isClientId(payload.client_id)).toBe(true);
+      expect(canvasManager.objects.has(payload.client_id)).toBe(true);
+
+      canvasManager.applyOfflineSyncResult({
+        id_map: { [payload.client_id]: 42 },
+        objects: [{ id: 42, type: 'circle', position: { x: 10, y: 10 }, data: JSON.stringify({ radius: 5 }) }],
+        deleted: [],
+        queue_ids: [7]
+      });
+
+      expect(canvasManager.objects.has(payload.client_id)).toBe(false);
+      expect(canvasManager.objects.get(42).x).toBe(10);
+      expect(canvasManager.historyManager.peekUndo().operations[0].data.id).toBe(42);
+      expect(canvasManager.offlineQueue.completeSync).toHaveBeenCalledWith([7]);
+    });
+  });
+});
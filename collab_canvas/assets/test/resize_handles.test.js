@@ -0,0 +1,90 @@
+/**
+ * Tests for Resize Handles
+ *
+ * Tests the resize handle geometry including:
+ * - Corner and edge resizing with the opposite side fixed
+ * - Aspect lock (Shift) and resizing from the center (Alt)
+ * - Rotated boxes and the minimum size clamp
+ * - Cursor choice for rotated handles
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getResizeHandle, resizeCursor, computeResize } from '../js/core/resize_handles.js';
+
+describe('Resize Handles', () => {
+  const box = { width: 100, height: 50, center: { x: 0, y: 0 } };
+
+  const resize = (name, dx, dy, options = {}) => computeResize({
+    ...box,
+    handle: getResizeHandle(name),
+    dx,
+    dy,
+    ...options
+  });
+
+  describe('computeResize', () => {
+    it('should keep the opposite corner fixed', () => {
+      const result = resize('se', 20, 10);
+
+      expect(result.width).toBe(120);
+      expect(result.height).toBe(60);
+      // Top-left corner stays at (-50, -25)
+      expect(result.center.x - result.width / 2).toBeCloseTo(-50);
+      expect(result.center.y - result.height / 2).toBeCloseTo(-25);
+    });
+
+    it('should only change one axis from an edge handle', () => {
+      const result = resize('w', -30, 40);
+
+      expect(result.width).toBe(130);
+      expect(result.height).toBe(50);
+      expect(result.center).toEqual({ x: -15, y: 0 });
+    });
+
+    it('should keep the aspect ratio from the axis that moved further', () => {
+      const result = resize('se', 10, 25, { keepAspect: true });
+
+      // Height grew by 50%, width only by 10%
+      expect(result.width).toBe(150);
+      expect(result.height).toBe(75);
+    });
+
+    it('should resize symmetrically about the center', () => {
+      const result = resize('e', 10, 0, { fromCenter: true });
+
+      expect(result.width).toBe(120);
+      expect(result.center).toEqual({ x: 0, y: 0 });
+    });
+
+    it('should resize rotated boxes along their own axes', () => {
+      // Rotated 90°: the box's local +x points down the screen
+      const result = resize('e', 0, 20, { angle: 90 });
+
+      expect(result.width).toBeCloseTo(120);
+      expect(result.height).toBeCloseTo(50);
+      expect(result.center.x).toBeCloseTo(0);
+      expect(result.center.y).toBeCloseTo(10);
+    });
+
+    it('should clamp to the minimum size', () => {
+      const result = resize('se', -500, -500, { minSize: 10 });
+
+      expect(result.width).toBe(10);
+      expect(result.height).toBe(10);
+
+      const locked = resize('se', -500, -500, { minSize: 10, keepAspect: true });
+      expect(locked.width).toBe(20);
+      expect(locked.height).toBe(10);
+    });
+  });
+
+  describe('resizeCursor', () => {
+    it('should pick cursors by handle direction and rotation', () => {
+      expect(resizeCursor(getResizeHandle('e'))).toBe('ew-resize');
+      expect(resizeCursor(getResizeHandle('se'))).toBe('nwse-resize');
+      expect(resizeCursor(getResizeHandle('n'))).toBe('ns-resize');
+      expect(resizeCursor(getResizeHandle('e'), 90)).toBe('ns-resize');
+      expect(resizeCursor(getResizeHandle('e'), 45)).toBe('nwse-resize');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for Rich Text runs
+ *
+ * Tests styled text runs including:
+ * - Detecting styled runs in object data
+ * - Keeping run styles through plain-text edits
+ * - HTMLText markup and SVG tspan export (escaping, lines)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getRuns,
+  runsToPlainText,
+  normalizeRuns,
+  applyTextEdit,
+  runsToHtml,
+  splitRunsIntoLines,
+  runsToSvgTspans
+} from '../js/core/rich_text.js';
+
+describe('Rich Text', () => {
+  const heading = [
+    { text: 'Big ' },
+    { text: 'summer', bold: true, color: '#dc2626' },
+    { text: ' sale' }
+  ];
+
+  describe('getRuns', () => {
+    it('should return styled runs', () => {
+      expect(getRuns({ text: 'Big summer sale', runs: heading })).toHaveLength(3);
+    });
+
+    it('should treat missing or unstyled runs as plain text', () => {
+      expect(getRuns({ text: 'Plain' })).toBeNull();
+      expect(getRuns({ runs: [{ text: 'Plain' }] })).toBeNull();
+      expect(getRuns({ runs: 'nope' })).toBeNull();
+    });
+  });
+
+  describe('applyTextEdit', () => {
+    it('should keep styles outside the edited region', () => {
+      const runs = applyTextEdit(heading, 'Big summer clearance');
+
+      expect(runsToPlainText(runs)).toBe('Big summer clearance');
+      expect(runs[1]).toEqual({ text: 'summer', bold: true, color: '#dc2626' });
+      expect(runs[2]).toEqual({ text: ' clearance' });
+    });
+
+    it('should give inserted text the style of the preceding character', () => {
+      const runs = applyTextEdit(heading, 'Big summertime sale');
+
+      expect(runs[1]).toEqual({ text: 'summertime', bold: true, color: '#dc2626' });
+    });
+
+    it('should drop runs whose text was deleted', () => {
+      const runs = applyTextEdit(heading, 'Big  sale');
+
+      expect(runs).toEqual([{ text: 'Big  sale' }]);
+    });
+
+    it('should merge neighbours with the same style', () => {
+      expect(normalizeRuns([{ text: 'a', bold: true }, { text: '' }, { text: 'b', bold: true }]))
+        .toEqual([{ text: 'ab', bold: true }]);
+    });
+  });
+
+  describe('runsToHtml', () => {
+    it('should wrap styled runs in spans and escape text', () => {
+      const html = runsToHtml([
+        { text: 'a < b\n' },
+        { text: 'c', italic: true, font_size: 24 }
+      ]);
+
+      expect(html).toBe('a &lt; b<br/><span style="font-style: italic; font-size: 24px">c</span>');
+    });
+  });
+
+  describe('SVG export', () => {
+    it('should split runs into lines', () => {
+      const lines = splitRunsIntoLines([{ text: 'one\ntw' }, { text: 'o', bold: true }]);
+
+      expect(lines).toEqual([[{ text: 'one' }], [{ text: 'tw' }, { text: 'o', bold: true }]]);
+    });
+
+    it('should emit one positioned tspan per line with styled children', () => {
+      const svg = runsToSvgTspans(heading, { x: 10, fontSize: 20 });
+
+      expect(svg).toBe(
+        '<tspan x="10" dy="0">Big <tspan font-weight="bold" fill="#dc2626">summer</tspan> sale</tspan>'
+      );
+    });
+
+    it('should advance lines by their font size, skipping blank lines', () => {
+      const svg = runsToSvgTspans([{ text: 'a\n\nb & c' }], { x: 0, fontSize: 10 });
+
+      expect(svg).toBe('<tspan x="0" dy="0">a</tspan><tspan x="0" dy="24">b &amp; c</tspan>');
+    });
+  });
+});
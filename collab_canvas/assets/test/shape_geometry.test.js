@@ -0,0 +1,122 @@
+/**
+ * Tests for Shape Geometry helpers
+ *
+ * Tests the pure geometry used for drawing and hit-testing including:
+ * - Star, triangle and polygon outline generation
+ * - Point-in-polygon and distance-to-edge math
+ * - Shape hit-testing with stroke tolerance
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  starPoints,
+  trianglePoints,
+  regularPolygonPoints,
+  pointInPolygon,
+  distanceToSegment,
+  distanceToPolyline,
+  hitTestShape,
+  outlinePointsFor
+} from '../js/core/shape_geometry.js';
+
+describe('Shape Geometry', () => {
+  describe('outline generation', () => {
+    it('should alternate outer and inner radius for stars', () => {
+      const points = starPoints(5, 50, 25);
+
+      expect(points).toHaveLength(20);
+      expect(points[0]).toBeCloseTo(0);
+      expect(points[1]).toBeCloseTo(-50);
+      expect(Math.hypot(points[2], points[3])).toBeCloseTo(25);
+    });
+
+    it('should center triangles at the origin', () => {
+      expect(trianglePoints(100, 80)).toEqual([0, -40, -50, 40, 50, 40]);
+    });
+
+    it('should place regular polygon vertices on the circumradius', () => {
+      const points = regularPolygonPoints(6, 50);
+
+      expect(points).toHaveLength(12);
+      for (let i = 0; i < 6; i++) {
+        expect(Math.hypot(points[i * 2], points[i * 2 + 1])).toBeCloseTo(50);
+      }
+    });
+
+    it('should use create* defaults when data is missing', () => {
+      expect(outlinePointsFor('star', {})).toHaveLength(20);
+      expect(outlinePointsFor('polygon', {})).toHaveLength(12);
+      expect(outlinePointsFor('polygon', { sides: 8 })).toHaveLength(16);
+      expect(outlinePointsFor('rectangle', {})).toBeNull();
+    });
+
+    it('should stretch stars and polygons to a separate height', () => {
+      const points = outlinePointsFor('polygon', { sides: 4, width: 100, height: 50 });
+
+      // Diamond vertices at (0, -50), (50, 0), ... squashed to half height
+      expect(points[1]).toBeCloseTo(-25);
+      expect(points[2]).toBeCloseTo(50);
+    });
+  });
+
+  describe('pointInPolygon', () => {
+    const triangle = trianglePoints(100, 100);
+
+    it('should detect points inside and outside', () => {
+      expect(pointInPolygon(0, 0, triangle)).toBe(true);
+      expect(pointInPolygon(-45, -45, triangle)).toBe(false);
+    });
+
+    it('should treat a star\'s notches as outside', () => {
+      const star = starPoints(5, 50, 20);
+      // Between two outer points, beyond the inner radius
+      const angle = Math.PI / 5 - Math.PI / 2;
+      expect(pointInPolygon(Math.cos(angle) * 35, Math.sin(angle) * 35, star)).toBe(false);
+      expect(pointInPolygon(0, -45, star)).toBe(true);
+    });
+  });
+
+  describe('distances', () => {
+    it('should clamp to segment endpoints', () => {
+      expect(distanceToSegment(5, 5, 0, 0, 10, 0)).toBe(5);
+      expect(distanceToSegment(-3, 4, 0, 0, 10, 0)).toBe(5);
+    });
+
+    it('should measure open and closed polylines', () => {
+      const square = [0, 0, 10, 0, 10, 10, 0, 10];
+
+      expect(distanceToPolyline(-2, 5, square, true)).toBe(2);
+      expect(distanceToPolyline(-2, 5, square, false)).toBeCloseTo(Math.hypot(2, 5));
+    });
+  });
+
+  describe('hitTestShape', () => {
+    it('should hit rectangles within tolerance', () => {
+      const rect = { kind: 'rect', x: 0, y: 0, width: 100, height: 50 };
+
+      expect(hitTestShape(rect, 50, 25)).toBe(true);
+      expect(hitTestShape(rect, 103, 25)).toBe(false);
+      expect(hitTestShape(rect, 103, 25, 4)).toBe(true);
+    });
+
+    it('should miss the corners of an ellipse\'s bounding box', () => {
+      const ellipse = { kind: 'ellipse', cx: 50, cy: 50, rx: 50, ry: 50 };
+
+      expect(hitTestShape(ellipse, 50, 50)).toBe(true);
+      expect(hitTestShape(ellipse, 5, 5)).toBe(false);
+      expect(hitTestShape(ellipse, 50, 102, 3)).toBe(true);
+    });
+
+    it('should hit polygon edges within tolerance', () => {
+      const polygon = { kind: 'polygon', points: trianglePoints(100, 100) };
+
+      expect(hitTestShape(polygon, 0, 52)).toBe(false);
+      expect(hitTestShape(polygon, 0, 52, 3)).toBe(true);
+    });
+
+    it('should reject unknown shapes', () => {
+      expect(hitTestShape(null, 0, 0)).toBe(false);
+      expect(hitTestShape({ kind: 'blob' }, 0, 0)).toBe(false);
+    });
+  });
+});
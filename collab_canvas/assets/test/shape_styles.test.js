@@ -0,0 +1,165 @@
+/**
+ * Tests for shape styles
+ *
+ * Tests fills, strokes and effects beyond solid colors including:
+ * - Dash and dot patterns following shape outlines
+ * - Gradient, shadow and blur data and their SVG markup
+ * - Rounded, dashed and shadowed shapes surviving redraws and export
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as PIXI from '../vendor/pixi.min.mjs';
+import {
+  dashPattern,
+  dashPolyline,
+  clampCornerRadius,
+  normalizeGradient,
+  linearGradientEnds,
+  normalizeShadow,
+  svgGradientDef,
+  svgEffectsFilterDef
+} from '../js/core/shape_styles.js';
+import { DropShadowFilter } from '../js/core/drop_shadow_filter.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+describe('Shape styles', () => {
+  describe('stroke patterns', () => {
+    it('should carry dashes around corners', () => {
+      const dashes = dashPolyline([0, 0, 3, 0, 3, 3], false, dashPattern('dashed', 1));
+
+      expect(dashes).toEqual([[0, 0, 3, 0, 3, 1]]);
+      expect(dashPolyline([0, 0, 12, 0], false, [4, 2])).toEqual([[0, 0, 4, 0], [6, 0, 10, 0]]);
+    });
+
+    it('should place dots along closed outlines', () => {
+      const dots = dashPolyline([0, 0, 8, 0, 8, 8, 0, 8], true, dashPattern('dotted', 2));
+
+      expect(dots).toHaveLength(8);
+      expect(dots.every(dot => dot.length === 2)).toBe(true);
+      expect(dashPattern('solid', 2)).toBeNull();
+    });
+
+    it('should keep corner radii within the shorter side', () => {
+      expect(clampCornerRadius(30, 100, 40)).toBe(20);
+      expect(clampCornerRadius(-5, 100, 40)).toBe(0);
+    });
+  });
+
+  describe('gradients and effects', () => {
+    it('should sort valid stops and drop gradients without two of them', () => {
+      const gradient = normalizeGradient({
+        type: 'linear',
+        angle: 90,
+        stops: [{ offset: 1, color: '#ffffff' }, { offset: 0, color: '#ff0000' }, { offset: 0.5, color: 'red' }]
+      });
+
+      expect(gradient.stops).toEqual([{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#ffffff' }]);
+      expect(linearGradientEnds(90)).toEqual({ start: { x: 0.5, y: 0 }, end: { x: 0.5, y: 1 } });
+      expect(normalizeGradient({ stops: [{ offset: 0, color: '#ff0000' }] })).toBeNull();
+      expect(svgGradientDef('g', gradient))
+        .toBe('<linearGradient id="g" x1="0.5" y1="0" x2="0.5" y2="1"><stop offset="0" stop-color="#ff0000" />'
+          + '<stop offset="1" stop-color="#ffffff" /></linearGradient>');
+    });
+
+    it('should fill in shadow defaults and write SVG filters', () => {
+      expect(normalizeShadow({ y: 2, opacity: 3 }))
+        .toEqual({ x: 0, y: 2, blur: 8, color: '#000000', opacity: 1 });
+      expect(normalizeShadow(null)).toBeNull();
+      expect(svgEffectsFilterDef('f', null, 0)).toBe('');
+      expect(svgEffectsFilterDef('f', normalizeShadow({}), 4, 2))
+        .toContain('<feDropShadow dx="0" dy="8" stdDeviation="8" flood-color="#000000" flood-opacity="0.25" />'
+          + '<feGaussianBlur stdDeviation="4" />');
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should keep corner radius and stroke pattern through a resize', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({
+        id: 1,
+        type: 'rectangle',
+        position: { x: 100, y: 100 },
+        data: { width: 100, height: 60, corner_radius: 12, stroke_style: 'dashed', stroke_width: 2 }
+      });
+      const rect = canvasManager.objects.get(1);
+
+      canvasManager.redrawGraphicsWithSize(rect, 200, 80);
+
+      expect(rect.objectData).toMatchObject({ width: 200, height: 80, corner_radius: 12, stroke_style: 'dashed' });
+      expect(rect.pivot.x).toBe(100);
+      expect(canvasManager.hitTestObject(rect, { x: 100, y: 100 })).toBe(true);
+
+      const svg = canvasManager.objectToSVG(rect);
+      expect(svg).toContain('x="0" y="0" width="200" height="80" rx="12" ry="12"');
+      expect(svg).toContain('stroke-dasharray="8 4"');
+      expect(svg).toContain('transform="translate(100 100) translate(-100 -40)"');
+    });
+
+    it('should add shadow and blur filters that follow the zoom', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({
+        id: 1,
+        type: 'star',
+        position: { x: 0, y: 0 },
+        data: { width: 100, shadow: { x: 2, y: 4, blur: 6 }, blur: 3 }
+      });
+      const star = canvasManager.objects.get(1);
+      const [shadow, blur] = star.filters;
+
+      expect(shadow).toBeInstanceOf(DropShadowFilter);
+      expect(blur).toBeInstanceOf(PIXI.BlurFilter);
+      expect(shadow.padding).toBe(11);
+
+      canvasManager.zoomLevel = 2;
+      canvasManager.updateEffectsZoom();
+      expect(shadow.scale).toBe(2);
+      expect(blur.strength).toBe(6);
+
+      const svg = canvasManager.objectToSVG(star);
+      // Exported in canvas units, whatever the zoom
+      expect(svg).toContain('filter="url(#object-1-effects)"');
+      expect(svg).toContain('<feDropShadow dx="2" dy="4"');
+    });
+
+    it('should reuse effect filters and destroy the ones it drops', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({
+        id: 1,
+        type: 'rectangle',
+        position: { x: 0, y: 0 },
+        data: { width: 100, height: 50, shadow: { x: 2, y: 4, blur: 6 }, blur: 3 }
+      });
+      const rect = canvasManager.objects.get(1);
+      const [shadow, blur] = rect.filters;
+      const destroyShadow = vi.spyOn(shadow, 'destroy');
+      const destroyBlur = vi.spyOn(blur, 'destroy');
+
+      // A slider moving the shadow updates the same filter
+      canvasManager.applyEffects(rect, { shadow: { x: 10, y: 4, blur: 6 }, blur: 3 });
+      expect(rect.filters[0]).toBe(shadow);
+      expect(shadow.shadow.x).toBe(10);
+      expect(shadow.padding).toBe(17);
+
+      canvasManager.applyEffects(rect, { shadow: { x: 10, y: 4, blur: 6 } });
+      expect(rect.filters).toEqual([shadow]);
+      expect(destroyBlur).toHaveBeenCalled();
+
+      canvasManager.deleteObject(1);
+      expect(destroyShadow).toHaveBeenCalled();
+    });
+
+    it('should export gradient fills with the shape', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({ id: 1, type: 'circle', position: { x: 50, y: 50 }, data: { width: 100 } });
+      const circle = canvasManager.objects.get(1);
+      circle.objectData.fill_gradient = {
+        type: 'radial',
+        stops: [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#0000ff' }]
+      };
+
+      const svg = canvasManager.objectToSVG(circle);
+      expect(svg).toContain('<radialGradient id="object-1-fill" cx="0.5" cy="0.5" r="0.5">');
+      expect(svg).toContain('fill="url(#object-1-fill)"');
+    });
+  });
+});
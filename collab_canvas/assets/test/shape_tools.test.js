@@ -0,0 +1,97 @@
+/**
+ * Tests for the star, triangle and polygon tools
+ *
+ * Tests drag-to-create including:
+ * - Keyboard shortcuts for the tools
+ * - Shift (proportional) and Alt (from center) creation boxes
+ * - Changing star points and polygon sides while dragging
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+function keyDown(canvasManager, key, options = {}) {
+  const event = { key, code: '', target: { tagName: 'CANVAS' }, preventDefault: vi.fn(), ...options };
+  canvasManager.handleKeyDown(event);
+  return event;
+}
+
+function startCreating(canvasManager, tool, start) {
+  canvasManager.setTool(tool);
+  canvasManager.isCreating = true;
+  canvasManager.createStart = start;
+  canvasManager.createTempObject(tool, start);
+}
+
+describe('Shape tools', () => {
+  it('should select the tools from the keyboard', () => {
+    const canvasManager = createCanvasManager();
+
+    keyDown(canvasManager, 'x');
+    expect(canvasManager.currentTool).toBe('star');
+    keyDown(canvasManager, 'v');
+    expect(canvasManager.currentTool).toBe('triangle');
+    keyDown(canvasManager, 'h');
+    expect(canvasManager.currentTool).toBe('polygon');
+  });
+
+  describe('getCreationBox', () => {
+    it('should keep proportions with Shift and grow from the center with Alt', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createStart = { x: 100, y: 100 };
+
+      expect(canvasManager.getCreationBox({ x: 40, y: 130 }))
+        .toEqual({ x: 40, y: 100, width: 60, height: 30 });
+      expect(canvasManager.getCreationBox({ x: 40, y: 130 }, { shiftKey: true }))
+        .toEqual({ x: 40, y: 100, width: 60, height: 60 });
+      expect(canvasManager.getCreationBox({ x: 140, y: 130 }, { altKey: true }))
+        .toEqual({ x: 60, y: 70, width: 80, height: 60 });
+    });
+  });
+
+  describe('dragging out shapes', () => {
+    it('should create a star with the points chosen while dragging', () => {
+      const canvasManager = createCanvasManager();
+      const created = vi.fn();
+      canvasManager.on('create_object', created);
+
+      startCreating(canvasManager, 'star', { x: 0, y: 0 });
+      canvasManager.updateTempObject({ x: 100, y: 80 }, { shiftKey: true });
+      const up = keyDown(canvasManager, 'ArrowUp');
+      expect(up.preventDefault).toHaveBeenCalled();
+      canvasManager.finalizeTempObject({ x: 100, y: 80 }, { shiftKey: true });
+
+      expect(created).toHaveBeenCalledWith({
+        type: 'star',
+        position: { x: 50, y: 50 },
+        data: { width: 100, height: 100, points: 6, innerRatio: 0.5, fill: '#000000', stroke: '#000000', stroke_width: 2 }
+      });
+    });
+
+    it('should keep polygon sides within range', () => {
+      const canvasManager = createCanvasManager();
+      startCreating(canvasManager, 'polygon', { x: 0, y: 0 });
+
+      for (let i = 0; i < 5; i++) canvasManager.adjustCreationCount(-1);
+      expect(canvasManager.polygonSides).toBe(3);
+      expect(canvasManager.adjustCreationCount(1)).toBe(true);
+      expect(canvasManager.polygonSides).toBe(4);
+    });
+
+    it('should create triangles filling the dragged box', () => {
+      const canvasManager = createCanvasManager();
+      const created = vi.fn();
+      canvasManager.on('create_object', created);
+
+      startCreating(canvasManager, 'triangle', { x: 200, y: 200 });
+      expect(canvasManager.adjustCreationCount(1)).toBe(false);
+      canvasManager.finalizeTempObject({ x: 150, y: 260 });
+
+      expect(created).toHaveBeenCalledWith({
+        type: 'triangle',
+        position: { x: 175, y: 230 },
+        data: { width: 50, height: 60, fill: '#000000', stroke: '#000000', stroke_width: 2 }
+      });
+    });
+  });
+});
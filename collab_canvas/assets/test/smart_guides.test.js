@@ -0,0 +1,76 @@
+/**
+ * Tests for Smart Guides
+ *
+ * Tests alignment and spacing snapping including:
+ * - Snapping edges and centers within the threshold
+ * - Guides spanning every aligned box
+ * - Equal-spacing snaps between and beside neighbours
+ */
+
+import { describe, it, expect } from 'vitest';
+import { boxAnchors, findAxisSnap, alignmentGuides, computeSnap } from '../js/core/smart_guides.js';
+
+const box = (minX, minY, width, height) => ({ minX, minY, maxX: minX + width, maxY: minY + height });
+
+describe('Smart Guides', () => {
+  describe('findAxisSnap', () => {
+    it('should pick the closest target within the threshold', () => {
+      expect(findAxisSnap([0, 50, 100], [103, 48], 5)).toEqual({ offset: -2, value: 48 });
+      expect(findAxisSnap([0], [10], 5)).toBeNull();
+    });
+
+    it('should expose edges and center as anchors', () => {
+      expect(boxAnchors(box(10, 0, 40, 20), 'x')).toEqual([10, 30, 50]);
+      expect(boxAnchors(box(10, 0, 40, 20), 'y')).toEqual([0, 10, 20]);
+    });
+  });
+
+  describe('computeSnap', () => {
+    it('should align edges and draw a guide across both boxes', () => {
+      const other = box(0, 0, 100, 50);
+      const snap = computeSnap(box(103, 200, 50, 50), [other], 6);
+
+      // Moving left edge snaps onto the other box's right edge
+      expect(snap.dx).toBe(-3);
+      expect(snap.dy).toBe(0);
+      expect(snap.guides).toEqual([{ axis: 'x', position: 100, start: 0, end: 250 }]);
+    });
+
+    it('should not snap beyond the threshold', () => {
+      const snap = computeSnap(box(120, 200, 50, 50), [box(0, 0, 100, 50)], 6);
+
+      expect(snap).toEqual({ dx: 0, dy: 0, guides: [], spacings: [] });
+    });
+
+    it('should center a box between its neighbours with equal gaps', () => {
+      const left = box(0, 0, 100, 100);
+      const right = box(300, 0, 100, 100);
+      const snap = computeSnap(box(172, 10, 50, 50), [left, right], 6);
+
+      // 75 on each side puts the moving box at x = 175
+      expect(snap.dx).toBe(3);
+      expect(snap.spacings).toEqual([
+        { axis: 'x', start: 100, end: 175, position: 35 },
+        { axis: 'x', start: 225, end: 300, position: 35 }
+      ]);
+    });
+
+    it('should continue the spacing of a row', () => {
+      const first = box(0, 0, 100, 100);
+      const second = box(150, 0, 100, 100);
+      const snap = computeSnap(box(296, 0, 100, 100), [first, second], 6);
+
+      // Gap of 50 after the second box puts the moving box at x = 300
+      expect(snap.dx).toBe(4);
+      expect(snap.spacings.map(spacing => [spacing.start, spacing.end])).toEqual([[100, 150], [250, 300]]);
+    });
+  });
+
+  describe('alignmentGuides', () => {
+    it('should merge boxes aligned on the same line', () => {
+      const guides = alignmentGuides(box(0, 100, 50, 50), [box(0, 0, 20, 20), box(0, 300, 30, 30)], 'x');
+
+      expect(guides).toEqual([{ axis: 'x', position: 0, start: 0, end: 330 }]);
+    });
+  });
+});
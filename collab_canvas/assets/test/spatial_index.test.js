@@ -0,0 +1,101 @@
+/**
+ * Tests for SpatialIndex
+ *
+ * Tests the uniform grid index used for canvas hit-testing including:
+ * - Insert, update and remove bookkeeping
+ * - Point and rectangle queries
+ * - Oversized entries spanning many cells
+ * - Combined extent for zoom-to-fit
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SpatialIndex } from '../js/core/spatial_index.js';
+
+describe('SpatialIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SpatialIndex({ cellSize: 100 });
+  });
+
+  describe('insert and remove', () => {
+    it('should index entries and report size', () => {
+      index.insert('a', { minX: 0, minY: 0, maxX: 50, maxY: 50 });
+      index.insert('b', { minX: 200, minY: 200, maxX: 250, maxY: 250 });
+
+      expect(index.size).toBe(2);
+      expect(index.has('a')).toBe(true);
+    });
+
+    it('should replace previous bounds when re-inserting the same id', () => {
+      index.insert('a', { minX: 0, minY: 0, maxX: 50, maxY: 50 });
+      index.update('a', { minX: 500, minY: 500, maxX: 550, maxY: 550 });
+
+      expect(index.size).toBe(1);
+      expect(index.queryPoint(25, 25)).toEqual([]);
+      expect(index.queryPoint(525, 525)).toEqual(['a']);
+    });
+
+    it('should remove entries and empty cells', () => {
+      index.insert('a', { minX: 0, minY: 0, maxX: 150, maxY: 150 });
+
+      expect(index.remove('a')).toBe(true);
+      expect(index.remove('a')).toBe(false);
+      expect(index.size).toBe(0);
+      expect(index.cells.size).toBe(0);
+    });
+
+    it('should ignore invalid bounds', () => {
+      index.insert('a', { minX: NaN, minY: 0, maxX: 10, maxY: 10 });
+
+      expect(index.has('a')).toBe(false);
+    });
+  });
+
+  describe('queries', () => {
+    beforeEach(() => {
+      index.insert('a', { minX: 0, minY: 0, maxX: 50, maxY: 50 });
+      index.insert('b', { minX: 40, minY: 40, maxX: 140, maxY: 140 });
+      index.insert('c', { minX: -300, minY: -300, maxX: -250, maxY: -250 });
+    });
+
+    it('should find all entries containing a point', () => {
+      expect(index.queryPoint(45, 45).sort()).toEqual(['a', 'b']);
+      expect(index.queryPoint(120, 120)).toEqual(['b']);
+      expect(index.queryPoint(-275, -275)).toEqual(['c']);
+      expect(index.queryPoint(500, 500)).toEqual([]);
+    });
+
+    it('should honor point tolerance', () => {
+      expect(index.queryPoint(55, 10)).toEqual([]);
+      expect(index.queryPoint(55, 10, 6)).toEqual(['a']);
+    });
+
+    it('should find entries intersecting a rectangle', () => {
+      expect(index.queryRect(100, 100, 400, 400)).toEqual(['b']);
+      expect(index.queryRect(-1000, -1000, 1000, 1000).sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should always check oversized entries', () => {
+      const small = new SpatialIndex({ cellSize: 10, maxCellsPerEntry: 4 });
+      small.insert('huge', { minX: 0, minY: 0, maxX: 1000, maxY: 1000 });
+
+      expect(small.oversized.has('huge')).toBe(true);
+      expect(small.queryPoint(999, 999)).toEqual(['huge']);
+      expect(small.queryPoint(1001, 1001)).toEqual([]);
+    });
+  });
+
+  describe('getExtent', () => {
+    it('should return null when empty', () => {
+      expect(index.getExtent()).toBeNull();
+    });
+
+    it('should return the union of all bounds', () => {
+      index.insert('a', { minX: -10, minY: 5, maxX: 20, maxY: 30 });
+      index.insert('b', { minX: 100, minY: -50, maxX: 120, maxY: 10 });
+
+      expect(index.getExtent()).toEqual({ minX: -10, minY: -50, maxX: 120, maxY: 30 });
+    });
+  });
+});
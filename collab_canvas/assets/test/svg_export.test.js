@@ -0,0 +1,117 @@
+/**
+ * Tests for SVG export
+ *
+ * Tests serializing objects from their stored data including:
+ * - Real circle, polygon and path elements in local coordinates
+ * - Rotation about the object's pivot
+ * - Escaped text, z-order and group structure
+ * - Round-tripping records and independence from zoom and pan
+ */
+
+import { describe, it, expect } from 'vitest';
+import { objectsToSvg, objectToSvgElement, localToCanvas, OBJECT_ATTRIBUTE } from '../js/core/svg_export.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+const rect = (id, overrides = {}) => ({
+  id,
+  type: 'rectangle',
+  position: { x: 100, y: 100 },
+  data: { width: 100, height: 50, fill: '#ff0000' },
+  z_index: 0,
+  ...overrides
+});
+
+describe('SVG export', () => {
+  describe('elements', () => {
+    it('should emit circles and polygons instead of boxes', () => {
+      const circle = objectToSvgElement({ id: 1, type: 'circle', position: { x: 0, y: 0 }, data: { width: 40 } });
+      const triangle = objectToSvgElement({ id: 2, type: 'triangle', position: { x: 0, y: 0 }, data: { width: 40, height: 20 } });
+
+      expect(circle.markup).toMatch(/^<circle id="object-1" .* cx="20" cy="20" r="20"/);
+      expect(circle.markup).toContain('transform="translate(0 0) translate(-20 -20)"');
+      expect(triangle.markup).toMatch(/^<polygon .*points="0,-10 -20,10 20,10"/);
+    });
+
+    it('should rotate about the pivot point', () => {
+      const centered = objectToSvgElement(rect(1, { data: { width: 100, height: 50, rotation: 45 } }));
+      expect(centered.markup).toContain('transform="translate(100 100) rotate(45) translate(-50 -25)"');
+
+      const cornered = rect(2, { data: { width: 100, height: 50, rotation: 90, pivot_point: 'top-left' } });
+      expect(objectToSvgElement(cornered).markup).toContain('transform="translate(100 100) rotate(90)"');
+      const corner = localToCanvas(cornered, { x: 100, y: 0 });
+      expect(corner.x).toBeCloseTo(100);
+      expect(corner.y).toBeCloseTo(200);
+    });
+
+    it('should escape text content and stored data', () => {
+      const { markup } = objectToSvgElement({
+        id: 1,
+        type: 'text',
+        position: { x: 0, y: 0 },
+        data: { text: 'Fish & <chips>', font_family: 'A "quoted" font' },
+        size: { width: 120, height: 20 }
+      });
+
+      expect(markup).toContain('Fish &amp; &lt;chips&gt;');
+      expect(markup).toContain('font-family="A &quot;quoted&quot; font"');
+      expect(markup).not.toContain('<chips>');
+    });
+
+    it('should draw connectors along their route with arrowheads', () => {
+      const { markup } = objectToSvgElement({
+        id: 1,
+        type: 'connector',
+        position: { x: 50, y: 50 },
+        data: { source_id: 2, target_id: 3 },
+        route: { points: [{ x: -50, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 40 }], controls: null }
+      });
+
+      expect(markup).toMatch(/^<g id="object-1" .*transform="translate\(50 50\)">/);
+      expect(markup).toContain('d="M -50 0 L 0 0 L 0 40"');
+      expect(markup).toContain('<polygon points="0,40');
+    });
+  });
+
+  describe('documents', () => {
+    it('should keep z-order and wrap consecutive group members', () => {
+      const svg = objectsToSvg([
+        rect(3, { z_index: 2 }),
+        rect(1, { z_index: 0, group_id: 'g1' }),
+        rect(2, { z_index: 1, group_id: 'g1' })
+      ]);
+
+      const order = [...svg.matchAll(/id="object-(\d)"/g)].map(match => match[1]);
+      expect(order).toEqual(['1', '2', '3']);
+      expect(svg).toMatch(/<g data-canvas-group="g1">\n {4}<rect id="object-1"[^\n]*\n {4}<rect id="object-2"[^\n]*\n {2}<\/g>/);
+      expect(svg).toContain('viewBox="49 74 102 52"');
+    });
+
+    it('should round-trip each record through the markup', () => {
+      const record = rect(1, { data: { width: 100, height: 50, text: '"<&>"', fill_gradient: { type: 'radial', stops: [] } } });
+      const svg = objectsToSvg([record]);
+      const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+      const element = doc.querySelector(`[${OBJECT_ATTRIBUTE}]`);
+
+      expect(JSON.parse(element.getAttribute(OBJECT_ATTRIBUTE))).toEqual({
+        type: 'rectangle',
+        position: { x: 100, y: 100 },
+        data: record.data,
+        z_index: 0
+      });
+      expect(objectsToSvg([])).toBe('');
+    });
+
+    it('should not depend on the zoom or pan', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({ id: 1, type: 'star', position: { x: 10, y: 20 }, data: { width: 60, rotation: 30 } });
+
+      const before = canvasManager.getSVGMarkup(canvasManager.objects.values());
+      canvasManager.objectContainer.scale.set(3);
+      canvasManager.objectContainer.position.set(-400, 250);
+      const after = canvasManager.getSVGMarkup(canvasManager.objects.values());
+
+      expect(after).toBe(before);
+      expect(after).toContain('transform="translate(10 20) rotate(30)"');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for SVG import
+ *
+ * Tests mapping SVG documents onto canvas objects including:
+ * - Resolving nested transforms into positions, sizes and rotations
+ * - Path data (relative commands, quadratics and arcs) as vector path nodes
+ * - Inherited styles, gradients and groups
+ * - Falling back to an image and restoring exported objects exactly
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { svgToObjects, parsePathData, parseTransform, parseColor } from '../js/core/svg_import.js';
+import { objectsToSvg } from '../js/core/svg_export.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">${body}</svg>`;
+
+describe('SVG import', () => {
+  describe('transforms', () => {
+    it('should compose transform lists', () => {
+      const matrix = parseTransform('translate(10 20) rotate(90 5 5) scale(2)');
+
+      expect(matrix.map(value => Math.round(value * 1000) / 1000 || 0)).toEqual([0, 2, -2, 0, 20, 20]);
+    });
+
+    it('should resolve nested transforms into the position, size and rotation', () => {
+      const [rect] = svgToObjects(svg(
+        '<g transform="translate(100 50)"><rect x="-10" y="-5" width="20" height="10" rx="2" '
+          + 'transform="rotate(30) scale(2)" fill="#ff0000" /></g>'
+      ));
+
+      expect(rect).toMatchObject({
+        type: 'rectangle',
+        position: { x: 100, y: 50 },
+        data: { width: 40, height: 20, rotation: 30, corner_radius: 4, fill: '#ff0000', stroke: '#ff0000' }
+      });
+    });
+
+    it('should turn shapes that lose their form into paths', () => {
+      const [circle, stretched, ellipse, skewed] = svgToObjects(svg(
+        '<circle cx="10" cy="10" r="5" />'
+          + '<circle cx="0" cy="0" r="5" transform="scale(2 1)" />'
+          + '<ellipse cx="0" cy="0" rx="10" ry="4" />'
+          + '<rect width="10" height="10" transform="skewX(30)" />'
+      ));
+
+      expect(circle).toMatchObject({ type: 'circle', position: { x: 10, y: 10 }, data: { width: 10, height: 10 } });
+      expect(stretched.type).toBe('path');
+      expect(stretched.data.nodes[0]).toMatchObject({ x: 10, y: 0 });
+      expect(ellipse.data).toMatchObject({ closed: true, fill: '#000000' });
+      expect(ellipse.data.nodes).toHaveLength(4);
+      expect(skewed.type).toBe('path');
+    });
+  });
+
+  describe('path data', () => {
+    it('should follow relative commands and merge the closing point', () => {
+      const [subpath] = parsePathData('m10 10 h20 v20 l-20 0 L10 10 z');
+
+      expect(subpath.closed).toBe(true);
+      expect(subpath.nodes).toEqual([{ x: 10, y: 10 }, { x: 30, y: 10 }, { x: 30, y: 30 }, { x: 10, y: 30 }]);
+    });
+
+    it('should convert quadratics and arcs to cubic nodes', () => {
+      const [quad] = parsePathData('M0 0 Q 15 30 30 0 T 60 0');
+      expect(quad.nodes[0].handle_out).toEqual({ x: 10, y: 20 });
+      expect(quad.nodes[2]).toMatchObject({ x: 60, y: 0 });
+      expect(quad.nodes[1].handle_out.y).toBeCloseTo(-20);
+
+      // Flags written without separators, as minifiers do
+      const [arc] = parsePathData('M0 0a10 10 0 0120 0');
+      expect(arc.nodes).toHaveLength(3);
+      expect(arc.nodes[1].x).toBeCloseTo(10);
+      expect(arc.nodes[1].y).toBeCloseTo(-10);
+      expect(arc.nodes[2]).toMatchObject({ x: 20, y: 0 });
+    });
+
+    it('should center path objects and close filled open subpaths', () => {
+      const [filled, outline] = svgToObjects(svg(
+        '<path d="M0 0 L20 0 L20 10" fill="blue" />'
+          + '<path d="M0 0 L20 0" fill="none" stroke="rgb(255, 0, 0)" stroke-width="3" stroke-dasharray="4 2" />'
+      ));
+
+      expect(filled.position).toEqual({ x: 10, y: 5 });
+      expect(filled.data).toMatchObject({ closed: true, fill: '#0000ff', stroke: '#0000ff' });
+      expect(outline.data).toMatchObject({ closed: false, stroke: '#ff0000', stroke_width: 3, stroke_style: 'dashed' });
+      expect(outline.data.fill).toBeUndefined();
+    });
+  });
+
+  describe('styles and structure', () => {
+    it('should inherit styles and read gradients', () => {
+      const [text, rect] = svgToObjects(svg(
+        '<defs><linearGradient id="fade" x2="0" y2="1"><stop offset="0" stop-color="#fff" />'
+          + '<stop offset="100%" style="stop-color: #000" /></linearGradient></defs>'
+          + '<g style="fill: #123456; font-size: 20px" opacity="0.5">'
+          + '<text x="50" y="20" text-anchor="middle" font-weight="700">Hi <tspan>there</tspan></text>'
+          + '<rect width="10" height="10" fill="url(#fade)" fill-opacity="0.5" />'
+          + '</g>'
+      ));
+
+      expect(text.data).toMatchObject({ text: 'Hi there', font_size: 20, fill: '#123456', align: 'center', bold: true, opacity: 0.5 });
+      expect(text.position.x).toBe(50);
+      expect(rect.data.fill_gradient).toEqual({
+        type: 'linear',
+        angle: 90,
+        stops: [{ offset: 0, color: '#ffffff' }, { offset: 1, color: '#000000' }]
+      });
+      expect(rect.data.opacity).toBe(0.25);
+      expect(text.group).toBe(rect.group);
+      expect(parseColor('currentColor', 'teal')).toBe('#008080');
+    });
+
+    it('should group by outermost <g> and skip groups of one', () => {
+      const objects = svgToObjects(svg(
+        '<g><rect width="1" height="1" /><g><circle r="1" /></g></g>'
+          + '<g><rect width="1" height="1" /></g>'
+          + '<rect width="1" height="1" fill="none" stroke="none" />'
+      ));
+
+      expect(objects).toHaveLength(3);
+      expect(objects[0].group).toBeDefined();
+      expect(objects[1].group).toBe(objects[0].group);
+      expect(objects[2].group).toBeUndefined();
+      expect(objects.map(object => object.z_index)).toEqual([0, 1, 2]);
+    });
+
+    it('should keep unsupported elements as one image at their stacking position', () => {
+      const objects = svgToObjects(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="0 0 100 50">'
+          + '<rect width="10" height="10" />'
+          + '<image href="a.png" width="10" height="10" />'
+          + '<circle r="5" filter="url(#f)" />'
+          + '<rect x="20" width="10" height="10" />'
+          + '</svg>'
+      );
+
+      expect(objects.map(object => object.type)).toEqual(['rectangle', 'image', 'rectangle']);
+      // The viewBox scales to the document size
+      expect(objects[0].data.width).toBe(20);
+      expect(objects[1]).toMatchObject({ position: { x: 100, y: 50 }, data: { width: 200, height: 100 } });
+      const image = decodeURIComponent(objects[1].data.src);
+      expect(image).toMatch(/<image [^>]*href="a.png"/);
+      expect(image).toContain('filter="url(#f)"');
+      expect(image).toContain('transform="matrix(2 0 0 2 0 0)"');
+
+      expect(svgToObjects('<svg><rect</svg>')).toBeNull();
+      expect(svgToObjects('<html></html>')).toBeNull();
+    });
+
+    it('should restore exported objects and their groups exactly', () => {
+      const records = [
+        { id: 1, type: 'star', position: { x: 10, y: 20 }, data: { width: 60, rotation: 30, shadow: { y: 2 } }, z_index: 0, group_id: 'a' },
+        { id: 2, type: 'text', position: { x: 90, y: 20 }, data: { text: 'Label' }, z_index: 1, group_id: 'a' },
+        { id: 3, type: 'connector', position: { x: 0, y: 0 }, data: { source_id: 1, target_id: 2 }, z_index: 2 }
+      ];
+
+      const objects = svgToObjects(objectsToSvg(records));
+
+      expect(objects).toHaveLength(2);
+      expect(objects[0]).toMatchObject({ type: 'star', data: records[0].data });
+      expect(objects[1]).toMatchObject({ type: 'text', data: { text: 'Label' } });
+      expect(objects[1].position.x - objects[0].position.x).toBe(80);
+      expect(objects[0].group).toBe(objects[1].group);
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should create the objects around the target with shared group ids', () => {
+      const canvasManager = createCanvasManager();
+      canvasManager.createObject({ id: 1, type: 'rectangle', position: { x: 0, y: 0 }, data: { fill: '#000000' }, z_index: 4 });
+      const emit = vi.spyOn(canvasManager, 'emit');
+
+      const count = canvasManager.importSvg(svg(
+        '<g><rect width="10" height="10" /><rect x="90" width="10" height="10" /></g><circle cx="50" cy="100" r="5" />'
+      ), { x: 500, y: 500 });
+
+      const payloads = emit.mock.calls.filter(([event]) => event === 'create_object').map(([, payload]) => payload);
+      expect(count).toBe(3);
+      expect(payloads.map(payload => payload.z_index)).toEqual([5, 6, 7]);
+      expect(payloads[0].position).toEqual({ x: 455, y: 452.5 });
+      expect(payloads[0].group_id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(payloads[1].group_id).toBe(payloads[0].group_id);
+      expect(payloads[2].group_id).toBeUndefined();
+    });
+  });
+});
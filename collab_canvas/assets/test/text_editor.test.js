@@ -0,0 +1,119 @@
+/**
+ * Tests for TextEditor
+ *
+ * Tests the inline textarea overlay including:
+ * - Opening with the text object's style
+ * - Committing on Escape, Cmd/Ctrl+Enter and blur (exactly once)
+ * - Multi-line input and CSS transform sync
+ * - CanvasManager creating new text from the editor
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TextEditor } from '../js/core/text_editor.js';
+import { CanvasManager } from '../js/core/canvas_manager.js';
+
+describe('TextEditor', () => {
+  let onCommit;
+  let editor;
+
+  beforeEach(() => {
+    onCommit = vi.fn();
+    editor = new TextEditor({ onCommit });
+  });
+
+  afterEach(() => {
+    editor.close();
+  });
+
+  const keydown = (key, options = {}) => {
+    editor.textarea.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  it('should open a focused textarea styled like the text', () => {
+    editor.open(document.body, 'Hello', { fontSize: 24, color: '#ff0000', fontWeight: 'bold' });
+
+    const textarea = document.querySelector('textarea.canvas-text-editor');
+    expect(textarea).toBe(editor.textarea);
+    expect(textarea.value).toBe('Hello');
+    expect(textarea.style.fontSize).toBe('24px');
+    expect(textarea.style.fontWeight).toBe('bold');
+    expect(document.activeElement).toBe(textarea);
+  });
+
+  it('should keep Enter for newlines and commit on Escape', () => {
+    editor.open(document.body, 'Line one');
+    editor.textarea.value = 'Line one\nLine two';
+
+    keydown('Enter');
+    expect(editor.isOpen).toBe(true);
+
+    keydown('Escape');
+    expect(onCommit).toHaveBeenCalledWith('Line one\nLine two');
+    expect(editor.isOpen).toBe(false);
+    expect(document.querySelector('textarea.canvas-text-editor')).toBeNull();
+  });
+
+  it('should commit on Cmd/Ctrl+Enter', () => {
+    editor.open(document.body, 'Done');
+
+    keydown('Enter', { ctrlKey: true });
+
+    expect(onCommit).toHaveBeenCalledWith('Done');
+  });
+
+  it('should commit once on blur', () => {
+    editor.open(document.body, 'Blurred');
+
+    editor.textarea.dispatchEvent(new FocusEvent('blur'));
+    editor.commit();
+
+    expect(onCommit).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not report text when closed', () => {
+    editor.open(document.body, 'Discarded');
+
+    editor.close();
+
+    expect(onCommit).not.toHaveBeenCalled();
+  });
+
+  it('should center, rotate and scale the overlay', () => {
+    editor.open(document.body, 'Text');
+
+    editor.setTransform(100, 50, 2, 45);
+
+    expect(editor.textarea.style.transform)
+      .toBe('translate(100px, 50px) rotate(45deg) scale(2) translate(-50%, -50%)');
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should create a text object at the click position on commit', () => {
+      const canvasManager = new CanvasManager();
+      const created = vi.fn();
+      canvasManager.on('create_object', created);
+
+      canvasManager.startTextEditing(null, { x: 10, y: 20 });
+      canvasManager.textEditor.textarea.value = 'Heading\nbody';
+      canvasManager.textEditor.commit();
+
+      expect(created).toHaveBeenCalledWith({
+        type: 'text',
+        position: { x: 10, y: 20 },
+        data: expect.objectContaining({ text: 'Heading\nbody', font_size: 16 })
+      });
+      expect(canvasManager.textEditing).toBeNull();
+    });
+
+    it('should not create empty text', () => {
+      const canvasManager = new CanvasManager();
+      const created = vi.fn();
+      canvasManager.on('create_object', created);
+
+      canvasManager.startTextEditing(null, { x: 0, y: 0 });
+      canvasManager.stopTextEditing();
+
+      expect(created).not.toHaveBeenCalled();
+    });
+  });
+});
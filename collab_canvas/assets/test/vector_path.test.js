@@ -0,0 +1,159 @@
+/**
+ * Tests for vector paths
+ *
+ * Tests anchor and bezier handle editing including:
+ * - Segments, sampling and SVG path data
+ * - Moving anchors and mirrored handles, toggling smooth nodes
+ * - Drawing with the pen tool
+ * - Editing a triangle's points into a path object
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  nodeSegments,
+  sampleNodes,
+  nodesFromSegments,
+  moveAnchor,
+  moveHandle,
+  toggleSmooth,
+  removeNode,
+  findNodePart,
+  centerNodes,
+  nodesSvgData
+} from '../js/core/vector_path.js';
+import { createCanvasManager } from './canvas_manager_fixture.js';
+
+const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+describe('Vector paths', () => {
+  describe('geometry', () => {
+    it('should join the ends of closed paths', () => {
+      expect(nodeSegments(square, false)).toHaveLength(3);
+      expect(nodeSegments(square, true)).toHaveLength(4);
+      expect(sampleNodes(square, true)).toEqual([0, 0, 100, 0, 100, 100, 0, 100, 0, 0]);
+    });
+
+    it('should write curves as SVG path data', () => {
+      const nodes = [{ x: 0, y: 0, handle_out: { x: 0, y: 50 } }, { x: 100, y: 0 }];
+
+      expect(nodesSvgData(nodes, false)).toBe('M 0 0 C 0 50 100 0 100 0');
+      expect(nodesSvgData(square.slice(0, 3), true)).toBe('M 0 0 C 0 0 100 0 100 0 C 100 0 100 100 100 100 C 100 100 0 0 0 0 Z');
+    });
+
+    it('should turn bezier segments into nodes with handles', () => {
+      const nodes = nodesFromSegments({ x: 0, y: 0 }, [{ c1: { x: 10, y: 0 }, c2: { x: 50, y: -10 }, to: { x: 60, y: 0 } }]);
+
+      expect(nodes).toEqual([
+        { x: 0, y: 0, handle_out: { x: 10, y: 0 } },
+        { x: 60, y: 0, handle_in: { x: 50, y: -10 } }
+      ]);
+    });
+
+    it('should center nodes on the drawn bounds', () => {
+      const { center, nodes } = centerNodes(square, true);
+
+      expect(center).toEqual({ x: 50, y: 50 });
+      expect(nodes[0]).toEqual({ x: -50, y: -50 });
+    });
+  });
+
+  describe('editing', () => {
+    const smooth = { x: 50, y: 0, handle_in: { x: 30, y: 0 }, handle_out: { x: 60, y: 0 } };
+
+    it('should carry handles with a moved anchor', () => {
+      expect(moveAnchor([smooth], 0, { x: 50, y: 10 })[0])
+        .toEqual({ x: 50, y: 10, handle_in: { x: 30, y: 10 }, handle_out: { x: 60, y: 10 } });
+    });
+
+    it('should mirror the opposite handle direction but keep its length', () => {
+      const [node] = moveHandle([smooth], 0, 'handle_out', { x: 50, y: 10 });
+      expect(node.handle_in.x).toBeCloseTo(50);
+      expect(node.handle_in.y).toBeCloseTo(-20);
+
+      const [broken] = moveHandle([smooth], 0, 'handle_out', { x: 50, y: 10 }, false);
+      expect(broken.handle_in).toEqual({ x: 30, y: 0 });
+    });
+
+    it('should toggle corners and smooth nodes', () => {
+      const [, corner] = toggleSmooth([{ x: 0, y: 0 }, smooth, { x: 110, y: 0 }], 1);
+      expect(corner).toEqual({ x: 50, y: 0 });
+
+      const [first] = toggleSmooth(square, 0, true);
+      expect(first.handle_in.x).toBeCloseTo(-100 / 3 / Math.SQRT2);
+      expect(first.handle_out.x).toBeCloseTo(100 / 3 / Math.SQRT2);
+    });
+
+    it('should keep closed paths at three anchors or more', () => {
+      expect(removeNode(square, 0, true)).toHaveLength(3);
+      expect(removeNode(square.slice(0, 3), 0, true)).toHaveLength(3);
+    });
+
+    it('should find handles before the anchors they sit on', () => {
+      const nodes = [{ x: 0, y: 0, handle_out: { x: 3, y: 0 } }];
+
+      expect(findNodePart(nodes, { x: 2, y: 0 }, 2)).toEqual({ index: 0, part: 'handle_out' });
+      expect(findNodePart(nodes, { x: 0, y: -2 }, 2)).toEqual({ index: 0, part: 'anchor' });
+      expect(findNodePart(nodes, { x: 20, y: 20 }, 2)).toBeNull();
+    });
+  });
+
+  describe('CanvasManager integration', () => {
+    it('should draw a closed curve with the pen tool', () => {
+      const canvasManager = createCanvasManager();
+      const created = vi.fn();
+      canvasManager.on('create_object', created);
+
+      canvasManager.addPenAnchor({ x: 0, y: 0 });
+      canvasManager.penDraft.dragIndex = null;
+      canvasManager.addPenAnchor({ x: 100, y: 0 });
+      canvasManager.updatePenDraft({ x: 100, y: 50 }); // Drag out handles
+      canvasManager.penDraft.dragIndex = null;
+      canvasManager.addPenAnchor({ x: 2, y: 1 }); // Back on the first anchor
+
+      expect(canvasManager.penDraft).toBeNull();
+      const { type, data } = created.mock.calls[0][0];
+      expect(type).toBe('path');
+      expect(data.closed).toBe(true);
+      expect(data.fill).toBe('#000000');
+      expect(data.nodes).toHaveLength(2);
+      expect(data.nodes[1].handle_out.y - data.nodes[1].y).toBe(50);
+    });
+
+    it('should commit edited triangle points as a path', () => {
+      const canvasManager = createCanvasManager();
+      const updates = vi.fn();
+      canvasManager.on('update_object', updates);
+
+      canvasManager.createObject({
+        id: 1,
+        type: 'triangle',
+        position: { x: 100, y: 100 },
+        data: { width: 100, height: 80, fill: '#ff0000' }
+      });
+      canvasManager.startPathEditing(canvasManager.objects.get(1));
+      expect(canvasManager.pathEdit.nodes).toHaveLength(3);
+
+      // Drag the top corner up by 20
+      canvasManager.handlePathEditMouseDown({ x: 100, y: 60 }, {});
+      canvasManager.dragPathEditPart({ x: 100, y: 40 }, {});
+      canvasManager.pathEdit.drag = null;
+      canvasManager.finishPathEditing();
+
+      expect(updates).toHaveBeenLastCalledWith({
+        object_id: 1,
+        type: 'path',
+        position: { x: 100, y: 90 },
+        data: {
+          fill: '#ff0000',
+          stroke: '#ff0000',
+          nodes: [{ x: 0, y: -50 }, { x: -50, y: 50 }, { x: 50, y: 50 }],
+          closed: true
+        }
+      });
+
+      const path = canvasManager.objects.get(1);
+      expect(path.objectType).toBe('path');
+      expect(canvasManager.hitTestObject(path, { x: 100, y: 100 })).toBe(true);
+    });
+  });
+});
@@ -11,6 +11,13 @@ config :collab_canvas,
   ecto_repos: [CollabCanvas.Repo],
   generators: [timestamp_type: :utc_datetime]
 
+# Undo steps each user's browser keeps per canvas, across reloads
+config :collab_canvas, :history_depth, 50
+
+# Where images pasted onto canvases are stored (served at /uploads).
+# Keep it outside the release; prod sets it in runtime.exs.
+config :collab_canvas, :uploads_dir, Path.expand("../uploads", __DIR__)
+
 # Configures the endpoint
 config :collab_canvas, CollabCanvasWeb.Endpoint,
   url: [host: "localhost"],
@@ -73,6 +73,11 @@ if config_env() == :prod do
     database: database_path,
     pool_size: String.to_integer(System.get_env("POOL_SIZE") || "5")
 
+  # Pasted images default to living next to the database, on the same volume
+  config :collab_canvas,
+         :uploads_dir,
+         System.get_env("UPLOADS_DIR") || Path.join(Path.dirname(database_path), "uploads")
+
   # The secret key base is used to sign/encrypt cookies and other secrets.
   # A default value is used in config/dev.exs and config/test.exs but you
   # want to use a different value for prod and you most likely don't want
@@ -20,6 +20,9 @@ config :collab_canvas, CollabCanvasWeb.Endpoint,
 # In test we don't send emails
 config :collab_canvas, CollabCanvas.Mailer, adapter: Swoosh.Adapters.Test
 
+# Keep images uploaded by tests apart from dev uploads
+config :collab_canvas, :uploads_dir, Path.expand("../tmp/uploads", __DIR__)
+
 # Disable swoosh api client as it is only required for production adapters
 config :swoosh, :api_client, false
 
@@ -1420,7 +1420,8 @@ defmodule CollabCanvas.AI.Agent do
 
   # Executes a change_style tool call to modify styling properties of an object.
   #
-  # Supports fill, stroke, stroke_width, opacity, font properties, and color changes.
+  # Supports fill, stroke, stroke_width, stroke_style, corner_radius, blur, opacity,
+  # font properties, and color changes.
   defp execute_tool_call_legacy(%{name: "change_style", input: input}, canvas_id, _current_color) do
     case Canvases.get_object(input["object_id"]) do
       nil ->
@@ -1436,7 +1437,7 @@ defmodule CollabCanvas.AI.Agent do
         # Parse value based on property type
         value =
           case input["property"] do
-            prop when prop in ["stroke_width", "font_size"] ->
+            prop when prop in ["stroke_width", "font_size", "corner_radius", "blur"] ->
               # Numeric properties
               case Float.parse(input["value"]) do
                 {num, _} -> num
@@ -1511,6 +1512,24 @@ defmodule CollabCanvas.AI.Agent do
               do: Map.put(updated_data, "text", input["new_text"]),
               else: updated_data
 
+          # Styled runs (inline bold/italic/color/size) replace the text; plain
+          # replacement text drops runs that no longer match it
+          updated_data =
+            cond do
+              is_list(input["runs"]) ->
+                runs = Enum.filter(input["runs"], &(is_map(&1) and is_binary(&1["text"])))
+
+                updated_data
+                |> Map.put("runs", runs)
+                |> Map.put("text", Enum.map_join(runs, "", & &1["text"]))
+
+              Map.has_key?(input, "new_text") ->
+                Map.delete(updated_data, "runs")
+
+              true ->
+                updated_data
+            end
+
           updated_data =
             if Map.has_key?(input, "font_size"),
               do: Map.put(updated_data, "font_size", input["font_size"]),
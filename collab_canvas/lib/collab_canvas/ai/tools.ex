@@ -425,12 +425,16 @@ IMPORTANT: This is RELATIVE rotation, not absolute.
                 "fill",
                 "stroke",
                 "stroke_width",
+                "stroke_style",
+                "corner_radius",
+                "blur",
                 "opacity",
                 "font_size",
                 "font_family",
                 "color"
               ],
-              description: "The style property to change"
+              description:
+                "The style property to change (stroke_style is 'solid', 'dashed' or 'dotted'; corner_radius applies to rectangles)"
             },
             value: %{
               type: "string",
@@ -455,6 +459,22 @@ IMPORTANT: This is RELATIVE rotation, not absolute.
               type: "string",
               description: "New text content"
             },
+            runs: %{
+              type: "array",
+              description:
+                "Styled spans making up the text, in order (their texts are concatenated). Use for inline emphasis, e.g. a heading with one bold word. Takes precedence over new_text.",
+              items: %{
+                type: "object",
+                properties: %{
+                  text: %{type: "string", description: "Span text"},
+                  bold: %{type: "boolean", description: "Bold span"},
+                  italic: %{type: "boolean", description: "Italic span"},
+                  color: %{type: "string", description: "Span color in hex format"},
+                  font_size: %{type: "number", description: "Span font size in pixels"}
+                },
+                required: ["text"]
+              }
+            },
             font_size: %{
               type: "number",
               description: "Font size in pixels"
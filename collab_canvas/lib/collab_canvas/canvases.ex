@@ -90,6 +90,7 @@ defmodule CollabCanvas.Canvases do
   alias CollabCanvas.Canvases.Canvas
   alias CollabCanvas.Canvases.Object
   alias CollabCanvas.Canvases.CanvasUserViewport
+  alias CollabCanvas.Components.Component
 
   # Lock timeout duration in minutes
   # After this period of inactivity, locks automatically expire
@@ -327,6 +328,147 @@ defmodule CollabCanvas.Canvases do
     end
   end
 
+  @doc """
+  Recreates a deleted object with its original id.
+
+  Used by undo and redo so that references to the object (connector ends,
+  history entries on other clients) stay valid.
+
+  ## Parameters
+    * `canvas_id` - The ID of the canvas
+    * `id` - The id the object had
+    * `attrs` - Object attributes (type, data, position, z_index, group_id)
+
+  ## Returns
+    * `{:ok, object}` on success
+    * `{:error, :already_exists}` if an object with that id exists
+    * `{:error, changeset}` on validation failure
+
+  ## Examples
+
+      iex> restore_object(1, 42, %{type: "rectangle", position: %{x: 10, y: 20}})
+      {:ok, %Object{id: 42}}
+
+  """
+  def restore_object(canvas_id, id, attrs) do
+    case Repo.get(Object, id) do
+      nil ->
+        %Object{id: id}
+        |> Object.changeset(Map.put(attrs, :canvas_id, canvas_id))
+        |> Repo.insert()
+
+      _object ->
+        {:error, :already_exists}
+    end
+  end
+
+  @doc """
+  Imports the objects of a canvas document in a single transaction.
+
+  Each object carries the `"id"` it had in the document. Connectors are created
+  after everything else with their `source_id`/`target_id` pointed at the new
+  ids, and are skipped when either end is missing; an end that is nil (not bound
+  to anything, as for a pasted connector whose end wasn't copied) stays unbound.
+  Component links are kept only for components of this canvas; imported
+  objects are never main components.
+
+  ## Parameters
+    * `canvas_id` - The ID of the canvas to import into
+    * `objects` - List of string-keyed maps with "id", "type", "position" and
+      "data" (a map), and optionally "z_index", "group_id", "component_id" and
+      "instance_overrides" (a map)
+
+  ## Returns
+    * `{:ok, objects}` - Created objects, connectors last
+    * `{:error, changeset}` - Nothing was imported
+
+  ## Examples
+
+      iex> import_objects(1, [
+      ...>   %{"id" => 7, "type" => "rectangle", "position" => %{"x" => 0, "y" => 0}, "data" => %{}},
+      ...>   %{"id" => 8, "type" => "circle", "position" => %{"x" => 90, "y" => 0}, "data" => %{}},
+      ...>   %{"id" => 9, "type" => "connector", "position" => %{"x" => 0, "y" => 0},
+      ...>     "data" => %{"source_id" => 7, "target_id" => 8}}
+      ...> ])
+      {:ok, [%Object{}, %Object{}, %Object{type: "connector"}]}
+
+  """
+  def import_objects(canvas_id, objects) when is_list(objects) do
+    {connectors, others} = Enum.split_with(objects, &(&1["type"] == "connector"))
+
+    component_ids =
+      objects
+      |> Enum.map(& &1["component_id"])
+      |> Enum.filter(&is_integer/1)
+      |> Enum.uniq()
+
+    existing_components =
+      from(c in Component, where: c.id in ^component_ids and c.canvas_id == ^canvas_id, select: c.id)
+      |> Repo.all()
+      |> MapSet.new()
+
+    Repo.transaction(fn ->
+      {created, _ids} =
+        Enum.reduce(others ++ connectors, {[], %{}}, fn attrs, {created, ids} ->
+          case import_data(attrs, ids) do
+            nil ->
+              {created, ids}
+
+            data ->
+              case create_object(canvas_id, attrs["type"], import_attrs(attrs, data, existing_components)) do
+                {:ok, object} -> {[object | created], Map.put(ids, attrs["id"], object.id)}
+                {:error, changeset} -> Repo.rollback(changeset)
+              end
+          end
+        end)
+
+      Enum.reverse(created)
+    end)
+  end
+
+  # Object data with connector ends mapped to the imported ids (nil drops the connector)
+  defp import_data(%{"type" => "connector"} = attrs, ids) do
+    data = attrs["data"] || %{}
+
+    with {:ok, source_id} <- import_end(ids, data["source_id"]),
+         {:ok, target_id} <- import_end(ids, data["target_id"]) do
+      Map.merge(data, %{"source_id" => source_id, "target_id" => target_id})
+    else
+      :error -> nil
+    end
+  end
+
+  defp import_data(attrs, _ids), do: attrs["data"] || %{}
+
+  defp import_end(_ids, nil), do: {:ok, nil}
+  defp import_end(ids, id), do: Map.fetch(ids, id)
+
+  defp import_attrs(attrs, data, existing_components) do
+    component_id =
+      if MapSet.member?(existing_components, attrs["component_id"]), do: attrs["component_id"]
+
+    group_id =
+      case is_binary(attrs["group_id"]) && Ecto.UUID.cast(attrs["group_id"]) do
+        {:ok, group_id} -> group_id
+        _ -> nil
+      end
+
+    overrides =
+      case attrs["instance_overrides"] do
+        overrides when is_map(overrides) and component_id != nil -> Jason.encode!(overrides)
+        _ -> nil
+      end
+
+    %{
+      position: attrs["position"],
+      data: Jason.encode!(data),
+      z_index: if(is_number(attrs["z_index"]), do: attrs["z_index"], else: 0.0),
+      group_id: group_id,
+      component_id: component_id,
+      instance_overrides: overrides
+    }
+  end
+
   # Helper function to ensure map keys are atoms for Ecto changeset
   # Handles both string keys and atom keys from various input sources
   defp ensure_atom_keys(attrs) when is_map(attrs) do
@@ -456,6 +598,27 @@ defmodule CollabCanvas.Canvases do
     Repo.get(Object, id)
   end
 
+  @doc """
+  Gets the object a client created offline, by the client's id for it.
+
+  ## Parameters
+    * `canvas_id` - The canvas ID
+    * `client_id` - The client's "local-..." id
+
+  ## Returns
+    * The object struct if found
+    * `nil` if not found
+
+  ## Examples
+
+      iex> get_object_by_client_id(1, "local-1b9d6bcd")
+      %Object{}
+
+  """
+  def get_object_by_client_id(canvas_id, client_id) do
+    Repo.get_by(Object, canvas_id: canvas_id, client_id: client_id)
+  end
+
   @doc """
   Locks an object for editing by a specific user.
 
@@ -1109,4 +1272,63 @@ defmodule CollabCanvas.Canvases do
         |> Repo.update()
     end
   end
+
+  @doc """
+  Saves a user's grid settings for a specific canvas.
+
+  Settings are stored with the user's viewport for the canvas; a viewport
+  row at the origin is created if the user has none yet.
+
+  ## Parameters
+    * `user_id` - The user ID
+    * `canvas_id` - The canvas ID
+    * `settings` - Grid settings map (normalized before saving)
+
+  ## Returns
+    * `{:ok, viewport}` on success
+    * `{:error, changeset}` on validation failure
+
+  ## Examples
+
+      iex> save_grid_settings(1, 2, %{"visible" => true, "spacing" => 50})
+      {:ok, %CanvasUserViewport{}}
+
+  """
+  def save_grid_settings(user_id, canvas_id, settings) do
+    grid_settings = CanvasUserViewport.normalize_grid_settings(settings)
+
+    case get_viewport(user_id, canvas_id) do
+      nil ->
+        save_viewport(user_id, canvas_id, %{
+          viewport_x: 0.0,
+          viewport_y: 0.0,
+          zoom: 1.0,
+          grid_settings: grid_settings
+        })
+
+      viewport ->
+        viewport
+        |> CanvasUserViewport.changeset(%{grid_settings: grid_settings})
+        |> Repo.update()
+    end
+  end
+
+  @doc """
+  Gets a user's grid settings for a specific canvas (defaults when unset).
+
+  ## Examples
+
+      iex> get_grid_settings(1, 2)
+      %{"visible" => true, "snap" => true, "spacing" => 100, "subdivisions" => 5}
+
+  """
+  def get_grid_settings(user_id, canvas_id) do
+    case get_viewport(user_id, canvas_id) do
+      %CanvasUserViewport{grid_settings: settings} when is_map(settings) ->
+        CanvasUserViewport.normalize_grid_settings(settings)
+
+      _ ->
+        CanvasUserViewport.default_grid_settings()
+    end
+  end
 end
@@ -2,6 +2,13 @@ defmodule CollabCanvas.Canvases.CanvasUserViewport do
   @moduledoc """
   Schema for tracking a user's viewport position and zoom level on a specific canvas.
   This allows users to return to their last viewing position when they reload or revisit a canvas.
+
+  The user's grid settings for the canvas are stored alongside the viewport:
+
+    * `"visible"` - Whether the grid is drawn
+    * `"snap"` - Whether creation, dragging, nudging and resizing snap to the grid
+    * `"spacing"` - Distance between major grid lines in canvas units
+    * `"subdivisions"` - Number of minor cells per major cell
   """
 
   use Ecto.Schema
@@ -14,6 +21,7 @@ defmodule CollabCanvas.Canvases.CanvasUserViewport do
     field :viewport_x, :float
     field :viewport_y, :float
     field :zoom, :float
+    field :grid_settings, :map
 
     belongs_to :user, User
     belongs_to :canvas, Canvas
@@ -30,14 +38,67 @@ defmodule CollabCanvas.Canvases.CanvasUserViewport do
     * `:viewport_x` - X coordinate of viewport center (defaults to 0.0)
     * `:viewport_y` - Y coordinate of viewport center (defaults to 0.0)
     * `:zoom` - Zoom level (defaults to 1.0)
+    * `:grid_settings` - Grid settings map (see `normalize_grid_settings/1`)
   """
   def changeset(viewport, attrs) do
     viewport
-    |> cast(attrs, [:user_id, :canvas_id, :viewport_x, :viewport_y, :zoom])
+    |> cast(attrs, [:user_id, :canvas_id, :viewport_x, :viewport_y, :zoom, :grid_settings])
     |> validate_required([:user_id, :canvas_id, :viewport_x, :viewport_y, :zoom])
     |> validate_number(:zoom, greater_than: 0)
     |> unique_constraint([:user_id, :canvas_id])
     |> foreign_key_constraint(:user_id)
     |> foreign_key_constraint(:canvas_id)
   end
+
+  @default_grid_settings %{"visible" => false, "snap" => false, "spacing" => 100, "subdivisions" => 5}
+
+  @doc """
+  Returns the grid settings used when a user hasn't configured the grid.
+  """
+  def default_grid_settings, do: @default_grid_settings
+
+  @doc """
+  Normalizes grid settings from the client or the database.
+
+  Accepts string or atom keys and form values ("true", "25"), fills in
+  defaults for missing keys and clamps spacing to 4..1000 and subdivisions
+  to 1..20.
+
+  ## Examples
+
+      iex> normalize_grid_settings(%{"visible" => "true", "spacing" => "50"})
+      %{"visible" => true, "snap" => false, "spacing" => 50, "subdivisions" => 5}
+
+  """
+  def normalize_grid_settings(settings) when is_map(settings) do
+    settings = Map.new(settings, fn {key, value} -> {to_string(key), value} end)
+
+    %{
+      "visible" => to_boolean(settings["visible"], @default_grid_settings["visible"]),
+      "snap" => to_boolean(settings["snap"], @default_grid_settings["snap"]),
+      "spacing" => to_clamped_integer(settings["spacing"], @default_grid_settings["spacing"], 4, 1000),
+      "subdivisions" =>
+        to_clamped_integer(settings["subdivisions"], @default_grid_settings["subdivisions"], 1, 20)
+    }
+  end
+
+  def normalize_grid_settings(_settings), do: @default_grid_settings
+
+  defp to_boolean(value, _default) when is_boolean(value), do: value
+  defp to_boolean("true", _default), do: true
+  defp to_boolean("false", _default), do: false
+  defp to_boolean(_value, default), do: default
+
+  defp to_clamped_integer(value, default, low, high) when is_binary(value) do
+    case Integer.parse(value) do
+      {integer, _rest} -> to_clamped_integer(integer, default, low, high)
+      :error -> default
+    end
+  end
+
+  defp to_clamped_integer(value, _default, low, high) when is_number(value) do
+    value |> round() |> max(low) |> min(high)
+  end
+
+  defp to_clamped_integer(_value, default, _low, _high), do: default
 end
@@ -37,11 +37,13 @@ defmodule CollabCanvas.Canvases.Object do
     field(:instance_overrides, :string)
     field(:group_id, :binary_id)
     field(:z_index, :float, default: 0.0)
+    field(:client_id, :string)
 
     belongs_to(:canvas, Canvas)
     belongs_to(:component, Component)
 
-    timestamps(type: :utc_datetime)
+    # Microseconds, so offline sync can tell edits within the same second apart
+    timestamps(type: :utc_datetime_usec)
   end
 
   @doc """
@@ -60,6 +62,7 @@ defmodule CollabCanvas.Canvases.Object do
     * `:instance_overrides` - JSON string containing instance-specific overrides
     * `:group_id` - UUID indicating which group this object belongs to (for grouping)
     * `:z_index` - Float value indicating the layer order (higher values are in front)
+    * `:client_id` - The client's "local-..." id for objects created offline (unique per canvas)
 
   ## Validations
     * Type must be present and one of the allowed types
@@ -79,7 +82,8 @@ defmodule CollabCanvas.Canvases.Object do
       :is_main_component,
       :instance_overrides,
       :group_id,
-      :z_index
+      :z_index,
+      :client_id
     ])
     |> validate_required([:type, :canvas_id])
     |> validate_inclusion(:type, [
@@ -88,14 +92,19 @@ defmodule CollabCanvas.Canvases.Object do
       "ellipse",
       "text",
       "line",
+      "arrow",
+      "connector",
       "path",
       "star",
       "triangle",
-      "polygon"
+      "polygon",
+      "image",
+      "frame"
     ])
     |> validate_position()
     |> foreign_key_constraint(:canvas_id, name: "objects_canvas_id_fkey")
     |> foreign_key_constraint(:component_id, name: "objects_component_id_fkey")
+    |> unique_constraint([:canvas_id, :client_id])
   end
 
   # Private helper to validate position map structure
@@ -0,0 +1,356 @@
+defmodule CollabCanvas.OfflineSync do
+  @moduledoc """
+  Applies the operations a client queued while it was offline.
+
+  Collaborators kept editing while the client was away, so queued changes are
+  merged rather than replayed blindly. Each queued update and delete carries
+  the object's state as the client last saw it (its "base"). Field by field
+  (and `data` key by key):
+
+    * fields nobody else touched since the base take the offline value
+    * fields a collaborator changed go to the last writer: the offline edit wins
+      when its timestamp is at least the object's `updated_at`, otherwise the
+      collaborator's value stays. An edit without a timestamp never wins.
+
+  Timestamps come from the client's clock. When the batch says when it was
+  sent (`:sent_at`), they are shifted by the difference to our clock, and no
+  edit counts as later than the moment the batch arrived.
+
+  Every field decided against somebody's edit is reported as a conflict, so the
+  user can see what they overwrote and what they lost.
+
+  ## Operation Format
+
+  Operations arrive coalesced by the client (see offline_sync.js):
+
+      %{"type" => "create", "client_id" => "local-...", "object" => %{"type" => ..., "position" => ..., "data" => %{}}, "timestamp" => ms}
+      %{"type" => "update", "object_id" => 12, "changes" => %{"position" => ..., "data" => %{}}, "base" => state, "timestamp" => ms}
+      %{"type" => "delete", "object_id" => 12, "base" => state, "timestamp" => ms}
+
+  Updates and deletes of objects created offline refer to them by client id.
+  Created objects keep their client id, so a batch replayed after a lost reply
+  maps to the objects it created the first time instead of duplicating them.
+
+  ## Conflict Format
+
+      %{
+        "object_id" => 12,
+        "object_type" => "rectangle",
+        "action" => "update" | "delete" | "create",
+        "outcome" => "overwritten" | "lost",
+        "reason" => "edited" | "deleted" | "locked" | "invalid",
+        "fields" => ["position", "fill"]
+      }
+
+  "overwritten" means the offline change replaced a collaborator's; "lost"
+  means the offline change was dropped.
+  """
+
+  alias CollabCanvas.Canvases
+
+  # State fields compared as a whole; `data` is compared key by key
+  @state_fields ["type", "position", "z_index", "group_id"]
+
+  @doc """
+  Applies queued operations to a canvas, in order.
+
+  ## Options
+
+    * `:sent_at` - The client's clock (ms) when it sent the batch, to correct
+      the operations' timestamps for clock skew
+
+  ## Returns
+
+      %{
+        id_map: %{"local-..." => 42},  # client ids of objects created offline
+        objects: [%Object{}],          # created or updated objects, current state
+        deleted: [12],                 # ids of objects that are gone
+        conflicts: [%{...}]            # see the module doc, in operation order
+      }
+  """
+  def apply_operations(canvas_id, user_id, operations, opts \\ []) when is_list(operations) do
+    initial = %{id_map: %{}, objects: %{}, deleted: [], conflicts: []}
+    to_server_time = server_clock(Keyword.get(opts, :sent_at))
+
+    result =
+      operations
+      |> Enum.map(to_server_time)
+      |> Enum.reduce(initial, fn operation, acc ->
+        apply_operation(operation, acc, canvas_id, user_id)
+      end)
+
+    %{
+      id_map: result.id_map,
+      objects: Map.values(result.objects),
+      deleted: Enum.reverse(result.deleted),
+      conflicts: Enum.reverse(result.conflicts)
+    }
+  end
+
+  defp apply_operation(%{"type" => "create", "client_id" => client_id} = operation, acc, canvas_id, _user_id) do
+    # A replay (the client never got our reply) maps to the object created the first time
+    case Canvases.get_object_by_client_id(canvas_id, client_id) do
+      nil -> create_object(operation, acc, canvas_id)
+      existing -> put_created(acc, client_id, existing)
+    end
+  end
+
+  defp apply_operation(%{"type" => type} = operation, acc, canvas_id, user_id) when type in ["update", "delete"] do
+    id = Map.get(acc.id_map, operation["object_id"], operation["object_id"])
+    object = if is_integer(id), do: Canvases.get_object(id)
+
+    cond do
+      is_nil(object) or object.canvas_id != canvas_id ->
+        # Deleting something already gone is no loss
+        acc = %{acc | deleted: [id | acc.deleted]}
+        if type == "update", do: add_conflict(acc, id, nil, type, "lost", "deleted", []), else: acc
+
+      object.locked_by && object.locked_by != user_id ->
+        add_conflict(acc, id, object.type, type, "lost", "locked", [])
+
+      type == "update" ->
+        apply_update(object, operation, acc)
+
+      true ->
+        apply_delete(object, operation, acc)
+    end
+  end
+
+  defp apply_operation(_operation, acc, _canvas_id, _user_id), do: acc
+
+  defp create_object(%{"client_id" => client_id} = operation, acc, canvas_id) do
+    object = operation["object"] || %{}
+
+    attrs =
+      %{
+        position: object["position"] || %{"x" => 100, "y" => 100},
+        data: encode_data(object["data"] || %{}),
+        z_index: object["z_index"],
+        client_id: client_id
+      }
+      |> Enum.reject(fn {_k, v} -> is_nil(v) end)
+      |> Map.new()
+      |> put_group_id(object["group_id"])
+
+    case Canvases.create_object(canvas_id, object["type"], attrs) do
+      {:ok, created} ->
+        put_created(acc, client_id, created)
+
+      {:error, _changeset} ->
+        add_conflict(acc, client_id, object["type"], "create", "lost", "invalid", [])
+    end
+  end
+
+  defp put_created(acc, client_id, object) do
+    %{acc | id_map: Map.put(acc.id_map, client_id, object.id), objects: Map.put(acc.objects, object.id, object)}
+  end
+
+  defp apply_update(object, operation, acc) do
+    {attrs, overwritten, lost} =
+      merge_update(state(object), operation["changes"] || %{}, operation["base"], newer?(operation, object))
+
+    acc =
+      acc
+      |> add_conflict(object.id, object.type, "update", "overwritten", "edited", overwritten)
+      |> add_conflict(object.id, object.type, "update", "lost", "edited", lost)
+
+    if attrs == %{} do
+      acc
+    else
+      case Canvases.update_object(object.id, attrs) do
+        {:ok, updated} -> %{acc | objects: Map.put(acc.objects, updated.id, updated)}
+        {:error, _} -> add_conflict(acc, object.id, object.type, "update", "lost", "invalid", [])
+      end
+    end
+  end
+
+  defp apply_delete(object, operation, acc) do
+    edited = changed_fields(state(object), operation["base"])
+
+    if edited != [] and not newer?(operation, object) do
+      add_conflict(acc, object.id, object.type, "delete", "lost", "edited", edited)
+    else
+      acc = add_conflict(acc, object.id, object.type, "delete", "overwritten", "edited", edited)
+
+      case Canvases.delete_object(object.id) do
+        {:ok, _} -> %{acc | deleted: [object.id | acc.deleted], objects: Map.delete(acc.objects, object.id)}
+        {:error, _} -> acc
+      end
+    end
+  end
+
+  @doc """
+  Merges an offline update into an object's current state.
+
+  ## Parameters
+
+    * `current` - The object's state now, with `"data"` decoded to a map
+    * `changes` - Fields the offline edit set, `"data"` holding only the keys it set
+    * `base` - The object's state when the client went offline (nil: apply everything)
+    * `offline_newer?` - Whether the offline edit wins fields a collaborator changed
+
+  ## Returns
+
+    * `{attrs, overwritten, lost}` - attributes for `Canvases.update_object/2`
+      (empty when nothing changes) and the names of the fields that were decided
+      against a collaborator's edit or against the offline one
+
+  ## Examples
+
+      iex> merge_update(%{"position" => %{"x" => 5}, "data" => %{}}, %{"position" => %{"x" => 9}}, %{"position" => %{"x" => 0}, "data" => %{}}, false)
+      {%{}, [], ["position"]}
+
+  """
+  def merge_update(current, changes, base, offline_newer?) do
+    current_data = current["data"] || %{}
+    base_data = if base, do: base["data"] || %{}
+
+    fields =
+      for field <- @state_fields, Map.has_key?(changes, field) do
+        {field, current[field], if(base, do: {:ok, base[field]}, else: :error), changes[field]}
+      end
+
+    data_keys =
+      for {key, value} <- changes["data"] || %{} do
+        {{:data, key}, current_data[key], if(base_data, do: {:ok, base_data[key]}, else: :error), value}
+      end
+
+    {applied, overwritten, lost} =
+      Enum.reduce(fields ++ data_keys, {[], [], []}, fn {name, now, base_value, value}, {applied, overwritten, lost} ->
+        case decide(now, base_value, value, offline_newer?) do
+          :apply -> {[{name, value} | applied], overwritten, lost}
+          :overwrite -> {[{name, value} | applied], [field_name(name) | overwritten], lost}
+          :lose -> {applied, overwritten, [field_name(name) | lost]}
+          :skip -> {applied, overwritten, lost}
+        end
+      end)
+
+    {data_changes, field_changes} = Enum.split_with(applied, &match?({{:data, _}, _}, &1))
+
+    attrs =
+      Enum.reduce(field_changes, %{}, fn {field, value}, attrs ->
+        Map.put(attrs, String.to_existing_atom(field), value)
+      end)
+
+    attrs =
+      if data_changes == [] do
+        attrs
+      else
+        data = Enum.reduce(data_changes, current_data, fn {{:data, key}, value}, data -> Map.put(data, key, value) end)
+        Map.put(attrs, :data, encode_data(data))
+      end
+
+    {attrs, Enum.reverse(overwritten), Enum.reverse(lost)}
+  end
+
+  # No base: nothing to compare against, so the offline value goes in
+  defp decide(_now, :error, _value, _offline_newer?), do: :apply
+
+  defp decide(now, {:ok, base_value}, value, offline_newer?) do
+    cond do
+      same?(now, value) -> :skip
+      same?(now, base_value) -> :apply
+      offline_newer? -> :overwrite
+      true -> :lose
+    end
+  end
+
+  # Fields (and data keys) a collaborator changed since the base
+  defp changed_fields(_current, nil), do: []
+
+  defp changed_fields(current, base) do
+    fields = Enum.reject(@state_fields, &(not Map.has_key?(base, &1) or same?(current[&1], base[&1])))
+    current_data = current["data"] || %{}
+    base_data = base["data"] || %{}
+
+    keys =
+      (Map.keys(current_data) ++ Map.keys(base_data))
+      |> Enum.uniq()
+      |> Enum.reject(&same?(current_data[&1], base_data[&1]))
+
+    fields ++ keys
+  end
+
+  defp field_name({:data, key}), do: key
+  defp field_name(field), do: field
+
+  # Numbers compare by value (JSON may bring 1 back as 1.0)
+  defp same?(a, b) when is_number(a) and is_number(b), do: abs(a - b) < 1.0e-6
+
+  defp same?(a, b) when is_map(a) and is_map(b) do
+    keys = Enum.uniq(Map.keys(a) ++ Map.keys(b))
+    Enum.all?(keys, &same?(Map.get(a, &1), Map.get(b, &1)))
+  end
+
+  defp same?(a, b), do: a == b
+
+  # Returns a function moving an operation's timestamp onto our clock: shifted
+  # by the client's clock offset and never past the batch's arrival
+  defp server_clock(sent_at) do
+    now = System.os_time(:millisecond)
+    offset = if is_number(sent_at), do: now - sent_at, else: 0
+
+    fn
+      %{"timestamp" => timestamp} = operation when is_number(timestamp) ->
+        Map.put(operation, "timestamp", min(round(timestamp + offset), now))
+
+      operation ->
+        Map.delete(operation, "timestamp")
+    end
+  end
+
+  # Last writer wins: the offline edit's timestamp against the object's last save
+  # (compared in microseconds, the precision of updated_at)
+  defp newer?(%{"timestamp" => timestamp}, object) do
+    timestamp * 1000 >= DateTime.to_unix(object.updated_at, :microsecond)
+  end
+
+  # Without a timestamp there is no telling, so the collaborator's edit stands
+  defp newer?(_operation, _object), do: false
+
+  defp state(object) do
+    %{
+      "type" => object.type,
+      "position" => object.position,
+      "z_index" => object.z_index,
+      "group_id" => object.group_id,
+      "data" => decode_data(object.data)
+    }
+  end
+
+  defp add_conflict(acc, _id, _type, _action, _outcome, "edited", []), do: acc
+
+  defp add_conflict(acc, id, object_type, action, outcome, reason, fields) do
+    conflict = %{
+      "object_id" => id,
+      "object_type" => object_type,
+      "action" => action,
+      "outcome" => outcome,
+      "reason" => reason,
+      "fields" => fields
+    }
+
+    %{acc | conflicts: [conflict | acc.conflicts]}
+  end
+
+  defp put_group_id(attrs, group_id) when is_binary(group_id) do
+    case Ecto.UUID.cast(group_id) do
+      {:ok, group_id} -> Map.put(attrs, :group_id, group_id)
+      :error -> attrs
+    end
+  end
+
+  defp put_group_id(attrs, _group_id), do: attrs
+
+  defp decode_data(data) when is_binary(data) do
+    case Jason.decode(data) do
+      {:ok, decoded} when is_map(decoded) -> decoded
+      _ -> %{}
+    end
+  end
+
+  defp decode_data(_data), do: %{}
+
+  defp encode_data(data) when is_binary(data), do: data
+  defp encode_data(data), do: Jason.encode!(data)
+end
@@ -33,7 +33,8 @@ defmodule CollabCanvas.UndoHistory do
   alias CollabCanvas.Repo
   alias CollabCanvas.UndoHistory.HistoryEntry
 
-  @max_stack_size 50
+  # Same depth as the client-side history (see CanvasLive)
+  @max_stack_size Application.compile_env(:collab_canvas, :history_depth, 50)
 
   @doc """
   Pushes a new operation onto the undo stack and clears the redo stack.
@@ -160,6 +161,45 @@ defmodule CollabCanvas.UndoHistory do
     end
   end
 
+  @doc """
+  Moves the operations for a step the client has already undone onto the redo stack.
+
+  The client records and reverts its own steps, so the server only has to keep
+  its stacks in line. Operations are taken from the top of the undo stack while
+  each one touches only objects in `object_ids` that an operation taken before
+  it didn't - e.g. the single "batch_update" of a drag, or the "delete" per
+  object of a multi-object delete. An id listed more than once can be matched
+  by that many operations, for a client step that compacted several drags of
+  the same objects. A step the server never recorded (such as a text edit)
+  matches nothing and leaves the stacks as they are.
+
+  ## Returns
+
+    * `{:ok, operations}` - The operations moved, newest first (may be empty)
+
+  ## Examples
+
+      iex> undo_objects("user123", 1, [123])
+      {:ok, [%{"id" => "...", "type" => "batch_update", "objects" => [...]}]}
+
+  """
+  def undo_objects(user_id, canvas_id, object_ids) when is_list(object_ids) do
+    move_operations(user_id, canvas_id, object_ids, :undo_stack, :redo_stack)
+  end
+
+  @doc """
+  Moves the operations for a step the client has already redone back onto the undo stack.
+
+  Matches operations on the redo stack the same way as `undo_objects/3`.
+
+  ## Returns
+
+    * `{:ok, operations}` - The operations moved, newest first (may be empty)
+  """
+  def redo_objects(user_id, canvas_id, object_ids) when is_list(object_ids) do
+    move_operations(user_id, canvas_id, object_ids, :redo_stack, :undo_stack)
+  end
+
   @doc """
   Gets the current undo and redo stacks for a user on a canvas.
 
@@ -188,6 +228,26 @@ defmodule CollabCanvas.UndoHistory do
     }
   end
 
+  @doc """
+  Gets the ids of objects this user's history can bring back on a canvas.
+
+  Those are the objects of "delete" operations on the undo stack (undoing
+  re-creates them) and of "create" operations on the redo stack (redoing
+  re-creates them). Any other id a client asks to restore is not its to reuse.
+
+  ## Examples
+
+      iex> restorable_object_ids("user123", 1)
+      MapSet.new([123])
+
+  """
+  def restorable_object_ids(user_id, canvas_id) do
+    %{undo_stack: undo_stack, redo_stack: redo_stack} = get_stacks(user_id, canvas_id)
+
+    (operation_object_ids(undo_stack, "delete") ++ operation_object_ids(redo_stack, "create"))
+    |> MapSet.new()
+  end
+
   @doc """
   Clears all undo/redo history for a user on a canvas.
 
@@ -243,6 +303,12 @@ defmodule CollabCanvas.UndoHistory do
 
   # Private Helpers
 
+  defp operation_object_ids(stack, type) do
+    for %{"type" => ^type, "objects" => objects} <- stack,
+        %{"id" => id} <- objects,
+        do: id
+  end
+
   defp get_or_create_history(user_id, canvas_id) do
     case Repo.get_by(HistoryEntry, user_id: user_id, canvas_id: canvas_id) do
       nil ->
@@ -263,6 +329,40 @@ defmodule CollabCanvas.UndoHistory do
     end
   end
 
+  defp move_operations(user_id, canvas_id, object_ids, from, to) do
+    history = get_or_create_history(user_id, canvas_id)
+    {taken, remaining} = take_operations(Map.fetch!(history, from), Enum.frequencies(object_ids), [])
+
+    if taken == [] do
+      {:ok, []}
+    else
+      # The last operation taken ends up on top, as if each had been popped in turn
+      {:ok, _updated} =
+        history
+        |> HistoryEntry.changeset(%{
+          from => remaining,
+          to => Enum.take(taken ++ Map.fetch!(history, to), @max_stack_size)
+        })
+        |> Repo.update()
+
+      {:ok, Enum.reverse(taken)}
+    end
+  end
+
+  # `counts` maps each object id to how many more operations may still take it
+  defp take_operations([operation | rest] = stack, counts, taken) do
+    operation_ids = operation["objects"] |> List.wrap() |> Enum.map(& &1["id"]) |> Enum.uniq()
+
+    if operation_ids != [] and Enum.all?(operation_ids, &(Map.get(counts, &1, 0) > 0)) do
+      counts = Enum.reduce(operation_ids, counts, &Map.update!(&2, &1, fn count -> count - 1 end))
+      take_operations(rest, counts, [operation | taken])
+    else
+      {taken, stack}
+    end
+  end
+
+  defp take_operations([], _counts, taken), do: {taken, []}
+
   defp serialize_object_snapshot(snapshot) when is_map(snapshot) do
     # Ensure consistent JSON-serializable format
     %{
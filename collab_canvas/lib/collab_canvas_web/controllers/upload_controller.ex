@@ -0,0 +1,131 @@
+defmodule CollabCanvasWeb.UploadController do
+  @moduledoc """
+  Controller for storing images pasted onto the canvas.
+
+  Image objects reference their pixels by URL rather than embedding them in
+  the object data, so pasted PNG/JPEG blobs are uploaded here first and the
+  returned URL becomes the object's `src`.
+
+  ## API Endpoint
+
+  POST /api/canvases/:canvas_id/uploads
+  - Requires a logged-in session and the CSRF token (authenticated API pipeline)
+  - Accepts multipart/form-data with a "file" field (PNG or JPEG)
+  - Returns JSON with the public URL of the stored image
+
+  ## Storage
+
+  Files are written to the configured `:uploads_dir`, one directory per
+  canvas, under a random name and served at `/uploads` by their own
+  `Plug.Static` (see `CollabCanvasWeb.Endpoint`). The directory lives outside
+  the release so images survive deploys. The content type
+  is checked against the file's magic bytes, not just the client-supplied
+  header. SVG is deliberately not accepted: SVG served from our own origin
+  can run script, so pasted SVG markup stays inline as a data URL instead.
+  """
+  use CollabCanvasWeb, :controller
+  require Logger
+
+  alias CollabCanvas.Canvases
+
+  @max_upload_bytes 10 * 1024 * 1024
+
+  @doc """
+  Stores an uploaded image and returns its URL.
+
+  Expects a multipart form upload with a "file" field, for an existing canvas.
+
+  Returns JSON response:
+  - Success (201): `%{url: "/uploads/<canvas_id>/<name>.png", content_type: "image/png", size: 1234}`
+  - Error: `%{error: "error message"}`
+  """
+  def create(conn, %{"canvas_id" => canvas_id, "file" => %Plug.Upload{} = upload}) do
+    with {:ok, canvas} <- fetch_canvas(canvas_id),
+         {:ok, size} <- check_size(upload.path),
+         {:ok, content_type, ext} <- detect_type(upload.path),
+         {:ok, path} <- store(upload.path, canvas.id, ext) do
+      conn
+      |> put_status(:created)
+      |> json(%{url: "/uploads/#{path}", content_type: content_type, size: size})
+    else
+      {:error, :canvas_not_found} ->
+        conn
+        |> put_status(:not_found)
+        |> json(%{error: "Canvas not found"})
+
+      {:error, :too_large} ->
+        conn
+        |> put_status(:request_entity_too_large)
+        |> json(%{error: "Image exceeds #{div(@max_upload_bytes, 1024 * 1024)} MB"})
+
+      {:error, :unsupported_type} ->
+        conn
+        |> put_status(:unsupported_media_type)
+        |> json(%{error: "Only PNG and JPEG images are supported"})
+
+      {:error, reason} ->
+        Logger.error("Image upload failed: #{inspect(reason)}")
+
+        conn
+        |> put_status(:internal_server_error)
+        |> json(%{error: "Upload failed"})
+    end
+  end
+
+  def create(conn, _params) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{error: "Missing image file"})
+  end
+
+  @doc """
+  Returns the directory uploaded images are written to (`:uploads_dir` config).
+  """
+  def uploads_dir do
+    Application.fetch_env!(:collab_canvas, :uploads_dir)
+  end
+
+  # Private functions
+
+  # Any logged-in user can open any canvas, so existing is access enough
+  defp fetch_canvas(canvas_id) do
+    with {id, ""} <- Integer.parse(canvas_id),
+         %{} = canvas <- Canvases.get_canvas(id) do
+      {:ok, canvas}
+    else
+      _ -> {:error, :canvas_not_found}
+    end
+  end
+
+  defp check_size(path) do
+    case File.stat(path) do
+      {:ok, %File.Stat{size: size}} when size > @max_upload_bytes -> {:error, :too_large}
+      {:ok, %File.Stat{size: size}} -> {:ok, size}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp detect_type(path) do
+    with {:ok, file} <- File.open(path, [:read, :binary]) do
+      header = IO.binread(file, 8)
+      File.close(file)
+
+      case header do
+        <<0x89, "PNG", 0x0D, 0x0A, 0x1A, 0x0A>> -> {:ok, "image/png", ".png"}
+        <<0xFF, 0xD8, 0xFF, _::binary>> -> {:ok, "image/jpeg", ".jpg"}
+        _ -> {:error, :unsupported_type}
+      end
+    end
+  end
+
+  # Returns the stored file's path relative to uploads_dir/0
+  defp store(source_path, canvas_id, ext) do
+    path = Path.join(to_string(canvas_id), Ecto.UUID.generate() <> ext)
+    destination = Path.join(uploads_dir(), path)
+
+    with :ok <- File.mkdir_p(Path.dirname(destination)),
+         :ok <- File.cp(source_path, destination) do
+      {:ok, path}
+    end
+  end
+end
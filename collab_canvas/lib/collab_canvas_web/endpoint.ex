@@ -23,7 +23,8 @@ defmodule CollabCanvasWeb.Endpoint do
 
   The endpoint configures a series of Plugs that process requests in order:
 
-  1. `Plug.Static` - Serves static files from `priv/static` with conditional gzip compression
+  1. `Plug.Static` - Serves static files from `priv/static` with conditional gzip compression,
+     and pasted images from the configured uploads directory at `/uploads`
   2. Development-only plugs (when code reloading is enabled):
      - `Phoenix.LiveReloader` - Auto-reloads browser on code changes
      - `Phoenix.CodeReloader` - Recompiles code on each request
@@ -96,6 +97,12 @@ defmodule CollabCanvasWeb.Endpoint do
     gzip: not code_reloading?,
     only: CollabCanvasWeb.static_paths()
 
+  # Images pasted onto canvases live outside the release, so deploys keep them
+  # (see CollabCanvasWeb.UploadController.uploads_dir/0)
+  plug Plug.Static,
+    at: "/uploads",
+    from: {CollabCanvasWeb.UploadController, :uploads_dir, []}
+
   # Code reloading can be explicitly enabled under the
   # :code_reloader configuration of your endpoint.
   if code_reloading? do
@@ -61,6 +61,8 @@ defmodule CollabCanvasWeb.CanvasLive do
   - `:ai_command` - Current AI command text
   - `:ai_loading` - Boolean indicating AI processing state
   - `:ai_task_ref` - Reference to async AI task for monitoring
+  - `:ai_history_step` - The running AI command and the objects as it started,
+    to record its changes as one undoable step
 
   ## Event Flow
 
@@ -83,14 +85,32 @@ defmodule CollabCanvasWeb.CanvasLive do
   use CollabCanvasWeb, :live_view
 
   alias CollabCanvas.Canvases
+  alias CollabCanvas.Canvases.CanvasUserViewport
   alias CollabCanvas.ColorPalettes
   alias CollabCanvas.AI.Agent
   alias CollabCanvas.UndoHistory
+  alias CollabCanvas.OfflineSync
   alias CollabCanvasWeb.Presence
   alias CollabCanvasWeb.Plugs.Auth
 
   require Logger
 
+  # Undo steps each user's browser keeps (and stores across reloads) per canvas
+  @history_depth Application.compile_env(:collab_canvas, :history_depth, 50)
+
+  # Export dialog choices, as form strings (see export_event/2)
+  @default_export_options %{
+    "format" => "png",
+    "scale" => "2",
+    "background" => "transparent",
+    "background_color" => "#ffffff",
+    "padding" => "16",
+    "scope" => "all",
+    "frame_id" => ""
+  }
+  @export_formats ~w(png jpeg webp pdf svg json)
+  @export_scopes ~w(all selection region frame)
+
   @doc """
   Mounts the LiveView and initializes the collaborative canvas session.
 
@@ -155,6 +175,9 @@ defmodule CollabCanvasWeb.CanvasLive do
       # Load user's saved viewport position for this canvas
       viewport = Canvases.get_viewport(user.id, canvas_id)
 
+      grid_settings =
+        CanvasUserViewport.normalize_grid_settings((viewport && viewport.grid_settings) || %{})
+
       # Load user's undo/redo history stacks for this canvas
       history_stacks = UndoHistory.get_stacks(user_id, canvas_id)
 
@@ -172,6 +195,7 @@ defmodule CollabCanvasWeb.CanvasLive do
         |> assign(:ai_command, "")
         |> assign(:ai_loading, false)
         |> assign(:ai_task_ref, nil)
+        |> assign(:ai_history_step, nil)
         |> assign(:ai_interaction_history, [])
         |> assign(:show_labels, false)
         |> assign(:current_color, ColorPalettes.get_default_color(user.id))
@@ -182,7 +206,14 @@ defmodule CollabCanvasWeb.CanvasLive do
         |> assign(:operation_initial_states, %{})
         |> assign(:play_error_sound, ColorPalettes.get_play_error_sound(user.id))
         |> assign(:layers_panel_visible, false)
+        |> assign(:history_panel_visible, false)
+        |> assign(:history_depth, @history_depth)
+        |> assign(:offline_conflicts, [])
+        |> assign(:show_export_dialog, false)
+        |> assign(:export_options, @default_export_options)
         |> assign(:ai_panel_collapsed, false)
+        |> assign(:grid_settings, grid_settings)
+        |> push_event("grid_settings", grid_settings)
 
       # If viewport position exists, push it to the client to restore position
       socket =
@@ -224,6 +255,83 @@ defmodule CollabCanvasWeb.CanvasLive do
     Enum.random(colors)
   end
 
+  @doc false
+  # Keeps only the export dialog's fields from submitted form params
+  defp merge_export_options(options, changes) do
+    Map.merge(options, Map.take(changes, Map.keys(@default_export_options)))
+  end
+
+  @doc false
+  # Points frame scope at a frame that exists: the chosen one, else the selected
+  # frame, else the first; with no frames on the canvas it falls back to "all"
+  defp put_export_frame(%{"scope" => "frame"} = options, assigns) do
+    frame_ids = Enum.map(frame_choices(assigns.objects), &elem(&1, 0))
+    selected_ids = Enum.map(assigns.selected_object_ids, &to_string/1)
+
+    cond do
+      frame_ids == [] ->
+        %{options | "scope" => "all", "frame_id" => ""}
+
+      options["frame_id"] in frame_ids ->
+        options
+
+      true ->
+        %{options | "frame_id" => Enum.find(frame_ids, hd(frame_ids), &(&1 in selected_ids))}
+    end
+  end
+
+  defp put_export_frame(options, _assigns), do: options
+
+  @doc false
+  # The export_canvas payload for the canvas hook, which renders the file
+  # (image_export.js clamps the numbers again)
+  defp export_event(options, filename) do
+    %{
+      format: if(options["format"] in @export_formats, do: options["format"], else: "png"),
+      scale: export_number(options["scale"], 1),
+      background: if(options["background"] == "solid", do: options["background_color"]),
+      padding: export_number(options["padding"], 0),
+      scope: if(options["scope"] in @export_scopes, do: options["scope"], else: "all"),
+      frame_id: export_id(options["frame_id"]),
+      filename: filename
+    }
+  end
+
+  defp export_number(value, _default) when is_number(value), do: value
+
+  defp export_number(value, default) when is_binary(value) do
+    case Float.parse(value) do
+      {number, _rest} -> number
+      :error -> default
+    end
+  end
+
+  defp export_number(_value, default), do: default
+
+  defp export_id(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {id, ""} -> id
+      _ -> nil
+    end
+  end
+
+  defp export_id(_value), do: nil
+
+  @doc false
+  # {id, name} for each frame, as choices for the export dialog
+  defp frame_choices(objects) do
+    for %{type: "frame"} = object <- objects do
+      {to_string(object.id), frame_name(object)}
+    end
+  end
+
+  defp frame_name(object) do
+    case object.data && Jason.decode(object.data) do
+      {:ok, %{"name" => name}} when is_binary(name) and name != "" -> name
+      _ -> "Frame"
+    end
+  end
+
   @doc false
   # Helper function to conditionally play error sound based on user preference
   # Pushes play_error_sound event to JavaScript if user has enabled the setting
@@ -248,6 +356,9 @@ defmodule CollabCanvasWeb.CanvasLive do
     - "type" - Object type (e.g., "rectangle", "circle", "text")
     - "position" - Map with x, y coordinates (optional, defaults to {100, 100})
     - "data" - Object-specific data (color, size, text, etc.) as JSON or map
+    - "z_index" - Layer order (optional, defaults to 0.0)
+    - "group_id" - UUID of a group to create the object in (optional, e.g. groups
+      from an imported SVG)
 
   ## Broadcast
 
@@ -274,6 +385,20 @@ defmodule CollabCanvasWeb.CanvasLive do
       data: data
     }
 
+    # Optional explicit layer order (e.g. pasted objects keep their stacking)
+    attrs =
+      case params["z_index"] do
+        z_index when is_number(z_index) -> Map.put(attrs, :z_index, z_index)
+        _ -> attrs
+      end
+
+    # Optional group membership (the client assigns new group ids, e.g. on SVG import)
+    attrs =
+      case is_binary(params["group_id"]) && Ecto.UUID.cast(params["group_id"]) do
+        {:ok, group_id} -> Map.put(attrs, :group_id, group_id)
+        _ -> attrs
+      end
+
     case Canvases.create_object(canvas_id, type, attrs) do
       {:ok, object} ->
         # Capture operation for undo/redo
@@ -297,17 +422,106 @@ defmodule CollabCanvasWeb.CanvasLive do
           {:object_created, object}
         )
 
-        # Update local state and push to JavaScript immediately
+        # Update local state and push to JavaScript immediately (marked local so
+        # the client adds it to its own undo history)
         {:noreply,
          socket
          |> assign(:objects, [object | socket.assigns.objects])
-         |> push_event("object_created", %{object: object})}
+         |> push_event("object_created", %{object: object, local: true, operation_id: operation["id"]})}
 
       {:error, _changeset} ->
         {:noreply, put_flash(socket, :error, "Failed to create object")}
     end
   end
 
+  @doc """
+  Handles imports of canvas documents (see canvas_document.js).
+
+  Creates every object in one transaction so connectors can be pointed at the
+  new ids, then records a single undo operation for the whole import.
+
+  ## Parameters
+
+  - `params` - Map containing:
+    - "objects" - Objects from the document with their document "id", "type",
+      "position", "data" and optional "z_index", "group_id", "component_id" and
+      "instance_overrides"
+
+  ## Broadcast
+
+  Sends `{:object_created, object}` to PubSub topic for each imported object.
+
+  ## Returns
+
+  `{:noreply, socket}` with the imported objects or an error flash message.
+  """
+  @impl true
+  def handle_event("import_document", %{"objects" => objects}, socket) when is_list(objects) do
+    case insert_imported_objects(socket, objects) do
+      {:ok, [], socket} ->
+        {:noreply, socket}
+
+      {:ok, imported, socket} ->
+        {:noreply, put_flash(socket, :info, "Imported #{length(imported)} objects")}
+
+      {:error, changeset} ->
+        Logger.error("Failed to import canvas document: #{inspect(changeset)}")
+        {:noreply, put_flash(socket, :error, "Failed to import canvas document")}
+    end
+  end
+
+  @doc """
+  Handles pasting objects from the clipboard.
+
+  Pasted objects carry the ids they were copied from, so they are created like
+  an imported document: connectors between pasted objects are pointed at the
+  new copies, and the paste is a single undo step.
+
+  ## Parameters
+
+  - `params` - Map containing:
+    - "objects" - Pasted objects with their copied "id", "type", "position",
+      "data" and "z_index"
+
+  ## Returns
+
+  `{:noreply, socket}` with the pasted objects or an error flash message.
+  """
+  @impl true
+  def handle_event("paste_objects", %{"objects" => objects}, socket) when is_list(objects) do
+    case insert_imported_objects(socket, objects) do
+      {:ok, _pasted, socket} ->
+        {:noreply, socket}
+
+      {:error, changeset} ->
+        Logger.error("Failed to paste objects: #{inspect(changeset)}")
+        {:noreply, put_flash(socket, :error, "Failed to paste objects")}
+    end
+  end
+
+  @doc """
+  Reports a canvas document the client couldn't import.
+
+  ## Parameters
+
+  - `params` - Map containing:
+    - "errors" - Validation problems as "path: message" strings
+
+  ## Returns
+
+  `{:noreply, socket}` with an error flash naming the first problem.
+  """
+  @impl true
+  def handle_event("document_import_failed", params, socket) do
+    message =
+      case params["errors"] do
+        [error | _] when is_binary(error) -> "Couldn't import canvas document (#{error})"
+        _ -> "Couldn't import canvas document"
+      end
+
+    {:noreply, put_flash(socket, :error, message)}
+  end
+
   @doc """
   Handles object selection events from the client.
 
@@ -473,6 +687,7 @@ defmodule CollabCanvasWeb.CanvasLive do
     - "object_id" or "id" - ID of object to update
     - "position" - New position map with x, y coordinates (optional)
     - "data" - Updated object data as JSON or map (optional)
+    - "type" - New object type (optional), e.g. "path" when a star's points are edited
 
   ## Broadcast
 
@@ -541,6 +756,7 @@ defmodule CollabCanvasWeb.CanvasLive do
 
         attrs =
           %{
+            type: params["type"],
             position: params["position"],
             data: data
           }
@@ -574,6 +790,71 @@ defmodule CollabCanvasWeb.CanvasLive do
     end
   end
 
+  @doc """
+  Handles the operations a client queued while it was offline.
+
+  The operations are merged against what collaborators changed in the meantime
+  (see `CollabCanvas.OfflineSync`) and the results broadcast like any other
+  change. Conflicts are listed in a report the user can dismiss.
+
+  ## Parameters
+
+  - `params` - Map containing:
+    - "operations" - Coalesced queued operations, oldest first
+    - "queue_ids" - Ids of the queue entries they came from, echoed back so the
+      client can clear them
+
+  ## Returns
+
+  `{:noreply, socket}` after pushing "offline_sync_result" with the client id
+  mapping, the current state of the objects touched and the deleted ids.
+  """
+  @impl true
+  def handle_event("sync_offline_operations", %{"operations" => operations} = params, socket)
+      when is_list(operations) do
+    %{canvas_id: canvas_id, user_id: user_id, topic: topic} = socket.assigns
+    result = OfflineSync.apply_operations(canvas_id, user_id, operations, sent_at: params["sent_at"])
+    created_ids = MapSet.new(Map.values(result.id_map))
+    touched_ids = MapSet.new(result.objects, & &1.id)
+    deleted_ids = Enum.filter(result.deleted, &is_integer/1)
+
+    # Update local state first so our own broadcasts below are recognized
+    objects =
+      socket.assigns.objects
+      |> Enum.reject(&(MapSet.member?(touched_ids, &1.id) or &1.id in deleted_ids))
+      |> Enum.concat(result.objects)
+
+    Enum.each(result.objects, fn object ->
+      message =
+        if MapSet.member?(created_ids, object.id),
+          do: {:object_created, object},
+          else: {:object_updated, object, user_id}
+
+      Phoenix.PubSub.broadcast(CollabCanvas.PubSub, topic, message)
+    end)
+
+    Enum.each(deleted_ids, &Phoenix.PubSub.broadcast(CollabCanvas.PubSub, topic, {:object_deleted, &1}))
+
+    {:noreply,
+     socket
+     |> assign(:objects, objects)
+     |> assign(:offline_conflicts, result.conflicts)
+     |> push_event("offline_sync_result", %{
+       id_map: result.id_map,
+       objects: result.objects,
+       deleted: result.deleted,
+       queue_ids: params["queue_ids"] || []
+     })}
+  end
+
+  @doc """
+  Closes the report of conflicts from the last offline sync.
+  """
+  @impl true
+  def handle_event("dismiss_offline_conflicts", _params, socket) do
+    {:noreply, assign(socket, :offline_conflicts, [])}
+  end
+
   @doc """
   Handles color update events for selected objects.
 
@@ -663,18 +944,21 @@ defmodule CollabCanvasWeb.CanvasLive do
   end
 
   @doc """
-  Handles batch object update events from the client (for multi-object dragging).
+  Handles batch object update events from the client (for multi-object dragging
+  and group rotate/resize).
 
   Updates multiple canvas objects in a single database transaction and broadcasts
   the changes to all connected clients. This is more efficient than individual
-  updates when dragging multiple selected objects.
+  updates when dragging or transforming multiple selected objects.
 
   ## Parameters
 
   - `params` - Map containing:
     - "updates" - List of update maps, each containing:
       - "object_id" or "id" - ID of object to update
-      - "position" - New position map with x, y coordinates
+      - "position" - New position map with x, y coordinates (optional)
+      - "data" - Partial data map merged into the object's data (optional),
+        e.g. `%{"rotation" => 45}` or `%{"width" => 120, "height" => 80}`
 
   ## Broadcast
 
@@ -722,7 +1006,13 @@ defmodule CollabCanvasWeb.CanvasLive do
 
             _ ->
               # Object is unlocked or locked by current user, proceed with update
-              attrs = %{position: update_params["position"]}
+              attrs =
+                %{
+                  position: update_params["position"],
+                  data: merge_partial_data(objects_before[object_id], update_params["data"])
+                }
+                |> Enum.reject(fn {_k, v} -> is_nil(v) end)
+                |> Map.new()
 
               case Canvases.update_object(object_id, attrs) do
                 {:ok, updated_object} ->
@@ -1065,6 +1355,20 @@ defmodule CollabCanvasWeb.CanvasLive do
 
         case Canvases.create_object(socket.assigns.canvas_id, object.type, attrs) do
           {:ok, new_object} ->
+            # Capture operation for undo/redo
+            operation = UndoHistory.create_operation("create", [
+              %{
+                id: new_object.id,
+                before: nil,
+                after: %{
+                  "type" => new_object.type,
+                  "position" => new_object.position,
+                  "data" => new_object.data
+                }
+              }
+            ])
+            UndoHistory.push_operation(socket.assigns.user_id, socket.assigns.canvas_id, operation)
+
             # Broadcast to all connected clients
             Phoenix.PubSub.broadcast(
               CollabCanvas.PubSub,
@@ -1072,10 +1376,16 @@ defmodule CollabCanvasWeb.CanvasLive do
               {:object_created, new_object}
             )
 
-            # Update local state
-            socket = update(socket, :objects, fn objects -> objects ++ [new_object] end)
-
-            {:noreply, socket}
+            # Update local state; the broadcast skips us since the object is
+            # already in our list, so push it to our own canvas here
+            {:noreply,
+             socket
+             |> update(:objects, fn objects -> objects ++ [new_object] end)
+             |> push_event("object_created", %{
+               object: new_object,
+               local: true,
+               operation_id: operation["id"]
+             })}
 
           {:error, changeset} ->
             Logger.error("Failed to duplicate object: #{inspect(changeset)}")
@@ -1308,7 +1618,8 @@ defmodule CollabCanvasWeb.CanvasLive do
         Canvases.update_object(update.id, %{position: update.position})
       end)
 
-      # Broadcast to all clients (include originating user_id to prevent self-update)
+      # Broadcast to all clients, including the originator: unlike a drag, the
+      # requesting client has no optimistic update and needs the new positions
       updated_objects =
         Enum.map(updates, fn update ->
           Canvases.get_object(update.id)
@@ -1317,7 +1628,7 @@ defmodule CollabCanvasWeb.CanvasLive do
       Phoenix.PubSub.broadcast(
         CollabCanvas.PubSub,
         socket.assigns.topic,
-        {:objects_updated_batch, updated_objects, socket.assigns.user_id}
+        {:objects_updated_batch, updated_objects, nil}
       )
 
       {:noreply, socket}
@@ -1382,7 +1693,8 @@ defmodule CollabCanvasWeb.CanvasLive do
         Canvases.update_object(update.id, %{position: update.position})
       end)
 
-      # Broadcast to all clients (include originating user_id to prevent self-update)
+      # Broadcast to all clients, including the originator: unlike a drag, the
+      # requesting client has no optimistic update and needs the new positions
       updated_objects =
         Enum.map(updates, fn update ->
           Canvases.get_object(update.id)
@@ -1391,7 +1703,7 @@ defmodule CollabCanvasWeb.CanvasLive do
       Phoenix.PubSub.broadcast(
         CollabCanvas.PubSub,
         socket.assigns.topic,
-        {:objects_updated_batch, updated_objects, socket.assigns.user_id}
+        {:objects_updated_batch, updated_objects, nil}
       )
 
       {:noreply, socket}
@@ -1535,7 +1847,9 @@ defmodule CollabCanvasWeb.CanvasLive do
          socket
          |> assign(:ai_loading, true)
          |> assign(:ai_task_ref, task.ref)
+         |> assign(:ai_history_step, %{command: command, objects: socket.assigns.objects})
          |> assign(:ai_interaction_history, history)
+         |> push_event("ai_command_started", %{})
          |> clear_flash()}
     end
   end
@@ -1555,7 +1869,16 @@ defmodule CollabCanvasWeb.CanvasLive do
   - "select" - Selection and move tool (keyboard: S)
   - "rectangle" - Rectangle drawing tool (keyboard: R)
   - "circle" - Circle drawing tool (keyboard: C)
+  - "star" - Star drawing tool, arrow up/down while dragging changes the points (keyboard: X)
+  - "triangle" - Triangle drawing tool (keyboard: V)
+  - "polygon" - Polygon drawing tool, arrow up/down while dragging changes the sides (keyboard: H)
   - "text" - Text insertion tool (keyboard: T)
+  - "line" - Line drawing tool (keyboard: N)
+  - "arrow" - Arrow drawing tool (keyboard: A)
+  - "connector" - Connector tool, drag from one object to another (keyboard: K)
+  - "frame" - Frame tool, drag out a named frame that clips what's placed in it (keyboard: F)
+  - "pen" - Vector pen tool, click for corners and drag for curves (keyboard: P)
+  - "pencil" - Freehand pencil tool (keyboard: Shift+P)
   - "delete" - Object deletion tool (keyboard: D)
 
   ## Returns
@@ -1585,6 +1908,31 @@ defmodule CollabCanvasWeb.CanvasLive do
      |> push_event("select_object_from_layer", %{object_id: object_id})}
   end
 
+  @doc """
+  Zooms the canvas to a frame from the layers panel.
+  """
+  def handle_event("zoom_to_frame", %{"object-id" => object_id_str}, socket) do
+    object_id = String.to_integer(object_id_str)
+
+    {:noreply, push_event(socket, "zoom_to_frame", %{object_id: object_id})}
+  end
+
+  @doc """
+  Opens the export dialog set up to export one frame from the layers panel.
+  """
+  def handle_event("export_frame", %{"object-id" => object_id_str}, socket) do
+    options =
+      merge_export_options(socket.assigns.export_options, %{
+        "scope" => "frame",
+        "frame_id" => object_id_str
+      })
+
+    {:noreply,
+     socket
+     |> assign(:export_options, options)
+     |> assign(:show_export_dialog, true)}
+  end
+
   @doc """
   Handles cursor position update events from the client.
 
@@ -1651,6 +1999,45 @@ defmodule CollabCanvasWeb.CanvasLive do
     {:noreply, socket}
   end
 
+  @doc """
+  Handles grid settings changes from the toolbar form or the client.
+
+  Merges the changed keys into the current settings, saves them with the
+  user's viewport for this canvas and pushes the result to the client.
+
+  ## Parameters
+
+  - `params` - Map (or `"grid"` form params) with any of:
+    - "visible" - Whether the grid is drawn
+    - "snap" - Whether to snap to the grid
+    - "spacing" - Major grid spacing in canvas units
+    - "subdivisions" - Minor cells per major cell
+
+  ## Returns
+
+  `{:noreply, socket}` with updated grid settings
+  """
+  @impl true
+  def handle_event("update_grid", params, socket) do
+    user = socket.assigns.current_user
+    canvas_id = socket.assigns.canvas_id
+    changes = Map.get(params, "grid", params)
+
+    grid_settings =
+      socket.assigns.grid_settings
+      |> Map.merge(Map.take(changes, ["visible", "snap", "spacing", "subdivisions"]))
+      |> CanvasUserViewport.normalize_grid_settings()
+
+    Task.start(fn ->
+      Canvases.save_grid_settings(user.id, canvas_id, grid_settings)
+    end)
+
+    {:noreply,
+     socket
+     |> assign(:grid_settings, grid_settings)
+     |> push_event("grid_settings", grid_settings)}
+  end
+
   @doc """
   Handles component instantiation via drag-and-drop from the components panel.
 
@@ -1755,6 +2142,57 @@ defmodule CollabCanvasWeb.CanvasLive do
     {:noreply, assign(socket, :layers_panel_visible, !socket.assigns.layers_panel_visible)}
   end
 
+  @doc """
+  Toggles the visibility of the history panel.
+
+  The panel's contents are rendered client-side by the HistoryPanel hook from
+  the canvas' local history.
+  """
+  @impl true
+  def handle_event("toggle_history_panel", _params, socket) do
+    {:noreply, assign(socket, :history_panel_visible, !socket.assigns.history_panel_visible)}
+  end
+
+  @doc """
+  Toggles the export dialog.
+  """
+  @impl true
+  def handle_event("toggle_export_dialog", _params, socket) do
+    {:noreply, assign(socket, :show_export_dialog, !socket.assigns.show_export_dialog)}
+  end
+
+  @doc """
+  Keeps the export dialog's choices as they are edited (and for the next export).
+  """
+  @impl true
+  def handle_event("update_export_options", params, socket) do
+    options =
+      socket.assigns.export_options
+      |> merge_export_options(Map.get(params, "export", %{}))
+      |> put_export_frame(socket.assigns)
+    {:noreply, assign(socket, :export_options, options)}
+  end
+
+  @doc """
+  Exports the canvas with the export dialog's options.
+
+  The file is rendered and downloaded on the client, so this closes the dialog
+  and pushes the options to the canvas hook as an `export_canvas` event.
+  """
+  @impl true
+  def handle_event("export_canvas", params, socket) do
+    options =
+      socket.assigns.export_options
+      |> merge_export_options(Map.get(params, "export", %{}))
+      |> put_export_frame(socket.assigns)
+
+    {:noreply,
+     socket
+     |> assign(:export_options, options)
+     |> assign(:show_export_dialog, false)
+     |> push_event("export_canvas", export_event(options, socket.assigns.canvas.name))}
+  end
+
   @doc """
   Toggles the collapsed state of the AI panel.
   """
@@ -1841,16 +2279,11 @@ defmodule CollabCanvasWeb.CanvasLive do
           object = Canvases.get_object(object_id)
           before_state = Map.get(initial_states, object_id)
 
-          if object && before_state do
-            %{
-              id: object_id,
-              before: before_state,
-              after: %{
-                "type" => object.type,
-                "position" => object.position,
-                "data" => object.data
-              }
-            }
+          after_state =
+            object && %{"type" => object.type, "position" => object.position, "data" => object.data}
+
+          if after_state && before_state && after_state != before_state do
+            %{id: object_id, before: before_state, after: after_state}
           else
             nil
           end
@@ -1875,13 +2308,31 @@ defmodule CollabCanvasWeb.CanvasLive do
   @doc """
   Handles undo operation for the current user.
 
-  Pops the most recent operation from the undo stack, applies the inverse changes
-  (restores "before" states), and pushes the operation onto the redo stack.
+  The client keeps its own history and reverts a step on its canvas before
+  sending it here with the states it settled on:
+
+  - "changes" - List of maps with "action" ("create", "update" or "delete"),
+    "id" and, for creates and updates, the object's "type", "position", "data",
+    "z_index" and "group_id". Deleted objects come back with their original id,
+    as long as this user's history deleted them; otherwise the client is told
+    to drop its copy with an `object_deleted` event.
+  - "object_ids" - Objects the step touched when the server recorded the same
+    change; matching operations move from the undo to the redo stack
+    (see `UndoHistory.undo_objects/3`)
+
+  Without changes (nothing recorded in the client's session, e.g. after a
+  reload), pops the most recent operation from the undo stack, applies the
+  inverse changes (restores "before" states), and pushes the operation onto
+  the redo stack.
 
   ## Returns
 
   `{:noreply, socket}` with updated stacks and restored object states.
   """
+  def handle_event("undo", %{"changes" => changes} = params, socket) when is_list(changes) do
+    apply_client_history(socket, :undo, changes, params["object_ids"])
+  end
+
   def handle_event("undo", _params, socket) do
     user_id = socket.assigns.user_id
     canvas_id = socket.assigns.canvas_id
@@ -1907,13 +2358,19 @@ defmodule CollabCanvasWeb.CanvasLive do
   @doc """
   Handles redo operation for the current user.
 
-  Pops the most recent operation from the redo stack, reapplies the changes
-  (restores "after" states), and pushes the operation back onto the undo stack.
+  Takes the same "changes" and "object_ids" as undo when the client has
+  already redone a step itself. Otherwise pops the most recent operation from
+  the redo stack, reapplies the changes (restores "after" states), and pushes
+  the operation back onto the undo stack.
 
   ## Returns
 
   `{:noreply, socket}` with updated stacks and reapplied object states.
   """
+  def handle_event("redo", %{"changes" => changes} = params, socket) when is_list(changes) do
+    apply_client_history(socket, :redo, changes, params["object_ids"])
+  end
+
   def handle_event("redo", _params, socket) do
     user_id = socket.assigns.user_id
     canvas_id = socket.assigns.canvas_id
@@ -2380,7 +2837,8 @@ defmodule CollabCanvasWeb.CanvasLive do
       {:noreply,
        socket
        |> assign(:ai_loading, false)
-       |> assign(:ai_task_ref, nil)}
+       |> assign(:ai_task_ref, nil)
+       |> assign(:ai_history_step, nil)}
     else
       {:noreply, socket}
     end
@@ -2502,57 +2960,290 @@ defmodule CollabCanvasWeb.CanvasLive do
     :ok
   end
 
-  @doc false
-  # Applies an undo operation by restoring "before" states of all affected objects.
-  # Handles create (delete object), delete (recreate object), and update (restore previous state).
-  defp apply_undo_operation(socket, operation) do
+  # Creates imported or pasted objects in one go and records them as a single
+  # undo operation; each is broadcast and pushed to the client as its own creation
+  defp insert_imported_objects(socket, objects) do
     canvas_id = socket.assigns.canvas_id
-    topic = socket.assigns.topic
-    operation_type = operation["type"]
-    objects = operation["objects"] || []
 
-    case operation_type do
-      "create" ->
-        # Undo create = delete the objects
-        Enum.each(objects, fn obj_snapshot ->
-          object_id = obj_snapshot["id"]
+    case Canvases.import_objects(canvas_id, objects) do
+      {:ok, []} ->
+        {:ok, [], socket}
 
-          case Canvases.delete_object(object_id) do
-            {:ok, _} ->
-              Phoenix.PubSub.broadcast(CollabCanvas.PubSub, topic, {:object_deleted, object_id})
-              Logger.info("Undo create: deleted object #{object_id}")
+      {:ok, imported} ->
+        operation =
+          UndoHistory.create_operation(
+            "create",
+            Enum.map(imported, fn object ->
+              %{
+                id: object.id,
+                before: nil,
+                after: %{"type" => object.type, "position" => object.position, "data" => object.data}
+              }
+            end)
+          )
 
-            _ ->
-              :ok
-          end
-        end)
+        UndoHistory.push_operation(socket.assigns.user_id, canvas_id, operation)
 
-        # Update local state
-        updated_objects =
-          socket.assigns.objects
-          |> Enum.reject(fn obj -> Enum.any?(objects, fn s -> s["id"] == obj.id end) end)
+        socket =
+          Enum.reduce(imported, socket, fn object, socket ->
+            Phoenix.PubSub.broadcast(CollabCanvas.PubSub, socket.assigns.topic, {:object_created, object})
 
-        assign(socket, :objects, updated_objects)
+            socket
+            |> update(:objects, &[object | &1])
+            |> push_event("object_created", %{object: object, local: true, operation_id: operation["id"]})
+          end)
 
-      "delete" ->
-        # Undo delete = recreate the objects from "before" state
-        created_objects =
-          Enum.map(objects, fn obj_snapshot ->
-            before_state = obj_snapshot["before"]
+        {:ok, imported, socket}
 
-            if before_state do
-              attrs = %{
-                position: before_state["position"],
-                data: before_state["data"]
-              }
+      {:error, changeset} ->
+        {:error, changeset}
+    end
+  end
 
-              type = before_state["type"] || "rectangle"
+  # Records what an AI command created and changed as one step: "create" and
+  # "batch_update" UndoHistory operations here, and a single history entry
+  # labelled after the command on the client (see ai_command_started)
+  defp record_ai_history(%{assigns: %{ai_history_step: %{} = step}} = socket, created, updated)
+       when created != [] or updated != [] do
+    user_id = socket.assigns.user_id
+    canvas_id = socket.assigns.canvas_id
+    created_ids = Enum.map(created, & &1.id)
+    before = Map.new(step.objects, &{&1.id, &1})
+
+    # Latest state first; objects the command also created undo with their create
+    updates =
+      updated
+      |> Enum.uniq_by(& &1.id)
+      |> Enum.reject(&(&1.id in created_ids))
+      |> Enum.flat_map(fn object ->
+        case Map.fetch(before, object.id) do
+          {:ok, previous} ->
+            [%{id: object.id, before: ai_history_state(previous), after: ai_history_state(object)}]
+
+          :error ->
+            []
+        end
+      end)
 
-              case Canvases.create_object(canvas_id, type, attrs) do
-                {:ok, new_object} ->
-                  Phoenix.PubSub.broadcast(CollabCanvas.PubSub, topic, {:object_created, new_object})
-                  Logger.info("Undo delete: recreated object #{new_object.id}")
-                  new_object
+    if created != [] do
+      operation =
+        UndoHistory.create_operation(
+          "create",
+          Enum.map(created, &%{id: &1.id, before: nil, after: ai_history_state(&1)})
+        )
+
+      UndoHistory.push_operation(user_id, canvas_id, operation)
+    end
+
+    if updates != [] do
+      UndoHistory.push_operation(user_id, canvas_id, UndoHistory.create_operation("batch_update", updates))
+    end
+
+    history_stacks = UndoHistory.get_stacks(user_id, canvas_id)
+
+    socket
+    |> assign(:undo_stack, history_stacks.undo_stack)
+    |> assign(:redo_stack, history_stacks.redo_stack)
+    |> push_event("ai_changes", %{
+      label: "AI: #{step.command}",
+      object_ids: Enum.uniq(created_ids ++ Enum.map(updates, & &1.id))
+    })
+  end
+
+  defp record_ai_history(socket, _created, _updated), do: socket
+
+  defp ai_history_state(object) do
+    %{"type" => object.type, "position" => object.position, "data" => object.data}
+  end
+
+  # Merges a partial data map from a batch update into the object's stored JSON data.
+  # Returns nil (no data change) when the update carries no data.
+  defp merge_partial_data(object, data) when is_map(data) and data != %{} do
+    existing_data =
+      if object && object.data do
+        Jason.decode!(object.data)
+      else
+        %{}
+      end
+
+    existing_data
+    |> Map.merge(data)
+    |> Jason.encode!()
+  end
+
+  defp merge_partial_data(_object, _data), do: nil
+
+  # Stores an undo/redo step the client already applied, then moves the server's
+  # matching operations so both histories stay in step
+  defp apply_client_history(socket, direction, changes, object_ids) do
+    user_id = socket.assigns.user_id
+    canvas_id = socket.assigns.canvas_id
+
+    # Only objects this user's history deleted may come back with their ids
+    restorable = UndoHistory.restorable_object_ids(user_id, canvas_id)
+    socket = Enum.reduce(changes, socket, &apply_history_change(&1, &2, restorable))
+    object_ids = object_ids |> List.wrap() |> Enum.filter(&is_integer/1)
+
+    case direction do
+      :undo -> UndoHistory.undo_objects(user_id, canvas_id, object_ids)
+      :redo -> UndoHistory.redo_objects(user_id, canvas_id, object_ids)
+    end
+
+    history_stacks = UndoHistory.get_stacks(user_id, canvas_id)
+
+    {:noreply,
+     socket
+     |> assign(:undo_stack, history_stacks.undo_stack)
+     |> assign(:redo_stack, history_stacks.redo_stack)}
+  end
+
+  defp apply_history_change(%{"action" => "create", "id" => id} = change, socket, restorable)
+       when is_integer(id) do
+    with true <- MapSet.member?(restorable, id) || {:error, :not_in_history},
+         {:ok, object} <- Canvases.restore_object(socket.assigns.canvas_id, id, history_attrs(change)) do
+      Phoenix.PubSub.broadcast(CollabCanvas.PubSub, socket.assigns.topic, {:object_created, object})
+      update(socket, :objects, &[object | &1])
+    else
+      {:error, reason} ->
+        Logger.warning("Failed to restore object #{id} from history: #{inspect(reason)}")
+        # The client already brought it back on its canvas; take it off again
+        push_event(socket, "object_deleted", %{object_id: id})
+    end
+  end
+
+  defp apply_history_change(%{"action" => action, "id" => id} = change, socket, _restorable)
+       when action in ["update", "delete"] and is_integer(id) do
+    user_id = socket.assigns.user_id
+    topic = socket.assigns.topic
+    object = Canvases.get_object(id)
+
+    cond do
+      is_nil(object) or object.canvas_id != socket.assigns.canvas_id ->
+        socket
+
+      # Objects another user is editing right now are theirs
+      match?({:locked, locked_by} when locked_by != user_id, Canvases.check_lock(id)) ->
+        socket
+
+      action == "delete" ->
+        case Canvases.delete_object(id) do
+          {:ok, _} ->
+            Phoenix.PubSub.broadcast(CollabCanvas.PubSub, topic, {:object_deleted, id})
+            update(socket, :objects, fn objects -> Enum.reject(objects, &(&1.id == id)) end)
+
+          _ ->
+            socket
+        end
+
+      true ->
+        case Canvases.update_object(id, history_attrs(change)) do
+          {:ok, updated_object} ->
+            Phoenix.PubSub.broadcast(CollabCanvas.PubSub, topic, {:object_updated, updated_object, user_id})
+
+            update(socket, :objects, fn objects ->
+              Enum.map(objects, fn obj -> if obj.id == id, do: updated_object, else: obj end)
+            end)
+
+          _ ->
+            socket
+        end
+    end
+  end
+
+  defp apply_history_change(_change, socket, _restorable), do: socket
+
+  # Object attributes from a history state (data arrives as a map)
+  defp history_attrs(change) do
+    attrs =
+      %{
+        type: change["type"],
+        position: change["position"],
+        data: if(is_map(change["data"]), do: Jason.encode!(change["data"])),
+        z_index: change["z_index"]
+      }
+      |> Enum.reject(fn {_k, v} -> is_nil(v) end)
+      |> Map.new()
+
+    # A nil group_id takes the object out of its group
+    if Map.has_key?(change, "group_id"), do: Map.put(attrs, :group_id, change["group_id"]), else: attrs
+  end
+
+  # One line of the offline conflict report (see CollabCanvas.OfflineSync)
+  defp describe_offline_conflict(%{"action" => "create"} = conflict) do
+    "A #{conflict["object_type"] || "shape"} you created offline could not be saved"
+  end
+
+  defp describe_offline_conflict(conflict) do
+    object = "#{conflict["object_type"] || "object"} ##{conflict["object_id"]}"
+    fields = Enum.join(conflict["fields"] || [], ", ")
+
+    change =
+      if conflict["action"] == "delete",
+        do: "Your offline delete of #{object}",
+        else: "Your offline changes to #{object}"
+
+    case {conflict["action"], conflict["outcome"], conflict["reason"]} do
+      {"update", "overwritten", _} -> "#{change} replaced a collaborator's edits to #{fields}"
+      {"delete", "overwritten", _} -> "#{change} also removed a collaborator's edits to #{fields}"
+      {"update", "lost", "edited"} -> "#{change} were dropped for #{fields}: a collaborator edited them later"
+      {"delete", "lost", "edited"} -> "#{change} was dropped: a collaborator edited #{fields} later"
+      {_, "lost", "deleted"} -> "#{change} were dropped: a collaborator deleted it"
+      {_, "lost", "locked"} -> "#{change} could not be applied: someone else is editing it"
+      _ -> "#{change} could not be saved"
+    end
+  end
+
+  @doc false
+  # Applies an undo operation by restoring "before" states of all affected objects.
+  # Handles create (delete object), delete (recreate object), and update (restore previous state).
+  defp apply_undo_operation(socket, operation) do
+    canvas_id = socket.assigns.canvas_id
+    topic = socket.assigns.topic
+    operation_type = operation["type"]
+    objects = operation["objects"] || []
+
+    case operation_type do
+      "create" ->
+        # Undo create = delete the objects
+        Enum.each(objects, fn obj_snapshot ->
+          object_id = obj_snapshot["id"]
+
+          case Canvases.delete_object(object_id) do
+            {:ok, _} ->
+              Phoenix.PubSub.broadcast(CollabCanvas.PubSub, topic, {:object_deleted, object_id})
+              Logger.info("Undo create: deleted object #{object_id}")
+
+            _ ->
+              :ok
+          end
+        end)
+
+        # Update local state
+        updated_objects =
+          socket.assigns.objects
+          |> Enum.reject(fn obj -> Enum.any?(objects, fn s -> s["id"] == obj.id end) end)
+
+        assign(socket, :objects, updated_objects)
+
+      "delete" ->
+        # Undo delete = recreate the objects from "before" state
+        created_objects =
+          Enum.map(objects, fn obj_snapshot ->
+            before_state = obj_snapshot["before"]
+
+            if before_state do
+              attrs = %{
+                position: before_state["position"],
+                data: before_state["data"]
+              }
+
+              type = before_state["type"] || "rectangle"
+
+              case Canvases.create_object(canvas_id, type, attrs) do
+                {:ok, new_object} ->
+                  Phoenix.PubSub.broadcast(CollabCanvas.PubSub, topic, {:object_created, new_object})
+                  Logger.info("Undo delete: recreated object #{new_object.id}")
+                  new_object
 
                 _ ->
                   nil
@@ -3284,6 +3975,7 @@ defmodule CollabCanvasWeb.CanvasLive do
               end)
 
             socket_with_all
+            |> record_ai_history(created_objects, updated_objects)
             |> add_ai_response.(message)
             |> assign(:objects, final_objects)
             |> assign(:ai_command, "")
@@ -3403,6 +4095,21 @@ defmodule CollabCanvasWeb.CanvasLive do
           <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">S</span>
         </button>
 
+        <button
+          phx-click="select_tool"
+          phx-value-tool="frame"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "frame" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Frame Tool (F) - Click & drag to create a frame"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-width="2" d="M8 3v18M16 3v18M3 8h18M3 16h18" />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">F</span>
+        </button>
+
         <button
           phx-click="select_tool"
           phx-value-tool="rectangle"
@@ -3433,6 +4140,51 @@ defmodule CollabCanvasWeb.CanvasLive do
           <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">C</span>
         </button>
 
+        <button
+          phx-click="select_tool"
+          phx-value-tool="star"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "star" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Star Tool (X) - Click & drag to create, ↑/↓ while dragging to change points"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linejoin="round" stroke-width="2" d="M12 3l2.6 5.6 6.1.7-4.5 4.2 1.2 6L12 16.5 6.6 19.5l1.2-6-4.5-4.2 6.1-.7L12 3z" />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">X</span>
+        </button>
+
+        <button
+          phx-click="select_tool"
+          phx-value-tool="triangle"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "triangle" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Triangle Tool (V) - Click & drag to create"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linejoin="round" stroke-width="2" d="M12 4l9 16H3l9-16z" />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">V</span>
+        </button>
+
+        <button
+          phx-click="select_tool"
+          phx-value-tool="polygon"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "polygon" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Polygon Tool (H) - Click & drag to create, ↑/↓ while dragging to change sides"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linejoin="round" stroke-width="2" d="M12 3l8 4.5v9L12 21l-8-4.5v-9L12 3z" />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">H</span>
+        </button>
+
         <button
           phx-click="select_tool"
           phx-value-tool="text"
@@ -3453,6 +4205,90 @@ defmodule CollabCanvasWeb.CanvasLive do
           <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">T</span>
         </button>
 
+        <button
+          phx-click="select_tool"
+          phx-value-tool="line"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "line" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Line Tool (N) - Click & drag to draw"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-width="2" d="M5 19L19 5" />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">N</span>
+        </button>
+
+        <button
+          phx-click="select_tool"
+          phx-value-tool="arrow"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "arrow" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Arrow Tool (A) - Click & drag to draw"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 19L19 5m0 0h-8m8 0v8" />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">A</span>
+        </button>
+
+        <button
+          phx-click="select_tool"
+          phx-value-tool="connector"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "connector" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Connector Tool (K) - Drag from one object to another"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <rect x="2" y="3" width="7" height="6" rx="1" stroke-width="2" />
+            <rect x="15" y="15" width="7" height="6" rx="1" stroke-width="2" />
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 6h3v12h3" />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">K</span>
+        </button>
+
+        <button
+          phx-click="select_tool"
+          phx-value-tool="pencil"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "pencil" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Pencil Tool (Shift+P) - Click & drag to draw freehand"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path
+              stroke-linecap="round"
+              stroke-linejoin="round"
+              stroke-width="2"
+              d="M15.232 5.232l3.536 3.536M4 20l4.5-1 10.268-10.268a2.5 2.5 0 00-3.536-3.536L5 15.5 4 20z"
+            />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">⇧P</span>
+        </button>
+
+        <button
+          phx-click="select_tool"
+          phx-value-tool="pen"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center hover:bg-gray-100 transition-colors relative group",
+            @selected_tool == "pen" && "bg-blue-100 text-blue-600"
+          ]}
+          title="Pen Tool (P) - Click for corners, drag for curves, click the first point to close; double-click a shape to edit its points"
+        >
+          <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 20c4-10 12-10 16-16" />
+            <rect x="2" y="18" width="4" height="4" stroke-width="1.5" />
+            <rect x="18" y="2" width="4" height="4" stroke-width="1.5" />
+          </svg>
+          <span class="absolute right-1 bottom-1 text-[10px] font-bold opacity-50">P</span>
+        </button>
+
         <button
           phx-click="select_tool"
           phx-value-tool="delete"
@@ -3568,6 +4404,58 @@ defmodule CollabCanvasWeb.CanvasLive do
           </svg>
         </button>
 
+        <!-- Import Button for SVG files and canvas documents (file picker handled by the CanvasManager hook) -->
+        <label
+          class="w-12 h-12 rounded-lg flex items-center justify-center transition-colors hover:bg-gray-100 active:bg-gray-200 cursor-pointer"
+          title="Import SVG or canvas document (or drop the file on the canvas)"
+        >
+          <input
+            id="import-input"
+            type="file"
+            accept=".svg,image/svg+xml,.json,application/json"
+            multiple
+            class="hidden"
+            phx-update="ignore"
+          />
+          <svg
+            class="w-6 h-6 text-gray-600"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              stroke-linecap="round"
+              stroke-linejoin="round"
+              stroke-width="2"
+              d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"
+            />
+          </svg>
+        </label>
+
+        <!-- Export Button -->
+        <button
+          phx-click="toggle_export_dialog"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center transition-colors hover:bg-gray-100 active:bg-gray-200",
+            @show_export_dialog && "bg-blue-100 text-blue-600"
+          ]}
+          title="Export (PNG, JPEG, WebP, PDF, SVG or canvas document)"
+        >
+          <svg
+            class="w-6 h-6 text-gray-600"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              stroke-linecap="round"
+              stroke-linejoin="round"
+              stroke-width="2"
+              d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+            />
+          </svg>
+        </button>
+
         <!-- Layers Panel Toggle Button -->
         <button
           phx-click="toggle_layers_panel"
@@ -3592,6 +4480,30 @@ defmodule CollabCanvasWeb.CanvasLive do
           </svg>
         </button>
 
+        <!-- History Panel Toggle Button -->
+        <button
+          phx-click="toggle_history_panel"
+          class={[
+            "w-12 h-12 rounded-lg flex items-center justify-center transition-colors hover:bg-gray-100 active:bg-gray-200",
+            @history_panel_visible && "bg-blue-100 text-blue-600"
+          ]}
+          title={if @history_panel_visible, do: "Hide History Panel", else: "Show History Panel"}
+        >
+          <svg
+            class="w-6 h-6"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              stroke-linecap="round"
+              stroke-linejoin="round"
+              stroke-width="2"
+              d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+            />
+          </svg>
+        </button>
+
         <div class="flex-1"></div>
 
     <!-- Keyboard shortcuts help -->
@@ -3770,6 +4682,64 @@ defmodule CollabCanvasWeb.CanvasLive do
                       >
                         <circle cx="12" cy="12" r="8" stroke-width="2" />
                       </svg>
+                    <% type when type in ["line", "arrow", "connector"] -> %>
+                      <svg
+                        class="w-4 h-4 text-gray-600"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path stroke-linecap="round" stroke-width="2" d="M5 19L19 5" />
+                      </svg>
+                    <% "path" -> %>
+                      <svg
+                        class="w-4 h-4 text-gray-600"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path
+                          stroke-linecap="round"
+                          stroke-width="2"
+                          d="M4 16c2-6 5-8 7-4s5 2 9-6"
+                        />
+                      </svg>
+                    <% "star" -> %>
+                      <svg
+                        class="w-4 h-4 text-gray-600"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path stroke-linejoin="round" stroke-width="2" d="M12 3l2.6 5.6 6.1.7-4.5 4.2 1.2 6L12 16.5 6.6 19.5l1.2-6-4.5-4.2 6.1-.7L12 3z" />
+                      </svg>
+                    <% "triangle" -> %>
+                      <svg
+                        class="w-4 h-4 text-gray-600"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path stroke-linejoin="round" stroke-width="2" d="M12 4l9 16H3l9-16z" />
+                      </svg>
+                    <% "polygon" -> %>
+                      <svg
+                        class="w-4 h-4 text-gray-600"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path stroke-linejoin="round" stroke-width="2" d="M12 3l8 4.5v9L12 21l-8-4.5v-9L12 3z" />
+                      </svg>
+                    <% "frame" -> %>
+                      <svg
+                        class="w-4 h-4 text-gray-600"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path stroke-linecap="round" stroke-width="2" d="M8 3v18M16 3v18M3 8h18M3 16h18" />
+                      </svg>
                     <% "text" -> %>
                       <svg
                         class="w-4 h-4 text-gray-600"
@@ -3799,7 +4769,11 @@ defmodule CollabCanvasWeb.CanvasLive do
     <!-- Object Info -->
                 <div class="flex-1 min-w-0">
                   <div class="text-xs font-medium text-gray-800 truncate">
-                    {String.capitalize(object.type)}
+                    <%= if object.type == "frame" do %>
+                      {frame_name(object)}
+                    <% else %>
+                      {String.capitalize(object.type)}
+                    <% end %>
                     <%= if object.type == "text" && decoded_data["text"] do %>
                       - "{String.slice(decoded_data["text"], 0..15)}{if String.length(
                                                                           decoded_data["text"]
@@ -3820,6 +4794,35 @@ defmodule CollabCanvasWeb.CanvasLive do
                   </div>
                 </div>
                 
+    <!-- Frame Actions -->
+                <%= if object.type == "frame" do %>
+                  <div class="flex-shrink-0 flex items-center gap-0.5 opacity-0 group-hover:opacity-100">
+                    <button
+                      type="button"
+                      phx-click="zoom_to_frame"
+                      phx-value-object-id={object.id}
+                      class="p-1 rounded text-gray-500 hover:bg-gray-200 hover:text-gray-800"
+                      title="Zoom to frame"
+                    >
+                      <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <circle cx="11" cy="11" r="6" stroke-width="2" />
+                        <path stroke-linecap="round" stroke-width="2" d="M20 20l-4.5-4.5" />
+                      </svg>
+                    </button>
+                    <button
+                      type="button"
+                      phx-click="export_frame"
+                      phx-value-object-id={object.id}
+                      class="p-1 rounded text-gray-500 hover:bg-gray-200 hover:text-gray-800"
+                      title="Export frame"
+                    >
+                      <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 4v11m0 0l-4-4m4 4l4-4M5 20h14" />
+                      </svg>
+                    </button>
+                  </div>
+                <% end %>
+                
     <!-- Lock Indicator -->
                 <%= if object.locked_by do %>
                   <div class="flex-shrink-0">
@@ -3850,12 +4853,77 @@ defmodule CollabCanvasWeb.CanvasLive do
       </div>
       <% end %>
 
+    <!-- History Panel -->
+      <%= if @history_panel_visible do %>
+        <div class="w-64 bg-white border-r border-gray-200 flex flex-col">
+          <div class="p-3 border-b border-gray-200 flex items-center justify-between">
+            <h2 class="text-sm font-semibold text-gray-800">History</h2>
+            <button
+              phx-click="toggle_history_panel"
+              class="text-gray-500 hover:text-gray-700"
+              title="Close History Panel"
+            >
+              <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <div id="history-panel" phx-hook="HistoryPanel" phx-update="ignore" class="flex-1 flex flex-col min-h-0">
+          </div>
+        </div>
+      <% end %>
+
     <!-- Main Canvas Area -->
       <div class="flex-1 flex flex-col" style="will-change: width;">
         <!-- Top Bar -->
         <div class="h-14 bg-white border-b border-gray-200 flex items-center px-4">
           <h1 class="text-lg font-semibold text-gray-800">{@canvas.name}</h1>
           <div class="flex-1"></div>
+          <!-- Grid Settings -->
+          <form
+            id="grid-settings"
+            phx-change="update_grid"
+            class="flex items-center gap-3 mr-4 text-xs text-gray-600"
+          >
+            <label class="flex items-center gap-1" title="Show Grid (Cmd/Ctrl + ')">
+              <input type="hidden" name="grid[visible]" value="false" />
+              <input
+                type="checkbox"
+                name="grid[visible]"
+                value="true"
+                checked={@grid_settings["visible"]}
+              /> Grid
+            </label>
+            <label class="flex items-center gap-1" title="Snap to Grid (Cmd/Ctrl + Shift + ')">
+              <input type="hidden" name="grid[snap]" value="false" />
+              <input type="checkbox" name="grid[snap]" value="true" checked={@grid_settings["snap"]} />
+              Snap
+            </label>
+            <label class="flex items-center gap-1" title="Grid spacing">
+              Spacing
+              <input
+                type="number"
+                name="grid[spacing]"
+                value={@grid_settings["spacing"]}
+                min="4"
+                max="1000"
+                phx-debounce="300"
+                class="w-16 px-1 py-0.5 border border-gray-300 rounded text-xs"
+              />
+            </label>
+            <label class="flex items-center gap-1" title="Subdivisions per grid cell">
+              Subdivisions
+              <input
+                type="number"
+                name="grid[subdivisions]"
+                value={@grid_settings["subdivisions"]}
+                min="1"
+                max="20"
+                phx-debounce="300"
+                class="w-12 px-1 py-0.5 border border-gray-300 rounded text-xs"
+              />
+            </label>
+          </form>
           <span class="text-sm text-gray-500">
             Canvas ID: {@canvas_id}
           </span>
@@ -3872,6 +4940,7 @@ defmodule CollabCanvasWeb.CanvasLive do
           data-user-id={@user_id}
           data-canvas-id={@canvas_id}
           data-current-color={@current_color}
+          data-history-depth={@history_depth}
         >
           <!-- PixiJS will render here -->
         </div>
@@ -4208,6 +5277,160 @@ defmodule CollabCanvasWeb.CanvasLive do
         <% end %>
       </div>
 
+    <!-- Offline Sync Conflicts -->
+      <%= if @offline_conflicts != [] do %>
+        <div
+          id="offline-conflicts"
+          class="fixed bottom-4 right-4 z-40 w-80 bg-white rounded-lg shadow-xl border border-amber-300 text-sm text-gray-700"
+        >
+          <div class="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+            <h2 class="font-semibold text-gray-800">Offline changes merged</h2>
+            <button
+              phx-click="dismiss_offline_conflicts"
+              class="text-gray-500 hover:text-gray-700"
+              title="Dismiss"
+            >
+              <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <ul class="max-h-64 overflow-y-auto divide-y divide-gray-100">
+            <%= for conflict <- @offline_conflicts do %>
+              <li class="px-4 py-2 text-xs">
+                <span class={[
+                  "inline-block px-1.5 mr-1 rounded text-[10px] font-medium uppercase",
+                  if(conflict["outcome"] == "lost",
+                    do: "bg-red-100 text-red-700",
+                    else: "bg-amber-100 text-amber-700"
+                  )
+                ]}>
+                  {if conflict["outcome"] == "lost", do: "Lost", else: "Overwritten"}
+                </span>
+                {describe_offline_conflict(conflict)}
+              </li>
+            <% end %>
+          </ul>
+        </div>
+      <% end %>
+
+    <!-- Export Dialog -->
+      <%= if @show_export_dialog do %>
+        <div class="fixed inset-0 z-50">
+          <div class="absolute inset-0 bg-black opacity-25" phx-click="toggle_export_dialog"></div>
+          <form
+            id="export-dialog"
+            phx-change="update_export_options"
+            phx-submit="export_canvas"
+            class="absolute top-4 left-20 z-10 w-72 bg-white rounded-lg shadow-xl p-4 space-y-3 text-sm text-gray-700"
+          >
+            <h2 class="text-base font-semibold text-gray-800">Export</h2>
+            <label class="flex items-center justify-between gap-2">
+              Format
+              <select name="export[format]" class="w-36 px-2 py-1 border border-gray-300 rounded text-sm">
+                <option
+                  :for={{value, label} <- [{"png", "PNG"}, {"jpeg", "JPEG"}, {"webp", "WebP"}, {"pdf", "PDF"}, {"svg", "SVG"}, {"json", "Canvas document"}]}
+                  value={value}
+                  selected={@export_options["format"] == value}
+                >
+                  {label}
+                </option>
+              </select>
+            </label>
+            <label class="flex items-center justify-between gap-2">
+              Scale
+              <select name="export[scale]" class="w-36 px-2 py-1 border border-gray-300 rounded text-sm">
+                <option
+                  :for={scale <- ["1", "2", "4"]}
+                  value={scale}
+                  selected={@export_options["scale"] == scale}
+                >
+                  {scale}x
+                </option>
+              </select>
+            </label>
+            <label class="flex items-center justify-between gap-2">
+              Content
+              <select name="export[scope]" class="w-36 px-2 py-1 border border-gray-300 rounded text-sm">
+                <option
+                  :for={{value, label} <- [{"all", "Everything"}, {"selection", "Selection"}, {"region", "Visible area"}, {"frame", "Frame"}]}
+                  value={value}
+                  selected={@export_options["scope"] == value}
+                  disabled={value == "frame" && frame_choices(@objects) == []}
+                >
+                  {label}
+                </option>
+              </select>
+            </label>
+            <label :if={@export_options["scope"] == "frame"} class="flex items-center justify-between gap-2">
+              Frame
+              <select name="export[frame_id]" class="w-36 px-2 py-1 border border-gray-300 rounded text-sm">
+                <option
+                  :for={{value, label} <- frame_choices(@objects)}
+                  value={value}
+                  selected={@export_options["frame_id"] == value}
+                >
+                  {label}
+                </option>
+              </select>
+            </label>
+            <label class="flex items-center justify-between gap-2">
+              Background
+              <span class="flex items-center gap-2">
+                <select name="export[background]" class="w-24 px-2 py-1 border border-gray-300 rounded text-sm">
+                  <option value="transparent" selected={@export_options["background"] == "transparent"}>
+                    None
+                  </option>
+                  <option value="solid" selected={@export_options["background"] == "solid"}>Solid</option>
+                </select>
+                <input
+                  type="color"
+                  name="export[background_color]"
+                  value={@export_options["background_color"]}
+                  disabled={@export_options["background"] != "solid"}
+                  class="w-8 h-7 border border-gray-300 rounded disabled:opacity-40"
+                />
+              </span>
+            </label>
+            <label class="flex items-center justify-between gap-2">
+              Padding
+              <input
+                type="number"
+                name="export[padding]"
+                value={@export_options["padding"]}
+                min="0"
+                max="1000"
+                class="w-36 px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+            </label>
+            <p
+              :if={@export_options["format"] in ["jpeg", "pdf"] && @export_options["background"] != "solid"}
+              class="text-xs text-gray-500"
+            >
+              JPEG and PDF have no transparency - exported on white.
+            </p>
+            <p :if={@export_options["scope"] == "frame"} class="text-xs text-gray-500">
+              Exports the frame's box with what's inside it, clipped to the frame. Padding doesn't apply.
+            </p>
+            <p :if={@export_options["format"] == "json"} class="text-xs text-gray-500">
+              A JSON backup of the objects, groups and layers that can be imported again. Scale, background and padding don't apply.
+            </p>
+            <div class="flex justify-end gap-2 pt-1">
+              <button
+                type="button"
+                phx-click="toggle_export_dialog"
+                class="px-3 py-1.5 rounded text-gray-600 hover:bg-gray-100"
+              >
+                Cancel
+              </button>
+              <button type="submit" class="px-3 py-1.5 rounded bg-blue-600 text-white hover:bg-blue-700">
+                Export
+              </button>
+            </div>
+          </form>
+        </div>
+      <% end %>
+
     <!-- Color Picker Popup -->
       <%= if @show_color_picker do %>
         <div class="fixed inset-0 z-50">
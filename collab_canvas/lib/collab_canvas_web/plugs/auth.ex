@@ -64,6 +64,20 @@ defmodule CollabCanvasWeb.Plugs.Auth do
     end
   end
 
+  # For JSON endpoints: answer 401 instead of redirecting
+  def call(conn, :require_authenticated_api) do
+    case conn.assigns[:current_user] do
+      nil ->
+        conn
+        |> put_status(:unauthorized)
+        |> json(%{error: "You must be logged in"})
+        |> halt()
+
+      _user ->
+        conn
+    end
+  end
+
   @doc """
   Assigns the current user to a LiveView socket from the session.
 
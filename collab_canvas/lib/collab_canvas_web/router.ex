@@ -27,6 +27,13 @@ defmodule CollabCanvasWeb.Router do
 
   - JSON content acceptance
 
+  ### Authenticated API Pipeline
+
+  The `:authenticated_api` pipeline is used for JSON endpoints called from a
+  logged-in page. On top of JSON acceptance it loads the session, checks the
+  CSRF token (sent as the `x-csrf-token` header) and answers 401 when nobody
+  is logged in.
+
   ## Routes
 
   ### Health Check Route
@@ -35,6 +42,12 @@ defmodule CollabCanvasWeb.Router do
     - Uses API pipeline for JSON responses
     - Handled by `HealthController.index/2`
 
+  ### API Routes
+
+  - `POST /api/transcribe` - Audio transcription via `WhisperController.transcribe/2`
+  - `POST /api/canvases/:canvas_id/uploads` - Image upload for pasted canvas images via
+    `UploadController.create/2` (authenticated API pipeline)
+
   ### Main Application Routes (Browser Pipeline)
 
   - `GET /` - Home page
@@ -91,12 +104,26 @@ defmodule CollabCanvasWeb.Router do
     plug(:accepts, ["json"])
   end
 
+  pipeline :authenticated_api do
+    plug(:accepts, ["json"])
+    plug(:fetch_session)
+    plug(:protect_from_forgery)
+    plug(CollabCanvasWeb.Plugs.Auth, :load_current_user)
+    plug(CollabCanvasWeb.Plugs.Auth, :require_authenticated_api)
+  end
+
   # API endpoints (no auth required)
   scope "/api", CollabCanvasWeb do
     pipe_through(:api)
     post("/transcribe", WhisperController, :transcribe)
   end
 
+  # API endpoints for logged-in users
+  scope "/api", CollabCanvasWeb do
+    pipe_through(:authenticated_api)
+    post("/canvases/:canvas_id/uploads", UploadController, :create)
+  end
+
   # Health check endpoint (no auth required)
   scope "/", CollabCanvasWeb do
     pipe_through(:api)
@@ -0,0 +1,9 @@
+defmodule CollabCanvas.Repo.Migrations.AddGridSettingsToCanvasUserViewports do
+  use Ecto.Migration
+
+  def change do
+    alter table(:canvas_user_viewports) do
+      add(:grid_settings, :map)
+    end
+  end
+end
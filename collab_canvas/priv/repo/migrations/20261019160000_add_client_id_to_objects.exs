@@ -0,0 +1,13 @@
+defmodule CollabCanvas.Repo.Migrations.AddClientIdToObjects do
+  use Ecto.Migration
+
+  # Objects created offline keep the client's "local-..." id, so replaying the
+  # same queued create returns the object instead of inserting a duplicate
+  def change do
+    alter table(:objects) do
+      add(:client_id, :string)
+    end
+
+    create(unique_index(:objects, [:canvas_id, :client_id]))
+  end
+end
@@ -1116,6 +1116,52 @@ defmodule CollabCanvas.AI.AgentTest do
       assert decoded_data["italic"] == false
     end
 
+    test "processes update_text tool call with styled runs", %{canvas: canvas} do
+      {:ok, object} =
+        Canvases.create_object(canvas.id, "text", %{
+          position: %{x: 0, y: 0},
+          data: Jason.encode!(%{text: "Summer sale", font_size: 32})
+        })
+
+      tool_calls = [
+        %{
+          id: "call_update_text_runs",
+          name: "update_text",
+          input: %{
+            "object_id" => object.id,
+            "runs" => [
+              %{"text" => "Summer "},
+              %{"text" => "sale", "bold" => true, "color" => "#dc2626"}
+            ]
+          }
+        }
+      ]
+
+      [result] = Agent.process_tool_calls(tool_calls, canvas.id)
+      assert {:ok, updated_object} = result.result
+
+      decoded_data = Jason.decode!(updated_object.data)
+      assert decoded_data["text"] == "Summer sale"
+      assert [_, %{"text" => "sale", "bold" => true}] = decoded_data["runs"]
+      assert decoded_data["font_size"] == 32
+
+      # Plain replacement text drops the stale runs
+      [result] =
+        Agent.process_tool_calls(
+          [
+            %{
+              id: "call_update_text_plain",
+              name: "update_text",
+              input: %{"object_id" => object.id, "new_text" => "Winter sale"}
+            }
+          ],
+          canvas.id
+        )
+
+      assert {:ok, updated_object} = result.result
+      refute Map.has_key?(Jason.decode!(updated_object.data), "runs")
+    end
+
     test "update_text handles non-text object", %{canvas: canvas} do
       # Create a non-text object
       {:ok, object} =
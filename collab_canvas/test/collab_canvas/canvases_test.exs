@@ -3,6 +3,7 @@ defmodule CollabCanvas.CanvasesTest do
 
   alias CollabCanvas.Canvases
   alias CollabCanvas.Canvases.{Canvas, Object}
+  alias CollabCanvas.Components.Component
   alias CollabCanvas.Accounts
 
   describe "canvases" do
@@ -333,6 +334,81 @@ defmodule CollabCanvas.CanvasesTest do
     test "delete_canvas_objects/1 returns 0 for canvas with no objects", %{canvas: canvas} do
       assert {0, nil} = Canvases.delete_canvas_objects(canvas.id)
     end
+
+    test "import_objects/2 points connectors at the imported objects", %{canvas: canvas} do
+      group_id = Ecto.UUID.generate()
+
+      assert {:ok, [rect, circle, connector]} =
+               Canvases.import_objects(canvas.id, [
+                 %{
+                   "id" => 3,
+                   "type" => "connector",
+                   "position" => %{"x" => 0, "y" => 0},
+                   "data" => %{"source_id" => 1, "target_id" => 2}
+                 },
+                 %{
+                   "id" => 4,
+                   "type" => "connector",
+                   "position" => %{"x" => 0, "y" => 0},
+                   "data" => %{"source_id" => 1, "target_id" => 99}
+                 },
+                 %{
+                   "id" => 1,
+                   "type" => "rectangle",
+                   "position" => %{"x" => 10, "y" => 20},
+                   "data" => %{"width" => 40},
+                   "z_index" => 2,
+                   "group_id" => group_id,
+                   "component_id" => 123_456,
+                   "instance_overrides" => %{"fill" => "#ff0000"}
+                 },
+                 %{"id" => 2, "type" => "circle", "position" => %{"x" => 90, "y" => 20}, "data" => %{}}
+               ])
+
+      assert rect.z_index == 2.0
+      assert rect.group_id == group_id
+      assert Jason.decode!(rect.data) == %{"width" => 40}
+      # Components that don't exist here are dropped with their overrides
+      assert rect.component_id == nil
+      assert rect.instance_overrides == nil
+
+      assert Jason.decode!(connector.data) == %{"source_id" => rect.id, "target_id" => circle.id}
+      assert length(Canvases.list_objects(canvas.id)) == 3
+    end
+
+    test "import_objects/2 keeps only links to this canvas' components", %{canvas: canvas, user: user} do
+      {:ok, other_canvas} = Canvases.create_canvas(user.id, "Other Canvas")
+      {:ok, own} = Repo.insert(%Component{name: "Button", canvas_id: canvas.id})
+      {:ok, foreign} = Repo.insert(%Component{name: "Card", canvas_id: other_canvas.id})
+
+      instance = fn id, component_id ->
+        %{
+          "id" => id,
+          "type" => "rectangle",
+          "position" => %{"x" => 0, "y" => 0},
+          "data" => %{},
+          "component_id" => component_id,
+          "instance_overrides" => %{"fill" => "#ff0000"}
+        }
+      end
+
+      assert {:ok, [linked, unlinked]} =
+               Canvases.import_objects(canvas.id, [instance.(1, own.id), instance.(2, foreign.id)])
+
+      assert linked.component_id == own.id
+      assert unlinked.component_id == nil
+      assert unlinked.instance_overrides == nil
+    end
+
+    test "import_objects/2 imports nothing when an object is invalid", %{canvas: canvas} do
+      assert {:error, %Ecto.Changeset{}} =
+               Canvases.import_objects(canvas.id, [
+                 %{"id" => 1, "type" => "rectangle", "position" => %{"x" => 0, "y" => 0}, "data" => %{}},
+                 %{"id" => 2, "type" => "hexagon", "position" => %{"x" => 0, "y" => 0}, "data" => %{}}
+               ])
+
+      assert Canvases.list_objects(canvas.id) == []
+    end
   end
 
   describe "object types" do
@@ -368,8 +444,58 @@ defmodule CollabCanvas.CanvasesTest do
       assert {:ok, %Object{type: "line"}} = Canvases.create_object(canvas.id, "line")
     end
 
+    test "allows creating arrow objects", %{canvas: canvas} do
+      assert {:ok, %Object{type: "arrow"}} = Canvases.create_object(canvas.id, "arrow")
+    end
+
+    test "allows creating connector objects", %{canvas: canvas} do
+      assert {:ok, %Object{type: "connector"}} = Canvases.create_object(canvas.id, "connector")
+    end
+
     test "allows creating path objects", %{canvas: canvas} do
       assert {:ok, %Object{type: "path"}} = Canvases.create_object(canvas.id, "path")
     end
   end
+
+  describe "grid settings" do
+    setup do
+      {:ok, user} =
+        Accounts.create_user(%{
+          email: "test@example.com",
+          name: "Test User"
+        })
+
+      {:ok, canvas} = Canvases.create_canvas(user.id, "Test Canvas")
+
+      {:ok, user: user, canvas: canvas}
+    end
+
+    test "get_grid_settings/2 returns defaults without a saved viewport", %{
+      user: user,
+      canvas: canvas
+    } do
+      assert Canvases.get_grid_settings(user.id, canvas.id) ==
+               %{"visible" => false, "snap" => false, "spacing" => 100, "subdivisions" => 5}
+    end
+
+    test "save_grid_settings/3 normalizes and keeps the saved viewport", %{
+      user: user,
+      canvas: canvas
+    } do
+      {:ok, _} = Canvases.save_viewport(user.id, canvas.id, %{viewport_x: 10.0, viewport_y: 20.0, zoom: 2.0})
+
+      assert {:ok, viewport} =
+               Canvases.save_grid_settings(user.id, canvas.id, %{
+                 "visible" => "true",
+                 "snap" => true,
+                 "spacing" => "5000",
+                 "subdivisions" => 0
+               })
+
+      assert viewport.zoom == 2.0
+
+      assert Canvases.get_grid_settings(user.id, canvas.id) ==
+               %{"visible" => true, "snap" => true, "spacing" => 1000, "subdivisions" => 1}
+    end
+  end
 end
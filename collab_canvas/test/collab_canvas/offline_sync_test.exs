@@ -0,0 +1,224 @@
+defmodule CollabCanvas.OfflineSyncTest do
+  use CollabCanvas.DataCase
+
+  alias CollabCanvas.{Accounts, Canvases, OfflineSync}
+
+  setup do
+    {:ok, user} = Accounts.create_user(%{email: "offline@example.com", name: "Offline User"})
+    {:ok, canvas} = Canvases.create_canvas(user.id, "Offline Canvas")
+
+    {:ok, object} =
+      Canvases.create_object(canvas.id, "rectangle", %{
+        position: %{"x" => 0, "y" => 0},
+        data: Jason.encode!(%{"fill" => "#ff0000", "width" => 20})
+      })
+
+    base = %{
+      "type" => "rectangle",
+      "position" => %{"x" => 0, "y" => 0},
+      "data" => %{"fill" => "#ff0000", "width" => 20}
+    }
+
+    {:ok, canvas: canvas, object: object, base: base, user_id: "user_#{user.id}"}
+  end
+
+  # A collaborator's change made while the client was offline
+  defp collaborator_edit(object, data) do
+    {:ok, _} = Canvases.update_object(object.id, %{data: Jason.encode!(data)})
+  end
+
+  defp future, do: System.os_time(:millisecond) + 60_000
+
+  describe "merge_update/4" do
+    test "applies fields nobody else touched and leaves the rest alone" do
+      current = %{"position" => %{"x" => 0, "y" => 0}, "data" => %{"fill" => "#00ff00", "width" => 20}}
+      base = %{"position" => %{"x" => 0, "y" => 0}, "data" => %{"fill" => "#ff0000", "width" => 20}}
+      changes = %{"position" => %{"x" => 50, "y" => 0}, "data" => %{"width" => 40}}
+
+      {attrs, overwritten, lost} = OfflineSync.merge_update(current, changes, base, false)
+
+      assert attrs.position == %{"x" => 50, "y" => 0}
+      assert Jason.decode!(attrs.data) == %{"fill" => "#00ff00", "width" => 40}
+      assert overwritten == []
+      assert lost == []
+    end
+
+    test "decides fields both sides changed by the last writer" do
+      current = %{"data" => %{"fill" => "#00ff00"}}
+      base = %{"data" => %{"fill" => "#ff0000"}}
+      changes = %{"data" => %{"fill" => "#0000ff"}}
+
+      assert {attrs, [], ["fill"]} = OfflineSync.merge_update(current, changes, base, false)
+      assert attrs == %{}
+
+      {attrs, ["fill"], []} = OfflineSync.merge_update(current, changes, base, true)
+      assert Jason.decode!(attrs.data) == %{"fill" => "#0000ff"}
+    end
+  end
+
+  describe "apply_operations/3" do
+    test "creates objects made offline and maps their client ids", %{canvas: canvas, user_id: user_id} do
+      result =
+        OfflineSync.apply_operations(canvas.id, user_id, [
+          %{
+            "type" => "create",
+            "client_id" => "local-1",
+            "object" => %{"type" => "circle", "position" => %{"x" => 5, "y" => 5}, "data" => %{"radius" => 10}}
+          },
+          %{"type" => "update", "object_id" => "local-1", "changes" => %{"position" => %{"x" => 9, "y" => 9}}}
+        ])
+
+      assert %{"local-1" => id} = result.id_map
+      created = Canvases.get_object(id)
+      assert created.type == "circle"
+      assert created.position == %{"x" => 9, "y" => 9}
+      assert result.conflicts == []
+    end
+
+    test "maps a replayed create to the object created the first time", %{canvas: canvas, user_id: user_id} do
+      create = %{"type" => "create", "client_id" => "local-2", "object" => %{"type" => "rectangle"}}
+
+      %{id_map: %{"local-2" => id}} = OfflineSync.apply_operations(canvas.id, user_id, [create])
+      replay = OfflineSync.apply_operations(canvas.id, user_id, [create])
+
+      assert replay.id_map == %{"local-2" => id}
+      assert [%{id: ^id}] = replay.objects
+      assert Enum.count(Canvases.list_objects(canvas.id), &(&1.type == "rectangle")) == 2
+    end
+
+    test "reports offline edits that lost to a later collaborator edit", %{
+      canvas: canvas,
+      object: object,
+      base: base,
+      user_id: user_id
+    } do
+      collaborator_edit(object, %{"fill" => "#00ff00", "width" => 20})
+
+      result =
+        OfflineSync.apply_operations(canvas.id, user_id, [
+          %{
+            "type" => "update",
+            "object_id" => object.id,
+            "changes" => %{"data" => %{"fill" => "#0000ff", "width" => 40}},
+            "base" => base,
+            "timestamp" => 0
+          }
+        ])
+
+      assert Jason.decode!(Canvases.get_object(object.id).data) == %{"fill" => "#00ff00", "width" => 40}
+
+      assert [%{"action" => "update", "outcome" => "lost", "reason" => "edited", "fields" => ["fill"]}] =
+               result.conflicts
+    end
+
+    test "deletes over collaborator edits only when the delete came later", %{
+      canvas: canvas,
+      object: object,
+      base: base,
+      user_id: user_id
+    } do
+      collaborator_edit(object, %{"fill" => "#00ff00", "width" => 20})
+      delete = %{"type" => "delete", "object_id" => object.id, "base" => base}
+
+      result = OfflineSync.apply_operations(canvas.id, user_id, [Map.put(delete, "timestamp", 0)])
+      assert Canvases.get_object(object.id)
+      assert [%{"action" => "delete", "outcome" => "lost"}] = result.conflicts
+
+      result = OfflineSync.apply_operations(canvas.id, user_id, [Map.put(delete, "timestamp", future())])
+      assert Canvases.get_object(object.id) == nil
+      assert result.deleted == [object.id]
+      assert [%{"action" => "delete", "outcome" => "overwritten", "fields" => ["fill"]}] = result.conflicts
+    end
+
+    test "decides edits within the same second by the millisecond", %{
+      canvas: canvas,
+      object: object,
+      base: base,
+      user_id: user_id
+    } do
+      collaborator_edit(object, %{"fill" => "#00ff00", "width" => 20})
+      saved_at = ~U[2026-01-01 00:00:00.700000Z]
+
+      from(o in CollabCanvas.Canvases.Object, where: o.id == ^object.id)
+      |> Repo.update_all(set: [updated_at: saved_at])
+
+      update = fn fill, ms ->
+        %{
+          "type" => "update",
+          "object_id" => object.id,
+          "changes" => %{"data" => %{"fill" => fill}},
+          "base" => base,
+          "timestamp" => DateTime.to_unix(saved_at, :millisecond) + ms
+        }
+      end
+
+      earlier = OfflineSync.apply_operations(canvas.id, user_id, [update.("#0000ff", -300)])
+      assert [%{"outcome" => "lost"}] = earlier.conflicts
+
+      later = OfflineSync.apply_operations(canvas.id, user_id, [update.("#0000ff", 200)])
+      assert [%{"outcome" => "overwritten"}] = later.conflicts
+      assert Jason.decode!(Canvases.get_object(object.id).data)["fill"] == "#0000ff"
+    end
+
+    test "never lets an edit without a timestamp win", %{
+      canvas: canvas,
+      object: object,
+      base: base,
+      user_id: user_id
+    } do
+      collaborator_edit(object, %{"fill" => "#00ff00", "width" => 20})
+
+      result =
+        OfflineSync.apply_operations(canvas.id, user_id, [
+          %{"type" => "update", "object_id" => object.id, "changes" => %{"data" => %{"fill" => "#0000ff"}}, "base" => base}
+        ])
+
+      assert [%{"outcome" => "lost", "fields" => ["fill"]}] = result.conflicts
+      assert Jason.decode!(Canvases.get_object(object.id).data)["fill"] == "#00ff00"
+    end
+
+    test "corrects timestamps for the client's clock", %{
+      canvas: canvas,
+      object: object,
+      base: base,
+      user_id: user_id
+    } do
+      collaborator_edit(object, %{"fill" => "#00ff00", "width" => 20})
+      # The client's clock runs an hour ahead: its edit from a minute ago is
+      # still older than the collaborator's
+      client_now = System.os_time(:millisecond) + 3_600_000
+
+      result =
+        OfflineSync.apply_operations(
+          canvas.id,
+          user_id,
+          [
+            %{
+              "type" => "update",
+              "object_id" => object.id,
+              "changes" => %{"data" => %{"fill" => "#0000ff"}},
+              "base" => base,
+              "timestamp" => client_now - 60_000
+            }
+          ],
+          sent_at: client_now
+        )
+
+      assert [%{"outcome" => "lost"}] = result.conflicts
+    end
+
+    test "reports edits to objects deleted or locked meanwhile", %{canvas: canvas, object: object, user_id: user_id} do
+      {:ok, locked} = Canvases.create_object(canvas.id, "rectangle", %{position: %{"x" => 0, "y" => 0}})
+      {:ok, _} = Canvases.lock_object(locked.id, "user_someone_else")
+      {:ok, _} = Canvases.delete_object(object.id)
+
+      move = fn id -> %{"type" => "update", "object_id" => id, "changes" => %{"position" => %{"x" => 1, "y" => 1}}} end
+      result = OfflineSync.apply_operations(canvas.id, user_id, [move.(object.id), move.(locked.id)])
+
+      assert [%{"reason" => "deleted", "outcome" => "lost"}, %{"reason" => "locked", "outcome" => "lost"}] =
+               result.conflicts
+
+      assert Canvases.get_object(locked.id).position == %{"x" => 0, "y" => 0}
+    end
+  end
+end
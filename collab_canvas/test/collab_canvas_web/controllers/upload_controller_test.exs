@@ -0,0 +1,76 @@
+defmodule CollabCanvasWeb.UploadControllerTest do
+  use CollabCanvasWeb.ConnCase
+
+  alias CollabCanvas.{Accounts, Canvases}
+  alias CollabCanvasWeb.UploadController
+
+  @png_header <<0x89, "PNG", 0x0D, 0x0A, 0x1A, 0x0A>>
+
+  setup %{conn: conn} do
+    {:ok, user} = Accounts.create_user(%{email: "uploader@example.com", name: "Uploader"})
+    {:ok, canvas} = Canvases.create_canvas(user.id, "Upload Canvas")
+
+    {:ok, conn: init_test_session(conn, user_id: user.id), canvas: canvas}
+  end
+
+  defp upload_fixture(contents, filename, content_type) do
+    path = Path.join(System.tmp_dir!(), "upload-test-#{System.unique_integer([:positive])}")
+    File.write!(path, contents)
+    on_exit(fn -> File.rm(path) end)
+
+    %Plug.Upload{path: path, filename: filename, content_type: content_type}
+  end
+
+  test "POST /api/canvases/:canvas_id/uploads stores a PNG and returns its URL", %{
+    conn: conn,
+    canvas: canvas
+  } do
+    upload = upload_fixture(@png_header <> "pixels", "paste.png", "image/png")
+
+    conn = post(conn, ~p"/api/canvases/#{canvas.id}/uploads", %{"file" => upload})
+
+    assert %{"url" => url, "content_type" => "image/png"} = json_response(conn, 201)
+    assert Path.dirname(url) == "/uploads/#{canvas.id}"
+
+    stored = Path.join([UploadController.uploads_dir(), to_string(canvas.id), Path.basename(url)])
+    on_exit(fn -> File.rm(stored) end)
+    assert File.read!(stored) == @png_header <> "pixels"
+
+    # Served from the uploads directory, outside the release
+    served = get(build_conn(), url)
+    assert response(served, 200) == @png_header <> "pixels"
+  end
+
+  test "POST /api/canvases/:canvas_id/uploads rejects files that are not PNG or JPEG", %{
+    conn: conn,
+    canvas: canvas
+  } do
+    upload = upload_fixture("<svg xmlns=\"http://www.w3.org/2000/svg\"/>", "x.png", "image/png")
+
+    conn = post(conn, ~p"/api/canvases/#{canvas.id}/uploads", %{"file" => upload})
+
+    assert json_response(conn, 415)["error"] =~ "PNG and JPEG"
+  end
+
+  test "POST /api/canvases/:canvas_id/uploads without a file returns 400", %{conn: conn, canvas: canvas} do
+    conn = post(conn, ~p"/api/canvases/#{canvas.id}/uploads", %{})
+
+    assert json_response(conn, 400)["error"] == "Missing image file"
+  end
+
+  test "POST /api/canvases/:canvas_id/uploads for an unknown canvas returns 404", %{conn: conn} do
+    upload = upload_fixture(@png_header <> "pixels", "paste.png", "image/png")
+
+    conn = post(conn, ~p"/api/canvases/0/uploads", %{"file" => upload})
+
+    assert json_response(conn, 404)["error"] == "Canvas not found"
+  end
+
+  test "POST /api/canvases/:canvas_id/uploads requires a logged-in user", %{canvas: canvas} do
+    upload = upload_fixture(@png_header <> "pixels", "paste.png", "image/png")
+
+    conn = post(build_conn(), ~p"/api/canvases/#{canvas.id}/uploads", %{"file" => upload})
+
+    assert json_response(conn, 401)["error"] =~ "logged in"
+  end
+end
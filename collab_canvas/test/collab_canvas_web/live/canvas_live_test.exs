@@ -162,6 +162,18 @@ defmodule CollabCanvasWeb.CanvasLiveTest do
       assert object.type == "rectangle"
     end
 
+    test "creates objects into a client-assigned group", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+      group_id = Ecto.UUID.generate()
+
+      render_hook(view, "create_object", %{"type" => "rectangle", "group_id" => group_id})
+      render_hook(view, "create_object", %{"type" => "circle", "group_id" => "not-a-uuid"})
+
+      objects = Canvases.list_objects(canvas.id)
+      assert Enum.find(objects, &(&1.type == "rectangle")).group_id == group_id
+      assert Enum.find(objects, &(&1.type == "circle")).group_id == nil
+    end
+
     test "handles creation errors gracefully", %{conn: conn, canvas: canvas} do
       {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
 
@@ -214,6 +226,30 @@ defmodule CollabCanvasWeb.CanvasLiveTest do
       assert updated_object.data != Jason.encode!(%{width: 100, height: 50})
     end
 
+    test "converts an edited shape to a path", %{conn: conn, canvas: canvas} do
+      {:ok, object} =
+        Canvases.create_object(canvas.id, "triangle", %{
+          position: %{x: 10, y: 20},
+          data: Jason.encode!(%{width: 100, height: 80, fill: "#ff0000"})
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      nodes = [%{"x" => 0, "y" => -40}, %{"x" => -50, "y" => 40}, %{"x" => 50, "y" => 40}]
+
+      render_hook(view, "update_object", %{
+        "id" => to_string(object.id),
+        "type" => "path",
+        "data" => %{"nodes" => nodes, "closed" => true}
+      })
+
+      updated_object = Canvases.get_object(object.id)
+      assert updated_object.type == "path"
+      data = Jason.decode!(updated_object.data)
+      assert data["nodes"] == nodes
+      assert data["fill"] == "#ff0000"
+    end
+
     test "broadcasts object update to other clients", %{conn: conn, canvas: canvas} do
       {:ok, object} =
         Canvases.create_object(canvas.id, "rectangle", %{
@@ -247,6 +283,419 @@ defmodule CollabCanvasWeb.CanvasLiveTest do
     end
   end
 
+  describe "handle_event/3 - update_objects_batch" do
+    test "merges partial data and positions for every object", %{conn: conn, canvas: canvas} do
+      {:ok, first} =
+        Canvases.create_object(canvas.id, "rectangle", %{
+          position: %{x: 10, y: 20},
+          data: Jason.encode!(%{width: 100, height: 50, color: "#ff0000"})
+        })
+
+      {:ok, second} =
+        Canvases.create_object(canvas.id, "circle", %{
+          position: %{x: 200, y: 20},
+          data: Jason.encode!(%{width: 40, color: "#00ff00"})
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      render_hook(view, "update_objects_batch", %{
+        "updates" => [
+          %{
+            "object_id" => first.id,
+            "position" => %{"x" => 15, "y" => 25},
+            "data" => %{"width" => 150, "height" => 75}
+          },
+          %{"object_id" => second.id, "data" => %{"rotation" => 90}}
+        ]
+      })
+
+      first_data = Jason.decode!(Canvases.get_object(first.id).data)
+      assert first_data == %{"width" => 150, "height" => 75, "color" => "#ff0000"}
+      assert Canvases.get_object(first.id).position["x"] == 15
+
+      second_object = Canvases.get_object(second.id)
+      assert Jason.decode!(second_object.data)["rotation"] == 90
+      assert Jason.decode!(second_object.data)["color"] == "#00ff00"
+      assert second_object.position["x"] == 200
+    end
+  end
+
+  describe "handle_event/3 - duplicate_object" do
+    test "pushes the copy to the user who duplicated it", %{conn: conn, canvas: canvas} do
+      {:ok, object} =
+        Canvases.create_object(canvas.id, "rectangle", %{
+          position: %{x: 10, y: 20},
+          data: Jason.encode!(%{width: 100, height: 50})
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      render_hook(view, "duplicate_object", %{"object_id" => object.id})
+
+      assert_push_event(view, "object_created", %{object: copy, local: true})
+      assert copy.id != object.id
+      assert copy.position == %{"x" => 30, "y" => 40}
+    end
+  end
+
+  describe "handle_event/3 - align_objects and distribute_objects" do
+    setup %{canvas: canvas} do
+      objects =
+        for x <- [10, 100, 400] do
+          {:ok, object} =
+            Canvases.create_object(canvas.id, "rectangle", %{
+              position: %{x: x, y: x},
+              data: Jason.encode!(%{width: 50, height: 50})
+            })
+
+          object
+        end
+
+      {:ok, objects: objects}
+    end
+
+    test "pushes aligned positions back to the user who aligned", %{conn: conn, canvas: canvas, objects: objects} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+      ids = Enum.map(objects, & &1.id)
+
+      render_hook(view, "align_objects", %{"object_ids" => ids, "alignment" => "left"})
+
+      assert_push_event(view, "objects_updated_batch", %{objects: updated})
+      assert Enum.sort(Enum.map(updated, & &1.id)) == Enum.sort(ids)
+    end
+
+    test "pushes distributed positions back to the user who distributed", %{
+      conn: conn,
+      canvas: canvas,
+      objects: objects
+    } do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+      ids = Enum.map(objects, & &1.id)
+
+      render_hook(view, "distribute_objects", %{"object_ids" => ids, "direction" => "horizontal"})
+
+      assert_push_event(view, "objects_updated_batch", %{objects: updated})
+      assert Enum.sort(Enum.map(updated, & &1.id)) == Enum.sort(ids)
+    end
+  end
+
+  describe "handle_event/3 - update_grid" do
+    test "merges grid changes and pushes the normalized settings", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      view
+      |> element("#grid-settings")
+      |> render_change(%{"grid" => %{"visible" => "true", "spacing" => "50"}})
+
+      assert_push_event(view, "grid_settings", %{
+        "visible" => true,
+        "snap" => false,
+        "spacing" => 50,
+        "subdivisions" => 5
+      })
+
+      render_hook(view, "update_grid", %{"snap" => true})
+
+      assert_push_event(view, "grid_settings", %{"visible" => true, "snap" => true, "spacing" => 50})
+    end
+  end
+
+  describe "handle_event/3 - export_canvas" do
+    test "pushes the dialog's options to the canvas and closes it", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      view |> element("button[phx-click='toggle_export_dialog']") |> render_click()
+
+      view
+      |> element("#export-dialog")
+      |> render_change(%{"export" => %{"format" => "pdf", "background" => "solid"}})
+
+      html =
+        view
+        |> element("#export-dialog")
+        |> render_submit(%{"export" => %{"scale" => "4", "background_color" => "#112233"}})
+
+      assert_push_event(view, "export_canvas", %{
+        format: "pdf",
+        scale: 4.0,
+        background: "#112233",
+        padding: 16.0,
+        scope: "all",
+        filename: "Test Canvas"
+      })
+
+      refute html =~ "export-dialog"
+    end
+  end
+
+  describe "handle_event/3 - frames" do
+    test "zooms the canvas to a frame", %{conn: conn, canvas: canvas} do
+      {:ok, frame} = Canvases.create_object(canvas.id, "frame", %{data: ~s({"name":"Home"})})
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      render_hook(view, "zoom_to_frame", %{"object-id" => to_string(frame.id)})
+
+      assert_push_event(view, "zoom_to_frame", %{object_id: id})
+      assert id == frame.id
+    end
+
+    test "exports a frame through the export dialog", %{conn: conn, canvas: canvas} do
+      {:ok, frame} = Canvases.create_object(canvas.id, "frame", %{data: ~s({"name":"Home"})})
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      html = render_hook(view, "export_frame", %{"object-id" => to_string(frame.id)})
+      assert html =~ "export-dialog"
+      assert html =~ "Home"
+
+      view |> element("#export-dialog") |> render_submit(%{})
+
+      assert_push_event(view, "export_canvas", %{scope: "frame", frame_id: frame_id})
+      assert frame_id == frame.id
+    end
+
+    test "exports a frame when frame scope is picked without touching the frame list",
+         %{conn: conn, canvas: canvas} do
+      {:ok, _rect} = Canvases.create_object(canvas.id, "rectangle", %{data: ~s({"width":10})})
+      {:ok, frame} = Canvases.create_object(canvas.id, "frame", %{data: ~s({"name":"Home"})})
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      view |> element("button[phx-click='toggle_export_dialog']") |> render_click()
+
+      view
+      |> element("#export-dialog")
+      |> render_submit(%{"export" => %{"scope" => "frame", "frame_id" => ""}})
+
+      assert_push_event(view, "export_canvas", %{scope: "frame", frame_id: frame_id})
+      assert frame_id == frame.id
+    end
+
+    test "offers no frame scope on a canvas without frames", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      html = view |> element("button[phx-click='toggle_export_dialog']") |> render_click()
+      assert html =~ ~r/<option[^>]*value="frame"[^>]*disabled/
+
+      view
+      |> element("#export-dialog")
+      |> render_submit(%{"export" => %{"scope" => "frame"}})
+
+      assert_push_event(view, "export_canvas", %{scope: "all", frame_id: nil})
+    end
+  end
+
+  describe "handle_event/3 - undo and redo" do
+    test "marks objects this user creates for their own history", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      render_hook(view, "create_object", %{"type" => "rectangle", "position" => %{"x" => 0, "y" => 0}})
+
+      assert_push_event(view, "object_created", %{object: %{type: "rectangle"}, local: true, operation_id: operation_id})
+      assert is_binary(operation_id)
+    end
+
+    test "restores an object the client brought back with its id", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      render_hook(view, "create_object", %{
+        "type" => "rectangle",
+        "position" => %{"x" => 10, "y" => 20},
+        "data" => %{"fill" => "#ff0000"}
+      })
+
+      assert_push_event(view, "object_created", %{object: %{id: id}})
+      render_hook(view, "delete_object", %{"object_id" => id})
+      assert Canvases.get_object(id) == nil
+
+      render_hook(view, "undo", %{
+        "changes" => [
+          %{
+            "action" => "create",
+            "id" => id,
+            "type" => "rectangle",
+            "position" => %{"x" => 10, "y" => 20},
+            "data" => %{"fill" => "#ff0000"},
+            "z_index" => 0,
+            "group_id" => nil
+          }
+        ],
+        "object_ids" => [id]
+      })
+
+      restored = Canvases.get_object(id)
+      assert restored.position == %{"x" => 10, "y" => 20}
+      assert Jason.decode!(restored.data) == %{"fill" => "#ff0000"}
+
+      # The delete moved to the redo stack, so the server's own undo reverts the create next
+      render_hook(view, "undo", %{})
+      assert Canvases.get_object(id) == nil
+    end
+
+    test "refuses to restore ids this user's history never deleted", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      # Someone else's object, deleted outside this user's history
+      {:ok, other} = Canvases.create_object(canvas.id, "rectangle", %{position: %{x: 0, y: 0}})
+      {:ok, _} = Canvases.delete_object(other.id)
+
+      restore = fn id ->
+        %{"action" => "create", "id" => id, "type" => "rectangle", "position" => %{"x" => 0, "y" => 0}, "data" => %{}}
+      end
+
+      render_hook(view, "undo", %{"changes" => [restore.(other.id), restore.(other.id + 1000)], "object_ids" => []})
+
+      assert Canvases.get_object(other.id) == nil
+      assert Canvases.get_object(other.id + 1000) == nil
+      assert_push_event(view, "object_deleted", %{object_id: other_id})
+      assert other_id == other.id
+    end
+
+    test "undoes and redoes a duplicated object on the server", %{conn: conn, canvas: canvas} do
+      {:ok, original} = Canvases.create_object(canvas.id, "rectangle", %{position: %{x: 0, y: 0}})
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      render_hook(view, "duplicate_object", %{"object_id" => original.id})
+
+      assert_push_event(view, "object_created", %{object: %{id: id}, local: true, operation_id: operation_id})
+      assert is_binary(operation_id)
+
+      render_hook(view, "undo", %{"changes" => [%{"action" => "delete", "id" => id}], "object_ids" => [id]})
+      assert Canvases.get_object(id) == nil
+
+      render_hook(view, "redo", %{
+        "changes" => [
+          %{
+            "action" => "create",
+            "id" => id,
+            "type" => "rectangle",
+            "position" => %{"x" => 20, "y" => 20},
+            "data" => %{}
+          }
+        ],
+        "object_ids" => [id]
+      })
+
+      assert Canvases.get_object(id).position == %{"x" => 20, "y" => 20}
+      refute_push_event(view, "object_deleted", %{object_id: ^id})
+    end
+
+    test "leaves objects another user has locked", %{conn: conn, canvas: canvas} do
+      {:ok, free} = Canvases.create_object(canvas.id, "rectangle", %{position: %{x: 0, y: 0}})
+      {:ok, locked} = Canvases.create_object(canvas.id, "rectangle", %{position: %{x: 0, y: 0}})
+      {:ok, _} = Canvases.lock_object(locked.id, "user_someone_else")
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      move = fn id ->
+        %{"action" => "update", "id" => id, "type" => "rectangle", "position" => %{"x" => 50, "y" => 0}, "data" => %{}}
+      end
+
+      render_hook(view, "redo", %{"changes" => [move.(free.id), move.(locked.id)], "object_ids" => []})
+
+      assert Canvases.get_object(free.id).position == %{"x" => 50, "y" => 0}
+      assert Canvases.get_object(locked.id).position == %{"x" => 0, "y" => 0}
+    end
+
+    test "toggles the history panel for the client-side history list", %{conn: conn, canvas: canvas} do
+      {:ok, view, html} = live(conn, ~p"/canvas/#{canvas.id}")
+      refute html =~ "phx-hook=\"HistoryPanel\""
+
+      html = view |> element("button[title='Show History Panel']") |> render_click()
+      assert html =~ "phx-hook=\"HistoryPanel\""
+
+      html = view |> element("button[title='Close History Panel']") |> render_click()
+      refute html =~ "phx-hook=\"HistoryPanel\""
+    end
+  end
+
+  describe "handle_event/3 - sync_offline_operations" do
+    test "applies queued operations and reports conflicts until dismissed", %{conn: conn, canvas: canvas} do
+      {:ok, object} =
+        Canvases.create_object(canvas.id, "rectangle", %{
+          position: %{"x" => 0, "y" => 0},
+          data: Jason.encode!(%{"fill" => "#00ff00"})
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      html =
+        render_hook(view, "sync_offline_operations", %{
+          "operations" => [
+            %{"type" => "create", "client_id" => "local-1", "object" => %{"type" => "circle", "data" => %{}}},
+            %{
+              "type" => "update",
+              "object_id" => object.id,
+              "changes" => %{"data" => %{"fill" => "#0000ff"}},
+              "base" => %{"data" => %{"fill" => "#ff0000"}},
+              "timestamp" => 0
+            }
+          ],
+          "queue_ids" => [1, 2]
+        })
+
+      assert_push_event(view, "offline_sync_result", %{id_map: %{"local-1" => id}, queue_ids: [1, 2]})
+      assert Canvases.get_object(id).type == "circle"
+      assert html =~ "Offline changes merged"
+      assert html =~ "a collaborator edited them later"
+
+      html = view |> element("#offline-conflicts button[title='Dismiss']") |> render_click()
+      refute html =~ "Offline changes merged"
+    end
+  end
+
+  describe "handle_event/3 - paste_objects" do
+    test "ties pasted connectors to the pasted copies of their ends", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      render_hook(view, "paste_objects", %{
+        "objects" => [
+          %{"id" => 1, "type" => "rectangle", "position" => %{"x" => 0, "y" => 0}, "data" => %{}},
+          %{"id" => 2, "type" => "circle", "position" => %{"x" => 100, "y" => 0}, "data" => %{}},
+          %{
+            "id" => 3,
+            "type" => "connector",
+            "position" => %{"x" => 50, "y" => 0},
+            "data" => %{"source_id" => 1, "target_id" => 2}
+          },
+          %{"id" => 4, "type" => "connector", "position" => %{"x" => 50, "y" => 50}, "data" => %{"source_id" => 1}}
+        ]
+      })
+
+      objects = Canvases.list_objects(canvas.id)
+      rect = Enum.find(objects, &(&1.type == "rectangle"))
+      circle = Enum.find(objects, &(&1.type == "circle"))
+      connectors = objects |> Enum.filter(&(&1.type == "connector")) |> Enum.map(&Jason.decode!(&1.data))
+
+      assert %{"source_id" => rect.id, "target_id" => circle.id} in connectors
+      assert %{"source_id" => rect.id, "target_id" => nil} in connectors
+      assert_push_event(view, "object_created", %{object: %{type: "rectangle"}, local: true})
+    end
+  end
+
+  describe "handle_event/3 - import_document" do
+    test "creates the document's objects and pushes them to the canvas", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      render_hook(view, "import_document", %{
+        "objects" => [
+          %{"id" => 1, "type" => "rectangle", "position" => %{"x" => 0, "y" => 0}, "data" => %{}},
+          %{"id" => 2, "type" => "text", "position" => %{"x" => 50, "y" => 0}, "data" => %{"text" => "Hi"}}
+        ]
+      })
+
+      assert_push_event(view, "object_created", %{object: %{type: "rectangle"}})
+      assert_push_event(view, "object_created", %{object: %{type: "text"}})
+      assert length(Canvases.list_objects(canvas.id)) == 2
+    end
+
+    test "reports documents the client rejected", %{conn: conn, canvas: canvas} do
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      html = render_hook(view, "document_import_failed", %{"errors" => ["objects[0].type: must be one of rectangle"]})
+
+      assert html =~ "Couldn&#39;t import canvas document (objects[0].type: must be one of rectangle)"
+    end
+  end
+
   describe "handle_event/3 - delete_object" do
     test "deletes an object", %{conn: conn, canvas: canvas} do
       {:ok, object} = Canvases.create_object(canvas.id, "rectangle")
@@ -445,6 +894,46 @@ defmodule CollabCanvasWeb.CanvasLiveTest do
       assert_receive {:object_created, object}, 1000
       assert object.type == "rectangle"
     end
+
+    test "records an AI command's changes as one labelled history step", %{conn: conn, canvas: canvas} do
+      {:ok, moved} = Canvases.create_object(canvas.id, "rectangle", %{position: %{x: 0, y: 0}})
+      {:ok, view, _html} = live(conn, ~p"/canvas/#{canvas.id}")
+
+      # Stand in for a running AI task, then hand the view its result
+      ref = make_ref()
+
+      :sys.replace_state(view.pid, fn state ->
+        update_in(state.socket.assigns, fn assigns ->
+          Map.merge(assigns, %{
+            ai_task_ref: ref,
+            ai_history_step: %{command: "arrange in grid", objects: [moved]}
+          })
+        end)
+      end)
+
+      {:ok, created} = Canvases.create_object(canvas.id, "circle", %{position: %{x: 40, y: 0}})
+      {:ok, updated} = Canvases.update_object(moved.id, %{position: %{x: 50, y: 0}})
+
+      send(
+        view.pid,
+        {ref,
+         {:ok,
+          [
+            %{tool: "create_shape", result: {:ok, created}},
+            %{tool: "move_object", result: {:ok, updated}}
+          ]}}
+      )
+
+      assert_push_event(view, "ai_changes", %{label: "AI: arrange in grid", object_ids: object_ids})
+      assert Enum.sort(object_ids) == Enum.sort([created.id, moved.id])
+
+      # The server keeps the same step: undo takes back the move, then the create
+      render_hook(view, "undo", %{})
+      assert Canvases.get_object(moved.id).position == %{"x" => 0, "y" => 0}
+
+      render_hook(view, "undo", %{})
+      assert Canvases.get_object(created.id) == nil
+    end
   end
 
   describe "handle_info/2 - PubSub broadcasts" do